@@ -2,115 +2,664 @@
 // This server is now configured to use Neon Serverless PostgreSQL with robust connection handling.
 
 require('dotenv').config(); // Load environment variables from .env file at the very top.
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@sanity/client');
-const { Pool } = require('pg');
+const { buildSitemap, buildRobots, SITEMAP_QUERY } = require('./lib/seo');
+const { DEFAULT_LOCALE, localize, localizePath } = require('./lib/i18n');
+const { createContentCache } = require('./lib/contentCache');
+const { createImageResolver } = require('./lib/sanityImages');
+const { createEventStream } = require('./lib/eventStream');
+const { createPreviewTokens, previewMode, createDraftWatcher } = require('./lib/preview');
+const { createSessionStore } = require('./lib/auth');
+const { createPool } = require('./lib/db');
+const { createMigrator } = require('./lib/migrator');
+const { createAdminRouter } = require('./routes/admin');
+const { createCareersRouter } = require('./routes/careers');
+const { createUploadsRouter } = require('./routes/uploads');
+const { createPostsRouter } = require('./routes/posts');
+const { createContentRouter } = require('./routes/content');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createConsentRouter } = require('./routes/consent');
+const { createDataRequestsRouter } = require('./routes/dataRequests');
+const { createBookingsRouter } = require('./routes/bookings');
+const { createSanityWebhookRouter } = require('./routes/sanityWebhook');
+const { createPrivacyService } = require('./lib/privacy');
+const { createBookingService } = require('./lib/bookings');
+const { createAnalytics } = require('./lib/analytics');
+const { createStorage } = require('./lib/storage');
+const { createScanner } = require('./lib/uploads/scanner');
+const { createUploadService } = require('./lib/uploads');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createTransport } = require('./lib/mail/transports');
+const { createMailQueue } = require('./lib/mail/queue');
+const { leadNotification, contactConfirmation, applicationNotification, applicationConfirmation, dataRequestVerification } = require('./lib/mail/templates');
+const { createSpamGuard } = require('./lib/spam');
+const { logger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { REQUEST_ID_HEADER, requestLogging } = require('./lib/requestLogging');
+const { createHealthRouter } = require('./routes/health');
+const { securityHeaders } = require('./lib/securityHeaders');
+const { sendError, serverError, errorHandler } = require('./lib/errors');
+const { validateRequest } = require('./lib/validation');
+const schemas = require('./lib/schemas');
 
 // --- CONFIGURATION ---
 const PORT = process.env.PORT || 3001;
+// Public URL of the frontend, used for absolute links in /sitemap.xml, /robots.txt, emails and calendar
+// invites. Required in production (checked below); the Vite dev server's origin otherwise.
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5173';
+// Origins (comma-separated, e.g. "https://nxl.tech,https://www.nxl.tech") whose pages may call the API
+// from the browser. Defaults to SITE_URL.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || SITE_URL).split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+// Largest JSON request body accepted. File uploads are multipart and have their own limits below.
+const JSON_BODY_LIMIT_KB = Number(process.env.JSON_BODY_LIMIT_KB || 100);
+// How long browsers should only reach the API over HTTPS (Strict-Transport-Security). 0 leaves the header out.
+const HSTS_MAX_AGE_DAYS = Number(process.env.HSTS_MAX_AGE_DAYS ?? 180);
+// Sanity project holding the site's content (see sanity.io/manage) and its dataset.
+const SANITY_PROJECT_ID = process.env.SANITY_PROJECT_ID || null;
+const SANITY_DATASET = process.env.SANITY_DATASET || 'production';
+// How long CMS content is served from memory before it is refetched, and how long
+// stale content may keep being served while the refetch runs in the background.
+const CONTENT_CACHE_TTL_SECONDS = Number(process.env.CONTENT_CACHE_TTL_SECONDS || 60);
+const CONTENT_CACHE_STALE_SECONDS = Number(process.env.CONTENT_CACHE_STALE_SECONDS || 86400);
+// Optional file for the last good CMS payload, so a cold start can serve content while Sanity is down.
+const CONTENT_SNAPSHOT_PATH = process.env.CONTENT_SNAPSHOT_PATH || null;
+// Secret configured on the Sanity webhook; requests to /api/webhooks/sanity must be signed with it.
+const SANITY_WEBHOOK_SECRET = process.env.SANITY_WEBHOOK_SECRET || null;
+// Draft preview (see lib/preview.js). Needs a Sanity API token that can read drafts; preview stays off without one.
+const SANITY_READ_TOKEN = process.env.SANITY_READ_TOKEN || null;
+const PREVIEW_SECRET = process.env.PREVIEW_SECRET || null;
+const PREVIEW_TTL_HOURS = Number(process.env.PREVIEW_TTL_HOURS || 8);
+// Lifetime of a staff login to the admin dashboard.
+const ADMIN_SESSION_TTL_HOURS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 12);
+// Admin login attempts per IP, and per username, every 15 minutes.
+const ADMIN_LOGIN_RATE_LIMIT = Number(process.env.ADMIN_LOGIN_RATE_LIMIT || 10);
+// Outgoing email. MAIL_TRANSPORT is smtp, file (writes .eml files, for local testing) or console (the
+// default outside production, where it is refused).
+const MAIL_CONFIG = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  file: { dir: process.env.MAIL_FILE_DIR || './mail-outbox' },
+};
+const MAIL_FROM = process.env.MAIL_FROM || 'NXL Technologies <no-reply@localhost>';
+// Overrides the CMS contact.email (careers.email for job applications) as the recipient of new-lead, booking
+// and application notifications.
+const MAIL_NOTIFY_TO = process.env.MAIL_NOTIFY_TO || null;
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 8);
+const MAIL_POLL_INTERVAL_SECONDS = Number(process.env.MAIL_POLL_INTERVAL_SECONDS || 30);
+// Number of reverse proxies in front of the server (1 on Render), so req.ip is the visitor's address.
+const TRUST_PROXY = Number(process.env.TRUST_PROXY || 0);
+// Contact form abuse protection. Setting a limit or threshold to 0 disables that rule.
+const SPAM_CONFIG = {
+  ipRateLimit: {
+    max: Number(process.env.SPAM_IP_RATE_LIMIT ?? 5),
+    windowMs: Number(process.env.SPAM_IP_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  },
+  emailRateLimit: {
+    max: Number(process.env.SPAM_EMAIL_RATE_LIMIT ?? 3),
+    windowMs: Number(process.env.SPAM_EMAIL_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  },
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD ?? 'website',
+  minSubmitMs: Number(process.env.SPAM_MIN_SUBMIT_SECONDS ?? 3) * 1000,
+  maxLinks: Number(process.env.SPAM_MAX_LINKS ?? 2),
+  blocklist: (process.env.SPAM_BLOCKLIST || '').split(',').map(term => term.trim().toLowerCase()).filter(Boolean),
+  // Optional CAPTCHA: any provider with a siteverify-style endpoint (Turnstile, hCaptcha, reCAPTCHA).
+  captcha: {
+    secret: process.env.CAPTCHA_SECRET || null,
+    verifyUrl: process.env.CAPTCHA_VERIFY_URL || 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    timeoutMs: Number(process.env.CAPTCHA_TIMEOUT_SECONDS || 5) * 1000,
+  },
+};
+// Uploaded files. STORAGE_DRIVER=local keeps them in UPLOADS_DIR; Render's filesystem is wiped on deploy,
+// so point that at a persistent disk there.
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: { dir: path.resolve(process.env.UPLOADS_DIR || './uploads') },
+};
+// VIRUS_SCAN_DRIVER is none (default) or clamd.
+const SCANNER_CONFIG = {
+  driver: process.env.VIRUS_SCAN_DRIVER || 'none',
+  clamd: { host: process.env.CLAMD_HOST || '127.0.0.1', port: Number(process.env.CLAMD_PORT || 3310) },
+};
+const UPLOAD_MAX_SIZE_MB = Number(process.env.UPLOAD_MAX_SIZE_MB || 10);
+const CV_MAX_SIZE_MB = Number(process.env.CV_MAX_SIZE_MB || 5);
+// Signs download links. Without it a random key is used, so links stop working when the server restarts.
+const UPLOAD_SIGNING_SECRET = process.env.UPLOAD_SIGNING_SECRET || null;
+const UPLOAD_URL_TTL_MINUTES = Number(process.env.UPLOAD_URL_TTL_MINUTES || 15);
+// Uploads not attached to a submission within this window are deleted.
+const UPLOAD_UNCLAIMED_TTL_HOURS = Number(process.env.UPLOAD_UNCLAIMED_TTL_HOURS || 24);
+const UPLOAD_RATE_LIMIT = Number(process.env.UPLOAD_RATE_LIMIT || 20);
+
+// Analytics events older than this are deleted.
+const ANALYTICS_RETENTION_DAYS = Number(process.env.ANALYTICS_RETENTION_DAYS || 395);
+// Beacon requests per IP per hour (each carries up to 20 events).
+const ANALYTICS_RATE_LIMIT = Number(process.env.ANALYTICS_RATE_LIMIT || 300);
+// Cookie consent records per IP per hour.
+const CONSENT_RATE_LIMIT = Number(process.env.CONSENT_RATE_LIMIT || 30);
+
+// Discovery-call booking from service pages. Times in staff emails are shown in BOOKING_TIME_ZONE; prospects
+// can book a slot from BOOKING_MIN_NOTICE_HOURS before it starts, up to BOOKING_HORIZON_DAYS ahead.
+const BOOKING_TIME_ZONE = process.env.BOOKING_TIME_ZONE || 'UTC';
+const BOOKING_MIN_NOTICE_HOURS = Number(process.env.BOOKING_MIN_NOTICE_HOURS ?? 12);
+const BOOKING_HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS || 30);
+
+// Data subject requests: how long an emailed link works, and how many links an IP or address can ask for per hour.
+const DATA_REQUEST_TTL_HOURS = Number(process.env.DATA_REQUEST_TTL_HOURS || 24);
+const DATA_REQUEST_RATE_LIMIT = Number(process.env.DATA_REQUEST_RATE_LIMIT || 5);
+// Submissions, applications and past discovery calls older than this many days are anonymised (or deleted, with
+// DATA_RETENTION_ACTION=delete). 0 keeps them forever.
+const DATA_RETENTION = {
+  days: Number(process.env.DATA_RETENTION_DAYS || 0),
+  action: process.env.DATA_RETENTION_ACTION === 'delete' ? 'delete' : 'anonymise',
+};
+
+// Readiness checks (GET /readyz) fail when a dependency doesn't answer within this time.
+const HEALTH_CHECK_TIMEOUT_SECONDS = Number(process.env.HEALTH_CHECK_TIMEOUT_SECONDS || 3);
+// When set, GET /metrics requires `Authorization: Bearer <METRICS_TOKEN>`.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
 
 // ** CRITICAL **: Check for the database connection string.
 if (!process.env.DATABASE_URL) {
-    console.error("\nFATAL ERROR: DATABASE_URL is not defined.");
-    console.error("Please create a file named '.env' in the 'backend' directory.");
-    console.error("Add this line to it: DATABASE_URL=\"YOUR_NEON_CONNECTION_STRING_HERE\"\n");
+    logger.error('FATAL: DATABASE_URL is not defined. Add DATABASE_URL="<your Neon connection string>" to backend/.env.');
     process.exit(1); // Exit the process with an error code.
 }
+if (!SANITY_PROJECT_ID) {
+    logger.error('FATAL: SANITY_PROJECT_ID is not defined. Add SANITY_PROJECT_ID="<your Sanity project ID>" to backend/.env.');
+    process.exit(1);
+}
+// Without it, sitemap, email and data request links would all point at localhost.
+if (!process.env.SITE_URL && process.env.NODE_ENV === 'production') {
+    logger.error('FATAL: SITE_URL is not defined in production. Set SITE_URL="<public URL of the site>", e.g. https://nxl.tech.');
+    process.exit(1);
+}
+// The console transport prints whole emails, data request links included, past the log's redaction.
+if (MAIL_CONFIG.transport === 'console' && process.env.NODE_ENV === 'production') {
+    logger.error('FATAL: MAIL_TRANSPORT is console (the default) in production. Set MAIL_TRANSPORT=smtp and the SMTP_* settings.');
+    process.exit(1);
+}
 
 // Sanity Client Configuration
 const sanityClient = createClient({
-  projectId: 'yse6ob65', // This should be your actual Sanity project ID
-  dataset: 'production',
+  projectId: SANITY_PROJECT_ID,
+  dataset: SANITY_DATASET,
   apiVersion: '2024-07-01',
   useCdn: true, 
+  // Never drafts, even if a token is added later: drafts are only read by previewClient.
+  perspective: 'published',
 });
 
+// Published content straight from the API, for rebuilds right after a publish that the CDN may not have caught up with.
+const originClient = sanityClient.withConfig({ useCdn: false });
+
+// Draft preview: drafts layered over published content, fetched live from the API rather than the CDN.
+const previewClient = SANITY_READ_TOKEN
+  ? sanityClient.withConfig({ token: SANITY_READ_TOKEN, useCdn: false, perspective: 'drafts' })
+  : null;
+if (SANITY_READ_TOKEN && !PREVIEW_SECRET) {
+  logger.warn('PREVIEW_SECRET is not set; preview links will stop working after a restart.');
+}
+const previewTokens = previewClient
+  ? createPreviewTokens({ secret: PREVIEW_SECRET || crypto.randomBytes(32).toString('hex'), ttlMs: PREVIEW_TTL_HOURS * 60 * 60 * 1000 })
+  : null;
+
 // --- NEON DATABASE CONNECTION ---
 // The connection string is now securely loaded from the .env file.
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // Neon requires SSL. This is the standard configuration.
-  ssl: {
-    rejectUnauthorized: false,
-  },
+const pool = createPool();
+const migrator = createMigrator({ pool });
+
+// Staff sessions for the admin dashboard
+const adminSessions = createSessionStore({ pool, ttlHours: ADMIN_SESSION_TTL_HOURS });
+
+// --- EMAIL ---
+const mailQueue = createMailQueue({
+  pool,
+  transport: createTransport(MAIL_CONFIG),
+  from: MAIL_FROM,
+  maxAttempts: MAIL_MAX_ATTEMPTS,
+  pollIntervalMs: MAIL_POLL_INTERVAL_SECONDS * 1000,
 });
 
-// --- INITIALIZE APP ---
-const app = express();
+// --- FILE UPLOADS ---
+if (!UPLOAD_SIGNING_SECRET) {
+  logger.warn('UPLOAD_SIGNING_SECRET is not set; signed download links will stop working after a restart.');
+}
+const uploads = createUploadService({
+  pool,
+  storage: createStorage(STORAGE_CONFIG),
+  scanner: createScanner(SCANNER_CONFIG),
+  signingSecret: UPLOAD_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+  urlTtlMs: UPLOAD_URL_TTL_MINUTES * 60 * 1000,
+  unclaimedTtlMs: UPLOAD_UNCLAIMED_TTL_HOURS * 60 * 60 * 1000,
+});
 
-// --- MIDDLEWARE ---
-app.use(cors());
-app.use(express.json());
+// --- PERSONAL DATA ---
+const privacy = createPrivacyService({
+  pool,
+  uploads,
+  requestTtlMs: DATA_REQUEST_TTL_HOURS * 60 * 60 * 1000,
+  retention: DATA_RETENTION,
+});
 
-// --- API ROUTES ---
+// --- ANALYTICS ---
+const analytics = createAnalytics({ pool, siteUrl: SITE_URL, retentionDays: ANALYTICS_RETENTION_DAYS });
+
+// --- SPAM PROTECTION ---
+const spamGuard = createSpamGuard(SPAM_CONFIG);
+// Job applications get their own rate limits, and portfolio links in cover letters are expected.
+const applicationSpamGuard = createSpamGuard({ ...SPAM_CONFIG, maxLinks: 0, blocklist: [] });
+// Discovery-call bookings get their own rate limits too.
+const bookingSpamGuard = createSpamGuard(SPAM_CONFIG);
 
-// Endpoint to fetch all website content from Sanity
-app.get('/api/data', async (req, res) => {
-  console.log('GET /api/data request received - Fetching from Sanity.io');
-  const query = `*[_type == "siteConfig"][0]{
+// --- CONTENT CACHE ---
+const SITE_DATA_QUERY = `*[_type == "siteConfig"][0]{
     "hero": hero,
     "about": about,
-    "services": *[_type == "service"] | order(orderRank asc) { "id": id.current, title, icon, description, details, list },
+    "seo": seo {
+      siteName, description, "image": image.asset->url,
+      home, about, services, careers, contact
+    },
+    "services": *[_type == "service"] | order(orderRank asc) {
+      "id": id.current, title, icon, description, details, list,
+      "seo": seo { title, description, "image": image.asset->url }
+    },
     "process": *[_type == "processStep"] | order(id asc) { id, title, icon, description },
     "contact": contact,
-    "careers": careers
+    "careers": careers,
+    "jobs": *[_type == "jobPosting" && defined(id.current)] | order(coalesce(publishedAt, _createdAt) desc) {
+      "id": id.current, role, location, type, description, "postedAt": coalesce(publishedAt, _createdAt)
+    }
   }`;
 
-  try {
-    const data = await sanityClient.fetch(query);
-    if (!data) {
-        return res.status(404).json({ error: 'Site configuration not found in CMS.' });
-    }
-    res.status(200).json(data);
-  } catch (error) {
-    console.error('Sanity fetch Error:', error);
-    res.status(500).json({ error: 'Internal Server Error. Failed to retrieve site data from CMS.' });
+// Document types the site renders; draft changes to these update open previews.
+const CONTENT_TYPES = ['siteConfig', 'service', 'processStep', 'jobPosting', 'post', 'caseStudy'];
+
+const siteDataCache = createContentCache({
+  name: 'site-data',
+  fetcher: () => sanityClient.fetch(SITE_DATA_QUERY),
+  ttlMs: CONTENT_CACHE_TTL_SECONDS * 1000,
+  staleMs: CONTENT_CACHE_STALE_SECONDS * 1000,
+  snapshotPath: CONTENT_SNAPSHOT_PATH,
+});
+
+// The cache holds the CMS payload with every translation; each locale's copy is derived from it once
+// per content version (see lib/i18n.js).
+const localizedSiteData = new Map(); // locale -> { sourceEtag, data }
+
+// Resolves to the cache entry with `data` in one language and an ETag that differs per locale.
+// Preview requests get drafts from the Sanity API on every call instead; they never touch the cache,
+// so published visitors can't be served draft content.
+const getSiteData = async (locale = DEFAULT_LOCALE, { preview = false } = {}) => {
+  if (preview) {
+    const data = await previewClient.fetch(SITE_DATA_QUERY);
+    return { data: data && { ...localize(data, locale), locale }, etag: null, lastModified: Date.now(), stale: false };
+  }
+
+  const entry = await siteDataCache.get();
+  if (!entry.data) return entry;
+
+  let localized = localizedSiteData.get(locale);
+  if (!localized || localized.sourceEtag !== entry.etag) {
+    localized = { sourceEtag: entry.etag, data: { ...localize(entry.data, locale), locale } };
+    localizedSiteData.set(locale, localized);
   }
+  return { ...entry, data: localized.data, etag: `${entry.etag.slice(0, -1)}-${locale}"` };
+};
+
+// Live content-change events for the frontend (see GET /api/events).
+const contentEvents = createEventStream({ name: 'content-events' });
+
+// Draft changes for open previews (see GET /api/preview/events). Sanity is only listened to while someone is previewing.
+const draftWatcher = previewClient && createDraftWatcher({
+  client: previewClient,
+  types: CONTENT_TYPES,
+  onChange: (ids) => previewEvents.broadcast('draft-updated', { ids, at: new Date().toISOString() }),
+});
+const previewEvents = createEventStream({
+  name: 'preview-events',
+  onClientsChange: (count) => (count ? draftWatcher.start() : draftWatcher.stop()),
+});
+const preview = previewMode(previewTokens);
+
+// --- DISCOVERY CALLS ---
+// MAIL_FROM ("Name <address>") is the calendar invite's organizer when the CMS has no contact email.
+const [, mailFromName, mailFromAddress] = MAIL_FROM.match(/^\s*(.*?)\s*<([^>]+)>\s*$/) || [null, '', MAIL_FROM];
+const bookings = createBookingService({
+  pool,
+  mailQueue,
+  getContact: async () => {
+    const { data } = await getSiteData();
+    return data ? data.contact : null;
+  },
+  notifyTo: MAIL_NOTIFY_TO,
+  organizer: { name: mailFromName.replace(/^"|"$/g, '') || 'NXL Technologies', email: mailFromAddress },
+  siteUrl: SITE_URL,
+  staffTimeZone: BOOKING_TIME_ZONE,
+  minNoticeMs: BOOKING_MIN_NOTICE_HOURS * 60 * 60 * 1000,
+  horizonMs: BOOKING_HORIZON_DAYS * 24 * 60 * 60 * 1000,
 });
 
+// --- INITIALIZE APP ---
+const app = express();
+app.set('trust proxy', TRUST_PROXY);
+app.disable('x-powered-by');
+// Security headers on every response, probes included
+app.use(securityHeaders({ hstsMaxAgeSeconds: HSTS_MAX_AGE_DAYS * 24 * 60 * 60 }));
+
+// --- HEALTH AND METRICS ---
+const metrics = createMetrics();
+
+// Liveness and readiness probes and Prometheus metrics. /readyz queries the database and Sanity on every
+// call, so the platform's health check uses /healthz.
+app.use(createHealthRouter({
+  checks: {
+    database: () => pool.query('SELECT 1'),
+    cms: () => sanityClient.fetch('count(*[_type == "siteConfig"])'),
+  },
+  timeoutMs: HEALTH_CHECK_TIMEOUT_SECONDS * 1000,
+  metrics,
+  metricsToken: METRICS_TOKEN,
+}));
+
+// --- MIDDLEWARE ---
+// Request IDs, access logs and request metrics for everything below
+app.use(requestLogging({ logger, metrics }));
+// Only the site's own pages may call the API from a browser. They may read the request ID, so visitors
+// can quote it when reporting a problem.
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: [REQUEST_ID_HEADER], maxAge: 600 }));
+// Keep the raw body around: webhook signatures are computed over the exact bytes Sanity sent.
+app.use(express.json({
+  limit: `${JSON_BODY_LIMIT_KB}kb`,
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
+
+// --- API ROUTES ---
+
+// Website content (the /api/data aggregate and per-resource endpoints), served from the content cache.
+// ?locale= picks the language of translated fields (default: English).
+// Requests with a valid X-Preview-Token get drafts instead (see lib/preview.js).
+app.use('/api', createContentRouter({ getSiteData, preview }));
+
+// Server-sent events stream the frontend subscribes to for live refresh after content changes
+app.get('/api/events', (req, res) => {
+  contentEvents.subscribe(req, res);
+});
+
+// Live draft changes for the preview banner; the token comes as ?previewToken= since EventSource can't send headers
+app.get('/api/preview/events', preview, (req, res) => {
+  if (!req.preview) {
+    return sendError(res, 401, 'INVALID_PREVIEW_TOKEN', 'This preview link is invalid or has expired.');
+  }
+  previewEvents.subscribe(req, res);
+});
+
+// Sanity webhook: rebuilds the cached /api/data payload as soon as editors publish changes
+app.use('/api/webhooks/sanity', createSanityWebhookRouter({
+    secret: SANITY_WEBHOOK_SECRET,
+    onPublish: async ({ types, operation }) => {
+        siteDataCache.invalidate();
+        try {
+            await siteDataCache.rebuild(() => originClient.fetch(SITE_DATA_QUERY));
+        } catch (error) {
+            // The cache stays invalidated, so the next content request retries the fetch.
+            logger.error('Content cache rebuild after webhook failed', error);
+        }
+
+        contentEvents.broadcast('content-updated', { types, operation, at: new Date().toISOString() });
+    },
+}));
+
+// Queues the sales notification and the sender's confirmation for a new submission.
+// Failures are logged, never thrown: the submission is already saved and the request must still succeed.
+const queueSubmissionEmails = async (submission) => {
+    try {
+        let contact = null;
+        try {
+            const { data } = await getSiteData();
+            contact = data ? data.contact : null;
+        } catch (error) {
+            logger.error('Could not load CMS contact details for notification emails', error);
+        }
+
+        const notifyTo = MAIL_NOTIFY_TO || (contact && contact.email);
+        if (notifyTo) {
+            await mailQueue.enqueue({ to: notifyTo, replyTo: submission.email, ...leadNotification({ submission, adminUrl: `${SITE_URL}/admin` }) });
+        } else {
+            logger.warn('No notification recipient: set contact.email in the CMS or MAIL_NOTIFY_TO.');
+        }
+        await mailQueue.enqueue({ to: submission.email, ...(contact && contact.email && { replyTo: contact.email }), ...contactConfirmation({ submission, contact }) });
+        mailQueue.kick();
+    } catch (error) {
+        logger.error('Failed to queue emails for submission', { submissionId: submission.id, err: error });
+    }
+};
+
 // Endpoint to handle contact form submissions
-app.post('/api/contact', async (req, res) => {
-    const { name, email, message } = req.body;
-    console.log('POST /api/contact request received with data:', { name, email });
+app.post('/api/contact', validateRequest({ body: schemas.contactSubmission }), async (req, res) => {
+    const { name, email, message, attachments } = req.body;
 
-    if (!name || !email || !message) {
-        return res.status(400).json({ success: false, message: 'All fields are required.' });
+    let verdict;
+    try {
+        verdict = await spamGuard.check({ body: req.body, ip: req.ip });
+    } catch (error) {
+        logger.error('Spam check error', error);
+        return sendError(res, 503, 'SPAM_CHECK_UNAVAILABLE', 'We could not verify your submission. Please try again later.');
+    }
+
+    if (verdict.action === 'reject') {
+        logger.warn('Rejected contact submission', { reasons: verdict.reasons });
+        if (verdict.retryAfterSeconds) {
+            res.set('Retry-After', String(verdict.retryAfterSeconds));
+        }
+        return sendError(res, verdict.status || 400, verdict.status === 429 ? 'RATE_LIMITED' : 'SUBMISSION_REJECTED', verdict.message);
     }
 
+    const client = await pool.connect();
     try {
-        const queryText = 'INSERT INTO submissions(name, email, message) VALUES($1, $2, $3) RETURNING *';
-        const queryValues = [name, email, message];
-        const result = await pool.query(queryText, queryValues);
-        console.log('Submission saved to Neon database:', result.rows[0]);
+        const isSpam = verdict.action === 'flag';
+        await client.query('BEGIN');
+        const queryText = 'INSERT INTO submissions(name, email, message, status, spam_reasons) VALUES($1, $2, $3, $4, $5) RETURNING *';
+        const queryValues = [name, email, message, isSpam ? 'spam' : 'new', isSpam ? verdict.reasons : null];
+        const result = await client.query(queryText, queryValues);
+
+        // Attachments were uploaded beforehand through POST /api/uploads; link them in the same transaction.
+        const linked = await uploads.claimForSubmission(attachments, result.rows[0].id, client);
+        if (linked.length !== attachments.length) {
+            await client.query('ROLLBACK');
+            return sendError(res, 400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', {
+                attachments: { code: 'invalid_value', message: 'One or more attachments have expired. Please upload them again.' },
+            });
+        }
+        await client.query('COMMIT');
+        logger.info('Submission saved', { submissionId: result.rows[0].id, status: result.rows[0].status, attachments: linked.length });
+
+        // Flagged submissions are kept for review in the admin dashboard, but nobody is emailed about them.
+        if (isSpam) {
+            logger.warn('Submission flagged as spam', { submissionId: result.rows[0].id, reasons: verdict.reasons });
+        } else {
+            await queueSubmissionEmails(result.rows[0]);
+        }
 
         res.status(200).json({ success: true, message: 'Your message has been sent successfully!' });
 
     } catch (error) {
-        console.error('Database insertion error:', error);
-        res.status(500).json({ success: false, message: 'A server error occurred. Please try again later.' });
+        await client.query('ROLLBACK').catch(() => {});
+        logger.error('Database insertion error', error);
+        serverError(res);
+    } finally {
+        client.release();
     }
 });
 
+// Queues the careers inbox notification and the applicant's confirmation. Like queueSubmissionEmails, never throws.
+const queueApplicationEmails = async (application) => {
+    try {
+        let careers = null;
+        try {
+            const { data } = await getSiteData();
+            careers = data ? data.careers : null;
+        } catch (error) {
+            logger.error('Could not load CMS careers details for notification emails', error);
+        }
+
+        const notifyTo = MAIL_NOTIFY_TO || (careers && careers.email);
+        if (notifyTo) {
+            await mailQueue.enqueue({ to: notifyTo, replyTo: application.email, ...applicationNotification({ application, adminUrl: `${SITE_URL}/admin` }) });
+        } else {
+            logger.warn('No application notification recipient: set careers.email in the CMS or MAIL_NOTIFY_TO.');
+        }
+        await mailQueue.enqueue({ to: application.email, ...(careers && careers.email && { replyTo: careers.email }), ...applicationConfirmation({ application }) });
+        mailQueue.kick();
+    } catch (error) {
+        logger.error('Failed to queue emails for application', { applicationId: application.id, err: error });
+    }
+};
+
+// File uploads for contact form attachments, and signed download links
+app.use('/api/uploads', createUploadsRouter({
+    uploads,
+    maxBytes: UPLOAD_MAX_SIZE_MB * 1024 * 1024,
+    rateLimiter: createRateLimiter({ max: UPLOAD_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+}));
+
+// Job applications with CV upload from the careers page
+app.use('/api/careers', createCareersRouter({
+    pool,
+    uploads,
+    cvMaxBytes: CV_MAX_SIZE_MB * 1024 * 1024,
+    getJobs: async () => {
+        const { data } = await getSiteData();
+        return (data && data.jobs) || [];
+    },
+    spamGuard: applicationSpamGuard,
+    onApplication: queueApplicationEmails,
+}));
+
+// Discovery calls booked from service pages
+app.use('/api/bookings', createBookingsRouter({
+    bookings,
+    getServices: async () => {
+        const { data } = await getSiteData();
+        return (data && data.services) || [];
+    },
+    spamGuard: bookingSpamGuard,
+}));
+
+// Blog posts and case studies, fetched from Sanity per request (the Sanity CDN caches them)
+app.use('/api/posts', createPostsRouter({
+    sanityClient,
+    previewClient,
+    preview,
+    resolveImages: createImageResolver(sanityClient.config()),
+}));
+
+// Cookie-free page view, CTA and conversion tracking (see lib/analytics.js)
+app.use('/api/analytics', createAnalyticsRouter({
+    analytics,
+    rateLimiter: createRateLimiter({ max: ANALYTICS_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+}));
+
+// Proof of cookie consent: each choice made in the site's consent banner
+app.use('/api/consent', createConsentRouter({
+    pool,
+    rateLimiter: createRateLimiter({ max: CONSENT_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+}));
+
+// Data subject requests: emailed links to download or erase what is stored for an address
+app.use('/api/data-requests', createDataRequestsRouter({
+    privacy,
+    onRequest: async ({ email, locale = DEFAULT_LOCALE, token, expiresAt }) => {
+        const verifyUrl = `${SITE_URL}${localizePath('/privacy', locale)}?token=${encodeURIComponent(token)}`;
+        await mailQueue.enqueue({ to: email, ...dataRequestVerification({ verifyUrl, expiresAt }) });
+        mailQueue.kick();
+    },
+    ipLimiter: createRateLimiter({ max: DATA_REQUEST_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+    emailLimiter: createRateLimiter({ max: DATA_REQUEST_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+}));
+
+// Staff-only admin API (login, submissions, applications and bookings review, analytics report)
+app.use('/api/admin', createAdminRouter({
+    pool,
+    sessions: adminSessions,
+    loginIpLimiter: createRateLimiter({ max: ADMIN_LOGIN_RATE_LIMIT, windowMs: 15 * 60 * 1000 }),
+    loginUsernameLimiter: createRateLimiter({ max: ADMIN_LOGIN_RATE_LIMIT, windowMs: 15 * 60 * 1000 }),
+    uploads,
+    previewTokens,
+    retention: DATA_RETENTION,
+    bookings,
+    bookingHorizonDays: BOOKING_HORIZON_DAYS,
+}));
+
+// Sitemap of every public page, including one entry per service, job opening and blog post
+app.get('/sitemap.xml', async (req, res) => {
+    try {
+        const { services, jobs, posts } = await sanityClient.fetch(SITEMAP_QUERY);
+        res.type('application/xml').status(200).send(buildSitemap(SITE_URL, { services: services || [], jobs: jobs || [], posts: posts || [] }));
+    } catch (error) {
+        logger.error('Sitemap generation error', error);
+        res.status(500).type('text/plain').send('Failed to generate sitemap.');
+    }
+});
+
+app.get('/robots.txt', (req, res) => {
+    res.type('text/plain').status(200).send(buildRobots(SITE_URL));
+});
+
+// Unknown API routes get the same JSON envelope as every other error
+app.use('/api', (req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `No API route for ${req.method} ${req.originalUrl}.`);
+});
+
+// Must be registered last
+app.use(errorHandler);
 
 // --- START SERVER ---
 const startServer = async () => {
     try {
         // Test the database connection on startup
         const client = await pool.connect();
-        console.log('Successfully connected to Neon Serverless PostgreSQL.');
+        logger.info('Connected to PostgreSQL');
         client.release();
 
+        // Migrations run as a separate deploy step (`npm run migrate`), never implicitly here.
+        const pendingMigrations = await migrator.pending();
+        if (pendingMigrations.length) {
+            logger.error("Database migrations pending: run 'npm run migrate' in the backend folder, then start the server again.", {
+                migrations: pendingMigrations.map(m => `${m.version}_${m.name}`),
+            });
+            process.exit(1);
+        }
+
+        await adminSessions.purgeExpired();
+        mailQueue.start();
+        // Drop uploads nobody attached to a form, now and then hourly.
+        await uploads.purgeUnclaimed();
+        setInterval(() => uploads.purgeUnclaimed().catch(error => logger.error('Upload cleanup failed', error)), 60 * 60 * 1000).unref();
+        // Apply the analytics and personal data retention periods, now and then daily.
+        await analytics.purgeExpired();
+        setInterval(() => analytics.purgeExpired().catch(error => logger.error('Analytics cleanup failed', error)), 24 * 60 * 60 * 1000).unref();
+        if (!DATA_RETENTION.days) {
+            logger.warn('DATA_RETENTION_DAYS is not set; contact submissions, job applications and bookings are kept forever.');
+        }
+        await privacy.applyRetention();
+        setInterval(() => privacy.applyRetention().catch(error => logger.error('Data retention failed', error)), 24 * 60 * 60 * 1000).unref();
+
         app.listen(PORT, () => {
-            console.log(`NXL Technologies backend server is running on http://localhost:${PORT}`);
+            logger.info(`NXL Technologies backend server is running on http://localhost:${PORT}`, { port: Number(PORT) });
         });
     } catch (error) {
-        console.error("\n--- DATABASE CONNECTION FAILED ---");
-        console.error("Could not connect to the database. Please check the following:");
-        console.error("1. The DATABASE_URL in your 'backend/.env' file is correct.");
-        console.error("2. Your computer has an active internet connection.");
-        console.error("3. There are no firewalls blocking the connection to Neon.\n");
-        console.error("Original Error:", error.message);
+        // Check that DATABASE_URL in backend/.env is correct and that nothing blocks the connection to Neon.
+        logger.error('Could not connect to the database', error);
         process.exit(1);
     }
 };
@@ -0,0 +1,83 @@
+// First-party, cookie-free analytics: page views, service detail views, CTA clicks and form conversions
+// sent by the site's beacon (frontend/src/analytics.js) and stored in `analytics_events`.
+//
+// Nothing personal is kept. Visitors are counted with a hash of IP address and user agent salted with a
+// random value that is replaced every day and only ever held in memory, so one day's events can be
+// grouped into visits (for funnels) but can't be traced back to anyone or linked to another day.
+// Referrers are reduced to their host name. Requests with Do-Not-Track or Global Privacy Control set,
+// and requests from crawlers, are not recorded at all.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|headless|lighthouse|pingdom|uptime/i;
+
+// `siteUrl` is the site's own origin; navigation within the site isn't a referral.
+// `retentionDays` is how long events are kept (see purgeExpired).
+const createAnalytics = ({ pool, siteUrl, retentionDays }) => {
+    const siteHost = new URL(siteUrl).hostname;
+    let salt = { day: null, value: null };
+
+    // The salt belongs to the current UTC day; a restart starts a new one, splitting that day's visitors.
+    const currentSalt = () => {
+        const day = new Date().toISOString().slice(0, 10);
+        if (salt.day !== day) salt = { day, value: crypto.randomBytes(32) };
+        return salt.value;
+    };
+
+    const visitorHash = (ip, userAgent) => crypto.createHmac('sha256', currentSalt()).update(`${ip}\n${userAgent}`).digest('base64url');
+
+    // DNT and Sec-GPC are the browser-wide "don't track me" signals.
+    const isOptedOut = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+    const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+    // "/services/web?utm_source=x#top" -> "/services/web": query strings can carry personal data.
+    const cleanPath = (path) => {
+        const clean = path.split(/[?#]/)[0];
+        return clean.startsWith('/') ? clean : `/${clean}`;
+    };
+
+    const referrerHost = (referrer) => {
+        if (!referrer) return null;
+        try {
+            const { protocol, hostname } = new URL(referrer);
+            return /^https?:$/.test(protocol) && hostname !== siteHost ? hostname : null;
+        } catch {
+            return null;
+        }
+    };
+
+    // Saves a batch of validated events (schemas.analyticsBatch) from one request.
+    const record = async (events, { ip, userAgent }) => {
+        if (!events.length) return 0;
+        const columns = { type: [], path: [], locale: [], serviceId: [], cta: [], form: [], referrerHost: [] };
+        for (const event of events) {
+            columns.type.push(event.type);
+            columns.path.push(cleanPath(event.path));
+            columns.locale.push(event.locale || null);
+            columns.serviceId.push(event.type === 'service_view' || event.cta === 'view-details' ? event.serviceId || null : null);
+            columns.cta.push(event.type === 'cta_click' ? event.cta || null : null);
+            columns.form.push(event.type === 'conversion' ? event.form || null : null);
+            columns.referrerHost.push(event.type === 'pageview' ? referrerHost(event.referrer) : null);
+        }
+        const result = await pool.query(
+            `INSERT INTO analytics_events(visitor_hash, type, path, locale, service_id, cta, form, referrer_host)
+             SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[])`,
+            [visitorHash(ip, userAgent), ...Object.values(columns)]
+        );
+        return result.rowCount;
+    };
+
+    const purgeExpired = async () => {
+        const result = await pool.query(
+            'DELETE FROM analytics_events WHERE created_at < now() - make_interval(days => $1)',
+            [retentionDays]
+        );
+        if (result.rowCount) logger.info('Removed expired analytics events', { count: result.rowCount });
+        return result.rowCount;
+    };
+
+    return { isOptedOut, isBot, record, purgeExpired };
+};
+
+module.exports = { createAnalytics };
@@ -0,0 +1,80 @@
+// Staff authentication: scrypt password hashes and opaque bearer-token sessions stored in Postgres.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { sendError, serverError } = require('./errors');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>", both base64url.
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createSessionStore = ({ pool, ttlHours }) => {
+    // Returns the raw token; only its hash is persisted.
+    const create = async (userId) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+        await pool.query(
+            'INSERT INTO admin_sessions(token_hash, user_id, expires_at) VALUES($1, $2, $3)',
+            [hashToken(token), userId, expiresAt]
+        );
+        return { token, expiresAt };
+    };
+
+    const find = async (token) => {
+        const result = await pool.query(
+            `SELECT u.id, u.username, s.expires_at
+               FROM admin_sessions s JOIN admin_users u ON u.id = s.user_id
+              WHERE s.token_hash = $1 AND s.expires_at > now()`,
+            [hashToken(token)]
+        );
+        return result.rows[0] || null;
+    };
+
+    const destroy = (token) => pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
+
+    const purgeExpired = () => pool.query('DELETE FROM admin_sessions WHERE expires_at <= now()');
+
+    return { create, find, destroy, purgeExpired };
+};
+
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+};
+
+// Express middleware that rejects requests without a valid staff session and sets req.admin.
+const requireAdmin = (sessions) => async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
+    }
+    try {
+        const session = await sessions.find(token);
+        if (!session) {
+            return sendError(res, 401, 'SESSION_EXPIRED', 'Your session has expired. Please log in again.');
+        }
+        req.admin = { id: session.id, username: session.username, token };
+        next();
+    } catch (error) {
+        logger.error('Session lookup error', error);
+        serverError(res);
+    }
+};
+
+module.exports = { hashPassword, verifyPassword, createSessionStore, getBearerToken, requireAdmin };
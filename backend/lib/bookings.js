@@ -0,0 +1,321 @@
+// Discovery-call booking. Staff open slots (createSlots) and prospects book one from a service page (book).
+// Each change runs in a transaction that locks the rows involved, so two people can never hold the same
+// slot, and queues its emails in that transaction too: a booking is never saved without its confirmation.
+// The prospect's emails carry a calendar invite (lib/ics.js) whose UID stays the same for the life of the
+// booking, so a reschedule or cancellation updates the event already in their calendar.
+// Bookings the spam guard flags are held instead: they keep their slot, but nobody is emailed until staff
+// approve them (approve), and cancelling one emails nobody either.
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+const { buildInvite, inviteAttachment } = require('./ics');
+const { localizePath } = require('./i18n');
+const { bookingConfirmation, bookingNotification, bookingRescheduled, bookingCancellation } = require('./mail/templates');
+
+const BOOKING_COLUMNS = `id, slot_id, starts_at, ends_at, service_id, service_title, name, email, phone, message,
+    time_zone, locale, status, spam_reasons, invite_uid, sequence, created_at, updated_at`;
+
+// Longest date range createSlots() fills in one go.
+const MAX_SLOT_RANGE_DAYS = 92;
+
+const slotTaken = () => new ApiError(409, 'SLOT_TAKEN', 'Sorry, this time has just been booked. Please pick another.');
+const slotNotFound = () => new ApiError(404, 'SLOT_NOT_FOUND', 'This time is no longer available. Please pick another.');
+const slotUnavailable = () => new ApiError(409, 'SLOT_UNAVAILABLE', 'This time can no longer be booked. Please pick another.');
+const invalidField = (field, message) => new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', {
+    [field]: { code: 'invalid_value', message },
+});
+
+// Runs `work` with a client inside a transaction. A unique violation means another booking won the slot.
+const inTransaction = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error.code === '23505' ? slotTaken() : error;
+    } finally {
+        client.release();
+    }
+};
+
+// `getContact` resolves to the CMS contact details or null; `notifyTo` overrides contact.email as the
+// recipient of new-booking notifications, and `organizer` ({ name, email }) is the invite's organizer when the
+// CMS has no contact email. `staffTimeZone` is the zone of the times in staff emails. Slots can be booked from
+// `minNoticeMs` before they start, up to `horizonMs` ahead.
+const createBookingService = ({ pool, mailQueue, getContact, notifyTo, organizer, siteUrl, staffTimeZone, minNoticeMs, horizonMs }) => {
+    const loadContact = async () => {
+        try {
+            return await getContact();
+        } catch (error) {
+            logger.error('Could not load CMS contact details for booking emails', error);
+            return null;
+        }
+    };
+
+    // Invite UIDs are globally unique ids, conventionally ending in the sender's domain.
+    const uidDomain = new URL(siteUrl).hostname;
+    const organizerFor = (contact) => (contact && contact.email ? { name: organizer.name, email: contact.email } : organizer);
+
+    const invite = (booking, method, contact) => inviteAttachment(buildInvite({
+        method,
+        uid: `${booking.invite_uid}@${uidDomain}`,
+        sequence: booking.sequence,
+        start: booking.starts_at,
+        end: booking.ends_at,
+        summary: `Discovery call: ${booking.service_title} - NXL Technologies`,
+        description: booking.message,
+        organizer: organizerFor(contact),
+        attendee: { name: booking.name, email: booking.email },
+    }), method);
+
+    const replyTo = (contact) => contact && contact.email && { replyTo: contact.email };
+
+    const lockSlot = async (client, slotId) => {
+        const result = await client.query(
+            `SELECT id, starts_at, ends_at,
+                    starts_at > now() + make_interval(secs => $2) AND starts_at < now() + make_interval(secs => $3) AS is_bookable,
+                    starts_at > now() AS is_future,
+                    EXISTS (SELECT 1 FROM bookings WHERE slot_id = booking_slots.id AND status IN ('confirmed', 'held')) AS is_taken
+               FROM booking_slots WHERE id = $1 FOR UPDATE`,
+            [slotId, minNoticeMs / 1000, horizonMs / 1000]
+        );
+        return result.rows[0] || null;
+    };
+
+    // The booking, locked for the rest of the transaction, or null. Cancelled bookings can't change any more.
+    const lockBooking = async (client, id) => {
+        const result = await client.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1 FOR UPDATE`, [id]);
+        const booking = result.rows[0];
+        if (booking && booking.status === 'cancelled') {
+            throw new ApiError(409, 'BOOKING_CANCELLED', 'This booking has been cancelled.');
+        }
+        return booking || null;
+    };
+
+    const addEvent = (client, booking, action, author, note = null) => client.query(
+        'INSERT INTO booking_events(booking_id, action, starts_at, author, note) VALUES($1, $2, $3, $4, $5)',
+        [booking.id, action, booking.starts_at, author, note]
+    );
+
+    // Free slots prospects can pick from, soonest first.
+    const listOpenSlots = async () => {
+        const result = await pool.query(
+            `SELECT s.id, s.starts_at, s.ends_at FROM booking_slots AS s
+              WHERE s.starts_at > now() + make_interval(secs => $1)
+                AND s.starts_at < now() + make_interval(secs => $2)
+                AND NOT EXISTS (SELECT 1 FROM bookings AS b WHERE b.slot_id = s.id AND b.status IN ('confirmed', 'held'))
+              ORDER BY s.starts_at`,
+            [minNoticeMs / 1000, horizonMs / 1000]
+        );
+        return result.rows;
+    };
+
+    // The prospect's confirmation with the calendar invite, queued on `client`.
+    const queueConfirmation = (client, booking, contact) => mailQueue.enqueue({
+        to: booking.email,
+        ...replyTo(contact),
+        ...bookingConfirmation({ booking, contact }),
+        attachments: [invite(booking, 'REQUEST', contact)],
+    }, client);
+
+    // `service` is the CMS service ({ id, title }) whose page the call was booked from. With `spamReasons`
+    // (the spam guard flagged the booking) it is saved as held, and nobody is emailed.
+    const book = async ({ slotId, service, name, email, phone = null, message = null, timeZone, locale, spamReasons = null }) => {
+        const isHeld = spamReasons !== null;
+        const contact = await loadContact();
+        const booking = await inTransaction(pool, async (client) => {
+            const slot = await lockSlot(client, slotId);
+            if (!slot) throw slotNotFound();
+            if (!slot.is_bookable) throw slotUnavailable();
+            if (slot.is_taken) throw slotTaken();
+
+            const result = await client.query(
+                `INSERT INTO bookings(slot_id, starts_at, ends_at, service_id, service_title, name, email, phone, message, time_zone, locale, status, spam_reasons)
+                 VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                 RETURNING ${BOOKING_COLUMNS}`,
+                [slot.id, slot.starts_at, slot.ends_at, service.id, service.title, name, email, phone, message, timeZone, locale,
+                    isHeld ? 'held' : 'confirmed', spamReasons]
+            );
+            const saved = result.rows[0];
+            await addEvent(client, saved, 'booked', 'prospect');
+            if (isHeld) return saved;
+
+            await queueConfirmation(client, saved, contact);
+            const recipient = notifyTo || (contact && contact.email);
+            if (recipient) {
+                await mailQueue.enqueue({
+                    to: recipient,
+                    replyTo: saved.email,
+                    ...bookingNotification({ booking: saved, timeZone: staffTimeZone, adminUrl: `${siteUrl}/admin` }),
+                }, client);
+            } else {
+                logger.warn('No booking notification recipient: set contact.email in the CMS or MAIL_NOTIFY_TO.');
+            }
+            return saved;
+        });
+        if (isHeld) {
+            logger.warn('Discovery call held for review', { bookingId: booking.id, slotId, serviceId: service.id, reasons: spamReasons });
+            return booking;
+        }
+        mailQueue.kick();
+        logger.info('Discovery call booked', { bookingId: booking.id, slotId, serviceId: service.id });
+        return booking;
+    };
+
+    // Confirms a held booking and sends the prospect the confirmation they would have had when booking.
+    // Resolves to the confirmed booking, or null if there is none with this id.
+    const approve = async (id, { actor, note = null }) => {
+        const contact = await loadContact();
+        const booking = await inTransaction(pool, async (client) => {
+            const current = await lockBooking(client, id);
+            if (!current) return null;
+            if (current.status !== 'held') {
+                throw new ApiError(409, 'BOOKING_NOT_HELD', 'This booking is not waiting for approval.');
+            }
+            if (current.starts_at <= new Date()) {
+                throw new ApiError(409, 'BOOKING_PAST', 'This call would already have taken place. Cancel the booking instead.');
+            }
+
+            const result = await client.query(
+                `UPDATE bookings SET status = 'confirmed', updated_at = now() WHERE id = $1 RETURNING ${BOOKING_COLUMNS}`,
+                [id]
+            );
+            const confirmed = result.rows[0];
+            await addEvent(client, confirmed, 'approved', actor, note);
+            await queueConfirmation(client, confirmed, contact);
+            return confirmed;
+        });
+        if (!booking) return null;
+        mailQueue.kick();
+        logger.info('Held discovery call approved', { bookingId: booking.id, username: actor });
+        return booking;
+    };
+
+    // Resolves to the cancelled booking, or null if there is none with this id. `reason` goes in the email,
+    // which a held booking's prospect doesn't get: they were never sent a confirmation.
+    const cancel = async (id, { actor, reason = null }) => {
+        const contact = await loadContact();
+        const booking = await inTransaction(pool, async (client) => {
+            const current = await lockBooking(client, id);
+            if (!current) return null;
+            const result = await client.query(
+                `UPDATE bookings SET status = 'cancelled', sequence = sequence + 1, updated_at = now()
+                  WHERE id = $1 RETURNING ${BOOKING_COLUMNS}`,
+                [id]
+            );
+            const cancelled = result.rows[0];
+            await addEvent(client, cancelled, 'cancelled', actor, reason);
+            if (current.status === 'held') return cancelled;
+
+            await mailQueue.enqueue({
+                to: cancelled.email,
+                ...replyTo(contact),
+                ...bookingCancellation({
+                    booking: cancelled,
+                    reason,
+                    bookingUrl: `${siteUrl}${localizePath(`/services/${encodeURIComponent(cancelled.service_id)}`, cancelled.locale)}`,
+                }),
+                attachments: [invite(cancelled, 'CANCEL', contact)],
+            }, client);
+            return cancelled;
+        });
+        if (!booking) return null;
+        mailQueue.kick();
+        logger.info('Discovery call cancelled', { bookingId: booking.id, username: actor });
+        return booking;
+    };
+
+    // Moves the call to another free slot. Staff may use slots inside the notice period, but not past ones.
+    // Resolves to the updated booking, or null if there is none with this id.
+    const reschedule = async (id, { slotId, actor, note = null }) => {
+        const contact = await loadContact();
+        const booking = await inTransaction(pool, async (client) => {
+            const current = await lockBooking(client, id);
+            if (!current) return null;
+            if (current.status === 'held') {
+                throw new ApiError(409, 'BOOKING_HELD', 'Approve this booking before moving it.');
+            }
+            if (current.slot_id === slotId) {
+                throw invalidField('slotId', 'The call is already booked in this slot.');
+            }
+            const slot = await lockSlot(client, slotId);
+            if (!slot) throw slotNotFound();
+            if (!slot.is_future) throw slotUnavailable();
+            if (slot.is_taken) throw slotTaken();
+
+            const result = await client.query(
+                `UPDATE bookings SET slot_id = $2, starts_at = $3, ends_at = $4, sequence = sequence + 1, updated_at = now()
+                  WHERE id = $1 RETURNING ${BOOKING_COLUMNS}`,
+                [id, slot.id, slot.starts_at, slot.ends_at]
+            );
+            const moved = result.rows[0];
+            await addEvent(client, moved, 'rescheduled', actor, note);
+            await mailQueue.enqueue({
+                to: moved.email,
+                ...replyTo(contact),
+                ...bookingRescheduled({ booking: moved, contact }),
+                attachments: [invite(moved, 'REQUEST', contact)],
+            }, client);
+            return moved;
+        });
+        if (!booking) return null;
+        mailQueue.kick();
+        logger.info('Discovery call rescheduled', { bookingId: booking.id, slotId, username: actor });
+        return booking;
+    };
+
+    // Opens a slot of `durationMinutes` at each of `times` ("HH:MM", wall-clock time in `timeZone`) on each of
+    // `weekdays` (1 = Monday ... 7 = Sunday) between the dates `from` and `to`. Slots in the past or overlapping
+    // an existing one are skipped.
+    const createSlots = async ({ from, to, weekdays, times, durationMinutes, timeZone, actor }) => {
+        if (!weekdays.length) throw invalidField('weekdays', 'Pick at least one day of the week.');
+        if (!times.length) throw invalidField('times', 'Add at least one start time.');
+        const rangeDays = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+        if (rangeDays < 0) throw invalidField('to', 'The end date must not be before the start date.');
+        if (rangeDays >= MAX_SLOT_RANGE_DAYS) throw invalidField('to', `Slots can be created for at most ${MAX_SLOT_RANGE_DAYS} days at a time.`);
+
+        // Within one statement, a slot overlapping an earlier one in the same batch is skipped too.
+        const result = await pool.query(
+            `WITH candidate AS (
+                SELECT (day::date + slot_time) AT TIME ZONE $6 AS starts_at
+                  FROM generate_series($1::timestamp, $2::timestamp, interval '1 day') AS day,
+                       unnest($4::time[]) AS slot_time
+                 WHERE extract(isodow FROM day)::int = ANY($3::int[])
+             ), inserted AS (
+                INSERT INTO booking_slots(starts_at, ends_at, created_by)
+                SELECT starts_at, starts_at + make_interval(mins => $5), $7 FROM candidate
+                 WHERE starts_at > now()
+                 ORDER BY starts_at
+                ON CONFLICT DO NOTHING
+                RETURNING id
+             )
+             SELECT (SELECT COUNT(*) FROM candidate)::int AS candidates, (SELECT COUNT(*) FROM inserted)::int AS created`,
+            [from, to, weekdays, times, durationMinutes, timeZone, actor]
+        );
+        const { candidates, created } = result.rows[0];
+        logger.info('Booking slots created', { firstDay: from, lastDay: to, created, username: actor });
+        return { created, skipped: candidates - created };
+    };
+
+    // Resolves to false if there is no such slot. A slot with a confirmed or held booking can't be deleted:
+    // the booking has to be cancelled or moved first.
+    const deleteSlot = async (id, { actor }) => {
+        const deleted = await inTransaction(pool, async (client) => {
+            const slot = await lockSlot(client, id);
+            if (!slot) return false;
+            if (slot.is_taken) {
+                throw new ApiError(409, 'SLOT_BOOKED', 'This slot has a booking. Cancel or reschedule it first.');
+            }
+            await client.query('DELETE FROM booking_slots WHERE id = $1', [id]);
+            return true;
+        });
+        if (deleted) logger.info('Booking slot deleted', { slotId: id, username: actor });
+        return deleted;
+    };
+
+    return { listOpenSlots, book, approve, cancel, reschedule, createSlots, deleteSlot };
+};
+
+module.exports = { createBookingService, BOOKING_COLUMNS };
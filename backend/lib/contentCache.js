@@ -0,0 +1,113 @@
+// In-memory cache in front of a CMS fetch, with stale-while-revalidate and an optional disk snapshot.
+//
+// - Within `ttlMs` of the last successful fetch, the cached payload is served as-is.
+// - Up to `staleMs` after that, the cached payload is served immediately while a refresh runs in the background.
+// - Past that window the request waits for a fresh fetch.
+// - If a fetch fails, the last good payload (in memory, or the disk snapshot after a cold start) is served instead.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const hashPayload = (data) => `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url')}"`;
+
+const createContentCache = ({ name, fetcher, ttlMs, staleMs, snapshotPath }) => {
+    let entry = null; // { data, etag, lastModified, fetchedAt }
+    let inFlight = null;
+    let fetchCount = 0;
+    let appliedFetch = 0;
+    let snapshotLoaded = false;
+    const log = logger.child({ cache: name });
+
+    const loadSnapshot = async () => {
+        if (snapshotLoaded || !snapshotPath) return;
+        snapshotLoaded = true;
+        try {
+            const snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+            // fetchedAt = 0 marks the snapshot as expired, so it is only used when the CMS can't be reached.
+            entry = entry || { ...snapshot, fetchedAt: 0 };
+            log.info('Loaded content snapshot', { snapshotPath });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Could not read content snapshot', error);
+            }
+        }
+    };
+
+    const saveSnapshot = async (snapshot) => {
+        if (!snapshotPath) return;
+        try {
+            await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+            const { data, etag, lastModified } = snapshot;
+            await fs.writeFile(snapshotPath, JSON.stringify({ data, etag, lastModified }));
+        } catch (error) {
+            log.error('Could not write content snapshot', error);
+        }
+    };
+
+    // Starts a fetch with `fetchData` and makes it the one later refresh() calls join. Fetches are
+    // numbered so one that started earlier but finishes later never overwrites newer content.
+    const startFetch = (fetchData) => {
+        const id = ++fetchCount;
+        const promise = Promise.resolve()
+            .then(() => fetchData())
+            .then(data => {
+                if (id < appliedFetch) return entry;
+                appliedFetch = id;
+                const etag = hashPayload(data);
+                // Only move Last-Modified forward when the content actually changed.
+                const lastModified = entry && entry.etag === etag ? entry.lastModified : Date.now();
+                entry = { data, etag, lastModified, fetchedAt: Date.now() };
+                saveSnapshot(entry);
+                return entry;
+            })
+            .finally(() => {
+                if (inFlight === promise) inFlight = null;
+            });
+        inFlight = promise;
+        return promise;
+    };
+
+    // Fetches fresh content. Concurrent callers share a single in-flight request.
+    const refresh = () => inFlight || startFetch(fetcher);
+
+    // Fetches fresh content without joining a request already in flight, which may have started before
+    // the change being waited for. `fetchData` overrides the fetcher, e.g. to bypass a CDN.
+    const rebuild = (fetchData = fetcher) => startFetch(fetchData);
+
+    // Resolves to { data, etag, lastModified, stale }.
+    const get = async () => {
+        await loadSnapshot();
+        const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (entry && age < ttlMs) {
+            return { ...entry, stale: false };
+        }
+
+        if (entry && age < ttlMs + staleMs) {
+            refresh().catch(error => log.error('Background refresh failed', error));
+            return { ...entry, stale: true };
+        }
+
+        try {
+            return { ...(await refresh()), stale: false };
+        } catch (error) {
+            if (!entry) throw error;
+            log.error('Fetch failed, serving last good content', error);
+            // Treat the fallback as just-expired so the next requests are answered straight
+            // away from cache while retries happen in the background.
+            entry = { ...entry, fetchedAt: Date.now() - ttlMs };
+            return { ...entry, stale: true };
+        }
+    };
+
+    // Marks the cached payload as expired so the next get() waits for fresh content.
+    // The payload itself is kept as a fallback in case that fetch fails.
+    const invalidate = () => {
+        if (entry) entry = { ...entry, fetchedAt: 0 };
+    };
+
+    return { get, refresh, rebuild, invalidate };
+};
+
+module.exports = { createContentCache };
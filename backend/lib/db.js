@@ -0,0 +1,37 @@
+// Postgres connection pool shared by the server and the CLI scripts.
+const fs = require('fs');
+const { Pool } = require('pg');
+
+// TLS parameters in the connection string (Neon's end in ?sslmode=require) would replace the `ssl` option
+// below, so they are dropped: TLS is set up from DATABASE_SSL and DATABASE_CA_CERT alone.
+const SSL_PARAMS = ['ssl', 'sslmode', 'sslrootcert', 'sslcert', 'sslkey'];
+
+const withoutSslParams = (connectionString) => {
+    let url;
+    try {
+        url = new URL(connectionString);
+    } catch {
+        // Not a URL (e.g. key=value pairs); pg reports anything wrong with it on connect.
+        return connectionString;
+    }
+    SSL_PARAMS.forEach(param => url.searchParams.delete(param));
+    return url.toString();
+};
+
+// DATABASE_CA_CERT holds the PEM certificate of the CA that signed the server's certificate, or the path
+// to a file containing it. Newlines may be written as \n, for hosts whose env settings are single-line.
+const readCaCert = (value) => (value.includes('-----BEGIN') ? value.replace(/\\n/g, '\n') : fs.readFileSync(value, 'utf8'));
+
+// Neon requires SSL. The server's certificate is always verified: against the system's trusted CAs (enough
+// for Neon), or against DATABASE_CA_CERT for a server with a private CA. Set DATABASE_SSL=false for a local
+// Postgres without TLS.
+const createPool = ({
+    connectionString = process.env.DATABASE_URL,
+    ssl = process.env.DATABASE_SSL !== 'false',
+    caCert = process.env.DATABASE_CA_CERT,
+} = {}) => new Pool({
+    connectionString: connectionString && withoutSslParams(connectionString),
+    ssl: ssl ? { rejectUnauthorized: true, ...(caCert && { ca: readCaCert(caCert) }) } : false,
+});
+
+module.exports = { createPool };
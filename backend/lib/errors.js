@@ -0,0 +1,53 @@
+// Structured API errors. Every failed request gets the same envelope:
+//
+//   { "success": false, "error": { "code": "VALIDATION_FAILED", "message": "...", "fields": { "email": { "code": "invalid_format", "message": "..." } } } }
+//
+// `fields` is only present for validation failures.
+const { logger } = require('./logger');
+
+class ApiError extends Error {
+    constructor(status, code, message, fields) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    }
+}
+
+const sendError = (res, status, code, message, fields) => res.status(status).json({
+    success: false,
+    error: { code, message, ...(fields && { fields }) },
+});
+
+const serverError = (res) => sendError(res, 500, 'INTERNAL_ERROR', 'A server error occurred. Please try again later.');
+
+// Final Express error handler: turns thrown ApiErrors and body-parser failures into the envelope.
+// Anything else is logged and reported as a generic 500, so messages and stack traces never reach the
+// client. Express only treats it as an error handler because it declares four parameters, so `next`
+// must stay even though it is unused.
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        // Too late for an error response (e.g. a download failed halfway): end the connection, as Express
+        // itself would, but without its plain-text error page.
+        logger.error('Error after response started', { method: req.method, path: req.originalUrl.split('?')[0], err: error });
+        return req.socket.destroy();
+    }
+    if (error instanceof ApiError) {
+        return sendError(res, error.status, error.code, error.message, error.fields);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'MALFORMED_JSON', 'The request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'The request body is too large.');
+    }
+    // Other body-parser failures (unsupported charset or encoding, aborted upload) are the client's doing.
+    if (error.type && error.status >= 400 && error.status < 500) {
+        return sendError(res, error.status, 'INVALID_BODY', 'The request body could not be read.');
+    }
+    logger.error('Unhandled error', { method: req.method, path: req.originalUrl.split('?')[0], err: error });
+    serverError(res);
+};
+
+module.exports = { ApiError, sendError, serverError, errorHandler };
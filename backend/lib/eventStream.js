@@ -0,0 +1,45 @@
+// Minimal server-sent events hub. Clients connect with EventSource and receive every broadcast.
+const { logger } = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// `onClientsChange` is called with the number of connected clients whenever one joins or leaves.
+const createEventStream = ({ name, onClientsChange = () => {} }) => {
+    const clients = new Set();
+
+    // Express handler that keeps the response open as an SSE stream.
+    const subscribe = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stops reverse proxies from buffering the stream.
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        // Comment lines keep idle connections from being closed by proxies.
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        clients.add(res);
+        logger.debug('Client subscribed', { stream: name, clients: clients.size });
+        onClientsChange(clients.size);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+            onClientsChange(clients.size);
+        });
+    };
+
+    const broadcast = (event, data) => {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of clients) {
+            client.write(message);
+        }
+    };
+
+    return { subscribe, broadcast };
+};
+
+module.exports = { createEventStream };
@@ -0,0 +1,38 @@
+// Locales the site is published in, and field-level localization of CMS content.
+//
+// Translatable Sanity fields are objects with one key per locale, e.g.
+//   { _type: 'localeString', en: 'About us', fr: 'À propos', ar: 'من نحن' }
+// localize() swaps each of them for the requested language. Fields that are still plain strings
+// are returned unchanged, so documents can be translated one field at a time.
+
+// Mirrors LOCALES in frontend/src/i18n.js. The default locale's pages have no URL prefix.
+const SUPPORTED_LOCALES = ['en', 'fr', 'ar'];
+const DEFAULT_LOCALE = 'en';
+
+const isLocalizedField = (value) => typeof value._type === 'string' && value._type.startsWith('locale');
+
+const isMissing = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+// Returns a copy of `data` with every localized field resolved to `locale`, falling back to the
+// default locale where a translation is missing.
+const localize = (data, locale) => {
+    if (Array.isArray(data)) {
+        return data.map(item => localize(item, locale));
+    }
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+    if (isLocalizedField(data)) {
+        const value = isMissing(data[locale]) ? data[DEFAULT_LOCALE] : data[locale];
+        return localize(value ?? null, locale);
+    }
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, localize(value, locale)]));
+};
+
+// Public path of a page in `locale`, e.g. ('/about', 'fr') => '/fr/about'.
+const localizePath = (path, locale) => {
+    if (locale === DEFAULT_LOCALE) return path;
+    return path === '/' ? `/${locale}` : `/${locale}${path}`;
+};
+
+module.exports = { SUPPORTED_LOCALES, DEFAULT_LOCALE, localize, localizePath };
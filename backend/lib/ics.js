@@ -0,0 +1,70 @@
+// Calendar invites (iCalendar, RFC 5545) for booked discovery calls: a single event, sent with
+// METHOD:REQUEST when a call is booked or moved and METHOD:CANCEL when it is cancelled. Calendar apps
+// match later invites to the first one by UID and keep the one with the highest SEQUENCE.
+
+// Text values escape backslashes, separators and newlines.
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Parameter values (e.g. CN=) are quoted, and may not contain quotes or line breaks.
+const quoteParam = (value) => `"${String(value).replace(/["\r\n]/g, ' ')}"`;
+
+// 20250314T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines are folded at 75 octets; continuation lines start with a space, which counts towards their length.
+// Characters are never split, so multi-byte UTF-8 stays intact.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        if (currentBytes + charBytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// `method` is REQUEST or CANCEL; `organizer` and `attendee` are { name, email }.
+const buildInvite = ({ method, uid, sequence, start, end, summary, description, organizer, attendee }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//NXL Technologies//Discovery calls//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`,
+        `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`,
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ].filter(line => line !== null);
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// The invite as a mail queue attachment; its content is a string, as the queue requires.
+const inviteAttachment = (invite, method) => ({
+    filename: method === 'CANCEL' ? 'cancelled.ics' : 'invite.ics',
+    content: invite,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
+
+module.exports = { buildInvite, inviteAttachment };
@@ -0,0 +1,77 @@
+// Structured logging: one JSON object per line, e.g.
+//
+//   {"time":"2025-03-01T09:30:00.000Z","level":"info","msg":"Submission saved","requestId":"…","submissionId":42}
+//
+// Entries logged while a request is being handled carry its ID (see lib/requestLogging.js). Personal data
+// is redacted before anything is written: fields named in REDACTED_FIELDS, and email addresses anywhere.
+// LOG_LEVEL is debug, info (default), warn or error. Warnings and errors go to stderr, the rest to stdout.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Compared without case, "_" or "-", so "replyTo" and "cover_letter" match too.
+const REDACTED_FIELDS = new Set(['email', 'replyto', 'to', 'phone', 'coverletter', 'password', 'passwordhash', 'token', 'secret', 'authorization', 'cookie']);
+// Any field ending in one of these is redacted as well, e.g. "previewToken" or "webhook_secret".
+const REDACTED_SUFFIXES = ['token', 'secret', 'password'];
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const MAX_DEPTH = 5;
+
+// Fields added to every entry logged inside `requestContext.run(fields, …)`.
+const requestContext = new AsyncLocalStorage();
+
+const isRedacted = (key) => {
+    const normalized = key.toLowerCase().replace(/[_-]/g, '');
+    return REDACTED_FIELDS.has(normalized) || REDACTED_SUFFIXES.some(suffix => normalized.endsWith(suffix));
+};
+
+const scrubError = (error) => ({
+    type: error.name,
+    message: scrub(error.message),
+    ...(error.code && { code: error.code }),
+    stack: scrub(error.stack),
+});
+
+// A copy of `value` that is safe to log and to pass to JSON.stringify.
+const scrub = (value, depth = 0) => {
+    if (typeof value === 'string') return value.replace(EMAIL_PATTERN, '[redacted email]');
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return scrubError(value);
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => scrub(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, isRedacted(key) ? '[redacted]' : scrub(item, depth + 1)]));
+};
+
+// logger.error('Upload error', error) is short for logger.error('Upload error', { err: error }).
+const toFields = (fields) => (fields instanceof Error ? { err: fields } : fields);
+
+// `fields` are added to every entry; child() returns a logger with more of them, e.g. logger.child({ component: 'mail' }).
+const createLogger = ({ level = 'info', fields = {} } = {}) => {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    const write = (entryLevel, msg, entryFields) => {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: scrub(String(msg)),
+            ...requestContext.getStore(),
+            ...scrub({ ...fields, ...toFields(entryFields) }),
+        };
+        const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        debug: (msg, entryFields) => write('debug', msg, entryFields),
+        info: (msg, entryFields) => write('info', msg, entryFields),
+        warn: (msg, entryFields) => write('warn', msg, entryFields),
+        error: (msg, entryFields) => write('error', msg, entryFields),
+        child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields } }),
+    };
+};
+
+// Shared by the server and every module it loads.
+const logger = createLogger({ level: process.env.LOG_LEVEL });
+
+module.exports = { logger, createLogger, requestContext };
@@ -0,0 +1,98 @@
+// Persisted outgoing mail queue. Messages are stored in the mail_queue table first and delivered by a
+// polling worker, so a mail provider outage delays emails instead of losing them or failing a request.
+// Attachment `content` must be a string so the message survives the round trip through JSONB.
+const { logger } = require('../logger');
+
+const BATCH_SIZE = 10;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at 6 hours.
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const log = logger.child({ component: 'mail' });
+
+const createMailQueue = ({ pool, transport, from, maxAttempts, pollIntervalMs }) => {
+    let isProcessing = false;
+    let timer = null;
+
+    // `db` may be a client inside a transaction, so the email is queued atomically with the row it is about.
+    const enqueue = async (message, db = pool) => {
+        const result = await db.query(
+            'INSERT INTO mail_queue(message) VALUES($1) RETURNING id',
+            [{ from, ...message }]
+        );
+        return result.rows[0].id;
+    };
+
+    // Sends every due message once. SKIP LOCKED lets several server instances share the queue safely.
+    const processDue = async () => {
+        if (isProcessing) return;
+        isProcessing = true;
+        // Connecting is inside the try too: a database outage must not leave isProcessing set for good.
+        let client = null;
+        try {
+            client = await pool.connect();
+            await client.query('BEGIN');
+            const { rows } = await client.query(
+                `SELECT id, message, attempts FROM mail_queue
+                  WHERE status = 'pending' AND next_attempt_at <= now()
+                  ORDER BY next_attempt_at
+                  LIMIT $1
+                  FOR UPDATE SKIP LOCKED`,
+                [BATCH_SIZE]
+            );
+
+            for (const row of rows) {
+                const attempts = row.attempts + 1;
+                try {
+                    await transport.send(row.message);
+                    await client.query(
+                        `UPDATE mail_queue SET status = 'sent', attempts = $2, sent_at = now(), last_error = NULL WHERE id = $1`,
+                        [row.id, attempts]
+                    );
+                } catch (error) {
+                    const hasGivenUp = attempts >= maxAttempts;
+                    await client.query(
+                        `UPDATE mail_queue
+                            SET status = $2, attempts = $3, last_error = $4,
+                                next_attempt_at = now() + ($5::text || ' milliseconds')::interval
+                          WHERE id = $1`,
+                        [row.id, hasGivenUp ? 'failed' : 'pending', attempts, error.message, retryDelayMs(attempts)]
+                    );
+                    log.error(hasGivenUp ? 'Delivery failed, giving up' : 'Delivery failed', { messageId: row.id, attempts, maxAttempts, err: error });
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            if (client) client.release();
+            isProcessing = false;
+        }
+    };
+
+    // Attempts delivery right away instead of waiting for the next poll. Never throws.
+    const kick = () => {
+        processDue().catch(error => log.error('Queue processing error', error));
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(kick, pollIntervalMs);
+        timer.unref();
+        kick();
+        log.info('Queue worker started', { transport: transport.name });
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { enqueue, processDue, kick, start, stop };
+};
+
+module.exports = { createMailQueue };
@@ -0,0 +1,247 @@
+// Email templates. Each returns { subject, text, html }; user-supplied values are escaped in the HTML part.
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const paragraphs = (text) => escapeHtml(text).split(/\n{2,}/).map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('');
+
+const layout = (body) => `<!doctype html>
+<html><body style="margin:0;padding:24px;background:#111827;font-family:Arial,sans-serif;color:#e5e7eb;">
+  <div style="max-width:600px;margin:0 auto;background:#1f2937;border-radius:12px;padding:32px;">
+    <h1 style="margin:0 0 24px;font-size:24px;color:#ffffff;">NXL<span style="color:#60a5fa;">.</span></h1>
+    ${body}
+  </div>
+</body></html>`;
+
+// Sent to the sales inbox (contact.email in the CMS) for every new submission.
+const leadNotification = ({ submission, adminUrl }) => ({
+    subject: `New enquiry from ${submission.name}`,
+    text: [
+        `A new message was submitted through the contact form.`,
+        ``,
+        `Name: ${submission.name}`,
+        `Email: ${submission.email}`,
+        `Submission ID: ${submission.id}`,
+        ``,
+        submission.message,
+        ``,
+        adminUrl ? `Review it in the admin dashboard: ${adminUrl}` : null,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>A new message was submitted through the contact form.</p>
+    <p><strong>Name:</strong> ${escapeHtml(submission.name)}<br>
+       <strong>Email:</strong> <a href="mailto:${escapeHtml(submission.email)}" style="color:#60a5fa;">${escapeHtml(submission.email)}</a><br>
+       <strong>Submission ID:</strong> ${escapeHtml(submission.id)}</p>
+    <div style="background:#111827;border-radius:8px;padding:16px;">${paragraphs(submission.message)}</div>
+    ${adminUrl ? `<p><a href="${escapeHtml(adminUrl)}" style="color:#60a5fa;">Review it in the admin dashboard</a></p>` : ''}`),
+});
+
+// Sent to the person who filled in the contact form. The address hasn't been verified, so the message is
+// not quoted back: the form must not let anyone send text of their choosing to any inbox from our domain.
+const contactConfirmation = ({ submission, contact }) => ({
+    subject: 'We received your message - NXL Technologies',
+    text: [
+        `Hi ${submission.name},`,
+        ``,
+        `Thank you for contacting NXL Technologies. We've received your message and a member of our team will get back to you shortly.`,
+        ``,
+        contact && contact.phone ? `If it's urgent, call us on ${contact.phone}.` : null,
+        ``,
+        `- The NXL Technologies team`,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>Hi ${escapeHtml(submission.name)},</p>
+    <p>Thank you for contacting NXL Technologies. We've received your message and a member of our team will get back to you shortly.</p>
+    ${contact && contact.phone ? `<p>If it's urgent, call us on <strong>${escapeHtml(contact.phone)}</strong>.</p>` : ''}
+    <p>- The NXL Technologies team</p>`),
+});
+
+// Sent to the careers inbox (careers.email in the CMS) for every new job application.
+// The CV is not attached: staff download it from the admin dashboard.
+const applicationNotification = ({ application, adminUrl }) => ({
+    subject: `New application for ${application.job_role} from ${application.name}`,
+    text: [
+        `A new application was submitted through the careers page.`,
+        ``,
+        `Role: ${application.job_role}`,
+        `Name: ${application.name}`,
+        `Email: ${application.email}`,
+        application.phone ? `Phone: ${application.phone}` : null,
+        `Application ID: ${application.id}`,
+        ``,
+        application.cover_letter,
+        application.cover_letter ? `` : null,
+        adminUrl ? `Review it and download the CV in the admin dashboard: ${adminUrl}` : null,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>A new application was submitted through the careers page.</p>
+    <p><strong>Role:</strong> ${escapeHtml(application.job_role)}<br>
+       <strong>Name:</strong> ${escapeHtml(application.name)}<br>
+       <strong>Email:</strong> <a href="mailto:${escapeHtml(application.email)}" style="color:#60a5fa;">${escapeHtml(application.email)}</a><br>
+       ${application.phone ? `<strong>Phone:</strong> ${escapeHtml(application.phone)}<br>` : ''}
+       <strong>Application ID:</strong> ${escapeHtml(application.id)}</p>
+    ${application.cover_letter ? `<div style="background:#111827;border-radius:8px;padding:16px;">${paragraphs(application.cover_letter)}</div>` : ''}
+    ${adminUrl ? `<p><a href="${escapeHtml(adminUrl)}" style="color:#60a5fa;">Review it and download the CV in the admin dashboard</a></p>` : ''}`),
+});
+
+// Sent to the applicant.
+const applicationConfirmation = ({ application }) => ({
+    subject: `We received your application for ${application.job_role} - NXL Technologies`,
+    text: [
+        `Hi ${application.name},`,
+        ``,
+        `Thank you for applying for the ${application.job_role} role at NXL Technologies. Our team will review your application and get back to you.`,
+        ``,
+        `- The NXL Technologies team`,
+    ].join('\n'),
+    html: layout(`
+    <p>Hi ${escapeHtml(application.name)},</p>
+    <p>Thank you for applying for the <strong>${escapeHtml(application.job_role)}</strong> role at NXL Technologies. Our team will review your application and get back to you.</p>
+    <p>- The NXL Technologies team</p>`),
+});
+
+// Sent to whoever asked for a copy or deletion of the data stored for this address (see lib/privacy.js).
+const dataRequestVerification = ({ verifyUrl, expiresAt }) => ({
+    subject: 'Confirm your data request - NXL Technologies',
+    text: [
+        `Someone, hopefully you, asked to see or delete the personal data NXL Technologies holds for this email address.`,
+        ``,
+        `Open this link to download your data or have it deleted:`,
+        verifyUrl,
+        ``,
+        `The link works once, until ${new Date(expiresAt).toUTCString()}. If you didn't ask for it, you can ignore this email; nothing will change.`,
+        ``,
+        `- The NXL Technologies team`,
+    ].join('\n'),
+    html: layout(`
+    <p>Someone, hopefully you, asked to see or delete the personal data NXL Technologies holds for this email address.</p>
+    <p><a href="${escapeHtml(verifyUrl)}" style="display:inline-block;background:#3b82f6;color:#ffffff;font-weight:bold;padding:12px 20px;border-radius:8px;text-decoration:none;">Download or delete my data</a></p>
+    <p>The link works once, until ${escapeHtml(new Date(expiresAt).toUTCString())}. If you didn't ask for it, you can ignore this email; nothing will change.</p>
+    <p>- The NXL Technologies team</p>`),
+});
+
+// When a booked call takes place, in `timeZone`: "Tuesday, 4 November 2025, 10:00–10:30 (Europe/Paris)".
+const formatCallTime = (booking, timeZone) => {
+    const day = new Intl.DateTimeFormat('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone });
+    const time = new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+    const startsAt = new Date(booking.starts_at);
+    return `${day.format(startsAt)}, ${time.format(startsAt)}–${time.format(new Date(booking.ends_at))} (${timeZone})`;
+};
+
+const callTimeBox = (text) => `<p style="background:#111827;border-radius:8px;padding:16px;font-size:18px;color:#ffffff;"><strong>${escapeHtml(text)}</strong></p>`;
+
+// Sent to the sales inbox for every discovery call booked on the site, with the time in the team's zone.
+const bookingNotification = ({ booking, timeZone, adminUrl }) => ({
+    subject: `Discovery call booked: ${booking.service_title} with ${booking.name}`,
+    text: [
+        `A discovery call was booked from the ${booking.service_title} page.`,
+        ``,
+        `When: ${formatCallTime(booking, timeZone)}`,
+        booking.time_zone !== timeZone ? `Their time: ${formatCallTime(booking, booking.time_zone)}` : null,
+        `Name: ${booking.name}`,
+        `Email: ${booking.email}`,
+        booking.phone ? `Phone: ${booking.phone}` : null,
+        `Booking ID: ${booking.id}`,
+        ``,
+        booking.message,
+        booking.message ? `` : null,
+        adminUrl ? `Reschedule or cancel it in the admin dashboard: ${adminUrl}` : null,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>A discovery call was booked from the <strong>${escapeHtml(booking.service_title)}</strong> page.</p>
+    ${callTimeBox(formatCallTime(booking, timeZone))}
+    <p>${booking.time_zone !== timeZone ? `<strong>Their time:</strong> ${escapeHtml(formatCallTime(booking, booking.time_zone))}<br>` : ''}
+       <strong>Name:</strong> ${escapeHtml(booking.name)}<br>
+       <strong>Email:</strong> <a href="mailto:${escapeHtml(booking.email)}" style="color:#60a5fa;">${escapeHtml(booking.email)}</a><br>
+       ${booking.phone ? `<strong>Phone:</strong> ${escapeHtml(booking.phone)}<br>` : ''}
+       <strong>Booking ID:</strong> ${escapeHtml(booking.id)}</p>
+    ${booking.message ? `<div style="background:#111827;border-radius:8px;padding:16px;">${paragraphs(booking.message)}</div>` : ''}
+    ${adminUrl ? `<p><a href="${escapeHtml(adminUrl)}" style="color:#60a5fa;">Reschedule or cancel it in the admin dashboard</a></p>` : ''}`),
+});
+
+// Sent to the person who booked the call, with the calendar invite attached.
+const bookingConfirmation = ({ booking, contact }) => ({
+    subject: 'Your discovery call is booked - NXL Technologies',
+    text: [
+        `Hi ${booking.name},`,
+        ``,
+        `Thank you for booking a discovery call with NXL Technologies about ${booking.service_title}. We look forward to talking to you on:`,
+        ``,
+        formatCallTime(booking, booking.time_zone),
+        ``,
+        `The attached invite adds the call to your calendar. If the time no longer suits you, just reply to this email.`,
+        contact && contact.phone ? `You can also call us on ${contact.phone}.` : null,
+        ``,
+        `- The NXL Technologies team`,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>Hi ${escapeHtml(booking.name)},</p>
+    <p>Thank you for booking a discovery call with NXL Technologies about <strong>${escapeHtml(booking.service_title)}</strong>. We look forward to talking to you on:</p>
+    ${callTimeBox(formatCallTime(booking, booking.time_zone))}
+    <p>The attached invite adds the call to your calendar. If the time no longer suits you, just reply to this email.${contact && contact.phone ? ` You can also call us on <strong>${escapeHtml(contact.phone)}</strong>.` : ''}</p>
+    <p>- The NXL Technologies team</p>`),
+});
+
+// Sent to the person who booked when staff move the call to another slot, with the updated invite.
+const bookingRescheduled = ({ booking, contact }) => ({
+    subject: 'Your discovery call has moved - NXL Technologies',
+    text: [
+        `Hi ${booking.name},`,
+        ``,
+        `Your discovery call with NXL Technologies about ${booking.service_title} has moved to:`,
+        ``,
+        formatCallTime(booking, booking.time_zone),
+        ``,
+        `The attached invite updates the call in your calendar. If the new time doesn't suit you, just reply to this email.`,
+        contact && contact.phone ? `You can also call us on ${contact.phone}.` : null,
+        ``,
+        `- The NXL Technologies team`,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>Hi ${escapeHtml(booking.name)},</p>
+    <p>Your discovery call with NXL Technologies about <strong>${escapeHtml(booking.service_title)}</strong> has moved to:</p>
+    ${callTimeBox(formatCallTime(booking, booking.time_zone))}
+    <p>The attached invite updates the call in your calendar. If the new time doesn't suit you, just reply to this email.${contact && contact.phone ? ` You can also call us on <strong>${escapeHtml(contact.phone)}</strong>.` : ''}</p>
+    <p>- The NXL Technologies team</p>`),
+});
+
+// Sent to the person who booked when staff cancel the call. `reason` is optional; `bookingUrl` is the
+// service page, where another time can be picked.
+const bookingCancellation = ({ booking, reason, bookingUrl }) => ({
+    subject: 'Your discovery call has been cancelled - NXL Technologies',
+    text: [
+        `Hi ${booking.name},`,
+        ``,
+        `We're sorry, but we had to cancel your discovery call about ${booking.service_title} on ${formatCallTime(booking, booking.time_zone)}.`,
+        reason ? `` : null,
+        reason,
+        ``,
+        `You can book another time here: ${bookingUrl}`,
+        ``,
+        `- The NXL Technologies team`,
+    ].filter(line => line !== null).join('\n'),
+    html: layout(`
+    <p>Hi ${escapeHtml(booking.name)},</p>
+    <p>We're sorry, but we had to cancel your discovery call about <strong>${escapeHtml(booking.service_title)}</strong> on ${escapeHtml(formatCallTime(booking, booking.time_zone))}.</p>
+    ${reason ? `<div style="background:#111827;border-radius:8px;padding:16px;">${paragraphs(reason)}</div>` : ''}
+    <p><a href="${escapeHtml(bookingUrl)}" style="display:inline-block;background:#3b82f6;color:#ffffff;font-weight:bold;padding:12px 20px;border-radius:8px;text-decoration:none;">Book another time</a></p>
+    <p>- The NXL Technologies team</p>`),
+});
+
+module.exports = {
+    leadNotification,
+    contactConfirmation,
+    applicationNotification,
+    applicationConfirmation,
+    dataRequestVerification,
+    bookingNotification,
+    bookingConfirmation,
+    bookingRescheduled,
+    bookingCancellation,
+    escapeHtml,
+    layout,
+    paragraphs,
+};
@@ -0,0 +1,64 @@
+// Pluggable mail transports. Each transport exposes `send(message)` taking a nodemailer-style
+// message ({ from, to, subject, text, html, attachments }).
+//
+//   smtp    - delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - writes each message as an .eml file into MAIL_FILE_DIR, for local testing
+//   console - prints each message, the default when nothing is configured; refused in production (index.js)
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../logger');
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = (config) => {
+    const transporter = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message),
+    };
+};
+
+const createFileTransport = (config) => {
+    // streamTransport renders the full RFC 822 message without sending it anywhere.
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+        name: 'file',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            await fs.mkdir(config.dir, { recursive: true });
+            const file = path.join(config.dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+            await fs.writeFile(file, info.message);
+            logger.info('Wrote email to file', { component: 'mail', subject: message.subject, file });
+            return info;
+        },
+    };
+};
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    // Prints the message as it is, recipient included, for reading during local development: it bypasses
+    // the structured log and its redaction, so don't use it in production.
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${Date.now()}` };
+    },
+});
+
+const createTransport = (config) => {
+    switch (config.transport) {
+        case 'smtp':
+            return createSmtpTransport(config.smtp);
+        case 'file':
+            return createFileTransport(config.file);
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}". Use smtp, file or console.`);
+    }
+};
+
+module.exports = { createTransport };
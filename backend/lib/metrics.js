@@ -0,0 +1,70 @@
+// In-process request metrics in the Prometheus text format, served at GET /metrics (see routes/health.js).
+// Counts are per process and start again from zero on restart, which Prometheus' rate() expects.
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => `{${Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+
+const createMetrics = () => {
+    // Series are keyed by their formatted labels: `{method="GET",route="/api/data",status="200"}` -> value
+    const requests = new Map();
+    const errors = new Map();
+    const durations = new Map(); // labels -> { labels, buckets, sum, count }
+
+    const increment = (series, labels) => {
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) || 0) + 1);
+    };
+
+    // Records one handled request. `route` is the matched route pattern ("/api/careers/:id"), never the
+    // raw path, so the number of series stays bounded.
+    const observeRequest = ({ method, route, status, durationSeconds }) => {
+        increment(requests, { method, route, status });
+        if (status >= 500) increment(errors, { method, route, status });
+
+        const labels = { method, route };
+        const key = formatLabels(labels);
+        const histogram = durations.get(key) || { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        DURATION_BUCKETS.forEach((bound, index) => {
+            if (durationSeconds <= bound) histogram.buckets[index] += 1;
+        });
+        histogram.sum += durationSeconds;
+        histogram.count += 1;
+        durations.set(key, histogram);
+    };
+
+    const render = () => {
+        const lines = [
+            '# HELP http_requests_total Requests handled, by method, route and status code.',
+            '# TYPE http_requests_total counter',
+            ...[...requests].map(([labels, value]) => `http_requests_total${labels} ${value}`),
+            '# HELP http_request_errors_total Requests that failed with a 5xx status code.',
+            '# TYPE http_request_errors_total counter',
+            ...[...errors].map(([labels, value]) => `http_request_errors_total${labels} ${value}`),
+            '# HELP http_request_duration_seconds Time taken to respond, by method and route.',
+            '# TYPE http_request_duration_seconds histogram',
+        ];
+        for (const { labels, buckets, sum, count } of durations.values()) {
+            DURATION_BUCKETS.forEach((bound, index) => {
+                lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${buckets[index]}`);
+            });
+            lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`http_request_duration_seconds_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`http_request_duration_seconds_count${formatLabels(labels)} ${count}`);
+        }
+        lines.push(
+            '# HELP process_uptime_seconds Time since the server process started.',
+            '# TYPE process_uptime_seconds gauge',
+            `process_uptime_seconds ${process.uptime()}`,
+            '# HELP process_resident_memory_bytes Resident memory size of the server process.',
+            '# TYPE process_resident_memory_bytes gauge',
+            `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+        );
+        return `${lines.join('\n')}\n`;
+    };
+
+    return { observeRequest, render };
+};
+
+module.exports = { createMetrics };
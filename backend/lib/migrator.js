@@ -0,0 +1,143 @@
+// Versioned schema migrations.
+//
+// Each migration is a pair of files in migrations/: `<version>_<name>.up.sql` and
+// `<version>_<name>.down.sql`, where <version> is a zero-padded number that sets the order.
+// Applied versions are recorded in the `schema_migrations` table together with a checksum
+// of the up script, so edits to a migration that has already run are reported by status().
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Arbitrary constant key for pg_advisory_lock, so two deploys can't migrate at the same time.
+const LOCK_KEY = 4_173_260_511;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const createMigrator = ({ pool, dir = path.join(__dirname, '..', 'migrations') }) => {
+    // Reads migrations/ into [{ version, name, up, down }] sorted by version.
+    const loadMigrations = async () => {
+        const byVersion = new Map();
+        for (const file of await fs.readdir(dir)) {
+            const match = MIGRATION_FILE.exec(file);
+            if (!match) continue;
+            const [, version, name, direction] = match;
+            const migration = byVersion.get(version) || { version, name };
+            if (migration.name !== name) {
+                throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+            }
+            migration[direction] = await fs.readFile(path.join(dir, file), 'utf8');
+            byVersion.set(version, migration);
+        }
+
+        const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+        for (const migration of migrations) {
+            if (migration.up === undefined || migration.down === undefined) {
+                throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+            }
+        }
+        return migrations;
+    };
+
+    const ensureMigrationsTable = (db) => db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )`
+    );
+
+    const loadApplied = async (db) => {
+        await ensureMigrationsTable(db);
+        const { rows } = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+        return rows;
+    };
+
+    // Runs `fn` on a dedicated client while holding the migration lock.
+    const withLock = async (fn) => {
+        const client = await pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+            try {
+                return await fn(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+            }
+        } finally {
+            client.release();
+        }
+    };
+
+    // Each migration runs in its own transaction together with its schema_migrations row,
+    // so a failing script leaves neither a half-applied schema nor a false record.
+    const runInTransaction = async (client, sql, record) => {
+        await client.query('BEGIN');
+        try {
+            await client.query(sql);
+            await record();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    };
+
+    // Resolves to every known migration with its state: 'applied', 'pending', 'changed'
+    // (applied, but the up script has been edited since) or 'missing' (applied, but no file).
+    const status = async () => {
+        const migrations = await loadMigrations();
+        const applied = new Map((await loadApplied(pool)).map(row => [row.version, row]));
+
+        const result = migrations.map(({ version, name, up }) => {
+            const row = applied.get(version);
+            applied.delete(version);
+            if (!row) return { version, name, state: 'pending', appliedAt: null };
+            return { version, name, state: row.checksum === checksum(up) ? 'applied' : 'changed', appliedAt: row.applied_at };
+        });
+        for (const row of applied.values()) {
+            result.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+        }
+        return result.sort((a, b) => Number(a.version) - Number(b.version));
+    };
+
+    const pending = async () => (await status()).filter(migration => migration.state === 'pending');
+
+    // Applies every pending migration in order. Resolves to the migrations that ran.
+    const up = () => withLock(async (client) => {
+        const applied = new Set((await loadApplied(client)).map(row => row.version));
+        const ran = [];
+        for (const migration of await loadMigrations()) {
+            if (applied.has(migration.version)) continue;
+            await runInTransaction(client, migration.up, () => client.query(
+                'INSERT INTO schema_migrations(version, name, checksum) VALUES($1, $2, $3)',
+                [migration.version, migration.name, checksum(migration.up)]
+            ));
+            ran.push(migration);
+        }
+        return ran;
+    });
+
+    // Rolls back the most recent `steps` applied migrations. Resolves to the migrations that were reverted.
+    const down = (steps = 1) => withLock(async (client) => {
+        const byVersion = new Map((await loadMigrations()).map(migration => [migration.version, migration]));
+        const applied = (await loadApplied(client)).reverse().slice(0, steps);
+        const reverted = [];
+        for (const row of applied) {
+            const migration = byVersion.get(row.version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${row.version}_${row.name}: its migration files are missing`);
+            }
+            await runInTransaction(client, migration.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            ));
+            reverted.push(migration);
+        }
+        return reverted;
+    });
+
+    return { status, pending, up, down };
+};
+
+module.exports = { createMigrator, MIGRATION_FILE, LOCK_KEY };
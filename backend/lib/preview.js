@@ -0,0 +1,101 @@
+// Draft preview for Sanity editors.
+//
+// Staff create a signed, expiring preview link in the admin dashboard (POST /api/admin/preview). The
+// frontend keeps its token in a cookie and sends it with every content request as X-Preview-Token.
+// Requests with a valid token read drafts straight from the Sanity API with a read token, bypassing
+// the CDN and the content cache; every other request only ever sees published content.
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const PREVIEW_HEADER = 'X-Preview-Token';
+
+// Tokens are "<expiry ms>.<HMAC of the expiry>", so they need no storage and die on their own.
+const createPreviewTokens = ({ secret, ttlMs }) => {
+    // Without a secret anyone could sign their own tokens; index.js falls back to a random one instead.
+    if (!secret) {
+        throw new Error('Preview tokens need a secret. Set PREVIEW_SECRET.');
+    }
+    const sign = (expires) => crypto.createHmac('sha256', secret).update(`preview.${expires}`).digest('base64url');
+
+    const issue = () => {
+        const expires = Date.now() + ttlMs;
+        return { token: `${expires}.${sign(expires)}`, expiresAt: new Date(expires).toISOString() };
+    };
+
+    const verify = (token) => {
+        const [expiresPart, signature] = String(token || '').split('.');
+        const expires = Number(expiresPart);
+        if (!Number.isInteger(expires) || expires < Date.now() || !signature) return false;
+        const expected = Buffer.from(sign(expires));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    };
+
+    return { issue, verify };
+};
+
+// Middleware setting req.preview from the X-Preview-Token header (or ?previewToken=, for EventSource,
+// which can't send headers). A bad token is an error rather than a silent fallback to published
+// content, so editors notice that their link has expired. `tokens` is null when preview is not configured.
+const previewMode = (tokens) => (req, res, next) => {
+    const token = req.get(PREVIEW_HEADER) || req.query.previewToken;
+    req.preview = false;
+    if (!token) return next();
+
+    if (!tokens) {
+        return next(new ApiError(503, 'PREVIEW_NOT_CONFIGURED', 'Draft preview is not configured.'));
+    }
+    if (!tokens.verify(token)) {
+        return next(new ApiError(401, 'INVALID_PREVIEW_TOKEN', 'This preview link is invalid or has expired.'));
+    }
+    req.preview = true;
+    next();
+};
+
+// Follows draft changes through the Sanity listener API and calls `onChange` (debounced, as the Studio
+// saves while editors type). Only runs between start() and stop(), i.e. while someone is previewing.
+const createDraftWatcher = ({ client, types, onChange, debounceMs = 500 }) => {
+    const log = logger.child({ component: 'preview' });
+    let subscription = null;
+    let timer = null;
+    const changedIds = new Set();
+
+    const flush = () => {
+        timer = null;
+        const ids = [...changedIds];
+        changedIds.clear();
+        onChange(ids);
+    };
+
+    const start = () => {
+        if (subscription) return;
+        log.info('Listening for draft changes');
+        subscription = client
+            .listen('*[_type in $types]', { types }, { includeResult: false, visibility: 'query', events: ['mutation'] })
+            .subscribe({
+                next: (event) => {
+                    changedIds.add(event.documentId);
+                    if (!timer) timer = setTimeout(flush, debounceMs);
+                },
+                error: (error) => {
+                    log.error('Draft listener failed', error);
+                    subscription = null;
+                },
+            });
+    };
+
+    const stop = () => {
+        if (!subscription) return;
+        log.info('No previewers left; stopped listening for draft changes');
+        subscription.unsubscribe();
+        subscription = null;
+        clearTimeout(timer);
+        timer = null;
+        changedIds.clear();
+    };
+
+    return { start, stop };
+};
+
+module.exports = { PREVIEW_HEADER, createPreviewTokens, previewMode, createDraftWatcher };
@@ -0,0 +1,269 @@
+// Personal data handling for contact submissions, job applications and discovery-call bookings.
+//
+// Data subject requests: anyone can ask for a link sent to an email address (createRequest). Holding a
+// valid link proves control of the address. The link works once: opening it (redeemRequest) swaps its
+// token for a new one that only the page holds, which allows downloading everything stored for the
+// address as JSON (collect) or erasing it (erase) until the request expires. Retention: applyRetention() anonymises or
+// deletes records older than the configured period. Every step is written to privacy_audit_log.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Identifies a data subject in the audit log without storing their address.
+const hashEmail = (email) => crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+
+const ANONYMISED_NAME = 'Anonymised';
+
+// `uploads` is the lib/uploads service; `requestTtlMs` is how long a request link works.
+// `retention` is { days, action } with action 'anonymise' or 'delete'; days 0 keeps records forever.
+const createPrivacyService = ({ pool, uploads, requestTtlMs, retention }) => {
+    const audit = (action, { email = null, requestId = null, actor, details = {} }) => pool.query(
+        'INSERT INTO privacy_audit_log(action, subject_hash, request_id, actor, details) VALUES($1, $2, $3, $4, $5)',
+        [action, email && hashEmail(email), requestId, actor, details]
+    );
+
+    // Returns the raw token for the emailed link; only its hash is persisted.
+    const createRequest = async (email) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const result = await pool.query(
+            `INSERT INTO data_requests(email, token_hash, expires_at) VALUES($1, $2, now() + make_interval(secs => $3))
+             RETURNING id, expires_at`,
+            [email, hashToken(token), requestTtlMs / 1000]
+        );
+        const request = result.rows[0];
+        await audit('request_created', { email, requestId: request.id, actor: 'data subject' });
+        return { id: request.id, token, expiresAt: request.expires_at };
+    };
+
+    // Exchanges the token of an emailed link for a new one, marking the request verified. Resolves to
+    // { request, token }, or null when the link is unknown, expired or already used. The update is a
+    // single statement, so two concurrent uses of the same link can't both succeed.
+    const redeemRequest = async (token) => {
+        const newToken = crypto.randomBytes(32).toString('base64url');
+        const result = await pool.query(
+            `UPDATE data_requests SET token_hash = $2, status = 'verified', verified_at = now()
+              WHERE token_hash = $1 AND expires_at > now() AND verified_at IS NULL
+              RETURNING id, email, status, expires_at, verified_at`,
+            [hashToken(String(token)), hashToken(newToken)]
+        );
+        const request = result.rows[0];
+        if (!request) return null;
+        await audit('request_verified', { email: request.email, requestId: request.id, actor: 'data subject' });
+        return { request, token: newToken };
+    };
+
+    // The unexpired, verified request a token from redeemRequest() belongs to, or null. The emailed
+    // token itself is never accepted here.
+    const findRequest = async (token) => {
+        const result = await pool.query(
+            `SELECT id, email, status, expires_at, verified_at FROM data_requests
+              WHERE token_hash = $1 AND expires_at > now() AND verified_at IS NOT NULL`,
+            [hashToken(String(token))]
+        );
+        return result.rows[0] || null;
+    };
+
+    const findRecords = async (email) => {
+        const [submissions, applications, bookings] = await Promise.all([
+            pool.query('SELECT id FROM submissions WHERE lower(email) = $1 ORDER BY created_at', [email]),
+            pool.query('SELECT id FROM job_applications WHERE lower(email) = $1 ORDER BY created_at', [email]),
+            pool.query('SELECT id FROM bookings WHERE lower(email) = $1 ORDER BY created_at', [email]),
+        ]);
+        return {
+            submissionIds: submissions.rows.map(row => row.id),
+            applicationIds: applications.rows.map(row => row.id),
+            bookingIds: bookings.rows.map(row => row.id),
+        };
+    };
+
+    // Emails sent to or on behalf of the address (confirmations, and staff notifications replying to it).
+    const MAIL_MATCH = `(lower(message->>'to') = $1 OR lower(message->>'replyTo') = $1)`;
+
+    // How many records of each kind are stored for the address.
+    const summarize = async (email) => {
+        const { submissionIds, applicationIds, bookingIds } = await findRecords(email);
+        const emails = await pool.query(`SELECT COUNT(*)::int AS count FROM mail_queue WHERE ${MAIL_MATCH}`, [email]);
+        return { submissions: submissionIds.length, applications: applicationIds.length, bookings: bookingIds.length, emails: emails.rows[0].count };
+    };
+
+    // Everything stored for the address, for the data subject's download.
+    const collect = async (request) => {
+        const { email } = request;
+        const [submissions, notes, applications, events, bookings, bookingEvents, files, emails] = await Promise.all([
+            pool.query(
+                `SELECT id, name, email, message, status, created_at, updated_at FROM submissions
+                  WHERE lower(email) = $1 ORDER BY created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT n.submission_id, n.body, n.created_at FROM submission_notes AS n
+                   JOIN submissions AS s ON s.id = n.submission_id
+                  WHERE lower(s.email) = $1 ORDER BY n.created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT id, job_id, job_role, name, email, phone, cover_letter, status, created_at, updated_at
+                   FROM job_applications WHERE lower(email) = $1 ORDER BY created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT e.application_id, e.from_status, e.to_status, e.note, e.created_at FROM job_application_events AS e
+                   JOIN job_applications AS a ON a.id = e.application_id
+                  WHERE lower(a.email) = $1 ORDER BY e.created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT id, service_id, service_title, starts_at, ends_at, name, email, phone, message, time_zone, status, created_at, updated_at
+                   FROM bookings WHERE lower(email) = $1 ORDER BY created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT e.booking_id, e.action, e.starts_at, e.note, e.created_at FROM booking_events AS e
+                   JOIN bookings AS b ON b.id = e.booking_id
+                  WHERE lower(b.email) = $1 ORDER BY e.created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT u.submission_id, u.application_id, u.purpose, u.original_name, u.content_type, u.size, u.created_at
+                   FROM uploads AS u
+                   LEFT JOIN submissions AS s ON s.id = u.submission_id
+                   LEFT JOIN job_applications AS a ON a.id = u.application_id
+                  WHERE lower(s.email) = $1 OR lower(a.email) = $1 ORDER BY u.created_at`,
+                [email]
+            ),
+            pool.query(
+                `SELECT message->>'subject' AS subject, message->>'to' AS "to", status, created_at, sent_at
+                   FROM mail_queue WHERE ${MAIL_MATCH} ORDER BY created_at`,
+                [email]
+            ),
+        ]);
+
+        const filesFor = (key, id) => files.rows.filter(file => file[key] === id)
+            .map(({ submission_id: _s, application_id: _a, ...file }) => ({ ...file, size: Number(file.size) }));
+
+        await audit('data_exported', {
+            email,
+            requestId: request.id,
+            actor: 'data subject',
+            details: { submissions: submissions.rows.length, applications: applications.rows.length, bookings: bookings.rows.length, emails: emails.rows.length },
+        });
+
+        return {
+            email,
+            exportedAt: new Date().toISOString(),
+            contactSubmissions: submissions.rows.map(submission => ({
+                ...submission,
+                notes: notes.rows.filter(note => note.submission_id === submission.id).map(({ submission_id: _id, ...note }) => note),
+                attachments: filesFor('submission_id', submission.id),
+            })),
+            jobApplications: applications.rows.map(application => ({
+                ...application,
+                history: events.rows.filter(event => event.application_id === application.id).map(({ application_id: _id, ...event }) => event),
+                files: filesFor('application_id', application.id),
+            })),
+            discoveryCalls: bookings.rows.map(booking => ({
+                ...booking,
+                history: bookingEvents.rows.filter(event => event.booking_id === booking.id).map(({ booking_id: _id, ...event }) => event),
+            })),
+            emails: emails.rows,
+        };
+    };
+
+    // Deletes every record stored for the address, including uploaded files and queued or sent emails,
+    // and closes all of its requests. Files go first, like the admin delete: a file can't outlive its row.
+    const erase = async (request) => {
+        const { email } = request;
+        const { submissionIds, applicationIds, bookingIds } = await findRecords(email);
+        for (const submissionId of submissionIds) await uploads.removeFor({ submissionId });
+        for (const applicationId of applicationIds) await uploads.removeFor({ applicationId });
+
+        const client = await pool.connect();
+        let emails;
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM submissions WHERE id = ANY($1::int[])', [submissionIds]);
+            await client.query('DELETE FROM job_applications WHERE id = ANY($1::int[])', [applicationIds]);
+            await client.query('DELETE FROM bookings WHERE id = ANY($1::int[])', [bookingIds]);
+            emails = await client.query(`DELETE FROM mail_queue WHERE ${MAIL_MATCH}`, [email]);
+            await client.query('DELETE FROM data_requests WHERE lower(email) = $1', [email]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const erased = { submissions: submissionIds.length, applications: applicationIds.length, bookings: bookingIds.length, emails: emails.rowCount };
+        await audit('data_erased', { email, requestId: request.id, actor: 'data subject', details: erased });
+        logger.info('Personal data erased', { dataRequestId: request.id, ...erased });
+        return erased;
+    };
+
+    // Anonymises or deletes submissions, applications and bookings older than the retention period along with
+    // sent emails of that age. Bookings count from the call itself, so upcoming calls are never touched. Expired request links are dropped even without a retention period, as they hold addresses.
+    const applyRetention = async () => {
+        const expiredRequests = await pool.query(
+            'DELETE FROM data_requests WHERE expires_at < now() - make_interval(secs => $1)',
+            [requestTtlMs / 1000]
+        );
+        if (!retention.days) return { requests: expiredRequests.rowCount };
+
+        const cutoff = [retention.days];
+        const [submissions, applications, bookings] = await Promise.all([
+            pool.query('SELECT id FROM submissions WHERE anonymised_at IS NULL AND created_at < now() - make_interval(days => $1)', cutoff),
+            pool.query('SELECT id FROM job_applications WHERE anonymised_at IS NULL AND created_at < now() - make_interval(days => $1)', cutoff),
+            pool.query('SELECT id FROM bookings WHERE anonymised_at IS NULL AND ends_at < now() - make_interval(days => $1)', cutoff),
+        ]);
+        const submissionIds = submissions.rows.map(row => row.id);
+        const applicationIds = applications.rows.map(row => row.id);
+        const bookingIds = bookings.rows.map(row => row.id);
+        for (const submissionId of submissionIds) await uploads.removeFor({ submissionId });
+        for (const applicationId of applicationIds) await uploads.removeFor({ applicationId });
+
+        if (retention.action === 'delete') {
+            await pool.query('DELETE FROM submissions WHERE id = ANY($1::int[])', [submissionIds]);
+            await pool.query('DELETE FROM job_applications WHERE id = ANY($1::int[])', [applicationIds]);
+            await pool.query('DELETE FROM bookings WHERE id = ANY($1::int[])', [bookingIds]);
+        } else {
+            // Status and dates stay, for the dashboard's history and statistics.
+            await pool.query(
+                `UPDATE submissions SET name = $2, email = '', message = '', anonymised_at = now() WHERE id = ANY($1::int[])`,
+                [submissionIds, ANONYMISED_NAME]
+            );
+            await pool.query('DELETE FROM submission_notes WHERE submission_id = ANY($1::int[])', [submissionIds]);
+            await pool.query(
+                `UPDATE job_applications SET name = $2, email = '', phone = NULL, cover_letter = NULL, anonymised_at = now() WHERE id = ANY($1::int[])`,
+                [applicationIds, ANONYMISED_NAME]
+            );
+            await pool.query('UPDATE job_application_events SET note = NULL WHERE application_id = ANY($1::int[])', [applicationIds]);
+            await pool.query(
+                `UPDATE bookings SET name = $2, email = '', phone = NULL, message = NULL, anonymised_at = now() WHERE id = ANY($1::int[])`,
+                [bookingIds, ANONYMISED_NAME]
+            );
+            await pool.query('UPDATE booking_events SET note = NULL WHERE booking_id = ANY($1::int[])', [bookingIds]);
+        }
+        const emails = await pool.query(
+            `DELETE FROM mail_queue WHERE status <> 'pending' AND created_at < now() - make_interval(days => $1)`,
+            cutoff
+        );
+
+        const result = {
+            submissions: submissionIds.length,
+            applications: applicationIds.length,
+            bookings: bookingIds.length,
+            emails: emails.rowCount,
+            requests: expiredRequests.rowCount,
+        };
+        if (result.submissions || result.applications || result.bookings || result.emails) {
+            await audit(retention.action === 'delete' ? 'retention_deleted' : 'retention_anonymised', { actor: 'retention job', details: { ...result, days: retention.days } });
+            logger.info(`Retention period applied: records ${retention.action === 'delete' ? 'deleted' : 'anonymised'}`, { days: retention.days, ...result });
+        }
+        return result;
+    };
+
+    return { createRequest, redeemRequest, findRequest, summarize, collect, erase, applyRetention };
+};
+
+module.exports = { createPrivacyService };
@@ -0,0 +1,31 @@
+// In-memory sliding-window rate limiter. State is per process, which is enough for a single instance;
+// counts reset on restart.
+const createRateLimiter = ({ windowMs, max }) => {
+    const hits = new Map(); // key -> array of hit timestamps, oldest first
+
+    // Records a hit for `key` and reports whether it is within the limit.
+    const hit = (key) => {
+        const now = Date.now();
+        const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+        if (recent.length >= max) {
+            hits.set(key, recent);
+            return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+        }
+        recent.push(now);
+        hits.set(key, recent);
+        return { allowed: true, remaining: max - recent.length };
+    };
+
+    // Drops keys whose hits have all expired, so memory doesn't grow with every visitor.
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, times] of hits) {
+            if (!times.length || now - times[times.length - 1] >= windowMs) hits.delete(key);
+        }
+    };
+    setInterval(sweep, windowMs).unref();
+
+    return { hit };
+};
+
+module.exports = { createRateLimiter };
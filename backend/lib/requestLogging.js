@@ -0,0 +1,55 @@
+// Per-request correlation IDs, access logs and request metrics.
+//
+// Every request gets an ID: the caller's X-Request-Id when it looks like one (so an ID set by a proxy
+// carries through), otherwise a new UUID. It is sent back in the X-Request-Id response header and added
+// to every log entry made while the request is handled (see lib/logger.js).
+const crypto = require('crypto');
+const { requestContext } = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+// The route pattern that handled the request ("/api/careers/:id"), or "unmatched". req.baseUrl can't be
+// used: an error passed on with next(error) leaves the router, which resets it. As the pattern matched
+// the last segments of the path, the segments before them are where its router is mounted.
+const routeLabel = (req, path) => {
+    if (!req.route || typeof req.route.path !== 'string') return 'unmatched';
+    const segments = path.split('/').filter(Boolean);
+    const routeSegments = req.route.path.split('/').filter(Boolean);
+    return `/${[...segments.slice(0, segments.length - routeSegments.length), ...routeSegments].join('/')}`;
+};
+
+// `logger` writes one "Request completed" entry per request; `metrics` is a lib/metrics instance.
+// Query strings are left out of the log, as they can carry preview tokens.
+const requestLogging = ({ logger, metrics }) => (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    const path = req.originalUrl.split('?')[0];
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = routeLabel(req, path);
+        metrics.observeRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+        const fields = {
+            requestId,
+            method: req.method,
+            path,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(durationSeconds * 1000),
+        };
+        if (res.statusCode >= 500) {
+            logger.error('Request failed', fields);
+        } else {
+            logger.info('Request completed', fields);
+        }
+    });
+
+    requestContext.run({ requestId }, next);
+};
+
+module.exports = { REQUEST_ID_HEADER, requestLogging };
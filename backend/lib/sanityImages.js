@@ -0,0 +1,44 @@
+// Resolves Sanity image fields to CDN URLs without dereferencing assets in GROQ, so it also works on
+// content that is localized afterwards (a localized Portable Text body is only known to be an array of
+// blocks once lib/i18n.js has picked a language).
+//
+// Asset ids encode everything the URL needs, e.g.
+//   image-Tb9Ew8CXIwaY6R1kjMvI0uRR-2000x3000-jpg
+//   => https://cdn.sanity.io/images/<projectId>/<dataset>/Tb9Ew8CXIwaY6R1kjMvI0uRR-2000x3000.jpg
+const ASSET_ID = /^image-([a-zA-Z0-9]+)-(\d+)x(\d+)-([a-z0-9]+)$/;
+
+const isImage = (value) => value._type === 'image' && value.asset && typeof value.asset._ref === 'string';
+
+// Returns a function that copies `data`, replacing every image object with
+// { _type: 'image', _key, url, width, height, alt, caption }. Unknown asset ids become url: null.
+const createImageResolver = ({ projectId, dataset }) => {
+    const toImage = (image) => {
+        const match = ASSET_ID.exec(image.asset._ref);
+        return {
+            _type: 'image',
+            ...(image._key && { _key: image._key }),
+            url: match ? `https://cdn.sanity.io/images/${projectId}/${dataset}/${match[1]}-${match[2]}x${match[3]}.${match[4]}` : null,
+            width: match ? Number(match[2]) : null,
+            height: match ? Number(match[3]) : null,
+            alt: image.alt || '',
+            caption: image.caption || null,
+        };
+    };
+
+    const resolveImages = (data) => {
+        if (Array.isArray(data)) {
+            return data.map(resolveImages);
+        }
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+        if (isImage(data)) {
+            return toImage(data);
+        }
+        return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, resolveImages(value)]));
+    };
+
+    return resolveImages;
+};
+
+module.exports = { createImageResolver };
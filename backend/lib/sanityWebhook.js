@@ -0,0 +1,44 @@
+// Signature handling for Sanity GROQ-powered webhooks.
+// Sanity sends `sanity-webhook-signature: t=<timestamp ms>,v1=<base64url HMAC-SHA256 of "<timestamp>.<raw body>">`.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'sanity-webhook-signature';
+
+// Reject signatures older than this to limit replayed requests.
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+const computeSignature = (payload, timestamp, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('base64url');
+
+const parseSignatureHeader = (header) => {
+    const parts = Object.fromEntries(String(header || '')
+        .split(',')
+        .map(part => part.trim().split('='))
+        .filter(pair => pair.length === 2));
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || !parts.v1) return null;
+    return { timestamp, signature: parts.v1 };
+};
+
+// Builds a signature header for `payload` (a raw JSON string). Used to sign fixture payloads locally.
+const signPayload = (payload, secret, timestamp = Date.now()) => `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+
+const isValidSignature = (payload, header, secret, toleranceMs = DEFAULT_TOLERANCE_MS) => {
+    const parsed = parseSignatureHeader(header);
+    if (!parsed || !secret) return false;
+    if (Math.abs(Date.now() - parsed.timestamp) > toleranceMs) return false;
+
+    const expected = Buffer.from(computeSignature(payload, parsed.timestamp, secret));
+    const received = Buffer.from(parsed.signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Webhook bodies are a single document projection, or an array of them. Returns the distinct `_type`s.
+const getChangedTypes = (body) => {
+    const documents = Array.isArray(body) ? body : [body];
+    return [...new Set(documents.map(doc => doc && doc._type).filter(Boolean))];
+};
+
+module.exports = { SIGNATURE_HEADER, signPayload, isValidSignature, getChangedTypes };
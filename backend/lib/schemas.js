@@ -0,0 +1,268 @@
+// Request schemas for every API route that accepts input (see lib/validation.js).
+const { string, integer, boolean, array, object } = require('./validation');
+const { SUPPORTED_LOCALES } = require('./i18n');
+
+const SUBMISSION_STATUSES = ['new', 'read', 'replied', 'spam'];
+// Hiring stages a job application moves through, in order.
+const APPLICATION_STATUSES = ['received', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+// Sanity document types listed by /api/posts.
+const POST_TYPES = ['post', 'caseStudy'];
+const BOOKING_STATUSES = ['confirmed', 'held', 'cancelled'];
+// What the site's analytics beacon reports (see lib/analytics.js), and the CTAs and forms it tracks.
+const ANALYTICS_EVENT_TYPES = ['pageview', 'service_view', 'cta_click', 'conversion'];
+const ANALYTICS_CTAS = ['get-in-touch', 'lets-talk', 'view-details'];
+const ANALYTICS_FORMS = ['contact', 'application', 'booking'];
+
+// Top-level fields of each resource in SITE_DATA_QUERY (index.js), selectable with ?fields=.
+const SITE_FIELDS = ['hero', 'about', 'seo', 'contact', 'careers'];
+const SERVICE_FIELDS = ['id', 'title', 'icon', 'description', 'details', 'list', 'seo'];
+const PROCESS_STEP_FIELDS = ['id', 'title', 'icon', 'description'];
+const JOB_FIELDS = ['id', 'role', 'location', 'type', 'description', 'postedAt'];
+
+const siteDataQuery = {
+    locale: string({ oneOf: SUPPORTED_LOCALES }),
+};
+
+const fieldSelection = (fields) => array({ of: string({ oneOf: fields }), max: fields.length, separator: ',' });
+
+// Query for a single content resource, e.g. GET /api/services/web?fields=title,details
+const contentQuery = (fields) => ({
+    ...siteDataQuery,
+    fields: fieldSelection(fields),
+});
+
+// Query for a content collection, e.g. GET /api/services?page=2&pageSize=6
+const contentListQuery = (fields) => ({
+    ...contentQuery(fields),
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 100, defaultValue: 100 }),
+});
+
+const siteQuery = contentQuery(SITE_FIELDS);
+const serviceQuery = contentQuery(SERVICE_FIELDS);
+const serviceListQuery = contentListQuery(SERVICE_FIELDS);
+const processListQuery = contentListQuery(PROCESS_STEP_FIELDS);
+const jobQuery = contentQuery(JOB_FIELDS);
+const jobListQuery = contentListQuery(JOB_FIELDS);
+
+const contentParams = {
+    id: string({ required: true, max: 100 }),
+};
+
+const postListQuery = {
+    locale: string({ oneOf: SUPPORTED_LOCALES }),
+    type: string({ oneOf: POST_TYPES }),
+    tag: string({ max: 100 }),
+    category: string({ max: 100 }),
+    // Only case studies referencing this service (its id.current)
+    service: string({ max: 100 }),
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 50, defaultValue: 12 }),
+};
+
+const postParams = {
+    slug: string({ required: true, max: 200 }),
+};
+
+const contactSubmission = {
+    name: string({ required: true, max: 100, collapseWhitespace: true }),
+    email: string({ required: true, max: 254, format: 'email', lowercase: true }),
+    message: string({ required: true, min: 10, max: 5000 }),
+    // Ids returned by POST /api/uploads
+    attachments: array({ of: string({ format: 'uuid' }), max: 5 }),
+    // Spam protection fields (see lib/spam). The honeypot must not be trimmed away.
+    website: string({ max: 500, trim: false }),
+    elapsedMs: integer({ min: 0 }),
+    captchaToken: string({ max: 4096 }),
+};
+
+const adminLogin = {
+    username: string({ required: true, max: 100 }),
+    password: string({ required: true, max: 1024, trim: false }),
+};
+
+const submissionListQuery = {
+    search: string({ max: 200 }),
+    status: string({ oneOf: SUBMISSION_STATUSES }),
+    from: string({ format: 'date' }),
+    to: string({ format: 'date' }),
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 100, defaultValue: 20 }),
+};
+
+const submissionUpdate = {
+    status: string({ required: true, oneOf: SUBMISSION_STATUSES }),
+};
+
+const submissionNote = {
+    body: string({ required: true, max: 5000 }),
+};
+
+// Multipart form fields sent with a CV (the file itself is checked by lib/uploads).
+const jobApplication = {
+    jobId: string({ required: true, max: 100 }),
+    name: string({ required: true, max: 100, collapseWhitespace: true }),
+    email: string({ required: true, max: 254, format: 'email', lowercase: true }),
+    phone: string({ max: 40, collapseWhitespace: true }),
+    coverLetter: string({ max: 5000 }),
+    website: string({ max: 500, trim: false }),
+    elapsedMs: integer({ min: 0 }),
+    captchaToken: string({ max: 4096 }),
+};
+
+const applicationListQuery = {
+    search: string({ max: 200 }),
+    status: string({ oneOf: APPLICATION_STATUSES }),
+    jobId: string({ max: 100 }),
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 100, defaultValue: 20 }),
+};
+
+const applicationUpdate = {
+    status: string({ required: true, oneOf: APPLICATION_STATUSES }),
+    note: string({ max: 5000 }),
+};
+
+// A discovery call booked from a service page.
+const booking = {
+    slotId: integer({ required: true, min: 1 }),
+    serviceId: string({ required: true, max: 100 }),
+    name: string({ required: true, max: 100, collapseWhitespace: true }),
+    email: string({ required: true, max: 254, format: 'email', lowercase: true }),
+    phone: string({ max: 40, collapseWhitespace: true }),
+    message: string({ max: 2000 }),
+    // The visitor's IANA time zone, for the times in their emails
+    timeZone: string({ required: true, max: 100, format: 'timeZone' }),
+    locale: string({ oneOf: SUPPORTED_LOCALES }),
+    website: string({ max: 500, trim: false }),
+    elapsedMs: integer({ min: 0 }),
+    captchaToken: string({ max: 4096 }),
+};
+
+// Opens a slot at each of `times` on each of `weekdays` (1 = Monday ... 7 = Sunday) from `from` to `to`
+// (both inclusive), as wall-clock times in `timeZone`.
+const bookingSlotsBatch = {
+    from: string({ required: true, format: 'date' }),
+    to: string({ required: true, format: 'date' }),
+    weekdays: array({ of: integer({ min: 1, max: 7 }), max: 7 }),
+    times: array({ of: string({ format: 'time' }), max: 48 }),
+    durationMinutes: integer({ min: 10, max: 240, defaultValue: 30 }),
+    timeZone: string({ required: true, max: 100, format: 'timeZone' }),
+};
+
+const bookingSlotListQuery = {
+    from: string({ format: 'date' }),
+    to: string({ format: 'date' }),
+};
+
+const bookingListQuery = {
+    search: string({ max: 200 }),
+    status: string({ oneOf: BOOKING_STATUSES }),
+    serviceId: string({ max: 100 }),
+    // Calls taking place in this range (both inclusive)
+    from: string({ format: 'date' }),
+    to: string({ format: 'date' }),
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 100, defaultValue: 20 }),
+};
+
+const bookingApprove = {
+    note: string({ max: 2000 }),
+};
+
+// The reason is included in the cancellation email.
+const bookingCancel = {
+    reason: string({ max: 2000 }),
+};
+
+const bookingReschedule = {
+    slotId: integer({ required: true, min: 1 }),
+    note: string({ max: 2000 }),
+};
+
+const analyticsEvent = {
+    type: string({ required: true, oneOf: ANALYTICS_EVENT_TYPES }),
+    path: string({ required: true, max: 500 }),
+    locale: string({ oneOf: SUPPORTED_LOCALES }),
+    serviceId: string({ max: 100 }),
+    cta: string({ oneOf: ANALYTICS_CTAS }),
+    form: string({ oneOf: ANALYTICS_FORMS }),
+    referrer: string({ max: 2000 }),
+};
+
+// A batch of events sent with navigator.sendBeacon.
+const analyticsBatch = {
+    events: array({ of: object(analyticsEvent), max: 20 }),
+};
+
+// Date range of the admin analytics report, e.g. ?from=2025-01-01&to=2025-01-31 (both inclusive)
+const analyticsReportQuery = {
+    from: string({ format: 'date' }),
+    to: string({ format: 'date' }),
+};
+
+// A visitor's cookie consent choice; "necessary" is always on and isn't sent.
+const consentRecord = {
+    consentId: string({ required: true, format: 'uuid' }),
+    version: integer({ required: true, min: 1 }),
+    categories: object({
+        analytics: boolean({ required: true }),
+        marketing: boolean({ required: true }),
+    }, { required: true }),
+};
+
+// Asks for a data request link to be emailed to this address.
+const dataRequest = {
+    email: string({ required: true, max: 254, format: 'email', lowercase: true }),
+    // Language of the page the link opens
+    locale: string({ oneOf: SUPPORTED_LOCALES }),
+};
+
+// The token from a data request link.
+const dataRequestToken = {
+    token: string({ required: true, max: 100 }),
+};
+
+const privacyLogQuery = {
+    page: integer({ min: 1, defaultValue: 1 }),
+    pageSize: integer({ min: 1, max: 100, defaultValue: 50 }),
+};
+
+module.exports = {
+    SUBMISSION_STATUSES,
+    APPLICATION_STATUSES,
+    BOOKING_STATUSES,
+    POST_TYPES,
+    SITE_FIELDS,
+    siteDataQuery,
+    siteQuery,
+    serviceQuery,
+    serviceListQuery,
+    processListQuery,
+    jobQuery,
+    jobListQuery,
+    contentParams,
+    postListQuery,
+    postParams,
+    contactSubmission,
+    adminLogin,
+    submissionListQuery,
+    submissionUpdate,
+    submissionNote,
+    jobApplication,
+    applicationListQuery,
+    applicationUpdate,
+    booking,
+    bookingSlotsBatch,
+    bookingSlotListQuery,
+    bookingListQuery,
+    bookingApprove,
+    bookingCancel,
+    bookingReschedule,
+    analyticsBatch,
+    analyticsReportQuery,
+    consentRecord,
+    dataRequest,
+    dataRequestToken,
+    privacyLogQuery,
+};
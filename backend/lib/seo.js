@@ -0,0 +1,102 @@
+// Builders for /sitemap.xml and /robots.txt.
+// Page URLs point at the public frontend (SITE_URL), so the frontend host should proxy
+// /sitemap.xml and /robots.txt to this server.
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, localizePath } = require('./i18n');
+
+// Static pages of the site, mirroring frontend/src/routes.js.
+const STATIC_PAGES = [
+    { path: '/', changefreq: 'weekly', priority: '1.0' },
+    { path: '/about', changefreq: 'monthly', priority: '0.7' },
+    { path: '/services', changefreq: 'weekly', priority: '0.9' },
+    { path: '/careers', changefreq: 'weekly', priority: '0.6' },
+    { path: '/blog', changefreq: 'weekly', priority: '0.7' },
+    { path: '/contact', changefreq: 'yearly', priority: '0.8' },
+    { path: '/privacy', changefreq: 'yearly', priority: '0.2' },
+];
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// `services`, `jobs` and `posts` are the documents as returned by SITEMAP_QUERY.
+const buildSitemap = (siteUrl, { services = [], jobs = [], posts = [] } = {}) => {
+    const base = trimSlash(siteUrl);
+    const pages = [
+        ...STATIC_PAGES,
+        ...services
+            .filter(service => service.id)
+            .map(service => ({
+                path: `/services/${encodeURIComponent(service.id)}`,
+                lastmod: service.updatedAt ? service.updatedAt.slice(0, 10) : undefined,
+                changefreq: 'monthly',
+                priority: '0.8',
+            })),
+        ...jobs
+            .filter(job => job.id)
+            .map(job => ({
+                path: `/careers/${encodeURIComponent(job.id)}`,
+                lastmod: job.updatedAt ? job.updatedAt.slice(0, 10) : undefined,
+                changefreq: 'weekly',
+                priority: '0.6',
+            })),
+        ...posts
+            .filter(post => post.slug)
+            .map(post => ({
+                path: `/blog/${encodeURIComponent(post.slug)}`,
+                lastmod: post.updatedAt ? post.updatedAt.slice(0, 10) : undefined,
+                changefreq: 'monthly',
+                priority: '0.6',
+            })),
+    ];
+
+    // Every page is listed once per locale, each entry pointing at all of its translations.
+    const entries = pages.flatMap(page => {
+        const alternates = [
+            ...SUPPORTED_LOCALES.map(locale => ({ hreflang: locale, href: `${base}${localizePath(page.path, locale)}` })),
+            { hreflang: 'x-default', href: `${base}${localizePath(page.path, DEFAULT_LOCALE)}` },
+        ];
+        return SUPPORTED_LOCALES.map(locale => [
+            '  <url>',
+            `    <loc>${escapeXml(`${base}${localizePath(page.path, locale)}`)}</loc>`,
+            ...alternates.map(link => `    <xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${escapeXml(link.href)}" />`),
+            page.lastmod ? `    <lastmod>${escapeXml(page.lastmod)}</lastmod>` : null,
+            `    <changefreq>${page.changefreq}</changefreq>`,
+            `    <priority>${page.priority}</priority>`,
+            '  </url>',
+        ].filter(Boolean).join('\n'));
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...entries,
+        '</urlset>',
+        '',
+    ].join('\n');
+};
+
+const buildRobots = (siteUrl) => [
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /api/',
+    'Disallow: /admin',
+    '',
+    `Sitemap: ${trimSlash(siteUrl)}/sitemap.xml`,
+    '',
+].join('\n');
+
+// Lightweight query for the sitemap: only the fields needed to build service, job and post URLs.
+const SITEMAP_QUERY = `{
+    "services": *[_type == "service" && defined(id.current)] | order(orderRank asc) { "id": id.current, "updatedAt": _updatedAt },
+    "jobs": *[_type == "jobPosting" && defined(id.current)] { "id": id.current, "updatedAt": _updatedAt },
+    "posts": *[_type in ["post", "caseStudy"] && defined(slug.current) && (!defined(publishedAt) || publishedAt <= now())] {
+        "slug": slug.current, "updatedAt": _updatedAt
+    }
+}`;
+
+module.exports = { buildSitemap, buildRobots, SITEMAP_QUERY };
@@ -0,0 +1,57 @@
+// Spam and abuse protection for POST /api/contact. Every rule is optional: a rule whose config
+// is missing or zero is skipped.
+const { createRateLimiter } = require('../rateLimiter');
+const rules = require('./rules');
+
+const createSpamGuard = (config) => {
+    const ipLimiter = config.ipRateLimit.max > 0 ? createRateLimiter(config.ipRateLimit) : null;
+    const emailLimiter = config.emailRateLimit.max > 0 ? createRateLimiter(config.emailRateLimit) : null;
+
+    const rateLimited = (retryAfterMs) => ({
+        action: 'reject',
+        reasons: ['rate-limited'],
+        status: 429,
+        retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+        message: 'Too many messages. Please try again later.',
+    });
+
+    // Resolves to { action: 'accept' | 'flag' | 'reject', reasons, ... }.
+    // Rejections stop at the first failing rule; flags are collected from every heuristic.
+    const check = async ({ body, ip }) => {
+        if (ipLimiter && ip) {
+            const limit = ipLimiter.hit(ip);
+            if (!limit.allowed) return rateLimited(limit.retryAfterMs);
+        }
+
+        const rejection =
+            (config.honeypotField && rules.checkHoneypot(body, { field: config.honeypotField })) ||
+            (config.minSubmitMs > 0 && rules.checkSubmitTiming(body, { minMs: config.minSubmitMs }));
+        if (rejection) return { ...rejection, reasons: [rejection.reason] };
+
+        if (emailLimiter && body.email) {
+            const limit = emailLimiter.hit(String(body.email).trim().toLowerCase());
+            if (!limit.allowed) return rateLimited(limit.retryAfterMs);
+        }
+
+        let captchaFlag = null;
+        if (config.captcha.secret) {
+            const captcha = await rules.verifyCaptcha(body.captchaToken, ip, config.captcha);
+            if (captcha && captcha.action === 'reject') return { ...captcha, reasons: [captcha.reason] };
+            captchaFlag = captcha;
+        }
+
+        const flags = [
+            captchaFlag,
+            config.maxLinks > 0 && rules.checkLinkCount(body, { maxLinks: config.maxLinks }),
+            config.blocklist.length > 0 && rules.checkBlocklist(body, { terms: config.blocklist }),
+        ].filter(Boolean);
+
+        return flags.length
+            ? { action: 'flag', reasons: flags.map(flag => flag.reason) }
+            : { action: 'accept', reasons: [] };
+    };
+
+    return { check };
+};
+
+module.exports = { createSpamGuard };
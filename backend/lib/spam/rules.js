@@ -0,0 +1,67 @@
+// Individual spam rules for the contact form. Each takes the request body (plus its own config)
+// and returns null when the submission passes, or a verdict:
+//   { action: 'reject', reason, message } - refuse the submission outright
+//   { action: 'flag', reason }            - store it, but with status 'spam'
+const { logger } = require('../logger');
+
+// Bots fill in every field, including the one hidden from humans.
+const checkHoneypot = (body, { field }) => {
+    const value = body[field];
+    return value !== undefined && value !== null && String(value).trim() !== ''
+        ? { action: 'reject', reason: 'honeypot', message: 'Your message could not be sent.' }
+        : null;
+};
+
+// Humans need a few seconds to fill in the form; the client reports how long it was open in `elapsedMs`.
+const checkSubmitTiming = (body, { minMs }) => {
+    const elapsedMs = Number(body.elapsedMs);
+    return !Number.isFinite(elapsedMs) || elapsedMs < minMs
+        ? { action: 'reject', reason: 'too-fast', message: 'Please take a moment to complete the form before sending it.' }
+        : null;
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const countLinks = (text) => (String(text || '').match(LINK_PATTERN) || []).length;
+
+// Content heuristics only flag: a real lead that happens to paste links must not be lost.
+const checkLinkCount = (body, { maxLinks }) => {
+    const links = countLinks(body.message) + countLinks(body.name);
+    return links > maxLinks ? { action: 'flag', reason: `too-many-links:${links}` } : null;
+};
+
+const checkBlocklist = (body, { terms }) => {
+    const haystack = `${body.name || ''} ${body.email || ''} ${body.message || ''}`.toLowerCase();
+    const term = terms.find(t => haystack.includes(t));
+    return term ? { action: 'flag', reason: `blocklisted-term:${term}` } : null;
+};
+
+// CAPTCHA hook. Turnstile, hCaptcha and reCAPTCHA all accept this form-encoded verify request.
+// A submission without a token, or one the provider can't check in `timeoutMs`, is flagged for review
+// instead: it can't be told apart from a bot, but it may well be a real lead. The site's forms don't render
+// a CAPTCHA widget yet, so no token at all is the normal case until one does.
+const verifyCaptcha = async (token, ip, { verifyUrl, secret, timeoutMs }) => {
+    if (!token) {
+        return { action: 'flag', reason: 'captcha-missing' };
+    }
+    let result;
+    try {
+        const response = await fetch(verifyUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ secret, response: String(token), ...(ip && { remoteip: ip }) }),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`CAPTCHA verify request failed with status ${response.status}`);
+        }
+        result = await response.json();
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? 'captcha-timeout' : 'captcha-unavailable';
+        logger.warn('CAPTCHA could not be verified', { reason, error: error.message });
+        return { action: 'flag', reason };
+    }
+    return result.success ? null : { action: 'reject', reason: 'captcha-failed', message: 'CAPTCHA verification failed. Please try again.' };
+};
+
+module.exports = { checkHoneypot, checkSubmitTiming, checkLinkCount, checkBlocklist, verifyCaptcha, countLinks };
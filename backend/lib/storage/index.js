@@ -0,0 +1,21 @@
+// Pluggable object storage for uploaded files. Every adapter exposes:
+//
+//   write(key, readableStream) -> Promise<void>     stores the stream under `key`
+//   read(key)                  -> Promise<Readable | null>
+//   remove(key)                -> Promise<void>     no error if the object is already gone
+//
+//   local - files in UPLOADS_DIR (the default)
+//
+// An S3-compatible adapter only needs to implement the same three methods.
+const { createLocalStorage } = require('./local');
+
+const createStorage = (config) => {
+    switch (config.driver) {
+        case 'local':
+            return createLocalStorage(config.local);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${config.driver}". Use "local".`);
+    }
+};
+
+module.exports = { createStorage };
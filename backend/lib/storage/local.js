@@ -0,0 +1,46 @@
+// Storage adapter that keeps objects as files in a local directory.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Keys are generated by the upload service, but never let one escape the storage directory.
+const SAFE_KEY = /^[\w.-]+$/;
+
+const createLocalStorage = ({ dir }) => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const resolve = (key) => {
+        if (!SAFE_KEY.test(key) || key.startsWith('.')) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(dir, key);
+    };
+
+    // Streams `source` into the object `key`. A partially written file is removed if the stream fails.
+    const write = async (key, source) => {
+        const file = resolve(key);
+        try {
+            await pipeline(source, fs.createWriteStream(file, { flags: 'wx' }));
+        } catch (error) {
+            await fs.promises.rm(file, { force: true });
+            throw error;
+        }
+    };
+
+    // Resolves to a readable stream, or null when the object doesn't exist.
+    const read = async (key) => {
+        const file = resolve(key);
+        try {
+            await fs.promises.access(file);
+        } catch {
+            return null;
+        }
+        return fs.createReadStream(file);
+    };
+
+    const remove = (key) => fs.promises.rm(resolve(key), { force: true });
+
+    return { name: 'local', write, read, remove };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,46 @@
+// File types accepted for uploads, identified by their leading "magic" bytes rather than the
+// extension or the Content-Type the browser sent. The extension still has to agree with the content,
+// because formats like DOCX and XLSX share a signature (both are ZIP archives).
+const SIGNATURES = {
+    pdf: [Buffer.from('%PDF-')],
+    png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+    // OLE compound file: legacy .doc, .xls and .ppt
+    ole: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+    // ZIP container: .docx, .xlsx and .pptx
+    zip: [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+};
+
+const FILE_TYPES = {
+    pdf: { extensions: ['.pdf'], mimeType: 'application/pdf', signature: 'pdf' },
+    png: { extensions: ['.png'], mimeType: 'image/png', signature: 'png' },
+    jpeg: { extensions: ['.jpg', '.jpeg'], mimeType: 'image/jpeg', signature: 'jpeg' },
+    doc: { extensions: ['.doc'], mimeType: 'application/msword', signature: 'ole' },
+    docx: { extensions: ['.docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: 'zip' },
+    xls: { extensions: ['.xls'], mimeType: 'application/vnd.ms-excel', signature: 'ole' },
+    xlsx: { extensions: ['.xlsx'], mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', signature: 'zip' },
+    ppt: { extensions: ['.ppt'], mimeType: 'application/vnd.ms-powerpoint', signature: 'ole' },
+    pptx: { extensions: ['.pptx'], mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', signature: 'zip' },
+};
+
+// How many leading bytes detectFileType() needs to see.
+const SNIFF_BYTES = Math.max(...Object.values(SIGNATURES).flat().map(signature => signature.length));
+
+// Returns the id of the allowed type whose extension matches `filename` and whose signature
+// matches `header`, or null.
+const detectFileType = (header, filename, allowed) => {
+    const extension = (String(filename).match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    return allowed.find((id) => {
+        const type = FILE_TYPES[id];
+        return type.extensions.includes(extension)
+            && SIGNATURES[type.signature].some(signature => header.subarray(0, signature.length).equals(signature));
+    }) || null;
+};
+
+// "PDF, DOC or DOCX", for error messages.
+const describeTypes = (allowed) => {
+    const names = allowed.map(id => id.toUpperCase());
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+};
+
+module.exports = { FILE_TYPES, SNIFF_BYTES, detectFileType, describeTypes };
@@ -0,0 +1,245 @@
+// Uploaded files: multipart parsing, type checks, virus scanning, metadata in the `uploads` table
+// and expiring signed download links.
+//
+// Files are streamed straight into the storage adapter (lib/storage) while their first bytes are
+// checked against the allowed types (lib/uploads/fileTypes.js). Each stored file gets an `uploads`
+// row that is later linked to the submission or job application it belongs to; rows that are never
+// linked are removed by purgeUnclaimed().
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const multer = require('multer');
+const { ApiError } = require('../errors');
+const { logger } = require('../logger');
+const { FILE_TYPES, SNIFF_BYTES, detectFileType, describeTypes } = require('./fileTypes');
+
+const UPLOAD_COLUMNS = 'id, purpose, original_name, content_type, size, scan_status, created_at';
+
+const invalidFile = (field, code, message) => new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', { [field]: { code, message } });
+
+// Passes bytes through while checking the leading bytes, counting the size and hashing the content.
+const createInspector = (onHeader) => {
+    let header = Buffer.alloc(0);
+    let checked = false;
+    const hash = crypto.createHash('sha256');
+    const inspector = new Transform({
+        transform(chunk, encoding, cb) {
+            hash.update(chunk);
+            inspector.size += chunk.length;
+            if (checked) return cb(null, chunk);
+            header = Buffer.concat([header, chunk]);
+            if (header.length < SNIFF_BYTES) return cb();
+            checked = true;
+            cb(onHeader(header), header);
+        },
+        flush(cb) {
+            if (!checked) {
+                checked = true;
+                const error = onHeader(header);
+                if (error) return cb(error);
+                this.push(header);
+            }
+            inspector.sha256 = hash.digest('hex');
+            cb();
+        },
+    });
+    inspector.size = 0;
+    return inspector;
+};
+
+const createUploadService = ({ pool, storage, scanner, signingSecret, urlTtlMs, unclaimedTtlMs }) => {
+    // multer storage engine streaming each file into `storage` under a random key.
+    const createEngine = ({ field, label, types }) => ({
+        _handleFile(req, file, cb) {
+            let fileType = null;
+            const inspector = createInspector((header) => {
+                fileType = detectFileType(header, file.originalname, types);
+                return fileType ? null : invalidFile(field, 'invalid_type', `${label} must be a ${describeTypes(types)} file.`);
+            });
+            const key = crypto.randomUUID();
+
+            file.stream.pipe(inspector);
+            storage.write(key, inspector).then(
+                () => cb(null, {
+                    key,
+                    size: inspector.size,
+                    sha256: inspector.sha256,
+                    contentType: FILE_TYPES[fileType].mimeType,
+                }),
+                (error) => {
+                    // Keep reading so busboy can finish parsing the rest of the form.
+                    file.stream.unpipe(inspector);
+                    file.stream.resume();
+                    cb(error);
+                }
+            );
+        },
+        // multer calls this for files it aborts; a failed write has no key and was already cleaned up.
+        _removeFile(req, file, cb) {
+            if (!file.key) return cb(null);
+            storage.remove(file.key).then(() => cb(null), cb);
+        },
+    });
+
+    // Returns middleware parsing a multipart form with at most one file in `field` (exposed as req.file).
+    // Oversized files and files whose content doesn't match `types` fail with a field-level validation error.
+    const middleware = ({ field, label, types, maxBytes, required = true }) => {
+        const upload = multer({
+            storage: createEngine({ field, label, types }),
+            limits: { fileSize: maxBytes, files: 1, fields: 20 },
+        }).single(field);
+
+        return (req, res, next) => {
+            upload(req, res, (error) => {
+                if (!error) {
+                    if (required && !req.file) return next(invalidFile(field, 'required', `${label} is required.`));
+                    return next();
+                }
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return next(invalidFile(field, 'too_large', `${label} must be at most ${Math.floor(maxBytes / (1024 * 1024))} MB.`));
+                }
+                if (error instanceof multer.MulterError) {
+                    return next(new ApiError(400, 'INVALID_UPLOAD', 'The uploaded form could not be read.'));
+                }
+                next(error);
+            });
+        };
+    };
+
+    // Deletes a stored file that won't be kept, e.g. after a later validation step failed.
+    const discard = (file) => {
+        if (!file || !file.key) return;
+        storage.remove(file.key).catch(error => logger.error('Could not remove upload', { storageKey: file.key, err: error }));
+    };
+
+    // Runs the virus scan on a file stored by middleware() and records it. Infected files are deleted
+    // and rejected; if the scanner can't be reached the upload fails rather than skipping the scan.
+    const save = async (file, { purpose }) => {
+        let scan;
+        try {
+            scan = await scanner.scan(await storage.read(file.key));
+        } catch (error) {
+            logger.error('Virus scan failed', { storageKey: file.key, err: error });
+            discard(file);
+            throw new ApiError(503, 'SCAN_UNAVAILABLE', 'We could not check your file right now. Please try again later.');
+        }
+        if (scan.status === 'infected') {
+            logger.warn('Rejected infected upload', { storageKey: file.key, detail: scan.detail });
+            discard(file);
+            throw new ApiError(422, 'UPLOAD_REJECTED', 'This file was rejected by our virus scanner.');
+        }
+
+        const result = await pool.query(
+            `INSERT INTO uploads(purpose, storage_key, original_name, content_type, size, sha256, scan_status, scan_detail)
+             VALUES($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING ${UPLOAD_COLUMNS}`,
+            [purpose, file.key, file.originalname, file.contentType, file.size, file.sha256, scan.status, scan.detail]
+        );
+        return result.rows[0];
+    };
+
+    // Links recently uploaded, still unlinked attachments to a submission. Resolves to the ids that were linked,
+    // so callers can reject ids that are unknown, expired or already used.
+    const claimForSubmission = async (ids, submissionId, db = pool) => {
+        if (!ids.length) return [];
+        const result = await db.query(
+            `UPDATE uploads SET submission_id = $1
+              WHERE id = ANY($2::uuid[]) AND purpose = 'attachment'
+                AND submission_id IS NULL AND application_id IS NULL
+                AND created_at > now() - make_interval(secs => $3)
+              RETURNING id`,
+            [submissionId, ids, unclaimedTtlMs / 1000]
+        );
+        return result.rows.map(row => row.id);
+    };
+
+    const signature = (id, expires) => crypto.createHmac('sha256', signingSecret).update(`${id}.${expires}`).digest('base64url');
+
+    // Relative URL that downloads the upload without a login until it expires.
+    const signedPath = (id) => {
+        const expires = Date.now() + urlTtlMs;
+        return `/api/uploads/${id}/download?expires=${expires}&signature=${signature(id, expires)}`;
+    };
+
+    const isValidSignature = (id, expires, received) => {
+        if (!Number.isFinite(expires) || expires < Date.now() || typeof received !== 'string') return false;
+        const expected = Buffer.from(signature(id, expires));
+        const actual = Buffer.from(received);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    };
+
+    // Upload metadata with signed download URLs, for the admin API.
+    const listFor = async ({ submissionId = null, applicationId = null }) => {
+        const result = await pool.query(
+            `SELECT ${UPLOAD_COLUMNS} FROM uploads
+              WHERE ($1::int IS NULL OR submission_id = $1) AND ($2::int IS NULL OR application_id = $2)
+                AND ($1::int IS NOT NULL OR $2::int IS NOT NULL)
+              ORDER BY created_at ASC`,
+            [submissionId, applicationId]
+        );
+        return result.rows.map(row => ({ ...row, url: signedPath(row.id) }));
+    };
+
+    const removeRows = async (rows) => {
+        await Promise.all(rows.map(row => storage.remove(row.storage_key)
+            .catch(error => logger.error('Could not remove stored file', { storageKey: row.storage_key, err: error }))));
+        return rows.length;
+    };
+
+    // Deletes the uploads linked to a submission or application, both rows and stored files.
+    const removeFor = async ({ submissionId = null, applicationId = null }) => {
+        const result = await pool.query(
+            `DELETE FROM uploads
+              WHERE ($1::int IS NOT NULL AND submission_id = $1) OR ($2::int IS NOT NULL AND application_id = $2)
+              RETURNING storage_key`,
+            [submissionId, applicationId]
+        );
+        return removeRows(result.rows);
+    };
+
+    // Deletes uploads that were never linked to anything within the claim window.
+    const purgeUnclaimed = async () => {
+        const result = await pool.query(
+            `DELETE FROM uploads
+              WHERE submission_id IS NULL AND application_id IS NULL
+                AND created_at < now() - make_interval(secs => $1)
+              RETURNING storage_key`,
+            [unclaimedTtlMs / 1000]
+        );
+        const removed = await removeRows(result.rows);
+        if (removed) logger.info('Removed unclaimed uploads', { count: removed });
+        return removed;
+    };
+
+    // GET /api/uploads/:id/download?expires=&signature= - streams the file as an attachment.
+    const download = async (req, res) => {
+        const { id } = req.params;
+        if (!isValidSignature(id, Number(req.query.expires), req.query.signature)) {
+            throw new ApiError(403, 'INVALID_SIGNATURE', 'This download link is invalid or has expired.');
+        }
+
+        const result = await pool.query('SELECT storage_key, original_name, content_type, scan_status FROM uploads WHERE id = $1', [id]);
+        const upload = result.rows[0];
+        if (!upload || !['clean', 'skipped'].includes(upload.scan_status)) {
+            throw new ApiError(404, 'NOT_FOUND', 'File not found.');
+        }
+        const stream = await storage.read(upload.storage_key);
+        if (!stream) {
+            logger.error('Stored file for upload is missing', { uploadId: id });
+            throw new ApiError(404, 'NOT_FOUND', 'File not found.');
+        }
+
+        res.attachment(upload.original_name);
+        res.set({
+            'Content-Type': upload.content_type,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store',
+        });
+        pipeline(stream, res, (error) => {
+            if (error) logger.error('Download of upload failed', { uploadId: id, err: error });
+        });
+    };
+
+    return { middleware, discard, save, claimForSubmission, signedPath, listFor, removeFor, purgeUnclaimed, download };
+};
+
+module.exports = { createUploadService };
@@ -0,0 +1,67 @@
+// Virus-scan hook for uploaded files. Every scanner exposes `scan(readableStream)` resolving to
+// { status: 'clean' | 'infected' | 'skipped', detail }.
+//
+//   none  - no scanning; files are recorded as 'skipped' (the default)
+//   clamd - streams the file to a ClamAV daemon (CLAMD_HOST, CLAMD_PORT) using its INSTREAM command
+const net = require('net');
+
+const createNoopScanner = () => ({
+    name: 'none',
+    scan: async (stream) => {
+        stream.resume();
+        return { status: 'skipped', detail: null };
+    },
+});
+
+// INSTREAM protocol: "zINSTREAM\0", then chunks each prefixed with a 4-byte big-endian length,
+// then a zero-length chunk. clamd answers "stream: OK" or "stream: <signature> FOUND".
+const createClamdScanner = ({ host, port, timeoutMs = 30000 }) => ({
+    name: 'clamd',
+    scan: (stream) => new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let reply = '';
+
+        const fail = (error) => {
+            stream.destroy();
+            socket.destroy();
+            reject(error);
+        };
+
+        socket.setTimeout(timeoutMs, () => fail(new Error('clamd did not answer in time')));
+        socket.on('error', fail);
+        socket.on('data', (data) => {
+            reply += data.toString('utf8');
+        });
+        socket.on('end', () => {
+            const result = reply.replace(/\0/g, '').trim();
+            if (/OK$/.test(result)) return resolve({ status: 'clean', detail: null });
+            const found = result.match(/^stream: (.+) FOUND$/);
+            if (found) return resolve({ status: 'infected', detail: found[1] });
+            reject(new Error(`Unexpected clamd reply: ${result}`));
+        });
+
+        socket.on('connect', () => {
+            socket.write('zINSTREAM\0');
+            stream.on('data', (chunk) => {
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+                socket.write(Buffer.concat([length, chunk]));
+            });
+            stream.on('end', () => socket.write(Buffer.alloc(4)));
+            stream.on('error', fail);
+        });
+    }),
+});
+
+const createScanner = (config) => {
+    switch (config.driver) {
+        case 'none':
+            return createNoopScanner();
+        case 'clamd':
+            return createClamdScanner(config.clamd);
+        default:
+            throw new Error(`Unknown VIRUS_SCAN_DRIVER "${config.driver}". Use none or clamd.`);
+    }
+};
+
+module.exports = { createScanner };
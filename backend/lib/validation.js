@@ -0,0 +1,191 @@
+// Declarative request validation. A schema is an object of field rules built with the helpers below;
+// validate() returns the normalised value (unknown fields dropped) and a map of field errors.
+//
+//   const schema = { email: string({ required: true, max: 254, format: 'email', lowercase: true }) };
+//   router.post('/', validateRequest({ body: schema }), handler); // handler reads req.body
+const { ApiError } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A real calendar day: Date.parse() rolls 2024-02-31 over to March instead of rejecting it.
+const isDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// IANA zone names such as "Europe/Paris", as far as this Node build's Intl knows them.
+const isTimeZone = (value) => {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const fieldError = (code, message) => ({ code, message });
+
+// Each rule is (value, label) => { value } | { error }. `label` is the human-readable field name.
+const string = ({ required = false, min = 0, max = Infinity, trim = true, collapseWhitespace = false, lowercase = false, format, oneOf } = {}) => (raw, label) => {
+    if (isEmpty(raw)) {
+        return required ? { error: fieldError('required', `${label} is required.`) } : { value: undefined };
+    }
+    if (typeof raw !== 'string') {
+        return { error: fieldError('invalid_type', `${label} must be text.`) };
+    }
+
+    let value = raw.replace(/\r\n?/g, '\n');
+    if (trim) value = value.trim();
+    if (collapseWhitespace) value = value.replace(/\s+/g, ' ');
+    if (lowercase) value = value.toLowerCase();
+
+    if (!value) {
+        return required ? { error: fieldError('required', `${label} is required.`) } : { value: undefined };
+    }
+    if (value.length < min) {
+        return { error: fieldError('too_short', `${label} must be at least ${min} characters.`) };
+    }
+    if (value.length > max) {
+        return { error: fieldError('too_long', `${label} must be at most ${max} characters.`) };
+    }
+    if (format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: fieldError('invalid_format', `${label} must be a valid email address.`) };
+    }
+    if (format === 'date' && !isDate(value)) {
+        return { error: fieldError('invalid_format', `${label} must be a date in YYYY-MM-DD format.`) };
+    }
+    if (format === 'uuid' && !UUID_PATTERN.test(value)) {
+        return { error: fieldError('invalid_format', `${label} must be a valid id.`) };
+    }
+    if (format === 'time' && !TIME_PATTERN.test(value)) {
+        return { error: fieldError('invalid_format', `${label} must be a time in HH:MM format.`) };
+    }
+    if (format === 'timeZone' && !isTimeZone(value)) {
+        return { error: fieldError('invalid_format', `${label} must be a valid time zone.`) };
+    }
+    if (oneOf && !oneOf.includes(value)) {
+        return { error: fieldError('invalid_value', `${label} must be one of: ${oneOf.join(', ')}.`) };
+    }
+    return { value };
+};
+
+// Accepts numbers and numeric strings (query parameters always arrive as strings).
+const integer = ({ required = false, min = -Infinity, max = Infinity, defaultValue } = {}) => (raw, label) => {
+    if (isEmpty(raw)) {
+        if (defaultValue !== undefined) return { value: defaultValue };
+        return required ? { error: fieldError('required', `${label} is required.`) } : { value: undefined };
+    }
+    const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    if (!Number.isInteger(value)) {
+        return { error: fieldError('invalid_type', `${label} must be a whole number.`) };
+    }
+    if (value < min) {
+        return { error: fieldError('too_small', `${label} must be at least ${min}.`) };
+    }
+    if (value > max) {
+        return { error: fieldError('too_large', `${label} must be at most ${max}.`) };
+    }
+    return { value };
+};
+
+const boolean = ({ required = false, defaultValue } = {}) => (raw, label) => {
+    if (isEmpty(raw)) {
+        if (defaultValue !== undefined) return { value: defaultValue };
+        return required ? { error: fieldError('required', `${label} is required.`) } : { value: undefined };
+    }
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return { error: fieldError('invalid_type', `${label} must be true or false.`) };
+};
+
+// A list whose every item must pass `of`, another rule. Missing lists default to [].
+// With `separator`, a single string is split into items too, e.g. "?fields=title,description".
+const array = ({ of, max = Infinity, separator } = {}) => (raw, label) => {
+    if (isEmpty(raw)) return { value: [] };
+    const items = separator && typeof raw === 'string' ? raw.split(separator).filter(item => item.trim()) : raw;
+    if (!Array.isArray(items)) {
+        return { error: fieldError('invalid_type', `${label} must be a list.`) };
+    }
+    if (items.length > max) {
+        return { error: fieldError('too_many', `${label} can have at most ${max} items.`) };
+    }
+    const value = [];
+    for (const item of items) {
+        const result = of(item, label);
+        if (result.error) return result;
+        if (result.value !== undefined) value.push(result.value);
+    }
+    return { value: [...new Set(value)] };
+};
+
+// A nested object checked against its own schema, e.g. the items of array({ of: object(eventSchema) }).
+// The first invalid field is reported, prefixed with the object's label.
+const object = (schema, { required = false } = {}) => (raw, label) => {
+    if (isEmpty(raw)) {
+        return required ? { error: fieldError('required', `${label} is required.`) } : { value: undefined };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: fieldError('invalid_type', `${label} must be an object.`) };
+    }
+    const { value, errors } = validate(schema, raw);
+    if (errors) {
+        const [error] = Object.values(errors);
+        return { error: fieldError(error.code, `${label}: ${error.message}`) };
+    }
+    return { value };
+};
+
+// Turns "captchaToken" into "Captcha token" for error messages.
+const toLabel = (field) => {
+    const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const validate = (schema, input) => {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+    const errors = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const result = rule(source[field], toLabel(field));
+        if (result.error) {
+            errors[field] = result.error;
+        } else if (result.value !== undefined) {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+// Express middleware validating any of req.body, req.query and req.params against schemas.
+// Normalised values replace req.body; query and params are exposed as req.validQuery and req.validParams
+// (Express 5 makes req.query read-only).
+const validateRequest = (schemas) => (req, res, next) => {
+    const fields = {};
+    const results = {};
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
+        const { value, errors } = validate(schemas[part], req[part]);
+        results[part] = value;
+        Object.assign(fields, errors);
+    }
+
+    if (Object.keys(fields).length) {
+        return next(new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', fields));
+    }
+
+    if (results.body) req.body = results.body;
+    if (results.query) req.validQuery = results.query;
+    if (results.params) req.validParams = results.params;
+    next();
+};
+
+module.exports = { string, integer, boolean, array, object, validate, validateRequest };
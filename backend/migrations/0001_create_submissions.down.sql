@@ -0,0 +1,3 @@
+-- Deliberately a no-op. Databases created before migrations were introduced already had this table, so the
+-- up script may not have created it, and dropping it here would delete every stored lead. Drop it by hand
+-- if you really mean to.
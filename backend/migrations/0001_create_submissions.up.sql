@@ -0,0 +1,9 @@
+-- Contact form submissions. IF NOT EXISTS because databases created before migrations
+-- were introduced already have this table.
+CREATE TABLE IF NOT EXISTS submissions (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
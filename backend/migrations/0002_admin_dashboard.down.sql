@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS submission_notes;
+DROP INDEX IF EXISTS submissions_created_at_idx;
+ALTER TABLE submissions DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE submissions DROP COLUMN IF EXISTS status;
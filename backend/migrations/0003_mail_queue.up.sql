@@ -0,0 +1,12 @@
+-- Outgoing emails waiting for delivery or retry (see lib/mail/queue.js).
+CREATE TABLE IF NOT EXISTS mail_queue (
+    id SERIAL PRIMARY KEY,
+    message JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    sent_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS mail_queue_due_idx ON mail_queue (next_attempt_at) WHERE status = 'pending';
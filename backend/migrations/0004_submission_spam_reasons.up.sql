@@ -0,0 +1,2 @@
+-- Why the spam heuristics flagged a submission (see lib/spam).
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS spam_reasons TEXT[];
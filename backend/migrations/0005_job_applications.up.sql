@@ -0,0 +1,32 @@
+-- Applications submitted through the careers page. `job_id` is the CMS jobPosting id;
+-- the role title is copied so the record still makes sense after the posting is removed.
+CREATE TABLE job_applications (
+    id SERIAL PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    job_role TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    cover_letter TEXT,
+    cv_path TEXT NOT NULL,
+    cv_filename TEXT NOT NULL,
+    cv_content_type TEXT NOT NULL,
+    cv_size INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX job_applications_created_at_idx ON job_applications (created_at DESC);
+CREATE INDEX job_applications_job_id_idx ON job_applications (job_id);
+
+-- Every stage change, with who made it and an optional note, so the hiring history is kept.
+CREATE TABLE job_application_events (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    author TEXT NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX job_application_events_application_idx ON job_application_events (application_id, created_at);
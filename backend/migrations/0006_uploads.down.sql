@@ -0,0 +1,13 @@
+ALTER TABLE job_applications
+    ADD COLUMN cv_path TEXT,
+    ADD COLUMN cv_filename TEXT,
+    ADD COLUMN cv_content_type TEXT,
+    ADD COLUMN cv_size INTEGER;
+
+-- cv_path gets the bare storage key; prefix it with UPLOADS_DIR when rolling the code back as well.
+UPDATE job_applications AS a
+   SET cv_path = u.storage_key, cv_filename = u.original_name, cv_content_type = u.content_type, cv_size = u.size
+  FROM uploads AS u
+ WHERE u.application_id = a.id AND u.purpose = 'cv';
+
+DROP TABLE IF EXISTS uploads;
@@ -0,0 +1,31 @@
+-- Files uploaded through the API (see lib/uploads). Each upload is linked to at most one
+-- submission or job application; unlinked rows are purged after the claim window.
+CREATE TABLE uploads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    purpose TEXT NOT NULL,
+    storage_key TEXT NOT NULL UNIQUE,
+    original_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size BIGINT NOT NULL,
+    sha256 TEXT,
+    scan_status TEXT NOT NULL,
+    scan_detail TEXT,
+    submission_id INTEGER REFERENCES submissions(id) ON DELETE CASCADE,
+    application_id INTEGER REFERENCES job_applications(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX uploads_submission_idx ON uploads (submission_id) WHERE submission_id IS NOT NULL;
+CREATE INDEX uploads_application_idx ON uploads (application_id) WHERE application_id IS NOT NULL;
+CREATE INDEX uploads_unclaimed_idx ON uploads (created_at) WHERE submission_id IS NULL AND application_id IS NULL;
+
+-- CVs used to be written straight into UPLOADS_DIR, which is also the local storage adapter's
+-- directory, so each file's name is its storage key.
+INSERT INTO uploads(purpose, storage_key, original_name, content_type, size, scan_status, application_id, created_at)
+SELECT 'cv', regexp_replace(cv_path, '^.*/', ''), cv_filename, cv_content_type, cv_size, 'skipped', id, created_at
+  FROM job_applications;
+
+ALTER TABLE job_applications
+    DROP COLUMN cv_path,
+    DROP COLUMN cv_filename,
+    DROP COLUMN cv_content_type,
+    DROP COLUMN cv_size;
@@ -0,0 +1,17 @@
+-- First-party analytics events (see lib/analytics.js). No personal data: visitor_hash is a hash of the
+-- visitor's IP address and user agent with a salt that changes daily and is never stored, so events can
+-- be grouped into one day's visit but not traced back to a person or linked across days.
+CREATE TABLE analytics_events (
+    id BIGSERIAL PRIMARY KEY,
+    type TEXT NOT NULL,
+    visitor_hash TEXT NOT NULL,
+    path TEXT NOT NULL,
+    locale TEXT,
+    service_id TEXT,
+    cta TEXT,
+    form TEXT,
+    referrer_host TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX analytics_events_created_idx ON analytics_events (created_at);
+CREATE INDEX analytics_events_type_created_idx ON analytics_events (type, created_at);
@@ -0,0 +1,11 @@
+-- Cookie consent choices made on the site (see routes/consent.js), kept as proof of consent.
+-- consent_id is a random id generated in the visitor's browser; nothing else identifies them.
+CREATE TABLE consent_records (
+    id BIGSERIAL PRIMARY KEY,
+    consent_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    analytics BOOLEAN NOT NULL,
+    marketing BOOLEAN NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX consent_records_consent_idx ON consent_records (consent_id, created_at);
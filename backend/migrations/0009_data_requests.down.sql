@@ -0,0 +1,4 @@
+ALTER TABLE job_applications DROP COLUMN IF EXISTS anonymised_at;
+ALTER TABLE submissions DROP COLUMN IF EXISTS anonymised_at;
+DROP TABLE IF EXISTS privacy_audit_log;
+DROP TABLE IF EXISTS data_requests;
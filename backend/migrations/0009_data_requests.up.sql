@@ -0,0 +1,31 @@
+-- Data subject requests (see lib/privacy.js). A request proves that someone controls an email address:
+-- its emailed link lets them export or erase everything stored for that address until it expires.
+-- Only a SHA-256 of the link token is stored.
+CREATE TABLE data_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMPTZ NOT NULL,
+    verified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX data_requests_expires_idx ON data_requests (expires_at);
+
+-- Every data request and retention action. Subjects are identified by a hash of their email address,
+-- so the log can show what was done for an address without keeping the address after erasure.
+CREATE TABLE privacy_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    action TEXT NOT NULL,
+    subject_hash TEXT,
+    request_id UUID,
+    actor TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX privacy_audit_log_created_idx ON privacy_audit_log (created_at DESC);
+CREATE INDEX privacy_audit_log_subject_idx ON privacy_audit_log (subject_hash);
+
+-- Set when the retention job strips a record's personal data but keeps it for statistics.
+ALTER TABLE submissions ADD COLUMN anonymised_at TIMESTAMPTZ;
+ALTER TABLE job_applications ADD COLUMN anonymised_at TIMESTAMPTZ;
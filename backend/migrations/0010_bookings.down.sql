@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS booking_events;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS booking_slots;
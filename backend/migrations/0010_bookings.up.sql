@@ -0,0 +1,50 @@
+-- Discovery-call booking (see lib/bookings.js). Staff publish bookable slots; prospects book one from a
+-- service page. Slots may not overlap, and a slot holds at most one confirmed booking.
+CREATE TABLE booking_slots (
+    id SERIAL PRIMARY KEY,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (ends_at > starts_at),
+    EXCLUDE USING gist (tstzrange(starts_at, ends_at) WITH &&)
+);
+
+-- `service_id` is the CMS service id; its title is copied, like job_role on job_applications. The call's
+-- times are copied from the slot too, so cancelled bookings keep them after the slot is deleted.
+-- `time_zone` is the prospect's IANA zone, used for the times in their emails, and `locale` the language of
+-- the page they booked from. `sequence` counts changes for the calendar invite (lib/ics.js).
+CREATE TABLE bookings (
+    id SERIAL PRIMARY KEY,
+    slot_id INTEGER REFERENCES booking_slots(id) ON DELETE SET NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    service_id TEXT NOT NULL,
+    service_title TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    message TEXT,
+    time_zone TEXT NOT NULL,
+    locale TEXT NOT NULL DEFAULT 'en',
+    status TEXT NOT NULL DEFAULT 'confirmed',
+    invite_uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    anonymised_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX bookings_confirmed_slot_idx ON bookings (slot_id) WHERE status = 'confirmed';
+CREATE INDEX bookings_starts_at_idx ON bookings (starts_at DESC);
+
+-- Every booking, reschedule and cancellation, with who made it and an optional note.
+CREATE TABLE booking_events (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    action TEXT NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    author TEXT NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX booking_events_booking_idx ON booking_events (booking_id, created_at);
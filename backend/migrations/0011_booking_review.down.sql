@@ -0,0 +1,5 @@
+-- Without the review step, a held booking is one nobody confirmed.
+UPDATE bookings SET status = 'cancelled' WHERE status = 'held';
+DROP INDEX IF EXISTS bookings_active_slot_idx;
+CREATE UNIQUE INDEX bookings_confirmed_slot_idx ON bookings (slot_id) WHERE status = 'confirmed';
+ALTER TABLE bookings DROP COLUMN IF EXISTS spam_reasons;
@@ -0,0 +1,5 @@
+-- Bookings the spam heuristics flag (see lib/spam) are held for staff review: status 'held', with the reasons
+-- in spam_reasons. A held booking keeps its slot until staff approve or cancel it.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS spam_reasons TEXT[];
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
+CREATE UNIQUE INDEX bookings_active_slot_idx ON bookings (slot_id) WHERE status IN ('confirmed', 'held');
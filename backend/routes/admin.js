@@ -0,0 +1,205 @@
+// Staff-only API for reviewing contact form submissions, job applications, discovery calls, site analytics
+// and the privacy audit log, and for draft preview links.
+// Every route except /login needs a bearer token.
+const express = require('express');
+const { verifyPassword, requireAdmin } = require('../lib/auth');
+const { sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { createApplicationsAdminRouter } = require('./adminApplications');
+const { createBookingsAdminRouter } = require('./adminBookings');
+const { createAnalyticsAdminRouter } = require('./adminAnalytics');
+const { createPrivacyAdminRouter } = require('./adminPrivacy');
+
+const notFound = (res) => sendError(res, 404, 'NOT_FOUND', 'Submission not found.');
+
+// Escapes LIKE wildcards so a search for "50%" matches literally.
+const toLikePattern = (search) => `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+// `uploads` is the lib/uploads service holding submission attachments and CVs; `previewTokens` signs draft
+// preview links (lib/preview) and is null when preview is not configured; `retention` is the data
+// retention policy (lib/privacy); `bookings` is the lib/bookings service and `bookingHorizonDays` how far
+// ahead prospects can book. `loginIpLimiter` and `loginUsernameLimiter` are lib/rateLimiter instances that
+// cap password guessing from one address and against one account.
+const createAdminRouter = ({ pool, sessions, loginIpLimiter, loginUsernameLimiter, uploads, previewTokens, retention, bookings, bookingHorizonDays }) => {
+    const router = express.Router();
+    const authenticate = requireAdmin(sessions);
+
+    // Submission ids are integers; anything else can't exist.
+    router.param('id', (req, res, next, id) => {
+        if (!/^\d+$/.test(id)) {
+            return notFound(res);
+        }
+        next();
+    });
+
+    router.post('/login', validateRequest({ body: schemas.adminLogin }), async (req, res) => {
+        const { username, password } = req.body;
+
+        const limit = [loginIpLimiter.hit(req.ip), loginUsernameLimiter.hit(username.toLowerCase())].find(result => !result.allowed);
+        if (limit) {
+            logger.warn('Admin login rate limited', { username });
+            res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many login attempts. Please try again later.');
+        }
+
+        try {
+            const result = await pool.query('SELECT id, username, password_hash FROM admin_users WHERE username = $1', [username]);
+            const user = result.rows[0];
+            // Always run a hash comparison so response timing doesn't reveal which usernames exist.
+            const isValid = await verifyPassword(password, user ? user.password_hash : 'scrypt$AAAAAAAAAAAAAAAAAAAAAA$AAAA');
+            if (!user || !isValid) {
+                logger.warn('Failed admin login attempt', { username });
+                return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid username or password.');
+            }
+
+            const { token, expiresAt } = await sessions.create(user.id);
+            logger.info('Admin login', { username: user.username });
+            res.status(200).json({ success: true, token, expiresAt, user: { id: user.id, username: user.username } });
+        } catch (error) {
+            logger.error('Admin login error', error);
+            serverError(res);
+        }
+    });
+
+    router.post('/logout', authenticate, async (req, res) => {
+        try {
+            await sessions.destroy(req.admin.token);
+            res.status(200).json({ success: true });
+        } catch (error) {
+            logger.error('Admin logout error', error);
+            serverError(res);
+        }
+    });
+
+    router.get('/me', authenticate, (req, res) => {
+        res.status(200).json({ success: true, user: { id: req.admin.id, username: req.admin.username } });
+    });
+
+    // A signed token for previewing unpublished CMS drafts on the site (see lib/preview.js).
+    router.post('/preview', authenticate, (req, res) => {
+        if (!previewTokens) {
+            return sendError(res, 503, 'PREVIEW_NOT_CONFIGURED', 'Draft preview is not configured. Set SANITY_READ_TOKEN on the server.');
+        }
+        const { token, expiresAt } = previewTokens.issue();
+        logger.info('Preview link issued', { username: req.admin.username });
+        res.status(200).json({ success: true, token, expiresAt });
+    });
+
+    // List submissions with optional ?search=, ?status=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?page= and ?pageSize=
+    router.get('/submissions', authenticate, validateRequest({ query: schemas.submissionListQuery }), async (req, res) => {
+        const { search = null, status = null, from = null, to = null, page, pageSize } = req.validQuery;
+
+        try {
+            const result = await pool.query(
+                `SELECT id, name, email, message, status, created_at, updated_at,
+                        (SELECT COUNT(*) FROM uploads WHERE submission_id = submissions.id)::int AS attachment_count,
+                        COUNT(*) OVER() AS total
+                   FROM submissions
+                  WHERE ($1::text IS NULL OR name ILIKE $1 OR email ILIKE $1 OR message ILIKE $1)
+                    AND ($2::text IS NULL OR status = $2)
+                    AND ($3::date IS NULL OR created_at >= $3::date)
+                    AND ($4::date IS NULL OR created_at < $4::date + 1)
+                  ORDER BY created_at DESC, id DESC
+                  LIMIT $5 OFFSET $6`,
+                [search && toLikePattern(search), status, from, to, pageSize, (page - 1) * pageSize]
+            );
+            const total = result.rows.length ? Number(result.rows[0].total) : 0;
+            const submissions = result.rows.map(({ total: _total, ...row }) => row);
+            res.status(200).json({ success: true, submissions, page, pageSize, total, totalPages: Math.ceil(total / pageSize) });
+        } catch (error) {
+            logger.error('Admin submissions list error', error);
+            serverError(res);
+        }
+    });
+
+    router.get('/submissions/:id', authenticate, async (req, res) => {
+        try {
+            const result = await pool.query('SELECT id, name, email, message, status, spam_reasons, created_at, updated_at FROM submissions WHERE id = $1', [req.params.id]);
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            const notes = await pool.query(
+                'SELECT id, author, body, created_at FROM submission_notes WHERE submission_id = $1 ORDER BY created_at ASC',
+                [req.params.id]
+            );
+            const attachments = await uploads.listFor({ submissionId: Number(req.params.id) });
+            res.status(200).json({ success: true, submission: { ...result.rows[0], notes: notes.rows, attachments } });
+        } catch (error) {
+            logger.error('Admin submission fetch error', error);
+            serverError(res);
+        }
+    });
+
+    // Move a submission between workflow states: new, read, replied or spam
+    router.patch('/submissions/:id', authenticate, validateRequest({ body: schemas.submissionUpdate }), async (req, res) => {
+        const { status } = req.body;
+
+        try {
+            const result = await pool.query(
+                'UPDATE submissions SET status = $1, updated_at = now() WHERE id = $2 RETURNING id, status, updated_at',
+                [status, req.params.id]
+            );
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            logger.info('Submission status changed', { submissionId: req.params.id, status, username: req.admin.username });
+            res.status(200).json({ success: true, submission: result.rows[0] });
+        } catch (error) {
+            logger.error('Admin submission update error', error);
+            serverError(res);
+        }
+    });
+
+    router.post('/submissions/:id/notes', authenticate, validateRequest({ body: schemas.submissionNote }), async (req, res) => {
+        const { body } = req.body;
+
+        try {
+            const result = await pool.query(
+                `INSERT INTO submission_notes(submission_id, author, body)
+                 SELECT id, $2, $3 FROM submissions WHERE id = $1
+                 RETURNING id, author, body, created_at`,
+                [req.params.id, req.admin.username, body]
+            );
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            res.status(201).json({ success: true, note: result.rows[0] });
+        } catch (error) {
+            logger.error('Admin note creation error', error);
+            serverError(res);
+        }
+    });
+
+    router.delete('/submissions/:id', authenticate, async (req, res) => {
+        try {
+            await uploads.removeFor({ submissionId: Number(req.params.id) });
+            const result = await pool.query('DELETE FROM submissions WHERE id = $1 RETURNING id', [req.params.id]);
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            logger.info('Submission deleted', { submissionId: req.params.id, username: req.admin.username });
+            res.status(200).json({ success: true });
+        } catch (error) {
+            logger.error('Admin submission delete error', error);
+            serverError(res);
+        }
+    });
+
+    // Job applications from the careers page (see routes/adminApplications.js)
+    router.use('/applications', authenticate, createApplicationsAdminRouter({ pool, uploads }));
+
+    // Discovery calls booked from service pages, and the slots they are booked in (see routes/adminBookings.js)
+    router.use('/bookings', authenticate, createBookingsAdminRouter({ pool, bookings, horizonDays: bookingHorizonDays }));
+
+    // Page view, CTA and conversion report (see routes/adminAnalytics.js)
+    router.use('/analytics', authenticate, createAnalyticsAdminRouter({ pool }));
+
+    // Data requests and retention runs (see routes/adminPrivacy.js)
+    router.use('/privacy-log', authenticate, createPrivacyAdminRouter({ pool, retention }));
+
+    return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,86 @@
+// Staff-only analytics report, mounted at /api/admin/analytics behind the admin login.
+const express = require('express');
+const { sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_LIMIT = 10;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const createAnalyticsAdminRouter = ({ pool }) => {
+    const router = express.Router();
+
+    // Report for ?from= to ?to= (both inclusive; default: the last 30 days). Visitors are distinct daily
+    // visitor hashes, so someone who comes back on another day counts again.
+    router.get('/', validateRequest({ query: schemas.analyticsReportQuery }), async (req, res) => {
+        const to = req.validQuery.to || toDateString(new Date());
+        const from = req.validQuery.from || toDateString(new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+        if (from > to) {
+            return sendError(res, 400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', {
+                from: { code: 'invalid_value', message: 'From must be on or before To.' },
+            });
+        }
+
+        const inRange = (column = 'created_at') => `${column} >= $1::date AND ${column} < $2::date + 1`;
+        const query = (sql) => pool.query(sql, [from, to]).then(result => result.rows);
+
+        try {
+            const [[totals], [funnel], topServices, topPages, ctas, conversions, referrers, daily] = await Promise.all([
+                query(`SELECT COUNT(*) FILTER (WHERE type = 'pageview')::int AS pageviews,
+                              COUNT(DISTINCT visitor_hash)::int AS visitors,
+                              COUNT(*) FILTER (WHERE type = 'cta_click')::int AS cta_clicks,
+                              COUNT(*) FILTER (WHERE type = 'conversion')::int AS conversions
+                         FROM analytics_events WHERE ${inRange()}`),
+                // Each step counts visitors who also reached every earlier step.
+                query(`SELECT COUNT(*)::int AS visitors,
+                              COUNT(*) FILTER (WHERE viewed_service)::int AS viewed_service,
+                              COUNT(*) FILTER (WHERE viewed_service AND clicked_cta)::int AS clicked_cta,
+                              COUNT(*) FILTER (WHERE viewed_service AND clicked_cta AND converted)::int AS converted
+                         FROM (SELECT visitor_hash,
+                                      bool_or(type = 'service_view') AS viewed_service,
+                                      bool_or(type = 'cta_click') AS clicked_cta,
+                                      bool_or(type = 'conversion') AS converted
+                                 FROM analytics_events WHERE ${inRange()}
+                                GROUP BY visitor_hash) AS visits`),
+                // Services by detail views, with how many of their viewers went on to send a form.
+                query(`SELECT v.service_id, COUNT(*)::int AS views, COUNT(DISTINCT v.visitor_hash)::int AS visitors,
+                              COUNT(DISTINCT v.visitor_hash) FILTER (WHERE c.visitor_hash IS NOT NULL)::int AS converted
+                         FROM analytics_events AS v
+                         LEFT JOIN (SELECT DISTINCT visitor_hash FROM analytics_events WHERE type = 'conversion' AND ${inRange()}) AS c
+                           ON c.visitor_hash = v.visitor_hash
+                        WHERE v.type = 'service_view' AND ${inRange('v.created_at')}
+                        GROUP BY v.service_id ORDER BY views DESC, v.service_id LIMIT ${TOP_LIMIT}`),
+                query(`SELECT path, COUNT(*)::int AS views, COUNT(DISTINCT visitor_hash)::int AS visitors
+                         FROM analytics_events WHERE type = 'pageview' AND ${inRange()}
+                        GROUP BY path ORDER BY views DESC, path LIMIT ${TOP_LIMIT}`),
+                query(`SELECT cta, COUNT(*)::int AS clicks, COUNT(DISTINCT visitor_hash)::int AS visitors
+                         FROM analytics_events WHERE type = 'cta_click' AND ${inRange()}
+                        GROUP BY cta ORDER BY clicks DESC, cta`),
+                query(`SELECT form, COUNT(*)::int AS conversions
+                         FROM analytics_events WHERE type = 'conversion' AND ${inRange()}
+                        GROUP BY form ORDER BY conversions DESC, form`),
+                query(`SELECT referrer_host, COUNT(*)::int AS visits
+                         FROM analytics_events WHERE type = 'pageview' AND referrer_host IS NOT NULL AND ${inRange()}
+                        GROUP BY referrer_host ORDER BY visits DESC, referrer_host LIMIT ${TOP_LIMIT}`),
+                query(`SELECT to_char(created_at, 'YYYY-MM-DD') AS day,
+                              COUNT(*) FILTER (WHERE type = 'pageview')::int AS pageviews,
+                              COUNT(DISTINCT visitor_hash)::int AS visitors,
+                              COUNT(*) FILTER (WHERE type = 'conversion')::int AS conversions
+                         FROM analytics_events WHERE ${inRange()}
+                        GROUP BY day ORDER BY day`),
+            ]);
+
+            res.status(200).json({ success: true, from, to, totals, funnel, topServices, topPages, ctas, conversions, referrers, daily });
+        } catch (error) {
+            logger.error('Admin analytics report error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAnalyticsAdminRouter };
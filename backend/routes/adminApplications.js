@@ -0,0 +1,117 @@
+// Staff-only API for job applications, mounted at /api/admin/applications behind the admin login.
+const express = require('express');
+const { sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const notFound = (res) => sendError(res, 404, 'NOT_FOUND', 'Application not found.');
+
+const toLikePattern = (search) => `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+const APPLICATION_COLUMNS = 'id, job_id, job_role, name, email, phone, cover_letter, status, created_at, updated_at';
+
+// `uploads` is the lib/uploads service holding each application's CV.
+const createApplicationsAdminRouter = ({ pool, uploads }) => {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => {
+        if (!/^\d+$/.test(id)) {
+            return notFound(res);
+        }
+        next();
+    });
+
+    // List applications with optional ?search=, ?status=, ?jobId=, ?page= and ?pageSize=
+    router.get('/', validateRequest({ query: schemas.applicationListQuery }), async (req, res) => {
+        const { search = null, status = null, jobId = null, page, pageSize } = req.validQuery;
+
+        try {
+            const result = await pool.query(
+                `SELECT id, job_id, job_role, name, email, status, created_at, updated_at, COUNT(*) OVER() AS total
+                   FROM job_applications
+                  WHERE ($1::text IS NULL OR name ILIKE $1 OR email ILIKE $1 OR job_role ILIKE $1)
+                    AND ($2::text IS NULL OR status = $2)
+                    AND ($3::text IS NULL OR job_id = $3)
+                  ORDER BY created_at DESC, id DESC
+                  LIMIT $4 OFFSET $5`,
+                [search && toLikePattern(search), status, jobId, pageSize, (page - 1) * pageSize]
+            );
+            const total = result.rows.length ? Number(result.rows[0].total) : 0;
+            const applications = result.rows.map(({ total: _total, ...row }) => row);
+            res.status(200).json({ success: true, applications, page, pageSize, total, totalPages: Math.ceil(total / pageSize) });
+        } catch (error) {
+            logger.error('Admin applications list error', error);
+            serverError(res);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const result = await pool.query(`SELECT ${APPLICATION_COLUMNS} FROM job_applications WHERE id = $1`, [req.params.id]);
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            const events = await pool.query(
+                'SELECT id, from_status, to_status, author, note, created_at FROM job_application_events WHERE application_id = $1 ORDER BY created_at ASC, id ASC',
+                [req.params.id]
+            );
+            // The CV is served through a short-lived signed link (see lib/uploads).
+            const [cv = null] = await uploads.listFor({ applicationId: Number(req.params.id) });
+            res.status(200).json({ success: true, application: { ...result.rows[0], cv, events: events.rows } });
+        } catch (error) {
+            logger.error('Admin application fetch error', error);
+            serverError(res);
+        }
+    });
+
+    // Move an application to another hiring stage, recording the change (and an optional note) in its history
+    router.patch('/:id', validateRequest({ body: schemas.applicationUpdate }), async (req, res) => {
+        const { status, note = null } = req.body;
+
+        try {
+            const result = await pool.query(
+                `WITH previous AS (
+                    SELECT id, status FROM job_applications WHERE id = $1 FOR UPDATE
+                 ), updated AS (
+                    UPDATE job_applications SET status = $2, updated_at = now()
+                     WHERE id = (SELECT id FROM previous)
+                     RETURNING ${APPLICATION_COLUMNS}
+                 ), event AS (
+                    INSERT INTO job_application_events(application_id, from_status, to_status, author, note)
+                    SELECT id, status, $2, $3, $4 FROM previous
+                    RETURNING id, from_status, to_status, author, note, created_at
+                 )
+                 SELECT row_to_json(updated) AS application, (SELECT row_to_json(event) FROM event) AS event FROM updated`,
+                [req.params.id, status, req.admin.username, note]
+            );
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            logger.info('Application status changed', { applicationId: req.params.id, status, username: req.admin.username });
+            res.status(200).json({ success: true, application: result.rows[0].application, event: result.rows[0].event });
+        } catch (error) {
+            logger.error('Admin application update error', error);
+            serverError(res);
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            await uploads.removeFor({ applicationId: Number(req.params.id) });
+            const result = await pool.query('DELETE FROM job_applications WHERE id = $1 RETURNING id', [req.params.id]);
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            logger.info('Application deleted', { applicationId: req.params.id, username: req.admin.username });
+            res.status(200).json({ success: true });
+        } catch (error) {
+            logger.error('Admin application delete error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createApplicationsAdminRouter };
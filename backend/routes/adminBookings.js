@@ -0,0 +1,188 @@
+// Staff-only API for discovery calls and their bookable slots, mounted at /api/admin/bookings behind the
+// admin login. Changes go through lib/bookings.js, which locks the rows and emails the prospect.
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { BOOKING_COLUMNS } = require('../lib/bookings');
+
+const notFound = (res) => sendError(res, 404, 'NOT_FOUND', 'Booking not found.');
+const slotNotFound = (res) => sendError(res, 404, 'NOT_FOUND', 'Slot not found.');
+
+const toLikePattern = (search) => `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const invalidRange = (res) => sendError(res, 400, 'VALIDATION_FAILED', 'Some fields are missing or invalid.', {
+    from: { code: 'invalid_value', message: 'From must be on or before To.' },
+});
+
+// `bookings` is the lib/bookings service; `horizonDays` is how far ahead the slot list looks by default.
+const createBookingsAdminRouter = ({ pool, bookings, horizonDays }) => {
+    const router = express.Router();
+
+    const checkId = (notFoundResponse) => (req, res, next, id) => {
+        if (!/^\d+$/.test(id)) {
+            return notFoundResponse(res);
+        }
+        next();
+    };
+    router.param('id', checkId(notFound));
+    router.param('slotId', checkId(slotNotFound));
+
+    // Slots from ?from= to ?to= (both inclusive; default: today until the booking horizon), each with its
+    // confirmed or held booking if it has one.
+    router.get('/slots', validateRequest({ query: schemas.bookingSlotListQuery }), async (req, res) => {
+        const from = req.validQuery.from || toDateString(new Date());
+        const to = req.validQuery.to || toDateString(new Date(Date.parse(from) + horizonDays * 24 * 60 * 60 * 1000));
+        if (from > to) {
+            return invalidRange(res);
+        }
+
+        try {
+            const result = await pool.query(
+                `SELECT s.id, s.starts_at, s.ends_at, s.created_by, s.created_at,
+                        b.id AS booking_id, b.name AS booking_name, b.service_title AS booking_service_title, b.status AS booking_status
+                   FROM booking_slots AS s
+                   LEFT JOIN bookings AS b ON b.slot_id = s.id AND b.status IN ('confirmed', 'held')
+                  WHERE s.starts_at >= $1::date AND s.starts_at < $2::date + 1
+                  ORDER BY s.starts_at`,
+                [from, to]
+            );
+            res.status(200).json({ success: true, from, to, slots: result.rows });
+        } catch (error) {
+            logger.error('Admin booking slots list error', error);
+            serverError(res);
+        }
+    });
+
+    router.post('/slots', validateRequest({ body: schemas.bookingSlotsBatch }), async (req, res, next) => {
+        try {
+            const { created, skipped } = await bookings.createSlots({ ...req.body, actor: req.admin.username });
+            res.status(201).json({ success: true, created, skipped });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Admin booking slots create error', error);
+            serverError(res);
+        }
+    });
+
+    router.delete('/slots/:slotId', async (req, res, next) => {
+        try {
+            if (!await bookings.deleteSlot(req.params.slotId, { actor: req.admin.username })) {
+                return slotNotFound(res);
+            }
+            res.status(200).json({ success: true });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Admin booking slot delete error', error);
+            serverError(res);
+        }
+    });
+
+    // List bookings, latest call first, with optional ?search=, ?status=, ?serviceId=, ?from=, ?to=, ?page= and ?pageSize=.
+    // `held` counts the bookings waiting for approval, whatever the filters.
+    router.get('/', validateRequest({ query: schemas.bookingListQuery }), async (req, res) => {
+        const { search = null, status = null, serviceId = null, from = null, to = null, page, pageSize } = req.validQuery;
+
+        try {
+            const result = await pool.query(
+                `SELECT id, starts_at, ends_at, service_id, service_title, name, email, time_zone, status, created_at, COUNT(*) OVER() AS total
+                   FROM bookings
+                  WHERE ($1::text IS NULL OR name ILIKE $1 OR email ILIKE $1 OR service_title ILIKE $1)
+                    AND ($2::text IS NULL OR status = $2)
+                    AND ($3::text IS NULL OR service_id = $3)
+                    AND ($4::date IS NULL OR starts_at >= $4::date)
+                    AND ($5::date IS NULL OR starts_at < $5::date + 1)
+                  ORDER BY starts_at DESC, id DESC
+                  LIMIT $6 OFFSET $7`,
+                [search && toLikePattern(search), status, serviceId, from, to, pageSize, (page - 1) * pageSize]
+            );
+            const held = await pool.query("SELECT COUNT(*)::int AS count FROM bookings WHERE status = 'held'");
+            const total = result.rows.length ? Number(result.rows[0].total) : 0;
+            const items = result.rows.map(({ total: _total, ...row }) => row);
+            res.status(200).json({
+                success: true,
+                bookings: items,
+                held: held.rows[0].count,
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize),
+            });
+        } catch (error) {
+            logger.error('Admin bookings list error', error);
+            serverError(res);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const result = await pool.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [req.params.id]);
+            if (!result.rows.length) {
+                return notFound(res);
+            }
+            const events = await pool.query(
+                'SELECT id, action, starts_at, author, note, created_at FROM booking_events WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
+                [req.params.id]
+            );
+            res.status(200).json({ success: true, booking: { ...result.rows[0], events: events.rows } });
+        } catch (error) {
+            logger.error('Admin booking fetch error', error);
+            serverError(res);
+        }
+    });
+
+    // Confirms a booking held for review and emails the prospect their calendar invite
+    router.post('/:id/approve', validateRequest({ body: schemas.bookingApprove }), async (req, res, next) => {
+        try {
+            const booking = await bookings.approve(req.params.id, { actor: req.admin.username, note: req.body.note });
+            if (!booking) {
+                return notFound(res);
+            }
+            res.status(200).json({ success: true, booking });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Admin booking approve error', error);
+            serverError(res);
+        }
+    });
+
+    // Cancels the call and emails the prospect, with the optional reason and a cancelled calendar invite
+    // (held bookings are cancelled without an email)
+    router.post('/:id/cancel', validateRequest({ body: schemas.bookingCancel }), async (req, res, next) => {
+        try {
+            const booking = await bookings.cancel(req.params.id, { actor: req.admin.username, reason: req.body.reason });
+            if (!booking) {
+                return notFound(res);
+            }
+            res.status(200).json({ success: true, booking });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Admin booking cancel error', error);
+            serverError(res);
+        }
+    });
+
+    // Moves the call to another free slot and emails the prospect an updated invite
+    router.post('/:id/reschedule', validateRequest({ body: schemas.bookingReschedule }), async (req, res, next) => {
+        const { slotId, note } = req.body;
+
+        try {
+            const booking = await bookings.reschedule(req.params.id, { slotId, actor: req.admin.username, note });
+            if (!booking) {
+                return notFound(res);
+            }
+            res.status(200).json({ success: true, booking });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Admin booking reschedule error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createBookingsAdminRouter };
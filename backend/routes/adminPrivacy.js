@@ -0,0 +1,35 @@
+// Staff-only view of the privacy audit log (see lib/privacy.js), mounted at /api/admin/privacy-log.
+const express = require('express');
+const { serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// `retention` is the configured { days, action } policy, reported alongside the log.
+const createPrivacyAdminRouter = ({ pool, retention }) => {
+    const router = express.Router();
+
+    // Newest entries first, with ?page= and ?pageSize=
+    router.get('/', validateRequest({ query: schemas.privacyLogQuery }), async (req, res) => {
+        const { page, pageSize } = req.validQuery;
+        try {
+            const result = await pool.query(
+                `SELECT id, action, subject_hash, request_id, actor, details, created_at, COUNT(*) OVER() AS total
+                   FROM privacy_audit_log
+                  ORDER BY created_at DESC, id DESC
+                  LIMIT $1 OFFSET $2`,
+                [pageSize, (page - 1) * pageSize]
+            );
+            const total = result.rows.length ? Number(result.rows[0].total) : 0;
+            const entries = result.rows.map(({ total: _total, ...row }) => row);
+            res.status(200).json({ success: true, retention, entries, page, pageSize, total, totalPages: Math.ceil(total / pageSize) });
+        } catch (error) {
+            logger.error('Admin privacy log error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPrivacyAdminRouter };
@@ -0,0 +1,52 @@
+// Public analytics beacon endpoint (see lib/analytics.js).
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// navigator.sendBeacon posts strings as text/plain, which keeps it a CORS "simple" request without a
+// preflight; the body is still JSON. Bodies sent as application/json are already parsed by express.json().
+const parseBeacon = [
+    express.text({ type: 'text/plain', limit: '16kb' }),
+    (req, res, next) => {
+        if (typeof req.body !== 'string') return next();
+        try {
+            req.body = JSON.parse(req.body);
+            next();
+        } catch {
+            next(new ApiError(400, 'MALFORMED_JSON', 'The request body is not valid JSON.'));
+        }
+    },
+];
+
+// `analytics` is the lib/analytics service; `rateLimiter` is a lib/rateLimiter instance keyed by IP.
+const createAnalyticsRouter = ({ analytics, rateLimiter }) => {
+    const router = express.Router();
+
+    // Record a batch of { events: [...] }. Always 204 for opted-out visitors and crawlers, which are dropped.
+    router.post('/events', parseBeacon, validateRequest({ body: schemas.analyticsBatch }), async (req, res) => {
+        const userAgent = req.get('User-Agent') || '';
+        if (analytics.isOptedOut(req) || analytics.isBot(userAgent)) {
+            return res.status(204).end();
+        }
+
+        const limit = rateLimiter.hit(req.ip);
+        if (!limit.allowed) {
+            res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many analytics events. Please try again later.');
+        }
+
+        try {
+            await analytics.record(req.body.events, { ip: req.ip, userAgent });
+            res.status(204).end();
+        } catch (error) {
+            logger.error('Analytics error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAnalyticsRouter };
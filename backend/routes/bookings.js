@@ -0,0 +1,71 @@
+// Public API for booking a discovery call from a service page (see lib/bookings.js).
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { DEFAULT_LOCALE } = require('../lib/i18n');
+
+const toPublicSlot = (slot) => ({ id: slot.id, startsAt: slot.starts_at, endsAt: slot.ends_at });
+
+// `bookings` is the lib/bookings service; `getServices` resolves to the published services;
+// `spamGuard` is a lib/spam guard.
+const createBookingsRouter = ({ bookings, getServices, spamGuard }) => {
+    const router = express.Router();
+
+    // Free slots, soonest first. Times are ISO 8601 in UTC; the site shows them in the visitor's time zone.
+    router.get('/slots', async (req, res) => {
+        try {
+            const slots = await bookings.listOpenSlots();
+            res.set('Cache-Control', 'no-store');
+            res.status(200).json({ success: true, slots: slots.map(toPublicSlot) });
+        } catch (error) {
+            logger.error('Booking slots error', error);
+            serverError(res);
+        }
+    });
+
+    router.post('/', validateRequest({ body: schemas.booking }), async (req, res, next) => {
+        const { slotId, serviceId, name, email, phone, message, timeZone, locale = DEFAULT_LOCALE } = req.body;
+
+        let verdict;
+        try {
+            verdict = await spamGuard.check({ body: req.body, ip: req.ip });
+        } catch (error) {
+            logger.error('Spam check error', error);
+            return sendError(res, 503, 'SPAM_CHECK_UNAVAILABLE', 'We could not verify your booking. Please try again later.');
+        }
+        if (verdict.action === 'reject') {
+            logger.warn('Rejected booking', { serviceId, reasons: verdict.reasons });
+            if (verdict.retryAfterSeconds) {
+                res.set('Retry-After', String(verdict.retryAfterSeconds));
+            }
+            return sendError(res, verdict.status || 400, verdict.status === 429 ? 'RATE_LIMITED' : 'SUBMISSION_REJECTED', verdict.message);
+        }
+
+        try {
+            const service = (await getServices()).find(item => item.id === serviceId);
+            if (!service) {
+                return sendError(res, 404, 'SERVICE_NOT_FOUND', 'This service is no longer offered.');
+            }
+
+            // A flagged booking is held for staff review (see lib/bookings.js). Like a flagged contact message,
+            // it gets the same answer as any other.
+            const spamReasons = verdict.action === 'flag' ? verdict.reasons : null;
+            const booking = await bookings.book({ slotId, service, name, email, phone, message, timeZone, locale, spamReasons });
+            res.status(201).json({
+                success: true,
+                message: 'Your discovery call is booked. Check your inbox for the calendar invite.',
+                booking: { id: booking.id, startsAt: booking.starts_at, endsAt: booking.ends_at, serviceTitle: booking.service_title },
+            });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Booking error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createBookingsRouter };
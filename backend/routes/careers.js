@@ -0,0 +1,81 @@
+// Public API for the careers page: job applications with an uploaded CV.
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const CV_TYPES = ['pdf', 'doc', 'docx'];
+
+// `uploads` is the lib/uploads service; `getJobs` resolves to the published jobPosting documents;
+// `spamGuard` is a lib/spam guard; `onApplication` is called with each saved application and must not throw.
+const createCareersRouter = ({ pool, uploads, cvMaxBytes, getJobs, spamGuard, onApplication }) => {
+    const router = express.Router();
+    const cvUpload = uploads.middleware({ field: 'cv', label: 'CV', types: CV_TYPES, maxBytes: cvMaxBytes });
+
+    router.post('/applications', cvUpload, validateRequest({ body: schemas.jobApplication }), async (req, res, next) => {
+        const { jobId, name, email, phone = null, coverLetter = null } = req.body;
+
+        let verdict;
+        try {
+            verdict = await spamGuard.check({ body: req.body, ip: req.ip });
+        } catch (error) {
+            logger.error('Spam check error', error);
+            uploads.discard(req.file);
+            return sendError(res, 503, 'SPAM_CHECK_UNAVAILABLE', 'We could not verify your application. Please try again later.');
+        }
+        if (verdict.action === 'reject') {
+            logger.warn('Rejected job application', { jobId, reasons: verdict.reasons });
+            uploads.discard(req.file);
+            if (verdict.retryAfterSeconds) {
+                res.set('Retry-After', String(verdict.retryAfterSeconds));
+            }
+            return sendError(res, verdict.status || 400, verdict.status === 429 ? 'RATE_LIMITED' : 'SUBMISSION_REJECTED', verdict.message);
+        }
+
+        try {
+            const job = (await getJobs()).find(posting => posting.id === jobId);
+            if (!job) {
+                uploads.discard(req.file);
+                return sendError(res, 404, 'JOB_NOT_FOUND', 'This position is no longer open.');
+            }
+
+            const cv = await uploads.save(req.file, { purpose: 'cv' });
+            // One statement, so the application, its first history entry and the CV link are saved together.
+            const result = await pool.query(
+                `WITH application AS (
+                    INSERT INTO job_applications(job_id, job_role, name, email, phone, cover_letter)
+                    VALUES($1, $2, $3, $4, $5, $6)
+                    RETURNING id, job_id, job_role, name, email, phone, cover_letter, status, created_at
+                 ), event AS (
+                    INSERT INTO job_application_events(application_id, to_status, author)
+                    SELECT id, status, 'applicant' FROM application
+                 ), cv AS (
+                    UPDATE uploads SET application_id = (SELECT id FROM application) WHERE id = $7
+                 )
+                 SELECT * FROM application`,
+                [job.id, job.role, name, email, phone, coverLetter, cv.id]
+            );
+            const application = result.rows[0];
+            logger.info('Job application saved', { applicationId: application.id, jobId, role: job.role });
+
+            await onApplication(application, job);
+            res.status(201).json({ success: true, message: 'Thank you! Your application has been received.' });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            uploads.discard(req.file);
+            logger.error('Job application error', error);
+            serverError(res);
+        }
+    });
+
+    // Errors raised after the CV was stored (validation, virus scan) shouldn't leave an orphaned file behind.
+    router.use((error, req, res, next) => {
+        uploads.discard(req.file);
+        next(error);
+    });
+
+    return router;
+};
+
+module.exports = { createCareersRouter };
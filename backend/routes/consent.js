@@ -0,0 +1,36 @@
+// Public API logging cookie consent choices from the site's consent banner (frontend/src/consent.js).
+const express = require('express');
+const { sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// `rateLimiter` is a lib/rateLimiter instance keyed by IP.
+const createConsentRouter = ({ pool, rateLimiter }) => {
+    const router = express.Router();
+
+    // Record a choice. Every change is a new row, so the history of a consent id shows what was allowed when.
+    router.post('/', validateRequest({ body: schemas.consentRecord }), async (req, res) => {
+        const limit = rateLimiter.hit(req.ip);
+        if (!limit.allowed) {
+            res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many requests. Please try again later.');
+        }
+
+        const { consentId, version, categories } = req.body;
+        try {
+            const result = await pool.query(
+                'INSERT INTO consent_records(consent_id, version, analytics, marketing) VALUES($1, $2, $3, $4) RETURNING created_at',
+                [consentId, version, categories.analytics, categories.marketing]
+            );
+            res.status(201).json({ success: true, recordedAt: result.rows[0].created_at });
+        } catch (error) {
+            logger.error('Consent record error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createConsentRouter };
@@ -0,0 +1,113 @@
+// Public content API, served from the content cache in front of Sanity (see getSiteData in index.js).
+//
+//   GET /api/data                   everything, in the shape of SITE_DATA_QUERY (kept for existing clients)
+//   GET /api/site                   site-wide content: hero, about, seo, contact, careers
+//   GET /api/services[/:id]         services, in CMS order
+//   GET /api/process                process steps
+//   GET /api/jobs[/:id]             open positions, newest first
+//
+// Every route takes ?locale=; the resource routes also take ?fields= (comma-separated top-level fields,
+// `id` is always included) and the collections ?page= and ?pageSize=. All responses share the cache's
+// ETag and Last-Modified, so revalidation is cheap. Preview requests get drafts and are never cached.
+const express = require('express');
+const { sendError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const { DEFAULT_LOCALE } = require('../lib/i18n');
+const schemas = require('../lib/schemas');
+
+const selectFields = (item, fields) => {
+    if (!fields.length || !item) return item;
+    return Object.fromEntries(Object.entries(item).filter(([key]) => key === 'id' || fields.includes(key)));
+};
+
+const paginate = (items, page, pageSize) => ({
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+});
+
+// `getSiteData(locale, { preview })` resolves to a content cache entry ({ data, etag, lastModified, stale }) in
+// that language; `preview` is the lib/preview middleware setting req.preview.
+const createContentRouter = ({ getSiteData, preview }) => {
+    const router = express.Router();
+
+    // Builds a handler that answers with `toBody(data, req)`, or 304 when the client's copy is current.
+    // `toBody` returns null when the requested resource doesn't exist.
+    const sendContent = (name, toBody, notFound) => async (req, res) => {
+        const { locale = DEFAULT_LOCALE } = req.validQuery;
+
+        let entry;
+        try {
+            entry = await getSiteData(locale, { preview: req.preview });
+        } catch (error) {
+            logger.error('Sanity fetch error', { resource: name, err: error });
+            return sendError(res, 502, 'CMS_UNAVAILABLE', 'Failed to retrieve site data from CMS.');
+        }
+        if (!entry.data) {
+            return sendError(res, 404, 'CONTENT_NOT_FOUND', 'Site configuration not found in CMS.');
+        }
+
+        const body = toBody(entry.data, req);
+        if (!body) {
+            return sendError(res, 404, notFound.code, notFound.message);
+        }
+
+        // Shared caches must keep draft and published responses apart.
+        res.set({ 'Content-Language': locale, 'Vary': 'X-Preview-Token' });
+        if (req.preview) {
+            res.set('Cache-Control', 'private, no-store');
+            return res.status(200).json(body);
+        }
+
+        res.set({
+            'ETag': entry.etag,
+            'Last-Modified': new Date(entry.lastModified).toUTCString(),
+            'Cache-Control': 'no-cache',
+        });
+        if (entry.stale) {
+            res.set('Warning', '110 - "Response is Stale"');
+        }
+        // req.fresh compares If-None-Match / If-Modified-Since against the headers set above.
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        res.status(200).json(body);
+    };
+
+    // A paginated collection of `key` in the site data, answered as { success, locale, [key]: [...], page, ... }.
+    const listRoute = (key, query) => [preview, validateRequest({ query }), sendContent(key, (data, req) => {
+        const { fields, page, pageSize } = req.validQuery;
+        const { items, ...pagination } = paginate(data[key] || [], page, pageSize);
+        return { success: true, locale: data.locale, [key]: items.map(item => selectFields(item, fields)), ...pagination };
+    })];
+
+    // One item of `key`, looked up by its id and answered as { success, locale, [singular]: {...} }.
+    const itemRoute = (key, singular, query, notFound) => [preview, validateRequest({ params: schemas.contentParams, query }), sendContent(singular, (data, req) => {
+        const item = (data[key] || []).find(entry => entry.id === req.validParams.id);
+        return item ? { success: true, locale: data.locale, [singular]: selectFields(item, req.validQuery.fields) } : null;
+    }, notFound)];
+
+    // All website content in one payload. Prefer the resource routes below, which send only what a page shows.
+    router.get('/data', preview, validateRequest({ query: schemas.siteDataQuery }), sendContent('site data', data => data));
+
+    router.get('/site', preview, validateRequest({ query: schemas.siteQuery }), sendContent('site', (data, req) => {
+        const { fields } = req.validQuery;
+        const site = Object.fromEntries(schemas.SITE_FIELDS
+            .filter(field => !fields.length || fields.includes(field))
+            .map(field => [field, data[field] ?? null]));
+        return { success: true, locale: data.locale, site };
+    }));
+
+    router.get('/services', ...listRoute('services', schemas.serviceListQuery));
+    router.get('/services/:id', ...itemRoute('services', 'service', schemas.serviceQuery, { code: 'SERVICE_NOT_FOUND', message: 'Service not found.' }));
+    router.get('/process', ...listRoute('process', schemas.processListQuery));
+    router.get('/jobs', ...listRoute('jobs', schemas.jobListQuery));
+    router.get('/jobs/:id', ...itemRoute('jobs', 'job', schemas.jobQuery, { code: 'JOB_NOT_FOUND', message: 'This position is no longer open.' }));
+
+    return router;
+};
+
+module.exports = { createContentRouter };
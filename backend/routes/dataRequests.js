@@ -0,0 +1,88 @@
+// Public API for data subject requests (see lib/privacy.js): request a link by email, then redeem its token
+// (once) to see what is stored. /verify answers with a new token, which downloads the data as JSON or
+// erases it. Tokens travel in POST bodies rather than URLs so they don't end up in access logs.
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const invalidLink = () => new ApiError(404, 'INVALID_REQUEST_LINK', 'This link is invalid or has expired. Please request a new one.');
+
+// `privacy` is the lib/privacy service; `onRequest` emails the link for a new request ({ email, locale,
+// token, expiresAt }). `ipLimiter` and `emailLimiter` are lib/rateLimiter instances, so nobody can flood
+// an inbox with links.
+const createDataRequestsRouter = ({ privacy, onRequest, ipLimiter, emailLimiter }) => {
+    const router = express.Router();
+
+    const loadRequest = async (req, res, next) => {
+        try {
+            req.dataRequest = await privacy.findRequest(req.body.token);
+            next(req.dataRequest ? undefined : invalidLink());
+        } catch (error) {
+            logger.error('Data request lookup error', error);
+            serverError(res);
+        }
+    };
+
+    // The response is the same whether or not anything is stored for the address.
+    router.post('/', validateRequest({ body: schemas.dataRequest }), async (req, res) => {
+        const { email, locale } = req.body;
+        const limit = [ipLimiter.hit(req.ip), emailLimiter.hit(email)].find(result => !result.allowed);
+        if (limit) {
+            res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many requests. Please try again later.');
+        }
+
+        try {
+            const request = await privacy.createRequest(email);
+            await onRequest({ email, locale, token: request.token, expiresAt: request.expiresAt });
+            logger.info('Data request created', { dataRequestId: request.id });
+            res.status(202).json({ success: true, message: 'Check your inbox: we have sent you a link to download or delete your data.' });
+        } catch (error) {
+            logger.error('Data request error', error);
+            serverError(res);
+        }
+    });
+
+    // What the link gives access to, shown before the visitor picks download or erase. This uses up the
+    // emailed link; the token in the response is the one /export and /erase accept.
+    router.post('/verify', validateRequest({ body: schemas.dataRequestToken }), async (req, res, next) => {
+        try {
+            const redeemed = await privacy.redeemRequest(req.body.token);
+            if (!redeemed) return next(invalidLink());
+            const { email, expires_at: expiresAt } = redeemed.request;
+            res.status(200).json({ success: true, email, expiresAt, token: redeemed.token, records: await privacy.summarize(email) });
+        } catch (error) {
+            logger.error('Data request summary error', error);
+            serverError(res);
+        }
+    });
+
+    router.post('/export', validateRequest({ body: schemas.dataRequestToken }), loadRequest, async (req, res) => {
+        try {
+            const data = await privacy.collect(req.dataRequest);
+            res.attachment('nxl-personal-data.json');
+            res.set('Cache-Control', 'private, no-store');
+            res.status(200).json(data);
+        } catch (error) {
+            logger.error('Data export error', error);
+            serverError(res);
+        }
+    });
+
+    // Irreversible; the link stops working afterwards.
+    router.post('/erase', validateRequest({ body: schemas.dataRequestToken }), loadRequest, async (req, res) => {
+        try {
+            const erased = await privacy.erase(req.dataRequest);
+            res.status(200).json({ success: true, erased });
+        } catch (error) {
+            logger.error('Data erasure error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createDataRequestsRouter };
@@ -0,0 +1,63 @@
+// Probes and metrics for the hosting platform and monitoring. Mounted ahead of the request log, so
+// frequent probes and scrapes don't flood it.
+//
+//   GET /healthz  liveness: answers while the process can serve requests, touching nothing external
+//   GET /readyz   readiness: 503 unless every dependency check passes within the timeout
+//   GET /metrics  Prometheus metrics (lib/metrics.js)
+const crypto = require('crypto');
+const express = require('express');
+const { sendError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sameToken = (expected, actual) => {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(actual));
+};
+
+// `checks` maps a dependency name to a function resolving when it is reachable, e.g.
+// { database: () => pool.query('SELECT 1') }. `metricsToken`, when set, must be sent as a Bearer token to read /metrics.
+const createHealthRouter = ({ checks, timeoutMs, metrics, metricsToken }) => {
+    const router = express.Router();
+
+    router.get('/healthz', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // Failure details are logged rather than returned, as the endpoint is public.
+    router.get('/readyz', async (req, res) => {
+        const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+            const startedAt = Date.now();
+            try {
+                await withTimeout(Promise.resolve().then(check), timeoutMs);
+                return [name, { status: 'ok', durationMs: Date.now() - startedAt }];
+            } catch (error) {
+                logger.warn('Readiness check failed', { check: name, err: error });
+                return [name, { status: 'failed', durationMs: Date.now() - startedAt }];
+            }
+        }));
+        const isReady = results.every(([, result]) => result.status === 'ok');
+        res.set('Cache-Control', 'no-store');
+        res.status(isReady ? 200 : 503).json({ status: isReady ? 'ready' : 'not ready', checks: Object.fromEntries(results) });
+    });
+
+    router.get('/metrics', (req, res) => {
+        if (metricsToken && !sameToken(`Bearer ${metricsToken}`, req.get('Authorization') || '')) {
+            return sendError(res, 401, 'UNAUTHENTICATED', 'A valid metrics token is required.');
+        }
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; version=0.0.4').status(200).send(metrics.render());
+    });
+
+    return router;
+};
+
+module.exports = { createHealthRouter };
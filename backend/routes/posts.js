@@ -0,0 +1,107 @@
+// Public API for the blog: Sanity `post` and `caseStudy` documents.
+//
+// Both types have title, slug, excerpt, mainImage, publishedAt, category (a plain string), tags (plain
+// strings), seo { title, description } and a Portable Text `body` whose blocks may include images, code
+// blocks (@sanity/code-input) and `embed` objects ({ url, caption }). Case studies add `client` and
+// `services`, references to the service documents they showcase. Posts with a future publishedAt are hidden.
+const express = require('express');
+const { sendError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { validateRequest } = require('../lib/validation');
+const { DEFAULT_LOCALE, localize } = require('../lib/i18n');
+const schemas = require('../lib/schemas');
+
+const PUBLISHED = `_type in $types && defined(slug.current) && (!defined(publishedAt) || publishedAt <= now())`;
+
+const LIST_FILTER = `${PUBLISHED}
+    && ($tag == null || $tag in tags)
+    && ($category == null || category == $category)
+    && ($service == null || $service in services[]->id.current)`;
+
+const SUMMARY_FIELDS = `_type, "slug": slug.current, title, excerpt, "image": mainImage, category, tags, client,
+    "publishedAt": coalesce(publishedAt, _createdAt)`;
+
+// `start` and `end` are validated integers, so they can go straight into the slice.
+const listQuery = (start, end) => `{
+    "total": count(*[${LIST_FILTER}]),
+    "posts": *[${LIST_FILTER}] | order(coalesce(publishedAt, _createdAt) desc) [${start}...${end}] { ${SUMMARY_FIELDS} },
+    "tags": array::unique(*[${PUBLISHED} && defined(tags)].tags[]),
+    "categories": array::unique(*[${PUBLISHED} && defined(category)].category)
+}`;
+
+const POST_QUERY = `*[${PUBLISHED} && slug.current == $slug][0] {
+    ${SUMMARY_FIELDS}, body, "seo": seo { title, description },
+    "services": services[]->{ "id": id.current, title }
+}`;
+
+// `resolveImages` is a lib/sanityImages resolver for the client's project and dataset. Requests that
+// `preview` (the lib/preview middleware) lets through read drafts with `previewClient` instead.
+const createPostsRouter = ({ sanityClient, previewClient, preview, resolveImages }) => {
+    const router = express.Router();
+
+    const clientFor = (req, res) => {
+        res.set('Vary', 'X-Preview-Token');
+        if (!req.preview) return sanityClient;
+        res.set('Cache-Control', 'private, no-store');
+        return previewClient;
+    };
+
+    // Runs after localize(), which is what turns a translated body into a plain array of blocks.
+    const prepare = (data, locale) => resolveImages(localize(data, locale));
+
+    // Paginated summaries, newest first, plus every tag and category in use for building filters.
+    // ?type=post|caseStudy, ?tag=, ?category= and ?service= narrow the list.
+    router.get('/', preview, validateRequest({ query: schemas.postListQuery }), async (req, res) => {
+        const { locale = DEFAULT_LOCALE, type = null, tag = null, category = null, service = null, page, pageSize } = req.validQuery;
+        const start = (page - 1) * pageSize;
+
+        try {
+            const result = await clientFor(req, res).fetch(listQuery(start, start + pageSize), {
+                types: type ? [type] : schemas.POST_TYPES,
+                tag,
+                category,
+                service,
+            });
+            const { total, posts, tags, categories } = prepare(result, locale);
+
+            res.set('Content-Language', locale);
+            res.status(200).json({
+                success: true,
+                posts,
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize),
+                tags: (tags || []).sort(),
+                categories: (categories || []).sort(),
+            });
+        } catch (error) {
+            logger.error('Sanity posts fetch error', error);
+            sendError(res, 502, 'CMS_UNAVAILABLE', 'Failed to retrieve posts from CMS.');
+        }
+    });
+
+    // One post or case study with its Portable Text body.
+    router.get('/:slug', preview, validateRequest({ params: schemas.postParams, query: schemas.siteDataQuery }), async (req, res) => {
+        const { slug } = req.validParams;
+        const { locale = DEFAULT_LOCALE } = req.validQuery;
+
+        let post;
+        try {
+            post = await clientFor(req, res).fetch(POST_QUERY, { types: schemas.POST_TYPES, slug });
+        } catch (error) {
+            logger.error('Sanity fetch error for post', { slug, err: error });
+            return sendError(res, 502, 'CMS_UNAVAILABLE', 'Failed to retrieve the post from CMS.');
+        }
+        if (!post) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'This post does not exist or is not published.');
+        }
+
+        res.set('Content-Language', locale);
+        res.status(200).json({ success: true, post: prepare(post, locale) });
+    });
+
+    return router;
+};
+
+module.exports = { createPostsRouter };
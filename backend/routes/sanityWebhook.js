@@ -0,0 +1,36 @@
+// Sanity webhook, mounted at /api/webhooks/sanity: editors publishing changes triggers `onPublish`.
+// Signatures cover the exact bytes Sanity sent, so this expects req.rawBody, kept by the JSON body parser
+// (see index.js).
+const express = require('express');
+const { sendError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { SIGNATURE_HEADER, isValidSignature, getChangedTypes } = require('../lib/sanityWebhook');
+
+// `secret` is the one configured on the webhook in Sanity (null answers 503); `onPublish` is called with
+// { types, operation } for each verified request and must not throw.
+const createSanityWebhookRouter = ({ secret, onPublish }) => {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        if (!secret) {
+            logger.error('Sanity webhook received but SANITY_WEBHOOK_SECRET is not configured.');
+            return sendError(res, 503, 'NOT_CONFIGURED', 'Webhook is not configured.');
+        }
+
+        if (!isValidSignature(req.rawBody || '', req.get(SIGNATURE_HEADER), secret)) {
+            logger.warn('Rejected Sanity webhook with an invalid or expired signature.');
+            return sendError(res, 401, 'INVALID_SIGNATURE', 'Invalid signature.');
+        }
+
+        const types = getChangedTypes(req.body);
+        const operation = req.get('sanity-operation') || 'update';
+        logger.info('Sanity webhook received; rebuilding content cache', { operation, types });
+
+        await onPublish({ types, operation });
+        res.status(200).json({ success: true, types });
+    });
+
+    return router;
+};
+
+module.exports = { createSanityWebhookRouter };
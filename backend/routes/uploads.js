@@ -0,0 +1,52 @@
+// Public upload API: attachments for the contact form, and signed download links (see lib/uploads).
+const express = require('express');
+const { ApiError, sendError, serverError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+// Types a client brief may come in.
+const ATTACHMENT_TYPES = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'png', 'jpeg'];
+
+// `rateLimiter` is a lib/rateLimiter instance keyed by IP; uploads are counted separately from form submissions.
+const createUploadsRouter = ({ uploads, maxBytes, rateLimiter }) => {
+    const router = express.Router();
+
+    const limitByIp = (req, res, next) => {
+        const limit = rateLimiter.hit(req.ip);
+        if (!limit.allowed) {
+            res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many uploads. Please try again later.');
+        }
+        next();
+    };
+
+    // Upload one file in the `file` field. The returned id is sent with the contact form as `attachments`.
+    router.post('/', limitByIp, uploads.middleware({ field: 'file', label: 'File', types: ATTACHMENT_TYPES, maxBytes }), async (req, res, next) => {
+        try {
+            const upload = await uploads.save(req.file, { purpose: 'attachment' });
+            logger.info('Upload stored', { uploadId: upload.id, contentType: upload.content_type, size: Number(upload.size) });
+            res.status(201).json({
+                success: true,
+                upload: { id: upload.id, name: upload.original_name, size: Number(upload.size), contentType: upload.content_type },
+            });
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Upload error', error);
+            uploads.discard(req.file);
+            serverError(res);
+        }
+    });
+
+    router.get('/:id/download', async (req, res, next) => {
+        try {
+            await uploads.download(req, res);
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            logger.error('Download error', error);
+            serverError(res);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createUploadsRouter, ATTACHMENT_TYPES };
@@ -0,0 +1,57 @@
+// Creates a staff account for the admin dashboard, or resets its password if it already exists.
+//
+// Usage: node scripts/create-admin.js <username>
+// The password is read from ADMIN_PASSWORD, or prompted for when that isn't set.
+// Run `npm run migrate` first so the admin tables exist.
+require('dotenv').config();
+const readline = require('readline/promises');
+const { createPool } = require('../lib/db');
+const { hashPassword } = require('../lib/auth');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+const promptPassword = async () => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        return await rl.question('Password: ');
+    } finally {
+        rl.close();
+    }
+};
+
+const main = async () => {
+    const username = process.argv[2];
+    if (!username) {
+        console.error('Usage: node scripts/create-admin.js <username>');
+        process.exit(1);
+    }
+    if (!process.env.DATABASE_URL) {
+        console.error('DATABASE_URL is not defined. Add it to backend/.env first.');
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    try {
+        await pool.query(
+            `INSERT INTO admin_users(username, password_hash) VALUES($1, $2)
+             ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash`,
+            [username, await hashPassword(password)]
+        );
+        // A password change should sign the account out everywhere.
+        await pool.query('DELETE FROM admin_sessions WHERE user_id = (SELECT id FROM admin_users WHERE username = $1)', [username]);
+        console.log(`Admin user "${username}" is ready.`);
+    } finally {
+        await pool.end();
+    }
+};
+
+main().catch((error) => {
+    console.error('Failed to create admin user:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+// Applies, rolls back and inspects database migrations (see lib/migrator.js).
+//
+// Usage:
+//   node scripts/migrate.js up               # apply every pending migration
+//   node scripts/migrate.js down [steps]     # roll back the last migration (or the last <steps>)
+//   node scripts/migrate.js status           # list migrations and whether they have run
+//   node scripts/migrate.js create <name>    # add an empty up/down pair to migrations/
+//
+// Uses DATABASE_URL from backend/.env. Set DATABASE_SSL=false for a local Postgres.
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const { createPool } = require('../lib/db');
+const { createMigrator, MIGRATION_FILE } = require('../lib/migrator');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const usage = () => {
+    console.error('Usage: node scripts/migrate.js <up | down [steps] | status | create <name>>');
+    process.exit(1);
+};
+
+const create = async (name) => {
+    if (!name || !/^[\w-]+$/.test(name)) {
+        console.error('Migration names may only contain letters, numbers, "_" and "-".');
+        process.exit(1);
+    }
+    const versions = (await fs.readdir(MIGRATIONS_DIR))
+        .map(file => MIGRATION_FILE.exec(file))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+    const version = String(Math.max(0, ...versions) + 1).padStart(4, '0');
+
+    for (const direction of ['up', 'down']) {
+        const file = path.join(MIGRATIONS_DIR, `${version}_${name}.${direction}.sql`);
+        await fs.writeFile(file, `-- ${name} (${direction})\n`, { flag: 'wx' });
+        console.log(`Created ${path.relative(process.cwd(), file)}`);
+    }
+};
+
+const main = async () => {
+    const [command, arg] = process.argv.slice(2);
+    if (command === 'create') return create(arg);
+    if (!['up', 'down', 'status'].includes(command)) usage();
+
+    if (!process.env.DATABASE_URL) {
+        console.error('DATABASE_URL is not defined. Add it to backend/.env first.');
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    const migrator = createMigrator({ pool, dir: MIGRATIONS_DIR });
+    try {
+        if (command === 'up') {
+            const ran = await migrator.up();
+            ran.forEach(m => console.log(`Applied ${m.version}_${m.name}`));
+            console.log(ran.length ? `${ran.length} migration(s) applied.` : 'Database is up to date.');
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) usage();
+            const reverted = await migrator.down(steps);
+            reverted.forEach(m => console.log(`Rolled back ${m.version}_${m.name}`));
+            if (!reverted.length) console.log('No applied migrations to roll back.');
+        } else {
+            for (const m of await migrator.status()) {
+                const appliedAt = m.appliedAt ? new Date(m.appliedAt).toISOString() : '';
+                console.log(`${m.state.padEnd(8)} ${m.version}_${m.name} ${appliedAt}`.trimEnd());
+            }
+        }
+    } finally {
+        await pool.end();
+    }
+};
+
+main().catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
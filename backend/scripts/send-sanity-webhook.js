@@ -0,0 +1,37 @@
+// Sends a signed Sanity webhook to a local server, so cache invalidation can be exercised without Sanity.
+//
+// Usage: SANITY_WEBHOOK_SECRET=... node scripts/send-sanity-webhook.js [fixture.json] [operation]
+//   fixture.json defaults to fixtures/sanity-webhook-service.json, operation to "update".
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { SIGNATURE_HEADER, signPayload } = require('../lib/sanityWebhook');
+
+const fixturePath = process.argv[2] || path.join(__dirname, '..', 'fixtures', 'sanity-webhook-service.json');
+const operation = process.argv[3] || 'update';
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/api/webhooks/sanity`;
+
+if (!process.env.SANITY_WEBHOOK_SECRET) {
+    console.error('SANITY_WEBHOOK_SECRET must be set to sign the payload.');
+    process.exit(1);
+}
+
+const payload = JSON.stringify(JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+
+fetch(url, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/json',
+        'sanity-operation': operation,
+        [SIGNATURE_HEADER]: signPayload(payload, process.env.SANITY_WEBHOOK_SECRET),
+    },
+    body: payload,
+})
+    .then(async (response) => {
+        console.log(`${response.status} ${response.statusText}`, await response.text());
+        process.exit(response.ok ? 0 : 1);
+    })
+    .catch((error) => {
+        console.error('Webhook request failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,52 @@
+// Rate limiting of POST /api/admin/login. The database is a stand-in that knows no users, so every
+// attempt that gets past the limiters is a failed login.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createRateLimiter } = require('../lib/rateLimiter');
+const { createAdminRouter } = require('../routes/admin');
+const { listen } = require('./helpers');
+
+test('POST /api/admin/login', async (t) => {
+    const queries = [];
+    const pool = { query: async (sql, params) => { queries.push(params); return { rows: [] }; } };
+
+    const app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    app.use('/api/admin', createAdminRouter({
+        pool,
+        sessions: {},
+        loginIpLimiter: createRateLimiter({ max: 3, windowMs: 60000 }),
+        loginUsernameLimiter: createRateLimiter({ max: 2, windowMs: 60000 }),
+    }));
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    const login = (username, ip) => fetch(`${server.url}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+        body: JSON.stringify({ username, password: 'guess' }),
+    });
+
+    await t.test('limits attempts against one username, from any address', async () => {
+        assert.equal((await login('admin', '203.0.113.1')).status, 401);
+        assert.equal((await login('Admin', '203.0.113.2')).status, 401);
+
+        const response = await login('admin', '203.0.113.3');
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+        assert.equal((await response.json()).error.code, 'RATE_LIMITED');
+        assert.equal(queries.length, 2, 'the limited attempt never reaches the password check');
+    });
+
+    await t.test('limits attempts from one address, across usernames', async () => {
+        assert.equal((await login('editor', '198.51.100.7')).status, 401);
+        assert.equal((await login('owner', '198.51.100.7')).status, 401);
+        assert.equal((await login('staff', '198.51.100.7')).status, 401);
+
+        const response = await login('someone', '198.51.100.7');
+        assert.equal(response.status, 429);
+        assert.ok(response.headers.has('retry-after'));
+    });
+});
@@ -0,0 +1,57 @@
+// POST /api/bookings and the spam guard's verdicts. The booking service is a stand-in that records what
+// it was asked to book; lib/bookings.js itself needs a database.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createBookingsRouter } = require('../routes/bookings');
+const { errorHandler } = require('../lib/errors');
+const { listen } = require('./helpers');
+
+test('POST /api/bookings', async (t) => {
+    const booked = [];
+    let verdict;
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookings', createBookingsRouter({
+        bookings: {
+            book: async (request) => {
+                booked.push(request);
+                return { id: booked.length, starts_at: '2030-01-07T10:00:00.000Z', ends_at: '2030-01-07T10:30:00.000Z', service_title: request.service.title };
+            },
+        },
+        getServices: async () => [{ id: 'web-development', title: 'Web Development' }],
+        spamGuard: { check: async () => verdict },
+    }));
+    app.use(errorHandler);
+    const server = await listen(app);
+    t.after(() => server.close());
+
+    const book = () => fetch(`${server.url}/api/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slotId: 1, serviceId: 'web-development', name: 'Ada', email: 'ada@example.com', timeZone: 'Europe/Paris' }),
+    });
+
+    await t.test('books an accepted request', async () => {
+        verdict = { action: 'accept', reasons: [] };
+        assert.equal((await book()).status, 201);
+        assert.equal(booked.at(-1).spamReasons, null);
+    });
+
+    await t.test('holds a flagged request for review, with the reasons, and answers as usual', async () => {
+        verdict = { action: 'flag', reasons: ['too-many-links:3', 'captcha-timeout'] };
+        const response = await book();
+        assert.equal(response.status, 201);
+        assert.equal((await response.json()).success, true);
+        assert.deepEqual(booked.at(-1).spamReasons, ['too-many-links:3', 'captcha-timeout']);
+    });
+
+    await t.test('books nothing for a rejected request', async () => {
+        verdict = { action: 'reject', reasons: ['rate-limited'], status: 429, retryAfterSeconds: 60, message: 'Too many messages.' };
+        const count = booked.length;
+        const response = await book();
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('retry-after'), '60');
+        assert.equal(booked.length, count);
+    });
+});
@@ -0,0 +1,65 @@
+// The content cache's refresh/rebuild ordering, with fetchers the tests resolve by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContentCache } = require('../lib/contentCache');
+
+// A fetcher whose calls stay pending until the test resolves them, in any order.
+const createControlledFetcher = () => {
+    const calls = [];
+    const fetcher = () => new Promise(resolve => calls.push(resolve));
+    return { fetcher, calls };
+};
+
+const createCache = (fetcher) => createContentCache({ name: 'test', fetcher, ttlMs: 60000, staleMs: 60000 });
+
+test('refresh() callers share the request in flight', async () => {
+    const { fetcher, calls } = createControlledFetcher();
+    const cache = createCache(fetcher);
+
+    const first = cache.refresh();
+    const second = cache.refresh();
+    await new Promise(setImmediate);
+    assert.equal(calls.length, 1);
+
+    calls[0]('content');
+    assert.equal((await first).data, 'content');
+    assert.equal(await second, await first);
+});
+
+test('rebuild() starts a new fetch instead of joining an earlier one', async () => {
+    const { fetcher, calls } = createControlledFetcher();
+    const cache = createCache(fetcher);
+
+    const before = cache.refresh();
+    const rebuilt = cache.rebuild();
+    await new Promise(setImmediate);
+    assert.equal(calls.length, 2);
+
+    calls[1]('published');
+    assert.equal((await rebuilt).data, 'published');
+
+    // The fetch that started before the publish finishes last, but doesn't overwrite the newer content.
+    calls[0]('before publish');
+    await before;
+    assert.equal((await cache.get()).data, 'published');
+});
+
+test('refresh() joins a rebuild in flight', async () => {
+    const { fetcher, calls } = createControlledFetcher();
+    const cache = createCache(fetcher);
+
+    const rebuilt = cache.rebuild();
+    const joined = cache.refresh();
+    await new Promise(setImmediate);
+    assert.equal(calls.length, 1);
+
+    calls[0]('published');
+    assert.equal(await joined, await rebuilt);
+});
+
+test('rebuild() uses the fetcher it is given', async () => {
+    const cache = createCache(async () => 'from cdn');
+
+    assert.equal((await cache.rebuild(async () => 'from origin')).data, 'from origin');
+    assert.equal((await cache.get()).data, 'from origin');
+});
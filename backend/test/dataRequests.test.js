@@ -0,0 +1,176 @@
+// Data subject requests (lib/privacy.js and routes/dataRequests.js) against a real Postgres. Like
+// migrator.test.js, this needs TEST_DATABASE_URL and is skipped without it; the tables are created by the
+// real migrations in a throwaway schema that is dropped at the end.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { createPool } = require('../lib/db');
+const { createMigrator } = require('../lib/migrator');
+const { createPrivacyService } = require('../lib/privacy');
+const { createDataRequestsRouter } = require('../routes/dataRequests');
+const { errorHandler } = require('../lib/errors');
+const { listen } = require('./helpers');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SCHEMA = `data_requests_test_${process.pid}`;
+const EMAIL = 'jane@example.com';
+const OTHER_EMAIL = 'someone.else@example.com';
+const HOUR = 60 * 60 * 1000;
+
+test('data requests', { skip: !DATABASE_URL && 'TEST_DATABASE_URL is not set', timeout: 60000 }, async (t) => {
+    const pool = createPool({ connectionString: DATABASE_URL });
+    pool.on('connect', client => client.query(`SET search_path TO ${SCHEMA}`));
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+    await pool.query(`CREATE SCHEMA ${SCHEMA}`);
+    await createMigrator({ pool, dir: path.join(__dirname, '..', 'migrations') }).up();
+
+    const removedUploads = [];
+    const uploads = { removeFor: async (owner) => { removedUploads.push(owner); } };
+    const privacy = createPrivacyService({ pool, uploads, requestTtlMs: HOUR, retention: { days: 30, action: 'anonymise' } });
+
+    // The link emailed for the last request made through the API.
+    let emailedToken = null;
+    const app = express();
+    app.use(express.json());
+    app.use('/api/data-requests', createDataRequestsRouter({
+        privacy,
+        onRequest: async ({ token }) => { emailedToken = token; },
+        ipLimiter: { hit: () => ({ allowed: true }) },
+        emailLimiter: { hit: () => ({ allowed: true }) },
+    }));
+    app.use(errorHandler);
+    const server = await listen(app);
+
+    t.after(async () => {
+        await server.close();
+        await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+        await pool.end();
+    });
+
+    const post = async (route, body) => {
+        const response = await fetch(`${server.url}/api/data-requests${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const requestLink = async (email = EMAIL) => {
+        assert.equal((await post('', { email, locale: 'en' })).status, 202);
+        return emailedToken;
+    };
+
+    // One record of each kind for `email`, `daysAgo` old.
+    const seed = async (email, daysAgo = 0) => {
+        const submission = await pool.query(
+            `INSERT INTO submissions(name, email, message, created_at) VALUES('Jane Doe', $1, 'Call me', now() - make_interval(days => $2)) RETURNING id`,
+            [email, daysAgo]
+        );
+        await pool.query(`INSERT INTO submission_notes(submission_id, author, body) VALUES($1, 'staff', 'Called back')`, [submission.rows[0].id]);
+        await pool.query(
+            `INSERT INTO job_applications(job_id, job_role, name, email, phone, cover_letter, created_at)
+             VALUES('dev', 'Developer', 'Jane Doe', $1, '+33 1 23 45 67 89', 'Hire me', now() - make_interval(days => $2))`,
+            [email, daysAgo]
+        );
+        await pool.query(
+            `INSERT INTO bookings(starts_at, ends_at, service_id, service_title, name, email, phone, message, time_zone)
+             VALUES(now() - make_interval(days => $2), now() - make_interval(days => $2) + interval '30 minutes', 'web', 'Web', 'Jane Doe', $1, '+33 1 23 45 67 89', 'About my site', 'Europe/Paris')`,
+            [email, daysAgo]
+        );
+        await pool.query(
+            `INSERT INTO mail_queue(message, status, created_at) VALUES($1, 'sent', now() - make_interval(days => $2))`,
+            [{ to: email, subject: 'Thanks' }, daysAgo]
+        );
+    };
+
+    const count = async (table, email) => (await pool.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE lower(email) = $1`, [email])).rows[0].count;
+
+    await t.test('the emailed link works once, and only at /verify', async () => {
+        const token = await requestLink();
+
+        // Skipping /verify doesn't work: the emailed token doesn't download or erase anything itself.
+        assert.equal((await post('/export', { token })).body.error.code, 'INVALID_REQUEST_LINK');
+        assert.equal((await post('/erase', { token })).body.error.code, 'INVALID_REQUEST_LINK');
+
+        const verified = await post('/verify', { token });
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.email, EMAIL);
+        assert.ok(verified.body.token && verified.body.token !== token);
+
+        const reused = await post('/verify', { token });
+        assert.equal(reused.status, 404);
+        assert.equal(reused.body.error.code, 'INVALID_REQUEST_LINK');
+
+        // The token /verify handed back is not a link that can be opened again either.
+        assert.equal((await post('/verify', { token: verified.body.token })).status, 404);
+        assert.equal((await post('/export', { token: verified.body.token })).status, 200);
+    });
+
+    await t.test('two concurrent uses of the same link cannot both succeed', async () => {
+        const token = await requestLink();
+        const statuses = (await Promise.all([post('/verify', { token }), post('/verify', { token })])).map(result => result.status);
+        assert.deepEqual(statuses.sort(), [200, 404]);
+    });
+
+    await t.test('links and their tokens stop working when the request expires', async () => {
+        const token = await requestLink();
+        const { token: pageToken } = (await post('/verify', { token })).body;
+        const expiring = await requestLink();
+
+        await pool.query(`UPDATE data_requests SET expires_at = now() - interval '1 second'`);
+        assert.equal((await post('/verify', { token: expiring })).status, 404);
+        assert.equal((await post('/export', { token: pageToken })).status, 404);
+        assert.equal((await post('/erase', { token: pageToken })).status, 404);
+    });
+
+    await t.test('erasure deletes every record stored for the address, and nobody else\'s', async () => {
+        await seed(EMAIL);
+        await seed(OTHER_EMAIL);
+        const { token } = (await post('/verify', { token: await requestLink('Jane@Example.com') })).body;
+
+        const erased = await post('/erase', { token });
+        assert.equal(erased.status, 200);
+        assert.deepEqual(erased.body.erased, { submissions: 1, applications: 1, bookings: 1, emails: 1 });
+
+        for (const table of ['submissions', 'job_applications', 'bookings', 'data_requests']) {
+            assert.equal(await count(table, EMAIL), 0, table);
+            assert.equal(await count(table, OTHER_EMAIL), table === 'data_requests' ? 0 : 1, table);
+        }
+        assert.equal((await pool.query(`SELECT COUNT(*)::int AS count FROM mail_queue WHERE message->>'to' = $1`, [EMAIL])).rows[0].count, 0);
+        assert.equal((await pool.query('SELECT COUNT(*)::int AS count FROM submission_notes')).rows[0].count, 1);
+        assert.equal(removedUploads.length, 2);
+
+        // The audit log keeps a hash of the address, never the address itself.
+        const log = await pool.query(`SELECT action, subject_hash FROM privacy_audit_log WHERE action = 'data_erased'`);
+        assert.equal(log.rows.length, 1);
+        assert.doesNotMatch(JSON.stringify(log.rows), /jane/i);
+
+        // The request is gone with the data, so its token can't be used again.
+        assert.equal((await post('/erase', { token })).status, 404);
+    });
+
+    await t.test('retention anonymises old records and keeps recent ones', async () => {
+        await pool.query('TRUNCATE submissions, job_applications, bookings, mail_queue RESTART IDENTITY CASCADE');
+        await seed(EMAIL, 60);
+        await seed(OTHER_EMAIL, 1);
+
+        const result = await privacy.applyRetention();
+        assert.equal(result.submissions, 1);
+        assert.equal(result.applications, 1);
+        assert.equal(result.bookings, 1);
+
+        const submission = (await pool.query('SELECT name, email, message, anonymised_at FROM submissions ORDER BY id LIMIT 1')).rows[0];
+        assert.deepEqual({ ...submission, anonymised_at: Boolean(submission.anonymised_at) }, { name: 'Anonymised', email: '', message: '', anonymised_at: true });
+        const application = (await pool.query('SELECT name, email, phone, cover_letter FROM job_applications ORDER BY id LIMIT 1')).rows[0];
+        assert.deepEqual(application, { name: 'Anonymised', email: '', phone: null, cover_letter: null });
+        const booking = (await pool.query('SELECT name, email, phone, message FROM bookings ORDER BY id LIMIT 1')).rows[0];
+        assert.deepEqual(booking, { name: 'Anonymised', email: '', phone: null, message: null });
+        assert.equal((await pool.query('SELECT COUNT(*)::int AS count FROM submission_notes')).rows[0].count, 1);
+
+        assert.equal(await count('submissions', OTHER_EMAIL), 1);
+        assert.equal(await count('job_applications', OTHER_EMAIL), 1);
+        assert.equal(await count('bookings', OTHER_EMAIL), 1);
+    });
+});
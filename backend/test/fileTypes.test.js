@@ -0,0 +1,42 @@
+// Upload type detection from magic bytes (lib/uploads/fileTypes.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SNIFF_BYTES, detectFileType } = require('../lib/uploads/fileTypes');
+
+const RESUME_TYPES = ['pdf', 'doc', 'docx'];
+
+// The first SNIFF_BYTES of a file, as the upload middleware hands them to detectFileType().
+const header = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(SNIFF_BYTES)]).subarray(0, SNIFF_BYTES);
+
+const PDF = header('%PDF-1.7\n');
+const DOCX = header([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00, 0x06, 0x00]);
+const EXE = header([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]);
+const ELF = header([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00]);
+
+test('detectFileType() accepts files whose content matches their extension', () => {
+    assert.equal(detectFileType(PDF, 'resume.pdf', RESUME_TYPES), 'pdf');
+    assert.equal(detectFileType(PDF, 'RESUME.PDF', RESUME_TYPES), 'pdf');
+    assert.equal(detectFileType(DOCX, 'resume.docx', RESUME_TYPES), 'docx');
+});
+
+test('detectFileType() rejects executables renamed to an allowed extension', () => {
+    for (const filename of ['resume.pdf', 'resume.docx', 'resume.doc']) {
+        assert.equal(detectFileType(EXE, filename, RESUME_TYPES), null, `PE as ${filename}`);
+        assert.equal(detectFileType(ELF, filename, RESUME_TYPES), null, `ELF as ${filename}`);
+    }
+});
+
+test('detectFileType() rejects content that belongs to another extension', () => {
+    // A real PDF is still refused under a name that claims a different type, and vice versa.
+    assert.equal(detectFileType(PDF, 'resume.docx', RESUME_TYPES), null);
+    assert.equal(detectFileType(DOCX, 'resume.pdf', RESUME_TYPES), null);
+    // XLSX shares the ZIP signature with DOCX, but isn't in the allowed list.
+    assert.equal(detectFileType(DOCX, 'sheet.xlsx', RESUME_TYPES), null);
+});
+
+test('detectFileType() rejects files without an extension or with a short header', () => {
+    assert.equal(detectFileType(PDF, 'resume', RESUME_TYPES), null);
+    assert.equal(detectFileType(PDF, 'resume.pdf.', RESUME_TYPES), null);
+    assert.equal(detectFileType(Buffer.from('%PD'), 'resume.pdf', RESUME_TYPES), null);
+    assert.equal(detectFileType(Buffer.alloc(0), 'resume.pdf', RESUME_TYPES), null);
+});
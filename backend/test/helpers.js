@@ -0,0 +1,14 @@
+// Shared helpers for the backend tests (run with `npm test`, Node's built-in test runner). Not a test file: the
+// test script only runs test/*.test.js, so this file isn't reported as a passing test of its own.
+
+// Starts `app` on a free port and resolves to { url, close }.
+const listen = (app) => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done)),
+        });
+    });
+});
+
+module.exports = { listen };
@@ -0,0 +1,82 @@
+// Redaction of personal data in log entries (lib/logger.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, requestContext } = require('../lib/logger');
+
+// Runs `log` and resolves to the JSON entries it wrote to stdout and stderr.
+const capture = (t, log) => {
+    const lines = [];
+    for (const stream of [process.stdout, process.stderr]) {
+        t.mock.method(stream, 'write', (chunk) => {
+            lines.push(String(chunk));
+            return true;
+        });
+    }
+    log();
+    t.mock.restoreAll();
+    return lines.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+};
+
+test('redacts email, phone and token fields, however they are spelled', (t) => {
+    const [entry] = capture(t, () => createLogger().info('Submission saved', {
+        submissionId: 42,
+        email: 'jane@example.com',
+        replyTo: 'jane@example.com',
+        phone: '+33 1 23 45 67 89',
+        cover_letter: 'Dear team',
+        token: 'abc',
+        previewToken: 'def',
+        'X-Webhook-Secret': 'ghi',
+        admin_password: 'hunter2',
+    }));
+
+    assert.deepEqual(entry, {
+        time: entry.time,
+        level: 'info',
+        msg: 'Submission saved',
+        submissionId: 42,
+        email: '[redacted]',
+        replyTo: '[redacted]',
+        phone: '[redacted]',
+        cover_letter: '[redacted]',
+        token: '[redacted]',
+        previewToken: '[redacted]',
+        'X-Webhook-Secret': '[redacted]',
+        admin_password: '[redacted]',
+    });
+});
+
+test('redacts nested fields and email addresses anywhere in the text', (t) => {
+    const lines = capture(t, () => {
+        const logger = createLogger().child({ component: 'mail' });
+        logger.warn('Could not send to jane@example.com', {
+            message: { to: 'jane@example.com', subject: 'Thanks', headers: { Authorization: 'Bearer abc' } },
+            recipients: [{ email: 'a@example.com' }, 'b@example.org'],
+            note: 'Reply to jane.doe+work@mail.example.co.uk soon',
+        });
+        logger.error('Delivery failed', new Error('Mailbox jane@example.com is full'));
+    });
+    const output = lines.map(line => JSON.stringify(line)).join('\n');
+
+    assert.doesNotMatch(output, /@example|@mail|Bearer/);
+    assert.equal(lines[0].msg, 'Could not send to [redacted email]');
+    assert.deepEqual(lines[0].message, { to: '[redacted]', subject: 'Thanks', headers: { Authorization: '[redacted]' } });
+    assert.deepEqual(lines[0].recipients, [{ email: '[redacted]' }, '[redacted email]']);
+    assert.equal(lines[0].note, 'Reply to [redacted email] soon');
+    assert.equal(lines[1].err.message, 'Mailbox [redacted email] is full');
+    assert.equal(lines[1].component, 'mail');
+});
+
+test('writes one JSON line per entry, with the request ID and above the configured level only', (t) => {
+    const lines = capture(t, () => {
+        const logger = createLogger({ level: 'info' });
+        requestContext.run({ requestId: 'req-1' }, () => {
+            logger.debug('Not written');
+            logger.info('Written', { email: 'jane@example.com' });
+        });
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal(lines[0].email, '[redacted]');
+});
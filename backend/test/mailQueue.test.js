@@ -0,0 +1,55 @@
+// The mail queue worker (lib/mail/queue.js) with a stand-in database that can fail to connect.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailQueue } = require('../lib/mail/queue');
+
+// A pool holding `messages` as pending mail_queue rows. `failConnects` connection attempts fail first.
+const createFakePool = ({ messages, failConnects = 0 }) => {
+    const rows = messages.map((message, index) => ({ id: index + 1, message, attempts: 0, status: 'pending' }));
+    let released = 0;
+    const client = {
+        query: async (sql, params) => {
+            if (/^\s*SELECT/.test(sql)) return { rows: rows.filter(row => row.status === 'pending') };
+            if (/^\s*UPDATE/.test(sql)) {
+                const row = rows.find(item => item.id === params[0]);
+                row.status = /status = 'sent'/.test(sql) ? 'sent' : params[1];
+                row.attempts = /status = 'sent'/.test(sql) ? params[1] : params[2];
+            }
+            return { rows: [] };
+        },
+        release: () => { released += 1; },
+    };
+    return {
+        rows,
+        released: () => released,
+        connect: async () => {
+            if (failConnects > 0) {
+                failConnects -= 1;
+                throw new Error('Connection terminated unexpectedly');
+            }
+            return client;
+        },
+    };
+};
+
+test('processDue survives a failed database connection', async () => {
+    const sent = [];
+    const pool = createFakePool({ messages: [{ to: 'ada@example.com', subject: 'Hello' }], failConnects: 1 });
+    const queue = createMailQueue({
+        pool,
+        transport: { name: 'test', send: async (message) => { sent.push(message); } },
+        from: 'NXL <no-reply@example.com>',
+        maxAttempts: 3,
+        pollIntervalMs: 60000,
+    });
+
+    await assert.rejects(queue.processDue(), /Connection terminated/);
+    assert.equal(sent.length, 0);
+    assert.equal(pool.released(), 0, 'no client to release when connecting failed');
+
+    // The next tick runs instead of returning early, and the mail goes out.
+    await queue.processDue();
+    assert.deepEqual(sent, [{ to: 'ada@example.com', subject: 'Hello' }]);
+    assert.equal(pool.rows[0].status, 'sent');
+    assert.equal(pool.released(), 1);
+});
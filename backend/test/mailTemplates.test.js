@@ -0,0 +1,16 @@
+// Email templates (lib/mail/templates.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contactConfirmation } = require('../lib/mail/templates');
+
+test('contactConfirmation does not quote the unverified sender\'s message', () => {
+    const email = contactConfirmation({
+        submission: { name: 'Ada', email: 'victim@example.com', message: 'Buy cheap pills at https://spam.example' },
+        contact: { phone: '+1 555 0100' },
+    });
+
+    for (const body of [email.subject, email.text, email.html]) {
+        assert.doesNotMatch(body, /spam\.example|cheap pills/);
+    }
+    assert.match(email.text, /\+1 555 0100/);
+});
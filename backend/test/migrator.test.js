@@ -0,0 +1,139 @@
+// lib/migrator.js against a real Postgres. Set TEST_DATABASE_URL to a database the tests may write to
+// (with DATABASE_SSL=false for a local server without TLS); the tests are skipped without it. Everything
+// they create lives in a throwaway schema that is dropped at the end.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createPool } = require('../lib/db');
+const { createMigrator, LOCK_KEY } = require('../lib/migrator');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SCHEMA = `migrator_test_${process.pid}`;
+
+const writeMigration = (dir, version, name, up, down) => Promise.all([
+    fs.writeFile(path.join(dir, `${version}_${name}.up.sql`), up),
+    fs.writeFile(path.join(dir, `${version}_${name}.down.sql`), down),
+]);
+
+const states = (status) => status.map(({ version, state }) => `${version}:${state}`);
+
+test('migrator', { skip: !DATABASE_URL && 'TEST_DATABASE_URL is not set', timeout: 60000 }, async (t) => {
+    const pool = createPool({ connectionString: DATABASE_URL });
+    // Every pooled connection works inside the test schema, schema_migrations included.
+    pool.on('connect', client => client.query(`SET search_path TO ${SCHEMA}`));
+    let dir;
+
+    t.beforeEach(async () => {
+        await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+        await pool.query(`CREATE SCHEMA ${SCHEMA}`);
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        await writeMigration(dir, '0001', 'create_things', 'CREATE TABLE things (id SERIAL PRIMARY KEY);', 'DROP TABLE things;');
+        await writeMigration(dir, '0002', 'add_name', 'ALTER TABLE things ADD COLUMN name TEXT;', 'ALTER TABLE things DROP COLUMN name;');
+    });
+    t.afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+    t.after(async () => {
+        await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+        await pool.end();
+    });
+
+    const tableExists = async (table) => (await pool.query('SELECT to_regclass($1) AS oid', [`${SCHEMA}.${table}`])).rows[0].oid !== null;
+    const columnExists = async (table, column) => (await pool.query(
+        'SELECT 1 FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2 AND column_name = $3',
+        [SCHEMA, table, column]
+    )).rows.length > 0;
+
+    await t.test('up applies pending migrations in order, once', async () => {
+        const migrator = createMigrator({ pool, dir });
+        assert.deepEqual(states(await migrator.status()), ['0001:pending', '0002:pending']);
+
+        assert.deepEqual((await migrator.up()).map(m => m.version), ['0001', '0002']);
+        assert.ok(await columnExists('things', 'name'));
+        assert.deepEqual(states(await migrator.status()), ['0001:applied', '0002:applied']);
+        assert.deepEqual(await migrator.pending(), []);
+
+        assert.deepEqual(await migrator.up(), []);
+    });
+
+    await t.test('down rolls back the latest migrations', async () => {
+        const migrator = createMigrator({ pool, dir });
+        await migrator.up();
+
+        assert.deepEqual((await migrator.down()).map(m => m.version), ['0002']);
+        assert.equal(await columnExists('things', 'name'), false);
+        assert.deepEqual(states(await migrator.status()), ['0001:applied', '0002:pending']);
+
+        await migrator.up();
+        assert.deepEqual((await migrator.down(2)).map(m => m.version), ['0002', '0001']);
+        assert.equal(await tableExists('things'), false);
+        assert.deepEqual(states(await migrator.status()), ['0001:pending', '0002:pending']);
+    });
+
+    await t.test('a failing migration is rolled back and not recorded', async () => {
+        await writeMigration(dir, '0003', 'broken', 'CREATE TABLE others (id INT); INSERT INTO missing_table VALUES (1);', 'DROP TABLE others;');
+        const migrator = createMigrator({ pool, dir });
+
+        await assert.rejects(migrator.up(), /missing_table/);
+        // The migrations before it stay applied; the failing one left no table and no record behind.
+        assert.equal(await tableExists('others'), false);
+        assert.deepEqual(states(await migrator.status()), ['0001:applied', '0002:applied', '0003:pending']);
+    });
+
+    await t.test('a failing rollback keeps the migration applied', async () => {
+        const migrator = createMigrator({ pool, dir });
+        await migrator.up();
+        await fs.writeFile(path.join(dir, '0002_add_name.down.sql'), 'ALTER TABLE things DROP COLUMN name; SELECT * FROM missing_table;');
+
+        await assert.rejects(migrator.down(), /missing_table/);
+        assert.ok(await columnExists('things', 'name'));
+        assert.deepEqual(states(await migrator.status()), ['0001:applied', '0002:applied']);
+    });
+
+    await t.test('status reports edited and missing migrations', async () => {
+        const migrator = createMigrator({ pool, dir });
+        await migrator.up();
+
+        await fs.writeFile(path.join(dir, '0001_create_things.up.sql'), 'CREATE TABLE things (id BIGSERIAL PRIMARY KEY);');
+        await fs.rm(path.join(dir, '0002_add_name.up.sql'));
+        await fs.rm(path.join(dir, '0002_add_name.down.sql'));
+        assert.deepEqual(states(await migrator.status()), ['0001:changed', '0002:missing']);
+
+        await assert.rejects(migrator.down(), /0002_add_name.*files are missing/);
+    });
+
+    await t.test('up waits for the advisory lock held by another migration', async () => {
+        const migrator = createMigrator({ pool, dir });
+        const other = await pool.connect();
+        try {
+            await other.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+            let finished = false;
+            const running = migrator.up().then(ran => {
+                finished = true;
+                return ran;
+            });
+
+            // Wait until up() is queued behind the lock, then check it hasn't touched the schema.
+            const isWaiting = async () => (await other.query(
+                "SELECT count(*)::int AS waiting FROM pg_locks WHERE locktype = 'advisory' AND NOT granted"
+            )).rows[0].waiting > 0;
+            while (!await isWaiting()) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            assert.equal(finished, false);
+            assert.equal(await tableExists('things'), false);
+
+            await other.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+            assert.deepEqual((await running).map(m => m.version), ['0001', '0002']);
+        } finally {
+            other.release();
+        }
+    });
+
+    await t.test('concurrent runs apply each migration once', async () => {
+        const [first, second] = await Promise.all([createMigrator({ pool, dir }).up(), createMigrator({ pool, dir }).up()]);
+
+        assert.equal(first.length + second.length, 2);
+        assert.deepEqual(states(await createMigrator({ pool, dir }).status()), ['0001:applied', '0002:applied']);
+    });
+});
@@ -0,0 +1,93 @@
+// Signed draft preview tokens and the middleware that checks them (lib/preview.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPreviewTokens, previewMode } = require('../lib/preview');
+
+const SECRET = 'test-preview-secret';
+const HOUR = 60 * 60 * 1000;
+
+test('preview tokens', async (t) => {
+    const tokens = createPreviewTokens({ secret: SECRET, ttlMs: HOUR });
+
+    await t.test('a freshly issued token verifies', () => {
+        const { token, expiresAt } = tokens.issue();
+        assert.equal(tokens.verify(token), true);
+        assert.equal(new Date(expiresAt).getTime(), Number(token.split('.')[0]));
+    });
+
+    await t.test('a token stops verifying once it has expired', (t) => {
+        const now = Date.now();
+        const { token } = tokens.issue();
+
+        t.mock.method(Date, 'now', () => now + HOUR - 1);
+        assert.equal(tokens.verify(token), true);
+        t.mock.method(Date, 'now', () => now + HOUR + 1);
+        assert.equal(tokens.verify(token), false);
+    });
+
+    await t.test('an altered signature or expiry is refused', () => {
+        const { token } = tokens.issue();
+        const [expires, signature] = token.split('.');
+        const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+        assert.equal(tokens.verify(`${expires}.${flipped}`), false);
+        assert.equal(tokens.verify(`${expires}.${signature.slice(1)}`), false);
+        // Pushing the expiry back invalidates the signature, which covers it.
+        assert.equal(tokens.verify(`${Number(expires) + HOUR}.${signature}`), false);
+        assert.equal(tokens.verify(`${expires}.`), false);
+        assert.equal(tokens.verify(`${expires}`), false);
+        assert.equal(tokens.verify(''), false);
+        assert.equal(tokens.verify(undefined), false);
+    });
+
+    await t.test('a token signed with another secret is refused', () => {
+        const { token } = createPreviewTokens({ secret: 'another-secret', ttlMs: HOUR }).issue();
+        assert.equal(tokens.verify(token), false);
+    });
+
+    await t.test('tokens cannot be created without a secret', () => {
+        for (const secret of [undefined, null, '']) {
+            assert.throws(() => createPreviewTokens({ secret, ttlMs: HOUR }), /PREVIEW_SECRET/);
+        }
+    });
+});
+
+test('previewMode() middleware', async (t) => {
+    const tokens = createPreviewTokens({ secret: SECRET, ttlMs: HOUR });
+
+    // Runs the middleware on a request carrying `headers` and resolves to { req, error }.
+    const run = (middleware, headers = {}, query = {}) => new Promise((resolve) => {
+        const req = { query, get: (name) => headers[name] };
+        middleware(req, {}, (error) => resolve({ req, error }));
+    });
+
+    await t.test('requests without a token see published content', async () => {
+        const { req, error } = await run(previewMode(tokens));
+        assert.equal(error, undefined);
+        assert.equal(req.preview, false);
+    });
+
+    await t.test('a valid token turns preview on, from the header or the query string', async () => {
+        const { token } = tokens.issue();
+        for (const [headers, query] of [[{ 'X-Preview-Token': token }, {}], [{}, { previewToken: token }]]) {
+            const { req, error } = await run(previewMode(tokens), headers, query);
+            assert.equal(error, undefined);
+            assert.equal(req.preview, true);
+        }
+    });
+
+    await t.test('an invalid token is a 401 rather than published content', async () => {
+        const { req, error } = await run(previewMode(tokens), { 'X-Preview-Token': `${Date.now() + HOUR}.forged` });
+        assert.equal(error.status, 401);
+        assert.equal(error.code, 'INVALID_PREVIEW_TOKEN');
+        assert.equal(req.preview, false);
+    });
+
+    await t.test('a token sent while preview is not configured is a 503', async () => {
+        const { token } = tokens.issue();
+        const { req, error } = await run(previewMode(null), { 'X-Preview-Token': token });
+        assert.equal(error.status, 503);
+        assert.equal(error.code, 'PREVIEW_NOT_CONFIGURED');
+        assert.equal(req.preview, false);
+    });
+});
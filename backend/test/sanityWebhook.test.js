@@ -0,0 +1,100 @@
+// Sanity webhook signatures and the webhook route, using the signed fixture payload instead of Sanity.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { SIGNATURE_HEADER, signPayload, isValidSignature, getChangedTypes } = require('../lib/sanityWebhook');
+const { createSanityWebhookRouter } = require('../routes/sanityWebhook');
+const { listen } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+const FIXTURE = JSON.stringify(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sanity-webhook-service.json'), 'utf8')));
+const TEN_MINUTES_MS = 10 * 60 * 1000;
+
+test('isValidSignature', async (t) => {
+    await t.test('accepts a payload signed with the secret', () => {
+        assert.equal(isValidSignature(FIXTURE, signPayload(FIXTURE, SECRET), SECRET), true);
+    });
+
+    await t.test('rejects a tampered body', () => {
+        const header = signPayload(FIXTURE, SECRET);
+        const tampered = FIXTURE.replace('Web Development', 'Web Development!');
+        assert.equal(isValidSignature(tampered, header, SECRET), false);
+    });
+
+    await t.test('rejects another secret', () => {
+        assert.equal(isValidSignature(FIXTURE, signPayload(FIXTURE, 'other-secret'), SECRET), false);
+    });
+
+    await t.test('rejects a stale timestamp, and one from the future', () => {
+        assert.equal(isValidSignature(FIXTURE, signPayload(FIXTURE, SECRET, Date.now() - TEN_MINUTES_MS), SECRET), false);
+        assert.equal(isValidSignature(FIXTURE, signPayload(FIXTURE, SECRET, Date.now() + TEN_MINUTES_MS), SECRET), false);
+    });
+
+    await t.test('rejects missing or malformed headers and a missing secret', () => {
+        assert.equal(isValidSignature(FIXTURE, undefined, SECRET), false);
+        assert.equal(isValidSignature(FIXTURE, 'v1=abc', SECRET), false);
+        assert.equal(isValidSignature(FIXTURE, `t=${Date.now()}`, SECRET), false);
+        assert.equal(isValidSignature(FIXTURE, signPayload(FIXTURE, SECRET), null), false);
+    });
+});
+
+test('getChangedTypes returns the distinct document types', () => {
+    assert.deepEqual(getChangedTypes(JSON.parse(FIXTURE)), ['service']);
+    assert.deepEqual(getChangedTypes([{ _type: 'post' }, { _type: 'post' }, { _type: 'service' }, null]), ['post', 'service']);
+});
+
+test('POST /api/webhooks/sanity', async (t) => {
+    const published = [];
+    const createApp = (secret) => {
+        const app = express();
+        // As in index.js: signatures are checked against the raw body.
+        app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+        app.use('/api/webhooks/sanity', createSanityWebhookRouter({ secret, onPublish: async (change) => { published.push(change); } }));
+        return app;
+    };
+    const server = await listen(createApp(SECRET));
+    t.after(() => server.close());
+
+    const send = (body, header, url = server.url) => fetch(`${url}/api/webhooks/sanity`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'sanity-operation': 'update', ...(header && { [SIGNATURE_HEADER]: header }) },
+        body,
+    });
+
+    await t.test('rebuilds on a valid signature', async () => {
+        const response = await send(FIXTURE, signPayload(FIXTURE, SECRET));
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { success: true, types: ['service'] });
+        assert.deepEqual(published, [{ types: ['service'], operation: 'update' }]);
+    });
+
+    await t.test('rejects a tampered body', async () => {
+        const response = await send(FIXTURE.replace('service', 'jobPosting'), signPayload(FIXTURE, SECRET));
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).error.code, 'INVALID_SIGNATURE');
+    });
+
+    await t.test('rejects a stale timestamp', async () => {
+        const response = await send(FIXTURE, signPayload(FIXTURE, SECRET, Date.now() - TEN_MINUTES_MS));
+        assert.equal(response.status, 401);
+    });
+
+    await t.test('rejects an unsigned request', async () => {
+        const response = await send(FIXTURE);
+        assert.equal(response.status, 401);
+    });
+
+    await t.test('answers 503 when no secret is configured', async () => {
+        const unconfigured = await listen(createApp(null));
+        try {
+            const response = await send(FIXTURE, signPayload(FIXTURE, SECRET), unconfigured.url);
+            assert.equal(response.status, 503);
+        } finally {
+            await unconfigured.close();
+        }
+    });
+
+    assert.equal(published.length, 1, 'only the valid request triggers a rebuild');
+});
@@ -0,0 +1,77 @@
+// The contact form's spam rules (lib/spam/rules.js); the CAPTCHA rule talks to a local stand-in for the provider.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { checkHoneypot, checkSubmitTiming, checkLinkCount, checkBlocklist, verifyCaptcha } = require('../lib/spam/rules');
+const { listen } = require('./helpers');
+
+test('checkHoneypot rejects a filled-in hidden field', () => {
+    assert.equal(checkHoneypot({}, { field: 'website' }), null);
+    assert.equal(checkHoneypot({ website: '  ' }, { field: 'website' }), null);
+    assert.equal(checkHoneypot({ website: null }, { field: 'website' }), null);
+    assert.deepEqual(checkHoneypot({ website: 'https://spam.example' }, { field: 'website' }), {
+        action: 'reject', reason: 'honeypot', message: 'Your message could not be sent.',
+    });
+});
+
+test('checkSubmitTiming rejects forms sent too fast or without a timing', () => {
+    assert.equal(checkSubmitTiming({ elapsedMs: 3000 }, { minMs: 3000 }), null);
+    assert.equal(checkSubmitTiming({ elapsedMs: '4500' }, { minMs: 3000 }), null);
+    for (const elapsedMs of [2999, undefined, 'soon', Infinity]) {
+        assert.equal(checkSubmitTiming({ elapsedMs }, { minMs: 3000 }).reason, 'too-fast', String(elapsedMs));
+    }
+});
+
+test('checkLinkCount flags messages with too many links', () => {
+    const body = { name: 'Ada', message: 'See https://a.example and www.b.example' };
+    assert.equal(checkLinkCount(body, { maxLinks: 2 }), null);
+    assert.deepEqual(checkLinkCount({ ...body, name: 'http://c.example' }, { maxLinks: 2 }), { action: 'flag', reason: 'too-many-links:3' });
+});
+
+test('checkBlocklist flags blocklisted terms in any field, ignoring case', () => {
+    const terms = ['casino', 'seo services'];
+    assert.equal(checkBlocklist({ name: 'Ada', email: 'ada@example.com', message: 'A new website, please.' }, { terms }), null);
+    assert.deepEqual(checkBlocklist({ message: 'Cheap SEO Services!' }, { terms }), { action: 'flag', reason: 'blocklisted-term:seo services' });
+    assert.deepEqual(checkBlocklist({ email: 'win@casino.example' }, { terms }), { action: 'flag', reason: 'blocklisted-term:casino' });
+});
+
+test('verifyCaptcha', async (t) => {
+    const requests = [];
+    const provider = express();
+    provider.use(express.urlencoded({ extended: false }));
+    provider.post('/verify', (req, res) => {
+        requests.push(req.body);
+        res.json({ success: req.body.response === 'valid-token' });
+    });
+    provider.post('/slow', (req, res) => setTimeout(() => res.json({ success: true }), 500));
+    provider.post('/broken', (req, res) => res.status(500).send('Internal Server Error'));
+    const server = await listen(provider);
+    t.after(() => server.close());
+
+    const config = (path) => ({ verifyUrl: `${server.url}${path}`, secret: 'captcha-secret', timeoutMs: 200 });
+
+    await t.test('flags a missing token without asking the provider', async () => {
+        assert.deepEqual(await verifyCaptcha('', '203.0.113.7', config('/verify')), { action: 'flag', reason: 'captcha-missing' });
+        assert.equal(requests.length, 0);
+    });
+
+    await t.test('passes a token the provider accepts', async () => {
+        assert.equal(await verifyCaptcha('valid-token', '203.0.113.7', config('/verify')), null);
+        assert.deepEqual(requests.at(-1), { secret: 'captcha-secret', response: 'valid-token', remoteip: '203.0.113.7' });
+    });
+
+    await t.test('rejects a token the provider refuses', async () => {
+        const verdict = await verifyCaptcha('forged-token', null, config('/verify'));
+        assert.equal(verdict.action, 'reject');
+        assert.equal(verdict.reason, 'captcha-failed');
+        assert.equal('remoteip' in requests.at(-1), false);
+    });
+
+    await t.test('flags the submission when the provider times out', async () => {
+        assert.deepEqual(await verifyCaptcha('valid-token', null, config('/slow')), { action: 'flag', reason: 'captcha-timeout' });
+    });
+
+    await t.test('flags the submission when the provider fails', async () => {
+        assert.deepEqual(await verifyCaptcha('valid-token', null, config('/broken')), { action: 'flag', reason: 'captcha-unavailable' });
+    });
+});
@@ -0,0 +1,15 @@
+// Request validation rules (lib/validation.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { string, validate } = require('../lib/validation');
+
+test("string({ format: 'date' }) accepts real calendar days only", () => {
+    const schema = { from: string({ format: 'date' }) };
+
+    for (const day of ['2024-02-29', '2025-12-31', '2026-01-01']) {
+        assert.deepEqual(validate(schema, { from: day }), { value: { from: day }, errors: null }, day);
+    }
+    for (const day of ['2024-02-31', '2025-02-29', '2025-04-31', '2025-13-01', '2025-00-10', '2025-01-00', '2025-1-5', '05/01/2025', '2025-01-01T00:00']) {
+        assert.equal(validate(schema, { from: day }).errors?.from?.code, 'invalid_format', day);
+    }
+});
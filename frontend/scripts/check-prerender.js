@@ -0,0 +1,124 @@
+// Checks the static build made from the fixtures: every page of every locale must exist with its
+// <title>, its JSON-LD and rendered markup, so a broken route or SEO regression fails CI instead of
+// shipping a blank page. It also checks the not-found page (dist/404.html) and that vercel.json rewrites
+// every route, and only the routes, to the app shell, so unknown URLs get a real 404.
+//
+// Run after `node scripts/prerender.js --fixtures` (see the "test" script in package.json).
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ROUTES, getPrerenderPaths } from '../src/routes.js';
+import { getPageMeta } from '../src/seo.js';
+import { LOCALES, DEFAULT_LOCALE, getDirection, localizePath } from '../src/i18n.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(root, 'dist');
+const fixturesPath = path.join(root, 'fixtures', 'site-data.json');
+const vercelConfigPath = path.join(root, 'vercel.json');
+// The same origin the prerender used for canonical and JSON-LD URLs.
+const siteUrl = process.env.SITE_URL || '';
+
+const outputFileFor = (pagePath) => path.join(distDir, ...pagePath.split('/').filter(Boolean).map(decodeURIComponent), 'index.html');
+
+const unescapeHtml = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Returns the problems found in one prerendered page.
+const checkPage = (html, pagePath, meta, locale) => {
+  const problems = [];
+
+  const titles = [...html.matchAll(/<title>(.*?)<\/title>/gs)].map((match) => unescapeHtml(match[1]));
+  if (titles.length !== 1 || titles[0] !== meta.title) {
+    problems.push(`expected the title "${meta.title}", found ${JSON.stringify(titles)}`);
+  }
+
+  const jsonLd = [...html.matchAll(/<script data-seo type="application\/ld\+json">(.*?)<\/script>/gs)].map((match) => JSON.parse(match[1]));
+  if (!jsonLd.length && meta.jsonLd.length) {
+    problems.push('has no JSON-LD');
+  } else if (JSON.stringify(jsonLd) !== JSON.stringify(meta.jsonLd)) {
+    problems.push(`JSON-LD differs from getPageMeta(): found ${jsonLd.map((entry) => entry['@type']).join(', ')}`);
+  }
+
+  if (!html.includes(`<html lang="${locale}" dir="${getDirection(locale)}">`)) {
+    problems.push(`is not marked as lang="${locale}"`);
+  }
+  if (/<div id="root">\s*<\/div>/.test(html) || html.includes('<!--app-')) {
+    problems.push('was not rendered');
+  }
+  if (!html.includes('<script type="application/json" id="nxl-data">')) {
+    problems.push('has no hydration data');
+  }
+  return problems;
+};
+
+// The vercel.json rewrite source for a route, e.g. "/:locale(fr|ar)?/services/:id".
+const rewriteSourceFor = (routePath) => {
+  const prefixes = LOCALES.map(({ code }) => code).filter((code) => code !== DEFAULT_LOCALE).join('|');
+  return `/:locale(${prefixes})?${routePath === '/' ? '' : routePath}`;
+};
+
+// Returns the problems with the rewrites in vercel.json.
+const checkRewrites = (rewrites) => {
+  const problems = [];
+  const sources = rewrites.filter((rewrite) => rewrite.destination === '/shell.html').map((rewrite) => rewrite.source);
+  const expected = ROUTES.map((route) => rewriteSourceFor(route.path));
+  expected.filter((source) => !sources.includes(source)).forEach((source) => problems.push(`vercel.json: no rewrite for ${source}`));
+  sources.filter((source) => !expected.includes(source)).forEach((source) => problems.push(`vercel.json: ${source} is not a route`));
+  return problems;
+};
+
+const check = async () => {
+  const fixtures = JSON.parse(await fs.readFile(fixturesPath, 'utf8'));
+  const failures = [];
+  let pageCount = 0;
+
+  for (const { code: locale } of LOCALES) {
+    const data = { ...fixtures, locale };
+    for (const pagePath of getPrerenderPaths(data).map((pagePath) => localizePath(pagePath, locale))) {
+      pageCount += 1;
+      const meta = getPageMeta(pagePath, data, siteUrl);
+      if (meta.noIndex) {
+        failures.push(`${pagePath}: resolves to the not-found page`);
+        continue;
+      }
+
+      let html;
+      try {
+        html = await fs.readFile(outputFileFor(pagePath), 'utf8');
+      } catch (error) {
+        failures.push(`${pagePath}: ${error.code === 'ENOENT' ? 'was not prerendered' : error.message}`);
+        continue;
+      }
+      failures.push(...checkPage(html, pagePath, meta, locale).map((problem) => `${pagePath}: ${problem}`));
+    }
+  }
+
+  const notFoundMeta = getPageMeta('/404', { ...fixtures, locale: DEFAULT_LOCALE }, siteUrl);
+  try {
+    const html = await fs.readFile(path.join(distDir, '404.html'), 'utf8');
+    failures.push(...checkPage(html, '/404', notFoundMeta, DEFAULT_LOCALE).map((problem) => `404.html: ${problem}`));
+    if (!html.includes('<meta data-seo name="robots" content="noindex" />')) {
+      failures.push('404.html: is not marked noindex');
+    }
+  } catch (error) {
+    failures.push(`404.html: ${error.code === 'ENOENT' ? 'was not prerendered' : error.message}`);
+  }
+
+  const { rewrites = [] } = JSON.parse(await fs.readFile(vercelConfigPath, 'utf8'));
+  failures.push(...checkRewrites(rewrites));
+
+  if (failures.length) {
+    failures.forEach((failure) => console.error(`✗ ${failure}`));
+    console.error(`Prerender check failed: ${failures.length} problem(s) in ${pageCount} pages.`);
+    process.exit(1);
+  }
+  console.log(`Prerender check passed: ${pageCount} pages across ${LOCALES.length} locales have their title and JSON-LD.`);
+};
+
+check().catch((error) => {
+  console.error('Prerender check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// Renders every page of the site to static HTML.
+//
+// Run after both `vite build` and `vite build --ssr` (see the "build" script in package.json).
+//
+// Usage:
+//   node scripts/prerender.js              # content from ${PRERENDER_API_URL}/api/data?locale=<code>
+//   node scripts/prerender.js --fixtures   # content from fixtures/site-data.json (no CMS access needed)
+//
+// Each page is rendered once per locale and written to dist/<locale prefix>/<path>/index.html with its
+// content serialised into a JSON <script> block, so main.jsx can hydrate it instead of fetching again.
+// The fixtures hold English content only, so fixture builds use it for every locale.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { getPrerenderPaths } from '../src/routes.js';
+import { getPageMeta, renderHeadTags } from '../src/seo.js';
+import { LOCALES, DEFAULT_LOCALE, getDirection, localizePath } from '../src/i18n.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(root, 'dist');
+const serverEntry = path.join(root, 'dist-ssr', 'entry-server.js');
+const fixturesPath = path.join(root, 'fixtures', 'site-data.json');
+
+const useFixtures = process.argv.includes('--fixtures') || process.env.PRERENDER_FIXTURES === 'true';
+const apiUrl = process.env.PRERENDER_API_URL || 'http://localhost:3001';
+// Public origin of the site, used for canonical and Open Graph URLs.
+const siteUrl = process.env.SITE_URL || '';
+
+const loadSiteData = async (locale) => {
+  if (useFixtures) {
+    console.log(`Prerender: using Sanity fixtures from ${path.relative(root, fixturesPath)} for "${locale}"`);
+    return { ...JSON.parse(await fs.readFile(fixturesPath, 'utf8')), locale };
+  }
+
+  console.log(`Prerender: fetching "${locale}" content from ${apiUrl}/api/data`);
+  const response = await fetch(`${apiUrl}/api/data?locale=${locale}`);
+  if (!response.ok) {
+    throw new Error(`Network response was not ok: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
+
+// Escapes "<" so CMS content can never close the <script> block early.
+const serializeData = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// Any path no route matches; rendered once as dist/404.html, which Vercel serves with a 404 status for
+// URLs that are neither a file nor one of the rewrites in vercel.json.
+const NOT_FOUND_PATH = '/404';
+
+const outputFileFor = (pagePath) => path.join(distDir, ...pagePath.split('/').filter(Boolean).map(decodeURIComponent), 'index.html');
+
+const prerender = async () => {
+  const template = await fs.readFile(path.join(distDir, 'index.html'), 'utf8');
+  const { render } = await import(pathToFileURL(serverEntry).href);
+
+  // index.html is about to become the prerendered home page, so keep an empty copy
+  // for URLs that have no prerendered file (see the rewrite in vercel.json).
+  await fs.writeFile(path.join(distDir, 'shell.html'), template);
+
+  for (const { code: locale } of LOCALES) {
+    let data;
+    try {
+      data = await loadSiteData(locale);
+    } catch (error) {
+      // Without content the client-rendered shell still works, so don't fail the deploy.
+      console.warn(`Prerender of "${locale}" skipped: could not load site content.`, error.message);
+      continue;
+    }
+
+    // A data block rather than an inline script, which the site's Content Security Policy (vercel.json) would block.
+    const dataScript = `<script type="application/json" id="nxl-data">${serializeData(data)}</script>`;
+    const htmlTag = `<html lang="${locale}" dir="${getDirection(locale)}">`;
+
+    const renderPage = (pagePath) => template
+      .replace(/<html[^>]*>/, () => htmlTag)
+      .replace(/<title>.*<\/title>\s*<!--app-head-->/s, () => renderHeadTags(getPageMeta(pagePath, data, siteUrl)))
+      .replace('<!--app-html-->', () => render(pagePath, data))
+      .replace('<!--app-data-->', () => dataScript);
+
+    for (const pagePath of getPrerenderPaths(data).map((pagePath) => localizePath(pagePath, locale))) {
+      const outputFile = outputFileFor(pagePath);
+      await fs.mkdir(path.dirname(outputFile), { recursive: true });
+      await fs.writeFile(outputFile, renderPage(pagePath));
+      console.log(`Prerendered ${pagePath} -> ${path.relative(root, outputFile)}`);
+    }
+
+    if (locale === DEFAULT_LOCALE) {
+      await fs.writeFile(path.join(distDir, '404.html'), renderPage(NOT_FOUND_PATH));
+      console.log('Prerendered the not-found page -> dist/404.html');
+    }
+  }
+};
+
+prerender().catch((error) => {
+  console.error('Prerender failed:', error);
+  process.exit(1);
+});
@@ -1,88 +1,242 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, lazy, Suspense } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ArrowRight, Menu, X, Code, Smartphone, Cloud, Server, Gamepad2, Briefcase, Loader, Search, PenTool, Code2, Rocket, Facebook, Linkedin } from 'lucide-react';
-import * as THREE from 'three';
-// GSAP and ScrollTrigger are now loaded via a script loader to prevent import conflicts.
+import { ArrowRight, ArrowLeft, Menu, X, Code, Smartphone, Cloud, Server, Gamepad2, Briefcase, Loader, Search, PenTool, Code2, Rocket, Facebook, Linkedin, MapPin, Clock, Globe, Eye } from 'lucide-react';
+import { matchRoute, normalizePath, servicePath, jobPath, postPath } from './routes.js';
+import { applyDocumentMeta, getPageMeta, SOCIAL_PROFILES } from './seo.js';
+import { apiRequest, apiUrl, NETWORK_ERROR, TIMEOUT, INVALID_RESPONSE } from './api.js';
+import PortableText from './PortableText.jsx';
+import ThreeDAnimation from './ThreeDAnimation.jsx';
+import { ALL_RESOURCES, getPageResources, hasResource, fetchResource, mergeContent } from './content.js';
+import { getPreviewToken, clearPreview, fetchContent, previewEventsUrl } from './preview.js';
+import { track } from './analytics.js';
+import { loadConsent, saveConsent, isWithdrawal, ConsentContext, useConsent } from './consent.js';
+import { ConsentBanner, ConsentPreferences } from './ConsentBanner.jsx';
+import { LOCALES, DEFAULT_LOCALE, getDirection, splitLocale, localizePath, getSavedLocale, saveLocale, createTranslator, I18nContext, useI18n } from './i18n.js';
+
+// The staff dashboard is only downloaded when someone visits /admin.
+const AdminApp = lazy(() => import('./admin/AdminApp.jsx'));
 
 // Icon mapping to convert string names from the API to actual components
 const ICONS = {
     Code, Smartphone, Cloud, Server, Gamepad2, Briefcase, Search, PenTool, Code2, Rocket
 };
 
+// Convert icon strings from the API to React components in whichever lists `data` holds
+const processSiteData = (data) => ({
+  ...data,
+  ...(data.services && { services: data.services.map(s => ({ ...s, icon: ICONS[s.icon] || Code })) }),
+  ...(data.process && { process: data.process.map(p => ({ ...p, icon: ICONS[p.icon] || Rocket })) }),
+});
+
 // Main App Component
-export default function App() {
-  const [currentPage, setCurrentPage] = useState('home');
+// `initialPath` and `initialData` are supplied when the page is prerendered (see entry-server.jsx)
+// and when the browser hydrates that prerendered HTML (see main.jsx).
+export default function App({ initialPath, initialData = null }) {
+  // The full path, including the locale prefix ("/fr/about").
+  const [currentPath, setCurrentPath] = useState(() => normalizePath(initialPath ?? window.location.pathname));
   const [isMenuOpen, setIsMenuOpen] = useState(false);
-  const [siteData, setSiteData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
+  // Content in the shape of /api/data, loaded page by page (see content.js).
+  const [siteData, setSiteData] = useState(() => (initialData ? processSiteData({ ...initialData, loaded: ALL_RESOURCES }) : null));
+  // Set when an editor is previewing drafts (see preview.js).
+  const [previewToken, setPreviewToken] = useState(null);
+  // Bumped whenever content changes, for pages that fetch their own (the blog).
+  const [contentVersion, setContentVersion] = useState(0);
   const [error, setError] = useState(null);
-  const [scriptsLoaded, setScriptsLoaded] = useState(false);
+  // The visitor's cookie consent (see consent.js): undefined until read after hydration, null before they choose.
+  const [consent, setConsent] = useState(undefined);
+  const [isConsentOpen, setIsConsentOpen] = useState(false);
+  // The blog post on screen, which lives outside siteData (see PostDetailPage).
+  const [loadedPost, setLoadedPost] = useState(null);
+
+  const { locale, path } = splitLocale(currentPath);
+  const route = matchRoute(path);
+  const pageResources = getPageResources(route);
+  // Resources to fetch for this page: everything after a language switch or a content update,
+  // otherwise only what isn't held yet. Whatever is on screen stays up until they arrive.
+  const missingResources = pageResources.filter(name => (
+    !siteData || siteData.stale || siteData.locale !== locale || !hasResource(siteData, name)
+  ));
+  const missingKey = missingResources.join(',');
+  const isPageReady = pageResources.every(name => hasResource(siteData, name));
+  const allowsAnalytics = Boolean(consent?.categories.analytics);
 
   useEffect(() => {
-    // This effect now handles loading all external animation libraries.
-    const loadScript = (src, onLoad) => {
-      const script = document.createElement('script');
-      script.src = src;
-      script.async = true;
-      script.onload = onLoad;
-      document.body.appendChild(script);
-      return script;
-    };
+    // Read after hydration, as the prerendered HTML can't know the visitor's choice.
+    setConsent(loadConsent());
+  }, []);
 
-    // Dynamically load the "Orbitron" font from Google Fonts
-    const fontLink = document.createElement('link');
-    fontLink.href = 'https://fonts.googleapis.com/css2?family=Orbitron:wght@400;700&display=swap';
-    fontLink.rel = 'stylesheet';
-    document.head.appendChild(fontLink);
-
-    // Load GSAP, then ScrollTrigger, then fetch data
-    loadScript('https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js', () => {
-      loadScript('https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/ScrollTrigger.min.js', () => {
-        // Register ScrollTrigger plugin after both scripts are loaded
-        if (window.gsap) {
-          window.gsap.registerPlugin(window.ScrollTrigger);
-          setScriptsLoaded(true); // Mark scripts as loaded
-        }
-        
-        // Fetch data from the live backend API
-        fetch('http://localhost:3001/api/data')
-          .then(response => {
-            if (!response.ok) {
-                throw new Error(`Network response was not ok: ${response.statusText}`);
-            }
-            return response.json();
-          })
-          .then(data => {
-            // Convert icon strings from API to React components
-            if (data && data.services && data.process) {
-                const processedData = {
-                    ...data,
-                    services: data.services.map(s => ({ ...s, icon: ICONS[s.icon] || Code })),
-                    process: data.process.map(p => ({ ...p, icon: ICONS[p.icon] || Rocket }))
-                };
-                setSiteData(processedData);
-            } else {
-                throw new Error("Invalid data structure from API");
-            }
-            setIsLoading(false);
-          })
-          .catch(err => {
-            console.error("Failed to fetch or process site data:", err);
-            setError("Failed to load content. Please try again later.");
-            setIsLoading(false);
-          });
+  useEffect(() => {
+    // Preview is only known in the browser, after hydration. Prerendered content is published content,
+    // so it is marked stale to be replaced with drafts straight away.
+    const token = getPreviewToken();
+    if (!token) return;
+    setPreviewToken(token);
+    setSiteData(current => current && { ...current, stale: true });
+  }, []);
+
+  useEffect(() => {
+    // Fetch the content this page shows. Prerendered pages already carry all of it, so there is
+    // nothing to fetch until the visitor switches language or editors publish a change.
+    if (!missingKey) return;
+
+    const names = missingKey.split(',');
+    let isCancelled = false;
+    setError(null);
+    Promise.all(names.map(name => fetchResource(name, locale)))
+      .then(parts => {
+        if (isCancelled) return;
+        // Content in another language, or out of date, is replaced rather than added to.
+        setSiteData(current => names.reduce(
+          (content, name, index) => mergeContent(content, name, processSiteData(parts[index])),
+          current && current.locale === locale && !current.stale ? current : { locale, loaded: [] },
+        ));
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        console.error("Failed to fetch or process site data:", err);
+        setError('app.loadFailed');
       });
-    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [locale, missingKey]);
 
+  useEffect(() => {
+    // When the backend reports that editors published a change, mark the content as stale so
+    // the current page refetches it; other pages fetch fresh content when they are next shown.
+    const events = new EventSource(apiUrl('/api/events'));
+    const handleContentUpdated = () => {
+      setSiteData(current => current && { ...current, stale: true });
+      setContentVersion(version => version + 1);
+    };
+    events.addEventListener('content-updated', handleContentUpdated);
+    return () => {
+      events.removeEventListener('content-updated', handleContentUpdated);
+      events.close();
+    };
   }, []);
 
-  const navigateTo = (page) => {
-    setCurrentPage(page);
+  useEffect(() => {
+    // In preview, drafts are refetched as editors change them.
+    if (!previewToken) return;
+
+    const events = new EventSource(previewEventsUrl(previewToken));
+    const handleDraftUpdated = () => {
+      setSiteData(current => current && { ...current, stale: true });
+      setContentVersion(version => version + 1);
+    };
+    events.addEventListener('draft-updated', handleDraftUpdated);
+    return () => {
+      events.removeEventListener('draft-updated', handleDraftUpdated);
+      events.close();
+    };
+  }, [previewToken]);
+
+  useEffect(() => {
+    // A visitor who picked a language before gets it again when they land on an unprefixed (default-language) URL.
+    const saved = getSavedLocale();
+    const current = splitLocale(window.location.pathname);
+    if (!saved || saved === current.locale || current.locale !== DEFAULT_LOCALE || matchRoute(current.path).page === 'admin') return;
+
+    const nextPath = localizePath(current.path, saved);
+    window.history.replaceState({}, '', nextPath);
+    setCurrentPath(nextPath);
+  }, []);
+
+  useEffect(() => {
+    // Language and text direction of the whole document, so right-to-left scripts lay out correctly.
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getDirection(locale);
+  }, [locale]);
+
+  useEffect(() => {
+    // Keep the rendered page in sync with the browser's back/forward buttons.
+    const handlePopState = () => {
+      setCurrentPath(normalizePath(window.location.pathname));
+      setIsMenuOpen(false);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  useEffect(() => {
+    // One page view per page shown (switching language shows a new page), plus a service view on service pages.
+    // Allowing analytics counts the page it was allowed on.
+    if (!allowsAnalytics) return;
+    const { page, params } = matchRoute(splitLocale(currentPath).path);
+    track('pageview');
+    if (page === 'service-detail') track('service_view', { serviceId: params.id });
+  }, [currentPath, allowsAnalytics]);
+
+  useEffect(() => {
+    // Update the title, description, social tags and JSON-LD for the page being shown.
+    if (isPageReady) {
+      const data = loadedPost ? { ...siteData, posts: [loadedPost] } : siteData;
+      applyDocumentMeta(getPageMeta(currentPath, data, window.location.origin));
+    }
+  }, [currentPath, siteData, isPageReady, loadedPost]);
+
+  // Pushes a new history entry so every page has a shareable URL, e.g. navigateTo('/services/web').
+  // Paths are given without the locale prefix; the current language is kept.
+  const navigateTo = (to, nextLocale = locale) => {
+    const nextPath = localizePath(to, nextLocale);
+    if (nextPath !== normalizePath(window.location.pathname)) {
+      window.history.pushState({}, '', nextPath);
+    }
+    setCurrentPath(nextPath);
     setIsMenuOpen(false);
     window.scrollTo(0, 0);
   };
 
-  if (isLoading || !scriptsLoaded) {
+  const handlePostLoad = useCallback((post) => setLoadedPost(post), []);
+  const closeConsent = useCallback(() => setIsConsentOpen(false), []);
+
+  // Leaves preview; the reload drops every draft already on screen.
+  const exitPreview = () => {
+    clearPreview();
+    window.location.reload();
+  };
+
+  // Saves a choice from the consent banner or preferences. Fonts and scripts already loaded can't be
+  // unloaded, so taking consent back reloads the page without them.
+  const updateConsent = (choices) => {
+    const next = saveConsent(choices);
+    setIsConsentOpen(false);
+    if (isWithdrawal(consent, next)) {
+      window.location.reload();
+      return;
+    }
+    setConsent(next);
+  };
+
+  // Language switcher: stays on the same page and remembers the choice for later visits.
+  const switchLocale = (nextLocale) => {
+    saveLocale(nextLocale);
+    navigateTo(path, nextLocale);
+  };
+
+  const i18n = { locale, dir: getDirection(locale), t: createTranslator(locale) };
+  const { t } = i18n;
+  const consentContext = {
+    consent,
+    allows: (category) => category === 'necessary' || Boolean(consent?.categories[category]),
+    openPreferences: () => setIsConsentOpen(true),
+  };
+
+  // The admin area lives outside the public site chrome and doesn't depend on CMS content.
+  if (route.page === 'admin') {
+    return (
+      <Suspense fallback={<div className="bg-gray-900 min-h-screen" />}>
+        <AdminApp navigateTo={navigateTo} />
+      </Suspense>
+    );
+  }
+
+  // Pages render straight away; the process section's scroll animation attaches once GSAP has loaded.
+  const hasSite = hasResource(siteData, 'site');
+  if (!hasSite && !error) {
     return (
       <div className="bg-gray-900 text-white font-sans min-h-screen flex flex-col justify-center items-center">
         <motion.div
@@ -91,63 +245,149 @@ export default function App() {
         >
           <Loader size={48} className="text-blue-500" />
         </motion.div>
-        <p className="mt-4 text-lg">Loading Innovations...</p>
+        <p className="mt-4 text-lg">{t('app.loading')}</p>
       </div>
     );
   }
 
-  if (error || !siteData) {
+  if (!hasSite) {
     return (
       <div className="bg-gray-900 text-white font-sans min-h-screen flex flex-col justify-center items-center text-center p-4">
-        <p className="text-red-500 text-xl mb-4">{error || "An unknown error occurred."}</p>
-        <p className="text-gray-400">Please ensure the backend server is running on port 3001 and the CMS content is published.</p>
+        <p className="text-red-500 text-xl mb-4">{t(error || 'app.unknownError')}</p>
+        <p className="text-gray-400 mb-6">{t('app.backendHint')}</p>
+        <button onClick={() => window.location.reload()} className="bg-blue-600 hover:bg-blue-700 font-bold py-2 px-4 rounded-lg">
+          {t('app.retry')}
+        </button>
       </div>
     );
   }
 
   const renderPage = () => {
-    const pageId = currentPage.startsWith('service-') ? 'service-detail' : currentPage;
-    switch (pageId) {
+    // After the first page, content loads inside the header and footer.
+    if (!isPageReady) {
+      return error ? (
+        <PageWrapper title={t(error)} />
+      ) : (
+        <div className="min-h-screen flex justify-center items-center" role="status" aria-label={t('app.loading')}>
+          <Loader size={48} className="animate-spin text-blue-500" />
+        </div>
+      );
+    }
+
+    switch (route.page) {
       case 'home':
         return <HomePage navigateTo={navigateTo} data={siteData} />;
       case 'about':
         return <AboutPage data={siteData.about} />;
       case 'services':
         return <ServicesPage navigateTo={navigateTo} services={siteData.services} />;
-      case 'service-detail':
-        const serviceId = currentPage.split('-')[1];
-        const service = siteData.services.find(s => s.id === serviceId);
-        return <ServiceDetailPage service={service} contact={siteData.contact} />;
+      case 'service-detail': {
+        const service = (siteData.services || []).find(s => s.id === route.params.id);
+        if (!service) {
+          return <NotFoundPage navigateTo={navigateTo} />;
+        }
+        return <ServiceDetailPage navigateTo={navigateTo} service={service} contact={siteData.contact} contentVersion={contentVersion} />;
+      }
       case 'careers':
-        return <CareersPage data={siteData.careers} />;
+        return <CareersPage navigateTo={navigateTo} data={siteData.careers} jobs={siteData.jobs} />;
+      case 'job-detail': {
+        const job = siteData.jobs.find(j => j.id === route.params.id);
+        if (!job) {
+          return <NotFoundPage navigateTo={navigateTo} />;
+        }
+        return <JobDetailPage navigateTo={navigateTo} job={job} careers={siteData.careers} />;
+      }
+      case 'blog':
+        return <BlogPage navigateTo={navigateTo} contentVersion={contentVersion} />;
+      case 'post-detail':
+        return <PostDetailPage navigateTo={navigateTo} slug={route.params.slug} onLoad={handlePostLoad} contentVersion={contentVersion} />;
       case 'contact':
         return <ContactPage data={siteData.contact} />;
+      case 'privacy':
+        return <PrivacyPage />;
       default:
-        return <HomePage navigateTo={navigateTo} data={siteData} />;
+        return <NotFoundPage navigateTo={navigateTo} />;
     }
   };
 
   return (
-    <div className="bg-gray-900 font-sans text-white">
-      <Header navigateTo={navigateTo} isMenuOpen={isMenuOpen} setIsMenuOpen={setIsMenuOpen} />
-      <AnimatePresence mode="wait">
-        <motion.div
-          key={currentPage}
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          exit={{ opacity: 0, y: -20 }}
-          transition={{ duration: 0.5 }}
-        >
-          {renderPage()}
-        </motion.div>
-      </AnimatePresence>
-      <Footer navigateTo={navigateTo} data={siteData} />
-    </div>
+    <I18nContext.Provider value={i18n}>
+      <ConsentContext.Provider value={consentContext}>
+        <div className="bg-gray-900 font-sans text-white">
+          <Header navigateTo={navigateTo} switchLocale={switchLocale} isMenuOpen={isMenuOpen} setIsMenuOpen={setIsMenuOpen} />
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={currentPath}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.5 }}
+            >
+              {renderPage()}
+            </motion.div>
+          </AnimatePresence>
+          <Footer navigateTo={navigateTo} data={siteData} />
+          {previewToken && <PreviewBanner onExit={exitPreview} />}
+          {consent === null && !isConsentOpen && <ConsentBanner onSave={updateConsent} onCustomize={() => setIsConsentOpen(true)} />}
+          {isConsentOpen && <ConsentPreferences consent={consent} onSave={updateConsent} onClose={closeConsent} />}
+        </div>
+      </ConsentContext.Provider>
+    </I18nContext.Provider>
   );
 }
 
+// Shown on every page while an editor previews unpublished drafts.
+const PreviewBanner = ({ onExit }) => {
+  const { t } = useI18n();
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-50 bg-yellow-400 text-gray-900 px-6 py-3 flex flex-wrap justify-center items-center gap-4 shadow-2xl" role="status">
+      <Eye size={20} aria-hidden="true" />
+      <p><strong className="font-bold">{t('preview.title')}</strong> {t('preview.text')}</p>
+      <button onClick={onExit} className="bg-gray-900 text-white font-bold py-1 px-4 rounded-lg hover:bg-gray-700">
+        {t('preview.exit')}
+      </button>
+    </div>
+  );
+};
+
+// Language picker in the Header. The choice is remembered and reflected in the URL (see switchLocale in App).
+const LanguageSwitcher = ({ switchLocale }) => {
+  const { locale, t } = useI18n();
+  return (
+    <label className="flex items-center text-gray-300">
+      <Globe size={18} className="me-2" aria-hidden="true" />
+      <span className="sr-only">{t('nav.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => switchLocale(e.target.value)}
+        className="bg-transparent border border-gray-600 rounded-lg py-1 ps-2 pe-8 text-sm font-bold focus:ring-blue-500 focus:border-blue-500"
+      >
+        {LOCALES.map(option => (
+          <option key={option.code} value={option.code} lang={option.code} className="bg-gray-800">{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
 // Header Component
-const Header = ({ navigateTo, isMenuOpen, setIsMenuOpen }) => {
+// Link to a page of the site. It has a real href, so crawlers can follow it and middle-click or "open in
+// new tab" work; a plain left-click navigates in place instead. `to` is a path without the locale prefix,
+// and `as` swaps the <a> for an animated one (motion.a).
+const Link = ({ to, navigateTo, onClick, as = 'a', children, ...props }) => {
+  const { locale } = useI18n();
+  const Component = as;
+  const handleClick = (event) => {
+    if (onClick) onClick(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    navigateTo(to);
+  };
+  return <Component href={localizePath(to, locale)} onClick={handleClick} {...props}>{children}</Component>;
+};
+
+const Header = ({ navigateTo, switchLocale, isMenuOpen, setIsMenuOpen }) => {
+  const { t } = useI18n();
   const [isScrolled, setIsScrolled] = useState(false);
 
   useEffect(() => {
@@ -161,11 +401,12 @@ const Header = ({ navigateTo, isMenuOpen, setIsMenuOpen }) => {
   }, []);
 
   const navItems = [
-    { id: 'home', label: 'Home' },
-    { id: 'about', label: 'About Us' },
-    { id: 'services', label: 'Services' },
-    { id: 'careers', label: 'Careers' },
-    { id: 'contact', label: 'Contact' },
+    { path: '/', label: t('nav.home') },
+    { path: '/about', label: t('nav.about') },
+    { path: '/services', label: t('nav.services') },
+    { path: '/blog', label: t('nav.blog') },
+    { path: '/careers', label: t('nav.careers') },
+    { path: '/contact', label: t('nav.contact') },
   ];
   
   const glowAnimation = {
@@ -185,36 +426,44 @@ const Header = ({ navigateTo, isMenuOpen, setIsMenuOpen }) => {
   return (
     <header className={`fixed top-0 left-0 right-0 z-50 transition-colors duration-300 ${isScrolled ? 'bg-gray-900 bg-opacity-80 backdrop-blur-md' : 'bg-transparent'}`} style={{fontFamily: "'Orbitron', sans-serif"}}>
       <div className="container mx-auto px-6 py-4 flex justify-between items-center">
-        <motion.div 
+        <Link
+          as={motion.a}
+          to="/"
+          navigateTo={navigateTo}
           className="text-3xl font-bold tracking-wider cursor-pointer"
-          onClick={() => navigateTo('home')}
           whileHover={{ scale: 1.05 }}
           animate={glowAnimation}
         >
           NXL<span className="text-blue-400">.</span>
-        </motion.div>
-        <nav className="hidden md:flex space-x-8 items-center">
+        </Link>
+        <nav className="hidden md:flex gap-8 items-center">
           {navItems.map(item => (
-            <motion.button
-              key={item.id}
-              onClick={() => navigateTo(item.id)}
+            <Link
+              as={motion.a}
+              key={item.path}
+              to={item.path}
+              navigateTo={navigateTo}
               className="text-gray-300 transition-colors duration-300 font-bold"
               whileHover={{ y: -2, color: '#ffffff' }}
               animate={glowAnimation}
             >
               {item.label}
-            </motion.button>
+            </Link>
           ))}
-          <motion.button 
-            onClick={() => navigateTo('contact')}
+          <Link
+            as={motion.a}
+            to="/contact"
+            navigateTo={navigateTo}
+            onClick={() => track('cta_click', { cta: 'get-in-touch' })}
             className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-all duration-300"
             whileHover={{ scale: 1.05, boxShadow: "0px 0px 15px rgba(59, 130, 246, 0.5)" }}
           >
-            Get In Touch
-          </motion.button>
+            {t('nav.getInTouch')}
+          </Link>
+          <LanguageSwitcher switchLocale={switchLocale} />
         </nav>
         <div className="md:hidden">
-          <button onClick={() => setIsMenuOpen(!isMenuOpen)}>
+          <button onClick={() => setIsMenuOpen(!isMenuOpen)} aria-label={t('nav.menu')} aria-expanded={isMenuOpen}>
             {isMenuOpen ? <X size={28} /> : <Menu size={28} />}
           </button>
         </div>
@@ -229,22 +478,28 @@ const Header = ({ navigateTo, isMenuOpen, setIsMenuOpen }) => {
           >
             <nav className="flex flex-col items-center py-4 space-y-4">
               {navItems.map(item => (
-                <motion.button
-                  key={item.id}
-                  onClick={() => navigateTo(item.id)}
+                <Link
+                  as={motion.a}
+                  key={item.path}
+                  to={item.path}
+                  navigateTo={navigateTo}
                   className="text-gray-300 hover:text-white transition-colors duration-300 text-lg font-bold"
                   animate={glowAnimation}
                 >
                   {item.label}
-                </motion.button>
+                </Link>
               ))}
-              <motion.button 
-                onClick={() => navigateTo('contact')}
-                className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition-all duration-300 w-4/5"
+              <Link
+                as={motion.a}
+                to="/contact"
+                navigateTo={navigateTo}
+                onClick={() => track('cta_click', { cta: 'get-in-touch' })}
+                className="block text-center bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition-all duration-300 w-4/5"
                 whileHover={{ scale: 1.05 }}
               >
-                Get In Touch
-              </motion.button>
+                {t('nav.getInTouch')}
+              </Link>
+              <LanguageSwitcher switchLocale={switchLocale} />
             </nav>
           </motion.div>
         )}
@@ -255,6 +510,8 @@ const Header = ({ navigateTo, isMenuOpen, setIsMenuOpen }) => {
 
 // Footer Component
 const Footer = ({ navigateTo, data }) => {
+  const { t } = useI18n();
+  const { openPreferences } = useConsent();
   return (
     <footer className="bg-gray-900 border-t border-gray-700 mt-20">
       <div className="container mx-auto px-6 py-12">
@@ -262,27 +519,28 @@ const Footer = ({ navigateTo, data }) => {
           <div>
             <h3 className="text-2xl font-bold mb-4">NXL<span className="text-blue-400">.</span></h3>
             <p className="text-gray-400 mb-6">{data.hero.subtitle.substring(0, 100)}...</p>
-            <h4 className="text-lg font-semibold mb-3">Follow Us</h4>
-            <div className="flex space-x-4">
-              <a href="https://www.facebook.com/people/NXL-Technologies/61567502310449/?mibextid=ZbWKwL" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition-colors">
+            <h4 className="text-lg font-semibold mb-3">{t('footer.followUs')}</h4>
+            <div className="flex gap-4">
+              <a href={SOCIAL_PROFILES.facebook} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition-colors">
                 <Facebook size={24} />
               </a>
-              <a href="https://www.linkedin.com/company/nxl-technologies/" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition-colors">
+              <a href={SOCIAL_PROFILES.linkedin} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition-colors">
                 <Linkedin size={24} />
               </a>
             </div>
           </div>
           <div>
-            <h4 className="text-lg font-semibold mb-4">Quick Links</h4>
+            <h4 className="text-lg font-semibold mb-4">{t('footer.quickLinks')}</h4>
             <ul>
-              <li className="mb-2"><button onClick={() => navigateTo('about')} className="text-gray-400 hover:text-white">About Us</button></li>
-              <li className="mb-2"><button onClick={() => navigateTo('services')} className="text-gray-400 hover:text-white">Services</button></li>
-              <li className="mb-2"><button onClick={() => navigateTo('careers')} className="text-gray-400 hover:text-white">Careers</button></li>
-              <li className="mb-2"><button onClick={() => navigateTo('contact')} className="text-gray-400 hover:text-white">Contact</button></li>
+              <li className="mb-2"><Link to="/about" navigateTo={navigateTo} className="text-gray-400 hover:text-white">{t('nav.about')}</Link></li>
+              <li className="mb-2"><Link to="/services" navigateTo={navigateTo} className="text-gray-400 hover:text-white">{t('nav.services')}</Link></li>
+              <li className="mb-2"><Link to="/blog" navigateTo={navigateTo} className="text-gray-400 hover:text-white">{t('nav.blog')}</Link></li>
+              <li className="mb-2"><Link to="/careers" navigateTo={navigateTo} className="text-gray-400 hover:text-white">{t('nav.careers')}</Link></li>
+              <li className="mb-2"><Link to="/contact" navigateTo={navigateTo} className="text-gray-400 hover:text-white">{t('nav.contact')}</Link></li>
             </ul>
           </div>
           <div>
-            <h4 className="text-lg font-semibold mb-4">Contact Us</h4>
+            <h4 className="text-lg font-semibold mb-4">{t('footer.contactUs')}</h4>
             <p className="text-gray-400 mb-2">{data.contact.phone}</p>
             <p className="text-gray-400 mb-2">{data.contact.email}</p>
             {data.contact.addresses.map(addr => (
@@ -290,19 +548,26 @@ const Footer = ({ navigateTo, data }) => {
             ))}
           </div>
            <div>
-            <h4 className="text-lg font-semibold mb-4">Have a Project?</h4>
-            <p className="text-gray-400 mb-4">We'd love to discuss how we can assist you.</p>
-             <motion.button 
-                onClick={() => navigateTo('contact')}
-                className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition-all duration-300 w-full"
+            <h4 className="text-lg font-semibold mb-4">{t('footer.haveProject')}</h4>
+            <p className="text-gray-400 mb-4">{t('footer.haveProjectText')}</p>
+             <Link
+                as={motion.a}
+                to="/contact"
+                navigateTo={navigateTo}
+                onClick={() => track('cta_click', { cta: 'lets-talk' })}
+                className="block text-center bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition-all duration-300 w-full"
                 whileHover={{ scale: 1.05, boxShadow: "0px 0px 15px rgba(59, 130, 246, 0.5)" }}
               >
-                Let's Talk
-              </motion.button>
+                {t('footer.letsTalk')}
+              </Link>
           </div>
         </div>
         <div className="mt-12 border-t border-gray-800 pt-8 text-center text-gray-500">
-          <p>&copy; {new Date().getFullYear()} NXL Technologies. All Rights Reserved.</p>
+          <p>{t('footer.copyright', { year: new Date().getFullYear() })}</p>
+          <div className="mt-2 flex justify-center gap-6 text-sm">
+            <button onClick={openPreferences} className="hover:text-white underline-offset-4 hover:underline">{t('consent.settings')}</button>
+            <Link to="/privacy" navigateTo={navigateTo} className="hover:text-white underline-offset-4 hover:underline">{t('privacy.footerLink')}</Link>
+          </div>
         </div>
       </div>
     </footer>
@@ -321,125 +586,9 @@ const HomePage = ({ navigateTo, data }) => {
   );
 };
 
-// Advanced Three.js Particle Animation Component
-const ThreeDAnimation = () => {
-    const mountRef = useRef(null);
-    const mouse = useRef({ x: 0, y: 0 });
-
-    useEffect(() => {
-        const currentMount = mountRef.current; // Capture mount point
-
-        const scene = new THREE.Scene();
-        const camera = new THREE.PerspectiveCamera(75, currentMount.clientWidth / currentMount.clientHeight, 0.1, 1000);
-        camera.position.z = 3;
-        const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        renderer.setSize(currentMount.clientWidth, currentMount.clientHeight);
-        renderer.setPixelRatio(window.devicePixelRatio);
-        currentMount.appendChild(renderer.domElement);
-
-        const particleCount = 10000;
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
-        const color1 = new THREE.Color("#5e72e4");
-        const color2 = new THREE.Color("#8965e0");
-
-        for (let i = 0; i < particleCount; i++) {
-            const i3 = i * 3;
-            const radius = Math.random() * 2 + 1;
-            const phi = Math.acos(2 * Math.random() - 1);
-            const theta = Math.random() * Math.PI * 2;
-            positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-            positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-            positions[i3 + 2] = radius * Math.cos(phi);
-            const mixedColor = color1.clone().lerp(color2, (positions[i3 + 1] + 1.5) / 3);
-            colors[i3] = mixedColor.r;
-            colors[i3 + 1] = mixedColor.g;
-            colors[i3 + 2] = mixedColor.b;
-        }
-
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        
-        const material = new THREE.PointsMaterial({
-            size: 0.015, // Particle size reduced from 0.025
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            transparent: true,
-            opacity: 0.8,
-            depthWrite: false,
-        });
-
-        const particles = new THREE.Points(geometry, material);
-        scene.add(particles);
-        
-        const originalPositions = new Float32Array(positions);
-
-        const handleMouseMove = (event) => {
-            mouse.current.x = (event.clientX / window.innerWidth) * 2 - 1;
-            mouse.current.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        };
-        window.addEventListener('mousemove', handleMouseMove);
-        
-        const handleResize = () => {
-            if (currentMount) {
-                const width = currentMount.clientWidth;
-                const height = currentMount.clientHeight;
-                camera.aspect = width / height;
-                camera.updateProjectionMatrix();
-                renderer.setSize(width, height);
-            }
-        };
-        window.addEventListener('resize', handleResize);
-
-        const clock = new THREE.Clock();
-        let animationFrameId;
-        
-        const animate = () => {
-            animationFrameId = requestAnimationFrame(animate);
-            const elapsedTime = clock.getElapsedTime();
-            
-            for (let i = 0; i < particleCount; i++) {
-                const i3 = i * 3;
-                const x = geometry.attributes.position.getX(i);
-                const y = geometry.attributes.position.getY(i);
-                const waveX = Math.sin(elapsedTime * 0.5 + x * 0.5) * 0.1;
-                const waveY = Math.cos(elapsedTime * 0.5 + y * 0.5) * 0.1;
-                const mouseVector = new THREE.Vector2(mouse.current.x * 2, mouse.current.y * 2);
-                const particleVector = new THREE.Vector2(x, y);
-                const dist = mouseVector.distanceTo(particleVector);
-                const force = Math.max(0, 1 - dist * 2);
-                const angle = mouseVector.sub(particleVector).angle();
-                const pushX = Math.cos(angle) * force * -0.2;
-                const pushY = Math.sin(angle) * force * -0.2;
-                geometry.attributes.position.setX(i, THREE.MathUtils.lerp(x, originalPositions[i3] + waveX + pushX, 0.1));
-                geometry.attributes.position.setY(i, THREE.MathUtils.lerp(y, originalPositions[i3 + 1] + waveY + pushY, 0.1));
-            }
-            geometry.attributes.position.needsUpdate = true;
-            particles.rotation.y = elapsedTime * 0.05;
-            renderer.render(scene, camera);
-        };
-        animate();
-
-        return () => {
-            cancelAnimationFrame(animationFrameId);
-            window.removeEventListener('mousemove', handleMouseMove);
-            window.removeEventListener('resize', handleResize);
-            if (currentMount && renderer.domElement) {
-                currentMount.removeChild(renderer.domElement);
-            }
-            geometry.dispose();
-            material.dispose();
-            renderer.dispose();
-        };
-    }, []);
-
-    return <div ref={mountRef} className="absolute top-0 left-0 w-full h-full z-0" />;
-};
-
-
 // Hero Section
 const HeroSection = ({ navigateTo, heroData }) => {
+  const { t } = useI18n();
   return (
     <section className="min-h-screen flex items-center justify-center bg-grid-gray-700/[0.2] relative pt-24 md:pt-0 overflow-hidden">
        <div className="absolute pointer-events-none inset-0 flex items-center justify-center bg-gray-900 [mask-image:radial-gradient(ellipse_at_center,transparent_20%,black)]"></div>
@@ -466,12 +615,13 @@ const HeroSection = ({ navigateTo, heroData }) => {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.8, delay: 0.4 }}
         >
-          <button
-            onClick={() => navigateTo('services')}
-            className="bg-white text-gray-900 font-bold py-3 px-8 rounded-lg text-lg hover:bg-gray-200 transition-all duration-300 transform hover:scale-105 shadow-lg"
+          <Link
+            to="/services"
+            navigateTo={navigateTo}
+            className="inline-block bg-white text-gray-900 font-bold py-3 px-8 rounded-lg text-lg hover:bg-gray-200 transition-all duration-300 transform hover:scale-105 shadow-lg"
           >
-            Explore Our Services <ArrowRight className="inline ml-2" />
-          </button>
+            {t('home.exploreServices')} <ArrowRight className="inline ms-2 rtl:-scale-x-100" />
+          </Link>
         </motion.div>
       </div>
     </section>
@@ -480,12 +630,13 @@ const HeroSection = ({ navigateTo, heroData }) => {
 
 // What We Do Section
 const WhatWeDoSection = ({ navigateTo, services }) => {
+  const { t } = useI18n();
   return (
     <section className="py-20 bg-gray-900">
       <div className="container mx-auto px-6">
         <div className="text-center mb-12">
-          <h2 className="text-4xl md:text-5xl font-bold mb-4">What We Do</h2>
-          <p className="text-lg text-gray-400 max-w-2xl mx-auto">Elevate Your Craft With Our Suggestion</p>
+          <h2 className="text-4xl md:text-5xl font-bold mb-4">{t('home.whatWeDo')}</h2>
+          <p className="text-lg text-gray-400 max-w-2xl mx-auto">{t('home.whatWeDoSubtitle')}</p>
         </div>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
           {services.map((service, index) => (
@@ -499,17 +650,19 @@ const WhatWeDoSection = ({ navigateTo, services }) => {
             >
               <div className="flex-grow">
                 <div className="flex items-center mb-4">
-                  <service.icon className="text-blue-400 mr-4" size={32} />
+                  <service.icon className="text-blue-400 me-4" size={32} />
                   <h3 className="text-2xl font-bold">{service.title}</h3>
                 </div>
                 <p className="text-gray-400 mb-6">{service.description}</p>
               </div>
-              <button
-                onClick={() => navigateTo(`service-${service.id}`)}
+              <Link
+                to={servicePath(service.id)}
+                navigateTo={navigateTo}
+                onClick={() => track('cta_click', { cta: 'view-details', serviceId: service.id })}
                 className="text-blue-400 hover:text-blue-300 font-semibold mt-auto flex items-center"
               >
-                Learn More <ArrowRight className="inline ml-2" size={16} />
-              </button>
+                {t('home.learnMore')} <ArrowRight className="inline ms-2 rtl:-scale-x-100" size={16} />
+              </Link>
             </motion.div>
           ))}
         </div>
@@ -520,12 +673,13 @@ const WhatWeDoSection = ({ navigateTo, services }) => {
 
 // How We Help Section
 const HowWeHelpSection = () => {
+  const { t } = useI18n();
   return (
     <section className="py-20">
       <div className="container mx-auto px-6">
         <div className="text-center mb-12">
-          <h2 className="text-4xl md:text-5xl font-bold mb-4">How NXL Technologies Helps You</h2>
-          <p className="text-lg text-gray-400 max-w-3xl mx-auto">Experience the Power of Tailored IT Solutions. We bring innovation and efficiency to your business operations. Let’s transform your ideas into reality with state-of-the-art technology solutions.</p>
+          <h2 className="text-4xl md:text-5xl font-bold mb-4">{t('home.howWeHelp')}</h2>
+          <p className="text-lg text-gray-400 max-w-3xl mx-auto">{t('home.howWeHelpIntro')}</p>
         </div>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-center">
             <motion.div 
@@ -535,8 +689,8 @@ const HowWeHelpSection = () => {
               viewport={{ once: true }}
               transition={{ duration: 0.7 }}
             >
-                <h3 className="text-3xl font-bold mb-4 text-blue-400">Cloud Solutions</h3>
-                <p className="text-gray-300 text-lg">Empower your business with scalable and secure cloud infrastructure, enabling flexibility and growth.</p>
+                <h3 className="text-3xl font-bold mb-4 text-blue-400">{t('home.cloudTitle')}</h3>
+                <p className="text-gray-300 text-lg">{t('home.cloudText')}</p>
             </motion.div>
             <motion.div 
               className="p-8 bg-gray-800 rounded-xl"
@@ -545,8 +699,8 @@ const HowWeHelpSection = () => {
               viewport={{ once: true }}
               transition={{ duration: 0.7, delay: 0.2 }}
             >
-                <h3 className="text-3xl font-bold mb-4 text-purple-400">Software Development</h3>
-                <p className="text-gray-300 text-lg">Custom applications designed to elevate your business performance and streamline operations.</p>
+                <h3 className="text-3xl font-bold mb-4 text-purple-400">{t('home.softwareTitle')}</h3>
+                <p className="text-gray-300 text-lg">{t('home.softwareText')}</p>
             </motion.div>
         </div>
       </div>
@@ -556,49 +710,57 @@ const HowWeHelpSection = () => {
 
 // GSAP Scrollytelling Section
 const ProcessSection = ({ processData }) => {
+    const { t, dir } = useI18n();
     const mainRef = useRef(null);
     const panelsContainerRef = useRef(null);
 
     useEffect(() => {
-        // Guard against GSAP not being loaded yet
-        if (!window.gsap || !window.gsap.utils) {
-            return;
-        }
+        // GSAP and ScrollTrigger are split into their own chunk, downloaded when this section first mounts;
+        // the panels are laid out and readable before it arrives.
+        let ctx = null;
+        let isCancelled = false;
+        Promise.all([import('gsap'), import('gsap/ScrollTrigger')]).then(([{ gsap }, { ScrollTrigger }]) => {
+            if (isCancelled) return;
+            gsap.registerPlugin(ScrollTrigger);
+
+            // gsap.context() reverts every animation and ScrollTrigger created within it on cleanup.
+            ctx = gsap.context(() => {
+                const panels = gsap.utils.toArray(".step-panel");
+                if (!panels.length) return;
+
+                gsap.to(panels, {
+                    xPercent: -100 * (panels.length - 1),
+                    ease: "none",
+                    scrollTrigger: {
+                        trigger: mainRef.current,
+                        pin: true,
+                        scrub: 1,
+                        snap: 1 / (panels.length - 1),
+                        end: () => "+=" + (panelsContainerRef.current.offsetWidth - window.innerWidth),
+                    },
+                });
+            }, mainRef); // Scoping the context to the main container
+        }).catch(error => console.error('Failed to load the process animation:', error));
 
-        // Using gsap.context() is the modern, professional way to handle GSAP in React.
-        // It automatically handles cleanup of all animations and ScrollTriggers created within it.
-        const ctx = window.gsap.context(() => {
-            const panels = window.gsap.utils.toArray(".step-panel");
-            if (!panels.length) return;
-
-            window.gsap.to(panels, {
-                xPercent: -100 * (panels.length - 1),
-                ease: "none",
-                scrollTrigger: {
-                    trigger: mainRef.current,
-                    pin: true,
-                    scrub: 1,
-                    snap: 1 / (panels.length - 1),
-                    end: () => "+=" + (panelsContainerRef.current.offsetWidth - window.innerWidth),
-                },
-            });
-        }, mainRef); // Scoping the context to the main container
-
-        return () => ctx.revert(); // Cleanup function
+        return () => {
+            isCancelled = true;
+            ctx?.revert();
+        };
     }, [processData]); // Rerun the effect if the process data changes
 
     return (
         <section ref={mainRef} className="relative w-full overflow-x-hidden">
             <div className="py-12 bg-gray-900 text-center">
-                <h2 className="text-4xl md:text-5xl font-bold mb-4">Our Proven Process</h2>
-                <p className="text-lg text-gray-400 max-w-2xl mx-auto">We follow a structured approach to ensure quality and success in every project.</p>
+                <h2 className="text-4xl md:text-5xl font-bold mb-4">{t('home.process')}</h2>
+                <p className="text-lg text-gray-400 max-w-2xl mx-auto">{t('home.processSubtitle')}</p>
             </div>
-            <div ref={panelsContainerRef} className="flex" style={{ width: `${processData.length * 100}vw`, height: '80vh' }}>
+            {/* The track always runs left to right to match the horizontal scroll; each panel's text follows the page direction. */}
+            <div ref={panelsContainerRef} className="flex" dir="ltr" style={{ width: `${processData.length * 100}vw`, height: '80vh' }}>
                 {processData.map((step) => (
                     <div key={step.id} className="step-panel h-full w-screen flex-shrink-0 flex items-center justify-center">
-                        <div className="container mx-auto px-6">
+                        <div className="container mx-auto px-6" dir={dir}>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-12 items-center">
-                                <div className="text-center md:text-left">
+                                <div className="text-center md:text-start">
                                     <step.icon className="text-blue-400 mx-auto md:mx-0 mb-6" size={64} />
                                     <h3 className="text-4xl md:text-5xl font-bold mb-4">{step.title}</h3>
                                     <p className="text-lg text-gray-300 max-w-md mx-auto md:mx-0">{step.description}</p>
@@ -635,8 +797,9 @@ const PageWrapper = ({ title, children }) => (
 
 // About Page
 const AboutPage = ({ data }) => {
+  const { t } = useI18n();
   return (
-    <PageWrapper title="About NXL Technologies">
+    <PageWrapper title={t('about.title')}>
       <div className="max-w-4xl mx-auto">
         <motion.div 
           className="bg-gray-800 p-8 md:p-12 rounded-xl shadow-2xl"
@@ -653,7 +816,7 @@ const AboutPage = ({ data }) => {
           animate={{ opacity: 1 }}
           transition={{ duration: 0.5, delay: 0.3 }}
         >
-          <h3 className="text-3xl font-bold text-center mb-8">Our Core Values</h3>
+          <h3 className="text-3xl font-bold text-center mb-8">{t('about.values')}</h3>
           <div className="flex flex-wrap justify-center gap-4">
             {data.values.map((value, index) => (
               <motion.div
@@ -675,30 +838,34 @@ const AboutPage = ({ data }) => {
 
 // Services Page
 const ServicesPage = ({ navigateTo, services }) => {
+  const { t } = useI18n();
   return (
-    <PageWrapper title="Our Services">
+    <PageWrapper title={t('services.title')}>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
         {services.map((service, index) => (
-          <motion.div
+          <Link
+            as={motion.a}
             key={service.id}
+            to={servicePath(service.id)}
+            navigateTo={navigateTo}
+            onClick={() => track('cta_click', { cta: 'view-details', serviceId: service.id })}
             className="bg-gray-800 p-8 rounded-xl shadow-lg hover:shadow-blue-500/20 transition-shadow duration-300 flex flex-col cursor-pointer"
             initial={{ opacity: 0, y: 50 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.5, delay: index * 0.1 }}
-            onClick={() => navigateTo(`service-${service.id}`)}
             whileHover={{ y: -5 }}
           >
             <div className="flex-grow">
               <div className="flex items-center mb-4">
-                <service.icon className="text-blue-400 mr-4" size={32} />
+                <service.icon className="text-blue-400 me-4" size={32} />
                 <h3 className="text-2xl font-bold">{service.title}</h3>
               </div>
               <p className="text-gray-400 mb-6">{service.description}</p>
             </div>
             <span className="text-blue-400 hover:text-blue-300 font-semibold mt-auto flex items-center">
-              View Details <ArrowRight className="inline ml-2" size={16} />
+              {t('services.viewDetails')} <ArrowRight className="inline ms-2 rtl:-scale-x-100" size={16} />
             </span>
-          </motion.div>
+          </Link>
         ))}
       </div>
     </PageWrapper>
@@ -706,18 +873,19 @@ const ServicesPage = ({ navigateTo, services }) => {
 };
 
 // Service Detail Page
-const ServiceDetailPage = ({ service, contact }) => {
-  if (!service) return <PageWrapper title="Service Not Found" />;
+const ServiceDetailPage = ({ navigateTo, service, contact, contentVersion }) => {
+  const { t } = useI18n();
+  if (!service) return <PageWrapper title={t('notFound.title')} />;
 
   return (
     <PageWrapper title={service.title}>
       <div className="max-w-4xl mx-auto bg-gray-800 p-8 md:p-12 rounded-xl shadow-2xl">
         <div className="flex items-center mb-8">
-          <service.icon className="text-blue-400 mr-6" size={48} />
+          <service.icon className="text-blue-400 me-6" size={48} />
           <p className="text-xl text-gray-300 leading-relaxed">{service.details}</p>
         </div>
         <div className="mt-10">
-          <h3 className="text-2xl font-bold mb-6">Key Offerings</h3>
+          <h3 className="text-2xl font-bold mb-6">{t('services.keyOfferings')}</h3>
           <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {service.list.map((item, index) => (
               <motion.li 
@@ -727,26 +895,556 @@ const ServiceDetailPage = ({ service, contact }) => {
                 animate={{ opacity: 1, x: 0 }}
                 transition={{ duration: 0.5, delay: 0.2 + index * 0.1 }}
               >
-                <ArrowRight className="text-blue-400 mr-3 flex-shrink-0" size={16} />
+                <ArrowRight className="text-blue-400 me-3 flex-shrink-0 rtl:-scale-x-100" size={16} />
                 {item}
               </motion.li>
             ))}
           </ul>
         </div>
+        <DiscoveryCallBooking service={service} />
          <div className="mt-12 text-center bg-gray-700/50 p-6 rounded-lg">
-             <h4 className="text-xl font-semibold mb-2">Need Assistance?</h4>
-             <p className="text-gray-400 mb-4">Reach out to us today to discuss how we can support your business in achieving its digital goals!</p>
+             <h4 className="text-xl font-semibold mb-2">{t('services.needHelp')}</h4>
+             <p className="text-gray-400 mb-4">{t('services.needHelpText')}</p>
              <a href={`tel:${contact.phone}`} className="text-2xl font-bold text-blue-400 hover:underline">{contact.phone}</a>
          </div>
       </div>
+      <RelatedCaseStudies serviceId={service.id} navigateTo={navigateTo} contentVersion={contentVersion} />
+    </PageWrapper>
+  );
+};
+
+// The visitor's own IANA time zone, e.g. "Europe/Paris"
+const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Time zones the picker offers; browsers without Intl.supportedValuesOf only get the visitor's own.
+const listTimeZones = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(current) ? zones : [current, ...zones];
+};
+
+// Calendar day of an instant in a time zone, as YYYY-MM-DD, for grouping slots by day.
+const dayInTimeZone = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+
+const formatSlotDay = (date, locale, timeZone) => new Date(date).toLocaleDateString(locale, { weekday: 'short', day: 'numeric', month: 'short', timeZone });
+const formatSlotTime = (date, locale, timeZone) => new Date(date).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit', timeZone });
+const formatSlot = (date, locale, timeZone) => new Date(date).toLocaleString(locale, { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', timeZone });
+
+// Errors meaning the picked slot was taken or withdrawn in the meantime (see backend/lib/bookings.js).
+const SLOT_GONE_ERRORS = ['SLOT_TAKEN', 'SLOT_UNAVAILABLE', 'SLOT_NOT_FOUND'];
+
+// Discovery-call booking on a service page (see backend/routes/bookings.js). Slots arrive as UTC instants
+// and are shown in a time zone the visitor can change, which defaults to their own. Slots are only
+// fetched in the browser, so prerendered pages never show stale times.
+const DiscoveryCallBooking = ({ service }) => {
+  const { t, locale } = useI18n();
+  // null while loading, then the free slots
+  const [slots, setSlots] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  // Set in the browser, so the prerendered markup doesn't depend on where it was built.
+  const [timeZone, setTimeZone] = useState('UTC');
+  const [timeZones, setTimeZones] = useState(['UTC']);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  // `website` is a honeypot, as on the contact form.
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '', message: '', website: '' });
+  const [formOpenedAt] = useState(() => Date.now());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitStatus, setSubmitStatus] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const loadSlots = () => apiRequest('/api/bookings/slots')
+    .then(result => {
+      setLoadError(null);
+      setSlots(result.slots);
+    })
+    .catch(error => {
+      setLoadError(error);
+      setSlots([]);
+    });
+
+  useEffect(() => {
+    const localTimeZone = getLocalTimeZone();
+    setTimeZone(localTimeZone);
+    setTimeZones(listTimeZones(localTimeZone));
+    loadSlots();
+  }, []);
+
+  const days = [];
+  (slots || []).forEach(slot => {
+    const day = dayInTimeZone(slot.startsAt, timeZone);
+    const group = days.find(item => item.day === day);
+    if (group) group.slots.push(slot);
+    else days.push({ day, slots: [slot] });
+  });
+  const activeDay = days.find(item => item.day === selectedDay) || days[0];
+
+  const handleTimeZoneChange = (e) => {
+    setTimeZone(e.target.value);
+    setSelectedDay(null);
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setSubmitStatus(null);
+
+    try {
+      const result = await apiRequest('/api/bookings', {
+        method: 'POST',
+        body: { ...formData, slotId: selectedSlot.id, serviceId: service.id, timeZone, locale, elapsedMs: Date.now() - formOpenedAt },
+      });
+      track('conversion', { form: 'booking' });
+      setSubmitStatus({ success: true, startsAt: result.booking.startsAt });
+    } catch (error) {
+      setFieldErrors(error.fields || {});
+      setIsSubmitting(false);
+      if (SLOT_GONE_ERRORS.includes(error.code)) {
+        setSelectedSlot(null);
+        setSubmitStatus({ success: false, message: t('booking.slotGone') });
+        loadSlots();
+        return;
+      }
+      setSubmitStatus({ success: false, message: describeError(error, t) });
+      console.error('Booking Error:', error);
+    }
+  };
+
+  if (submitStatus?.success) {
+    return (
+      <div className="mt-12 bg-gray-700/50 p-6 rounded-lg text-center">
+        <h3 className="text-2xl font-bold mb-4">{t('form.thankYou')}</h3>
+        <p className="text-gray-300">{t('booking.booked', { time: `${formatSlot(submitStatus.startsAt, locale, timeZone)} (${timeZone})` })}</p>
+      </div>
+    );
+  }
+
+  const renderSlots = () => {
+    if (!slots) {
+      return <p className="flex items-center gap-3 text-gray-400"><Loader className="animate-spin text-blue-500" size={20} />{t('booking.loading')}</p>;
+    }
+    if (loadError) {
+      return <p className="text-red-500">{describeError(loadError, t)}</p>;
+    }
+    if (!days.length) {
+      return <p className="text-gray-400">{t('booking.noSlots')}</p>;
+    }
+    return (
+      <>
+        <div>
+          <p className="block text-sm font-medium text-gray-300 mb-2">{t('booking.day')}</p>
+          <div className="flex flex-wrap gap-2">
+            {days.map(({ day, slots: daySlots }) => (
+              <button key={day} type="button" onClick={() => setSelectedDay(day)} aria-pressed={day === activeDay.day} className={`py-2 px-3 rounded-lg border text-sm font-semibold transition-colors ${day === activeDay.day ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-600 text-gray-300 hover:border-blue-400'}`}>
+                {formatSlotDay(daySlots[0].startsAt, locale, timeZone)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p className="block text-sm font-medium text-gray-300 mb-2">{t('booking.time')}</p>
+          <div className="flex flex-wrap gap-2">
+            {activeDay.slots.map(slot => (
+              <button key={slot.id} type="button" onClick={() => setSelectedSlot(slot)} aria-pressed={slot.id === selectedSlot?.id} className={`py-2 px-3 rounded-lg border text-sm font-semibold transition-colors ${slot.id === selectedSlot?.id ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-600 text-gray-300 hover:border-blue-400'}`}>
+                <time dateTime={slot.startsAt}>{formatSlotTime(slot.startsAt, locale, timeZone)}</time>
+              </button>
+            ))}
+          </div>
+          <FieldError id="booking-slot-error" error={fieldErrors.slotId} />
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <section className="mt-12" aria-labelledby="booking-title">
+      <h3 id="booking-title" className="text-2xl font-bold mb-2">{t('booking.title')}</h3>
+      <p className="text-gray-400 mb-6">{t('booking.intro', { service: service.title })}</p>
+      <form onSubmit={handleSubmit} className="space-y-6 bg-gray-700/50 p-6 rounded-lg">
+        <div className="absolute -start-[9999px]" aria-hidden="true">
+          <label htmlFor="booking-website">{t('form.honeypot')}</label>
+          <input type="text" name="website" id="booking-website" tabIndex={-1} autoComplete="off" value={formData.website} onChange={handleChange} />
+        </div>
+        <div>
+          <label htmlFor="booking-time-zone" className="block text-sm font-medium text-gray-300 mb-2">{t('booking.timeZone')}</label>
+          <select id="booking-time-zone" value={timeZone} onChange={handleTimeZoneChange} aria-invalid={Boolean(fieldErrors.timeZone)} aria-describedby="booking-time-zone-error" className="w-full md:w-auto bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500">
+            {timeZones.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+          </select>
+          <FieldError id="booking-time-zone-error" error={fieldErrors.timeZone} />
+        </div>
+        {renderSlots()}
+        {selectedSlot && (
+          <>
+            <p className="text-blue-300 font-semibold">{t('booking.selected', { time: formatSlot(selectedSlot.startsAt, locale, timeZone) })}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="booking-name" className="block text-sm font-medium text-gray-300 mb-2">{t('form.name')}</label>
+                <input type="text" name="name" id="booking-name" required autoComplete="name" value={formData.name} onChange={handleChange} aria-invalid={Boolean(fieldErrors.name)} aria-describedby="booking-name-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <FieldError id="booking-name-error" error={fieldErrors.name} />
+              </div>
+              <div>
+                <label htmlFor="booking-email" className="block text-sm font-medium text-gray-300 mb-2">{t('form.email')}</label>
+                <input type="email" name="email" id="booking-email" required autoComplete="email" value={formData.email} onChange={handleChange} aria-invalid={Boolean(fieldErrors.email)} aria-describedby="booking-email-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <FieldError id="booking-email-error" error={fieldErrors.email} />
+              </div>
+            </div>
+            <div>
+              <label htmlFor="booking-phone" className="block text-sm font-medium text-gray-300 mb-2">{t('booking.phone')}</label>
+              <input type="tel" name="phone" id="booking-phone" autoComplete="tel" value={formData.phone} onChange={handleChange} aria-invalid={Boolean(fieldErrors.phone)} aria-describedby="booking-phone-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+              <FieldError id="booking-phone-error" error={fieldErrors.phone} />
+            </div>
+            <div>
+              <label htmlFor="booking-message" className="block text-sm font-medium text-gray-300 mb-2">{t('booking.message')}</label>
+              <textarea name="message" id="booking-message" rows="4" value={formData.message} onChange={handleChange} aria-invalid={Boolean(fieldErrors.message)} aria-describedby="booking-message-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"></textarea>
+              <FieldError id="booking-message-error" error={fieldErrors.message} />
+            </div>
+            <button type="submit" disabled={isSubmitting} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
+              {isSubmitting ? t('form.sending') : t('booking.submit')}
+            </button>
+          </>
+        )}
+        {submitStatus && !submitStatus.success && (
+          <p className="text-red-500 text-sm mt-2">{submitStatus.message}</p>
+        )}
+      </form>
+    </section>
+  );
+};
+
+// Not Found Page
+const NotFoundPage = ({ navigateTo }) => {
+  const { t } = useI18n();
+  return (
+    <PageWrapper title={t('notFound.title')}>
+      <div className="max-w-2xl mx-auto text-center">
+        <p className="text-lg text-gray-300 mb-8">{t('notFound.text')}</p>
+        <Link
+          to="/"
+          navigateTo={navigateTo}
+          className="inline-block bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition-all duration-300"
+        >
+          {t('notFound.backHome')} <ArrowRight className="inline ms-2 rtl:-scale-x-100" size={16} />
+        </Link>
+      </div>
     </PageWrapper>
   );
 };
 
+// Blog posts and case studies (see backend/routes/posts.js). `filters` holds any of type, tag, category,
+// service and page; empty values are left out.
+const fetchPosts = (locale, filters = {}) => {
+  const params = new URLSearchParams({ locale });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  return fetchContent(`/api/posts?${params}`);
+};
+
+// Resolves to the post, or null when no published post has this slug.
+const fetchPost = (locale, slug) => fetchContent(`/api/posts/${encodeURIComponent(slug)}?locale=${locale}`).then(
+  result => result.post,
+  error => {
+    if (error.status === 404) return null;
+    throw error;
+  },
+);
+
+// Values of the `_type` of blog documents; labels are the blog.type.* (singular) and blog.types.* (plural) messages.
+const POST_TYPES = ['post', 'caseStudy'];
+
+const formatDate = (date, locale) => new Date(date).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+const PostMeta = ({ post }) => {
+  const { locale, t } = useI18n();
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-400">
+      <span className="bg-blue-500/20 text-blue-300 rounded-full px-3 py-1 font-semibold">{t(`blog.type.${post._type}`)}</span>
+      {post.publishedAt && <time dateTime={post.publishedAt}>{formatDate(post.publishedAt, locale)}</time>}
+      {post.client && <span>{t('blog.client', { client: post.client })}</span>}
+      {post.category && <span>{post.category}</span>}
+    </div>
+  );
+};
+
+const PostCard = ({ post, navigateTo, index }) => {
+  const { t } = useI18n();
+  return (
+    <Link
+      as={motion.a}
+      to={postPath(post.slug)}
+      navigateTo={navigateTo}
+      className="bg-gray-800 rounded-xl shadow-lg hover:shadow-blue-500/20 transition-shadow duration-300 flex flex-col text-start overflow-hidden"
+      initial={{ opacity: 0, y: 50 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: index * 0.1 }}
+      whileHover={{ y: -5 }}
+    >
+      {post.image?.url && (
+        <img src={`${post.image.url}?w=640&h=360&fit=crop&auto=format`} alt={post.image.alt} loading="lazy" className="w-full aspect-video object-cover" />
+      )}
+      <div className="p-6 flex flex-col flex-grow">
+        <PostMeta post={post} />
+        <h3 className="text-2xl font-bold mt-4 mb-3">{post.title}</h3>
+        {post.excerpt && <p className="text-gray-400 mb-6">{post.excerpt}</p>}
+        <span className="text-blue-400 font-semibold mt-auto flex items-center">
+          {t('blog.readMore')} <ArrowRight className="inline ms-2 rtl:-scale-x-100" size={16} />
+        </span>
+      </div>
+    </Link>
+  );
+};
+
+const filterButtonClass = (isActive) => `py-2 px-4 rounded-full font-semibold transition-colors duration-300 ${isActive ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`;
+
+// Blog Page: articles and case studies, filterable by type, category and tag
+const BlogPage = ({ navigateTo, contentVersion }) => {
+  const { locale, t } = useI18n();
+  const [filters, setFilters] = useState({ type: '', category: '', tag: '' });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [hasError, setHasError] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setHasError(false);
+    fetchPosts(locale, { ...filters, page })
+      .then(data => {
+        if (!isCancelled) setResult(data);
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        console.error('Failed to fetch posts:', err);
+        setHasError(true);
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [locale, filters, page, contentVersion]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  return (
+    <PageWrapper title={t('blog.title')}>
+      <div className="max-w-6xl mx-auto">
+        <div className="flex flex-wrap justify-center items-center gap-3 mb-6">
+          <button onClick={() => updateFilter('type', '')} className={filterButtonClass(!filters.type)} aria-pressed={!filters.type}>
+            {t('blog.all')}
+          </button>
+          {POST_TYPES.map(type => (
+            <button key={type} onClick={() => updateFilter('type', type)} className={filterButtonClass(filters.type === type)} aria-pressed={filters.type === type}>
+              {t(`blog.types.${type}`)}
+            </button>
+          ))}
+          {result?.categories.length > 0 && (
+            <label className="flex items-center">
+              <span className="sr-only">{t('blog.category')}</span>
+              <select
+                value={filters.category}
+                onChange={(e) => updateFilter('category', e.target.value)}
+                className="bg-gray-800 border border-gray-600 rounded-full py-2 ps-4 pe-8 text-gray-300 font-semibold focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">{t('blog.allCategories')}</option>
+                {result.categories.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+        {result?.tags.length > 0 && (
+          <div className="flex flex-wrap justify-center gap-2 mb-12" role="group" aria-label={t('blog.tags')}>
+            {result.tags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => updateFilter('tag', filters.tag === tag ? '' : tag)}
+                className={`text-sm py-1 px-3 rounded-full border transition-colors duration-300 ${filters.tag === tag ? 'border-blue-400 text-blue-300' : 'border-gray-600 text-gray-400 hover:text-white'}`}
+                aria-pressed={filters.tag === tag}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {hasError ? (
+          <p className="text-center text-red-500 text-lg">{t('blog.loadFailed')}</p>
+        ) : !result ? (
+          <div className="flex justify-center py-12" role="status" aria-label={t('blog.loading')}>
+            <Loader size={40} className="animate-spin text-blue-500" />
+          </div>
+        ) : result.posts.length === 0 ? (
+          <p className="text-center text-gray-400 text-lg">{t('blog.empty')}</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {result.posts.map((post, index) => (
+              <PostCard key={post.slug} post={post} navigateTo={navigateTo} index={index} />
+            ))}
+          </div>
+        )}
+
+        {result?.totalPages > 1 && (
+          <nav className="flex justify-center items-center gap-6 mt-12">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="flex items-center text-gray-300 hover:text-white disabled:text-gray-600">
+              <ArrowLeft size={18} className="me-2 rtl:-scale-x-100" /> {t('blog.previous')}
+            </button>
+            <span className="text-gray-400">{t('blog.pageOf', { page: result.page, total: result.totalPages })}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= result.totalPages} className="flex items-center text-gray-300 hover:text-white disabled:text-gray-600">
+              {t('blog.next')} <ArrowRight size={18} className="ms-2 rtl:-scale-x-100" />
+            </button>
+          </nav>
+        )}
+      </div>
+    </PageWrapper>
+  );
+};
+
+// Post Detail Page. `onLoad` hands the post to App so the page metadata can describe it.
+// Like the other blog components, it refetches when `contentVersion` changes.
+const PostDetailPage = ({ navigateTo, slug, onLoad, contentVersion }) => {
+  const { locale, t } = useI18n();
+  // undefined while loading, null when there is no such post
+  const [post, setPost] = useState(undefined);
+  const [hasError, setHasError] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setHasError(false);
+    fetchPost(locale, slug)
+      .then(data => {
+        if (isCancelled) return;
+        setPost(data);
+        if (data) onLoad(data);
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        console.error(`Failed to fetch post "${slug}":`, err);
+        setHasError(true);
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [locale, slug, onLoad, contentVersion]);
+
+  if (post === null) {
+    return <NotFoundPage navigateTo={navigateTo} />;
+  }
+
+  const backLink = (
+    <Link to="/blog" navigateTo={navigateTo} className="inline-flex items-center text-gray-400 hover:text-white mb-6">
+      <ArrowLeft size={18} className="me-2 rtl:-scale-x-100" /> {t('blog.allPosts')}
+    </Link>
+  );
+
+  if (hasError || !post) {
+    return (
+      <PageWrapper title={t('blog.title')}>
+        <div className="max-w-4xl mx-auto">
+          {backLink}
+          {hasError ? (
+            <p className="text-center text-red-500 text-lg">{t('blog.loadFailed')}</p>
+          ) : (
+            <div className="flex justify-center py-12" role="status" aria-label={t('blog.loading')}>
+              <Loader size={40} className="animate-spin text-blue-500" />
+            </div>
+          )}
+        </div>
+      </PageWrapper>
+    );
+  }
+
+  return (
+    <PageWrapper title={post.title}>
+      <article className="max-w-4xl mx-auto">
+        {backLink}
+        <div className="mb-8"><PostMeta post={post} /></div>
+        {post.image?.url && (
+          <img
+            src={`${post.image.url}?w=1200&auto=format`}
+            alt={post.image.alt}
+            width={post.image.width || undefined}
+            height={post.image.height || undefined}
+            className="rounded-xl w-full h-auto mb-10"
+          />
+        )}
+        <div className="bg-gray-800 p-8 md:p-12 rounded-xl shadow-2xl">
+          <PortableText value={post.body} />
+          {post.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-10" aria-label={t('blog.tags')}>
+              {post.tags.map(tag => <span key={tag} className="text-sm py-1 px-3 rounded-full border border-gray-600 text-gray-400">#{tag}</span>)}
+            </div>
+          )}
+        </div>
+        {post.services?.length > 0 && (
+          <div className="mt-12">
+            <h2 className="text-2xl font-bold mb-6">{t('blog.relatedServices')}</h2>
+            <div className="flex flex-wrap gap-4">
+              {post.services.filter(service => service.id).map(service => (
+                <Link key={service.id} to={servicePath(service.id)} navigateTo={navigateTo} className="bg-gray-800 hover:bg-gray-700 py-3 px-5 rounded-lg font-semibold flex items-center">
+                  {service.title} <ArrowRight className="ms-2 text-blue-400 rtl:-scale-x-100" size={16} />
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+      </article>
+    </PageWrapper>
+  );
+};
+
+// Case studies referencing a service, shown under its details. Renders nothing until there are some.
+const RelatedCaseStudies = ({ serviceId, navigateTo, contentVersion }) => {
+  const { locale, t } = useI18n();
+  const [posts, setPosts] = useState([]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    fetchPosts(locale, { type: 'caseStudy', service: serviceId, pageSize: 3 })
+      .then(data => {
+        if (!isCancelled) setPosts(data.posts);
+      })
+      .catch(err => console.error(`Failed to fetch case studies for service "${serviceId}":`, err));
+    return () => {
+      isCancelled = true;
+    };
+  }, [locale, serviceId, contentVersion]);
+
+  if (!posts.length) return null;
+
+  return (
+    <div className="max-w-6xl mx-auto mt-16">
+      <h2 className="text-3xl font-bold text-center mb-8">{t('blog.relatedCaseStudies')}</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+        {posts.map((post, index) => (
+          <PostCard key={post.slug} post={post} navigateTo={navigateTo} index={index} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Values of the CMS jobPosting `type` field; labels are the jobType.* messages.
+const JOB_TYPES = ['full-time', 'part-time', 'contract', 'internship'];
+
+const JobMeta = ({ job }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex flex-wrap gap-4 text-sm text-gray-400">
+      {job.location && <span className="flex items-center"><MapPin size={16} className="me-1 text-blue-400" />{job.location}</span>}
+      {job.type && <span className="flex items-center"><Clock size={16} className="me-1 text-blue-400" />{JOB_TYPES.includes(job.type) ? t(`jobType.${job.type}`) : job.type}</span>}
+    </div>
+  );
+};
+
 // Careers Page
-const CareersPage = ({ data }) => {
+const CareersPage = ({ navigateTo, data, jobs }) => {
+  const { t } = useI18n();
   return (
-    <PageWrapper title="Join Our Team!">
+    <PageWrapper title={t('careers.title')}>
       <div className="max-w-3xl mx-auto text-center">
         <motion.p 
           className="text-lg text-gray-300 mb-8 leading-relaxed"
@@ -756,14 +1454,37 @@ const CareersPage = ({ data }) => {
         >
           {data.intro}
         </motion.p>
+        {jobs.length > 0 && (
+          <div className="space-y-4 mb-12 text-start">
+            <h2 className="text-3xl font-bold text-center mb-6">{t('careers.openPositions')}</h2>
+            {jobs.map((job, index) => (
+              <Link
+                as={motion.a}
+                key={job.id}
+                to={jobPath(job.id)}
+                navigateTo={navigateTo}
+                className="w-full text-start bg-gray-800 p-6 rounded-xl shadow-lg hover:shadow-blue-500/20 transition-shadow duration-300 flex justify-between items-center"
+                initial={{ opacity: 0, y: 30 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5, delay: 0.2 + index * 0.1 }}
+              >
+                <div>
+                  <h3 className="text-2xl font-bold mb-2">{job.role}</h3>
+                  <JobMeta job={job} />
+                </div>
+                <ArrowRight className="text-blue-400 flex-shrink-0 ms-4 rtl:-scale-x-100" size={24} />
+              </Link>
+            ))}
+          </div>
+        )}
         <motion.div
           className="bg-gray-800 p-8 rounded-xl shadow-2xl"
           initial={{ opacity: 0, y: 30 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.7, delay: 0.2 }}
         >
-          <h3 className="text-2xl font-bold mb-4">How to Apply</h3>
-          <p className="text-gray-400 mb-6">If you're excited to join our team, please send your updated CV along with a cover letter to the following email address:</p>
+          <h3 className="text-2xl font-bold mb-4">{t(jobs.length ? 'careers.notYourRole' : 'careers.howToApply')}</h3>
+          <p className="text-gray-400 mb-6">{t('careers.emailText')}</p>
           <a 
             href={`mailto:${data.email}`}
             className="text-2xl font-bold text-blue-400 hover:underline break-all"
@@ -776,67 +1497,258 @@ const CareersPage = ({ data }) => {
   );
 };
 
+// Job Detail Page
+const JobDetailPage = ({ navigateTo, job, careers }) => {
+  const { t } = useI18n();
+  return (
+    <PageWrapper title={job.role}>
+      <div className="max-w-4xl mx-auto">
+        <Link to="/careers" navigateTo={navigateTo} className="inline-flex items-center text-gray-400 hover:text-white mb-6">
+          <ArrowLeft size={18} className="me-2 rtl:-scale-x-100" /> {t('careers.allPositions')}
+        </Link>
+        <div className="bg-gray-800 p-8 md:p-12 rounded-xl shadow-2xl mb-12">
+          <div className="mb-6"><JobMeta job={job} /></div>
+          <p className="text-lg text-gray-300 leading-relaxed whitespace-pre-line">{job.description}</p>
+        </div>
+        <h2 className="text-3xl font-bold mb-6">{t('careers.applyTitle')}</h2>
+        <ApplicationForm job={job} careers={careers} />
+      </div>
+    </PageWrapper>
+  );
+};
+
+// CV files the backend accepts (see backend/routes/careers.js)
+const CV_ACCEPT = '.pdf,.doc,.docx';
+const CV_MAX_SIZE_MB = 5;
+
+// Job Application Form
+const ApplicationForm = ({ job, careers }) => {
+  const { t } = useI18n();
+  // `website` is a honeypot, as on the contact form.
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '', coverLetter: '', website: '' });
+  const [cv, setCv] = useState(null);
+  const [formOpenedAt] = useState(() => Date.now());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitStatus, setSubmitStatus] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0] || null;
+    setCv(file);
+    setFieldErrors({
+      ...fieldErrors,
+      cv: file && file.size > CV_MAX_SIZE_MB * 1024 * 1024 ? { message: t('application.cvTooLarge', { size: CV_MAX_SIZE_MB }) } : undefined,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (fieldErrors.cv) return;
+    setIsSubmitting(true);
+    setSubmitStatus(null);
+
+    const body = new FormData();
+    Object.entries({ ...formData, jobId: job.id, elapsedMs: Date.now() - formOpenedAt }).forEach(([key, value]) => body.append(key, value));
+    body.append('cv', cv);
+
+    try {
+        const result = await apiRequest('/api/careers/applications', { method: 'POST', body, timeoutMs: UPLOAD_TIMEOUT_MS });
+        track('conversion', { form: 'application' });
+        setSubmitStatus({ success: true, message: result.message });
+    } catch (error) {
+        setFieldErrors(error.fields || {});
+        setIsSubmitting(false);
+        setSubmitStatus({ success: false, message: describeError(error, t) });
+        console.error('Application Error:', error);
+    }
+  };
+
+  if (submitStatus?.success) {
+    return (
+      <div className="bg-gray-800 p-8 rounded-xl text-center">
+        <h3 className="text-2xl font-bold mb-4">{t('form.thankYou')}</h3>
+        <p className="text-gray-300">{submitStatus.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 bg-gray-800 p-8 rounded-xl">
+      <div className="absolute -start-[9999px]" aria-hidden="true">
+        <label htmlFor="application-website">{t('form.honeypot')}</label>
+        <input type="text" name="website" id="application-website" tabIndex={-1} autoComplete="off" value={formData.website} onChange={handleChange} />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="application-name" className="block text-sm font-medium text-gray-300 mb-2">{t('form.name')}</label>
+          <input type="text" name="name" id="application-name" required autoComplete="name" value={formData.name} onChange={handleChange} aria-invalid={Boolean(fieldErrors.name)} aria-describedby="application-name-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+          <FieldError id="application-name-error" error={fieldErrors.name} />
+        </div>
+        <div>
+          <label htmlFor="application-email" className="block text-sm font-medium text-gray-300 mb-2">{t('form.email')}</label>
+          <input type="email" name="email" id="application-email" required autoComplete="email" value={formData.email} onChange={handleChange} aria-invalid={Boolean(fieldErrors.email)} aria-describedby="application-email-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+          <FieldError id="application-email-error" error={fieldErrors.email} />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="application-phone" className="block text-sm font-medium text-gray-300 mb-2">{t('application.phone')}</label>
+        <input type="tel" name="phone" id="application-phone" autoComplete="tel" value={formData.phone} onChange={handleChange} aria-invalid={Boolean(fieldErrors.phone)} aria-describedby="application-phone-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+        <FieldError id="application-phone-error" error={fieldErrors.phone} />
+      </div>
+      <div>
+        <label htmlFor="application-cover-letter" className="block text-sm font-medium text-gray-300 mb-2">{t('application.coverLetter')}</label>
+        <textarea name="coverLetter" id="application-cover-letter" rows="6" value={formData.coverLetter} onChange={handleChange} aria-invalid={Boolean(fieldErrors.coverLetter)} aria-describedby="application-cover-letter-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"></textarea>
+        <FieldError id="application-cover-letter-error" error={fieldErrors.coverLetter} />
+      </div>
+      <div>
+        <label htmlFor="application-cv" className="block text-sm font-medium text-gray-300 mb-2">{t('application.cv', { size: CV_MAX_SIZE_MB })}</label>
+        <input type="file" name="cv" id="application-cv" required accept={CV_ACCEPT} onChange={handleFileChange} aria-invalid={Boolean(fieldErrors.cv)} aria-describedby="application-cv-error" className="w-full text-gray-300 file:me-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700"/>
+        <FieldError id="application-cv-error" error={fieldErrors.cv} />
+      </div>
+      <div>
+        <button type="submit" disabled={isSubmitting} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
+          {isSubmitting ? t('form.sending') : t('application.submit')}
+        </button>
+      </div>
+      {submitStatus && !submitStatus.success && (
+        <p className="text-red-500 text-sm mt-2">{submitStatus.message}</p>
+      )}
+      <p className="text-gray-500 text-sm">
+        {t('application.trouble', { email: <a href={`mailto:${careers.email}`} className="text-blue-400 hover:underline">{careers.email}</a> })}
+      </p>
+    </form>
+  );
+};
+
+// Failures where no usable answer came back from the backend (see api.js).
+const CONNECTION_ERRORS = [NETWORK_ERROR, TIMEOUT, INVALID_RESPONSE];
+
+// Message to show for a failed API request: the backend's own, or a translated one when it couldn't be reached.
+const describeError = (error, t, fallbackKey = 'app.unknownError') => (CONNECTION_ERRORS.includes(error.code) ? t('app.connectionError') : error.message || t(fallbackKey));
+
+// Inline validation message returned by the API for a single form field
+const FieldError = ({ id, error }) => (
+  error ? <p id={id} className="text-red-500 text-sm mt-2">{error.message}</p> : null
+);
+
+// Attachments the backend accepts on the contact form (ATTACHMENT_TYPES in backend/routes/uploads.js)
+const ATTACHMENT_ACCEPT = '.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.png,.jpg,.jpeg';
+const ATTACHMENT_MAX_SIZE_MB = 10;
+const MAX_ATTACHMENTS = 5;
+// Attachments and CVs can take a while on a slow connection, so uploads may run longer than other requests.
+const UPLOAD_TIMEOUT_MS = 60000;
+
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Uploads one file and resolves to its upload id, which the contact form sends as an attachment.
+const uploadAttachment = async (file, t) => {
+  const body = new FormData();
+  body.append('file', file);
+  try {
+    const result = await apiRequest('/api/uploads', { method: 'POST', body, timeoutMs: UPLOAD_TIMEOUT_MS });
+    return result.upload.id;
+  } catch (error) {
+    throw new Error(error.fields?.file?.message || describeError(error, t, 'contact.uploadFailed'));
+  }
+};
+
 // Contact Page
 const ContactPage = ({ data }) => {
-  const [formData, setFormData] = useState({ name: '', email: '', message: '' });
+  const { t } = useI18n();
+  // `website` is a honeypot: it's hidden from people, so only bots fill it in.
+  const [formData, setFormData] = useState({ name: '', email: '', message: '', website: '' });
+  const [formOpenedAt] = useState(() => Date.now());
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSubmitted, setIsSubmitted] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Files are uploaded as soon as they're picked: { key, name, size, status: 'uploading' | 'done' | 'failed', id?, error? }
+  const [attachments, setAttachments] = useState([]);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  const updateAttachment = (key, changes) => {
+    setAttachments(current => current.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files).slice(0, MAX_ATTACHMENTS - attachments.length);
+    e.target.value = '';
+    setFieldErrors({ ...fieldErrors, attachments: undefined });
+
+    files.forEach((file) => {
+      const key = `${file.name}-${file.lastModified}-${Math.random()}`;
+      if (file.size > ATTACHMENT_MAX_SIZE_MB * 1024 * 1024) {
+        setAttachments(current => [...current, { key, name: file.name, size: file.size, status: 'failed', error: t('contact.fileTooLarge', { size: ATTACHMENT_MAX_SIZE_MB }) }]);
+        return;
+      }
+      setAttachments(current => [...current, { key, name: file.name, size: file.size, status: 'uploading' }]);
+      uploadAttachment(file, t)
+        .then(id => updateAttachment(key, { status: 'done', id }))
+        .catch(error => updateAttachment(key, { status: 'failed', error: error.message }));
+    });
   };
 
+  const removeAttachment = (key) => {
+    setAttachments(current => current.filter(item => item.key !== key));
+  };
+
+  const isUploading = attachments.some(item => item.status === 'uploading');
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (isUploading) return;
     setIsSubmitting(true);
     setSubmitStatus(null);
 
+    const attachmentIds = attachments.filter(item => item.status === 'done').map(item => item.id);
+
     try {
-        const response = await fetch('http://localhost:3001/api/contact', {
+        const result = await apiRequest('/api/contact', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(formData),
+            // elapsedMs lets the backend reject forms submitted faster than a person could type.
+            body: { ...formData, attachments: attachmentIds, elapsedMs: Date.now() - formOpenedAt },
         });
-
-        const result = await response.json();
-
-        if (response.ok && result.success) {
-            setIsSubmitted(true);
-            setSubmitStatus({ success: true, message: result.message });
-        } else {
-            throw new Error(result.message || 'An unknown error occurred.');
-        }
+        track('conversion', { form: 'contact' });
+        setIsSubmitted(true);
+        setSubmitStatus({ success: true, message: result.message });
     } catch (error) {
+        setFieldErrors(error.fields || {});
         setIsSubmitting(false);
-        setSubmitStatus({ success: false, message: error.message });
+        setSubmitStatus({ success: false, message: describeError(error, t) });
         console.error('Submission Error:', error);
     }
   };
 
   return (
-    <PageWrapper title="Get In Touch">
+    <PageWrapper title={t('contact.title')}>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-12 max-w-6xl mx-auto">
         <motion.div
           initial={{ opacity: 0, x: -50 }}
           animate={{ opacity: 1, x: 0 }}
           transition={{ duration: 0.7 }}
         >
-          <h2 className="text-3xl font-bold mb-4">Have a Project Plan?</h2>
-          <p className="text-gray-300 mb-8">We believe that collaboration is key. We listen carefully to your goals and vision to craft custom solutions that drive growth and deliver results.</p>
+          <h2 className="text-3xl font-bold mb-4">{t('contact.heading')}</h2>
+          <p className="text-gray-300 mb-8">{t('contact.intro')}</p>
           <div className="space-y-6">
             <div>
-              <h3 className="text-xl font-semibold text-blue-400">Mail us 24/7</h3>
+              <h3 className="text-xl font-semibold text-blue-400">{t('contact.mailUs')}</h3>
               <a href={`mailto:${data.email}`} className="text-gray-300 hover:underline">{data.email}</a>
             </div>
             <div>
-              <h3 className="text-xl font-semibold text-blue-400">Phone</h3>
+              <h3 className="text-xl font-semibold text-blue-400">{t('contact.phone')}</h3>
               <a href={`tel:${data.phone}`} className="text-gray-300 hover:underline">{data.phone}</a>
             </div>
             <div>
-              <h3 className="text-xl font-semibold text-blue-400">Address</h3>
+              <h3 className="text-xl font-semibold text-blue-400">{t('contact.address')}</h3>
               {data.addresses.map(addr => (
                 <p key={addr.city} className="text-gray-300 mt-1"><strong>{addr.city}:</strong> {addr.details}</p>
               ))}
@@ -850,26 +1762,59 @@ const ContactPage = ({ data }) => {
         >
           {isSubmitted ? (
              <div className="bg-gray-800 p-8 rounded-xl h-full flex flex-col justify-center items-center text-center">
-                 <h3 className="text-2xl font-bold mb-4">Thank You!</h3>
-                 <p className="text-gray-300">{submitStatus?.message || "Your message has been sent."}</p>
+                 <h3 className="text-2xl font-bold mb-4">{t('form.thankYou')}</h3>
+                 <p className="text-gray-300">{submitStatus?.message || t('contact.sent')}</p>
              </div>
           ) : (
             <form onSubmit={handleSubmit} className="space-y-6 bg-gray-800 p-8 rounded-xl">
+              <div className="absolute -start-[9999px]" aria-hidden="true">
+                <label htmlFor="website">{t('form.honeypot')}</label>
+                <input type="text" name="website" id="website" tabIndex={-1} autoComplete="off" value={formData.website} onChange={handleChange} />
+              </div>
               <div>
-                <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">Your Name</label>
-                <input type="text" name="name" id="name" required value={formData.name} onChange={handleChange} className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">{t('form.name')}</label>
+                <input type="text" name="name" id="name" required value={formData.name} onChange={handleChange} aria-invalid={Boolean(fieldErrors.name)} aria-describedby="name-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <FieldError id="name-error" error={fieldErrors.name} />
               </div>
               <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-2">Email Address</label>
-                <input type="email" name="email" id="email" required value={formData.email} onChange={handleChange} className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-2">{t('form.email')}</label>
+                <input type="email" name="email" id="email" required value={formData.email} onChange={handleChange} aria-invalid={Boolean(fieldErrors.email)} aria-describedby="email-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <FieldError id="email-error" error={fieldErrors.email} />
               </div>
               <div>
-                <label htmlFor="message" className="block text-sm font-medium text-gray-300 mb-2">How can we help you?</label>
-                <textarea name="message" id="message" rows="4" required value={formData.message} onChange={handleChange} className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"></textarea>
+                <label htmlFor="message" className="block text-sm font-medium text-gray-300 mb-2">{t('contact.message')}</label>
+                <textarea name="message" id="message" rows="4" required value={formData.message} onChange={handleChange} aria-invalid={Boolean(fieldErrors.message)} aria-describedby="message-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"></textarea>
+                <FieldError id="message-error" error={fieldErrors.message} />
               </div>
               <div>
-                <button type="submit" disabled={isSubmitting} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
-                  {isSubmitting ? 'Sending...' : 'Send Message'}
+                <label htmlFor="attachments" className="block text-sm font-medium text-gray-300 mb-2">
+                  {t('contact.attachments', { count: MAX_ATTACHMENTS, size: ATTACHMENT_MAX_SIZE_MB })}
+                </label>
+                <input type="file" id="attachments" multiple accept={ATTACHMENT_ACCEPT} onChange={handleFilesChange} disabled={attachments.length >= MAX_ATTACHMENTS} aria-invalid={Boolean(fieldErrors.attachments)} aria-describedby="attachments-error" className="w-full text-gray-300 file:me-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700 disabled:opacity-50"/>
+                {attachments.length > 0 && (
+                  <ul className="mt-3 space-y-2">
+                    {attachments.map(item => (
+                      <li key={item.key} className="bg-gray-700/60 rounded-lg px-3 py-2 text-sm">
+                        <div className="flex justify-between items-center">
+                          <span className="text-gray-200 truncate me-3">{item.name} <span className="text-gray-400">({formatFileSize(item.size)})</span></span>
+                          {item.status === 'uploading' ? (
+                            <Loader size={16} className="animate-spin text-blue-400 shrink-0" aria-label={t('contact.uploading')} />
+                          ) : (
+                            <button type="button" onClick={() => removeAttachment(item.key)} className="text-gray-400 hover:text-white shrink-0" aria-label={t('contact.removeFile', { name: item.name })}>
+                              <X size={16} />
+                            </button>
+                          )}
+                        </div>
+                        {item.error && <p className="text-red-500 mt-1">{item.error}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <FieldError id="attachments-error" error={fieldErrors.attachments} />
+              </div>
+              <div>
+                <button type="submit" disabled={isSubmitting || isUploading} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
+                  {isSubmitting ? t('form.sending') : isUploading ? t('contact.uploading') : t('contact.send')}
                 </button>
               </div>
               {submitStatus && !submitStatus.success && (
@@ -881,4 +1826,158 @@ const ContactPage = ({ data }) => {
       </div>
     </PageWrapper>
   );
-};
\ No newline at end of file
+};
+// Sends a data request API call and resolves to its JSON (the file's Blob for /export); failures are
+// ApiErrors with the backend's message and field errors.
+const postDataRequest = (path, body) => apiRequest(`/api/data-requests${path}`, {
+  method: 'POST',
+  body,
+  responseType: path === '/export' ? 'blob' : 'json',
+});
+
+// Your Data Page: request an emailed link (see backend/routes/dataRequests.js), then download or erase
+// everything stored for that address. The link's token is taken out of the address bar straight away.
+const PrivacyPage = () => {
+  const { t, locale } = useI18n();
+  const [email, setEmail] = useState('');
+  const [token, setToken] = useState(null);
+  // Request form: null, { sending }, { sent } or { error, fields }
+  const [requestStatus, setRequestStatus] = useState(null);
+  // Link: { loading }, { failed, error }, { ...summary } or { erased }
+  const [link, setLink] = useState(null);
+  const [isConfirmingErase, setIsConfirmingErase] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const fromUrl = url.searchParams.get('token');
+    if (!fromUrl) return;
+    url.searchParams.delete('token');
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    setLink({ loading: true });
+    // The emailed link works once; downloading and erasing use the token /verify hands back.
+    postDataRequest('/verify', { token: fromUrl })
+      .then(({ token: pageToken, ...summary }) => {
+        setToken(pageToken);
+        setLink(summary);
+      })
+      .catch(error => setLink({ failed: true, error }));
+  }, []);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setRequestStatus({ sending: true });
+    try {
+      await postDataRequest('', { email, locale });
+      setRequestStatus({ sent: true });
+    } catch (error) {
+      setRequestStatus({ error: describeError(error, t), fields: error.fields || {} });
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsWorking(true);
+    setActionError(null);
+    try {
+      const blob = await postDataRequest('/export', { token });
+      const url = URL.createObjectURL(blob);
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = 'nxl-personal-data.json';
+      anchor.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setActionError(describeError(error, t));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleErase = async () => {
+    setIsWorking(true);
+    setActionError(null);
+    try {
+      const result = await postDataRequest('/erase', { token });
+      setLink({ erased: result.erased });
+    } catch (error) {
+      setActionError(describeError(error, t));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const renderLink = () => {
+    if (link.loading) {
+      return <div className="flex justify-center p-8"><Loader className="animate-spin text-blue-500" size={32} /></div>;
+    }
+    if (link.failed) {
+      return <p className="text-red-500">{describeError(link.error, t)}</p>;
+    }
+    if (link.erased) {
+      return <p className="text-gray-300">{t('privacy.erased')}</p>;
+    }
+    return (
+      <>
+        <p className="text-gray-300 mb-2">{t('privacy.storedFor', { email: <strong key="email" className="text-white">{link.email}</strong> })}</p>
+        <ul className="list-disc ps-6 text-gray-300 mb-6 space-y-1">
+          <li>{t('privacy.submissions', { count: link.records.submissions })}</li>
+          <li>{t('privacy.applications', { count: link.records.applications })}</li>
+          <li>{t('privacy.bookings', { count: link.records.bookings })}</li>
+          <li>{t('privacy.emails', { count: link.records.emails })}</li>
+        </ul>
+        {isConfirmingErase ? (
+          <div className="bg-red-500/10 border border-red-500/40 rounded-lg p-4">
+            <p className="text-gray-200 mb-4">{t('privacy.eraseWarning')}</p>
+            <div className="flex flex-wrap gap-3">
+              <button onClick={handleErase} disabled={isWorking} className="bg-red-600 hover:bg-red-700 font-bold py-2 px-4 rounded-lg disabled:opacity-50">
+                {t('privacy.eraseConfirm')}
+              </button>
+              <button onClick={() => setIsConfirmingErase(false)} disabled={isWorking} className="py-2 px-4 rounded-lg border border-gray-600 hover:border-gray-400 font-semibold">
+                {t('privacy.cancel')}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-3">
+            <button onClick={handleDownload} disabled={isWorking} className="bg-blue-600 hover:bg-blue-700 font-bold py-2 px-4 rounded-lg disabled:opacity-50">
+              {t('privacy.download')}
+            </button>
+            <button onClick={() => setIsConfirmingErase(true)} disabled={isWorking} className="py-2 px-4 rounded-lg border border-red-500/60 text-red-300 hover:bg-red-500/10 font-semibold">
+              {t('privacy.erase')}
+            </button>
+          </div>
+        )}
+        {actionError && <p className="text-red-500 text-sm mt-4">{actionError}</p>}
+      </>
+    );
+  };
+
+  return (
+    <PageWrapper title={t('privacy.title')}>
+      <div className="max-w-2xl mx-auto">
+        <p className="text-gray-300 mb-8">{t('privacy.intro')}</p>
+        {link && <div className="bg-gray-800 p-8 rounded-xl mb-8">{renderLink()}</div>}
+        {(!link || link.failed) && (
+          requestStatus?.sent ? (
+            <div className="bg-gray-800 p-8 rounded-xl text-center">
+              <p className="text-gray-300">{t('privacy.linkSent')}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleRequest} className="space-y-6 bg-gray-800 p-8 rounded-xl">
+              <div>
+                <label htmlFor="privacy-email" className="block text-sm font-medium text-gray-300 mb-2">{t('form.email')}</label>
+                <input type="email" id="privacy-email" required value={email} onChange={(e) => setEmail(e.target.value)} aria-invalid={Boolean(requestStatus?.fields?.email)} aria-describedby="privacy-email-error" className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+                <FieldError id="privacy-email-error" error={requestStatus?.fields?.email} />
+              </div>
+              <button type="submit" disabled={requestStatus?.sending} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
+                {requestStatus?.sending ? t('form.sending') : t('privacy.sendLink')}
+              </button>
+              {requestStatus?.error && <p className="text-red-500 text-sm">{requestStatus.error}</p>}
+            </form>
+          )
+        )}
+      </div>
+    </PageWrapper>
+  );
+};
@@ -0,0 +1,105 @@
+// The cookie consent banner shown until a visitor chooses, and the preferences dialog opened from it
+// or from the footer's "Privacy settings" link (see consent.js).
+import React, { useState, useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { CONSENT_CATEGORIES } from './consent.js';
+import { useI18n } from './i18n.js';
+
+const ALL_ALLOWED = { analytics: true, marketing: true };
+const NONE_ALLOWED = { analytics: false, marketing: false };
+
+export const ConsentBanner = ({ onSave, onCustomize }) => {
+  const { t } = useI18n();
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-50 p-4" role="region" aria-label={t('consent.bannerTitle')}>
+      <div className="container mx-auto bg-gray-800 border border-gray-700 rounded-xl shadow-2xl p-6 flex flex-col lg:flex-row lg:items-center gap-4">
+        <div className="flex-grow">
+          <h2 className="font-bold text-lg mb-1">{t('consent.bannerTitle')}</h2>
+          <p className="text-gray-300 text-sm">{t('consent.bannerText')}</p>
+        </div>
+        <div className="flex flex-wrap gap-3 shrink-0">
+          <button onClick={onCustomize} className="py-2 px-4 rounded-lg border border-gray-600 hover:border-gray-400 font-semibold">
+            {t('consent.customize')}
+          </button>
+          {/* Rejecting is as easy as accepting. */}
+          <button onClick={() => onSave(NONE_ALLOWED)} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 font-semibold">
+            {t('consent.rejectAll')}
+          </button>
+          <button onClick={() => onSave(ALL_ALLOWED)} className="py-2 px-4 rounded-lg bg-blue-500 hover:bg-blue-600 font-bold">
+            {t('consent.acceptAll')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const ConsentPreferences = ({ consent, onSave, onClose }) => {
+  const { t } = useI18n();
+  const [choices, setChoices] = useState(() => ({ ...NONE_ALLOWED, ...consent?.categories }));
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    dialogRef.current?.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/70 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="consent-title"
+        tabIndex={-1}
+        className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-full overflow-y-auto p-6 focus:outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-2">
+          <h2 id="consent-title" className="text-2xl font-bold">{t('consent.preferencesTitle')}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label={t('consent.close')}>
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-gray-400 text-sm mb-6">{t('consent.preferencesIntro')}</p>
+
+        <ul className="space-y-4 mb-6">
+          {CONSENT_CATEGORIES.map(category => {
+            const isNecessary = category === 'necessary';
+            return (
+              <li key={category} className="bg-gray-900/60 rounded-lg p-4">
+                <label className="flex justify-between items-center gap-4 cursor-pointer">
+                  <span className="font-semibold">{t(`consent.${category}`)}</span>
+                  {isNecessary ? (
+                    <span className="text-sm text-gray-400">{t('consent.alwaysOn')}</span>
+                  ) : (
+                    <input
+                      type="checkbox"
+                      checked={choices[category]}
+                      onChange={(e) => setChoices(current => ({ ...current, [category]: e.target.checked }))}
+                      className="w-5 h-5 rounded bg-gray-700 border-gray-600 text-blue-500 focus:ring-blue-500"
+                    />
+                  )}
+                </label>
+                <p className="text-sm text-gray-400 mt-1">{t(`consent.${category}Text`)}</p>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="flex flex-wrap justify-end gap-3">
+          <button onClick={() => onSave(choices)} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 font-semibold">
+            {t('consent.save')}
+          </button>
+          <button onClick={() => onSave(ALL_ALLOWED)} className="py-2 px-4 rounded-lg bg-blue-500 hover:bg-blue-600 font-bold">
+            {t('consent.acceptAll')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,216 @@
+// Renders Sanity Portable Text (the `body` of blog posts from /api/posts): paragraphs, headings, quotes,
+// nested lists, text marks and links, plus the image, code and embed blocks described in backend/routes/posts.js.
+// Unknown block types are skipped so new Studio types can't break published pages.
+import React from 'react';
+import { useI18n } from './i18n.js';
+import { useConsent } from './consent.js';
+
+const BLOCK_STYLES = {
+  normal: { tag: 'p', className: 'text-gray-300 leading-relaxed mb-6' },
+  h2: { tag: 'h2', className: 'text-3xl font-bold mt-12 mb-4' },
+  h3: { tag: 'h3', className: 'text-2xl font-bold mt-10 mb-4' },
+  h4: { tag: 'h4', className: 'text-xl font-semibold mt-8 mb-3' },
+  blockquote: { tag: 'blockquote', className: 'border-s-4 border-blue-400 ps-6 italic text-gray-300 my-8' },
+};
+
+const DECORATORS = {
+  strong: (children) => <strong className="font-bold text-white">{children}</strong>,
+  em: (children) => <em>{children}</em>,
+  underline: (children) => <span className="underline">{children}</span>,
+  'strike-through': (children) => <s>{children}</s>,
+  code: (children) => <code className="bg-gray-700 rounded px-1 text-sm">{children}</code>,
+};
+
+// Only web and mail links are rendered as links; anything else (e.g. "javascript:") stays plain text.
+const isSafeHref = (href) => typeof href === 'string' && /^(https?:|mailto:|\/)/i.test(href);
+
+const renderSpan = (span, markDefs) => (span.marks || []).reduceRight((children, mark) => {
+  if (DECORATORS[mark]) return DECORATORS[mark](children);
+
+  const annotation = markDefs.find(def => def._key === mark);
+  if (annotation?._type === 'link' && isSafeHref(annotation.href)) {
+    const isExternal = /^https?:/i.test(annotation.href);
+    return (
+      <a
+        href={annotation.href}
+        className="text-blue-400 hover:underline"
+        {...(isExternal && { target: '_blank', rel: 'noopener noreferrer' })}
+      >
+        {children}
+      </a>
+    );
+  }
+  return children;
+}, span.text);
+
+const BlockText = ({ block }) => (block.children || []).map((span, index) => (
+  <React.Fragment key={span._key || index}>{renderSpan(span, block.markDefs || [])}</React.Fragment>
+));
+
+// Portable Text stores list items as flat blocks with `listItem` and `level`; this nests them into
+// { _type: 'list', listItem, items: [{ block, lists }] } so they render as real <ul>/<ol> trees.
+const groupLists = (blocks) => {
+  const nodes = [];
+  const open = []; // lists that can still take items, innermost last
+
+  for (const block of blocks) {
+    if (block._type !== 'block' || !block.listItem) {
+      open.length = 0;
+      nodes.push(block);
+      continue;
+    }
+
+    const level = block.level || 1;
+    while (open.length) {
+      const innermost = open[open.length - 1];
+      if (innermost.level < level || (innermost.level === level && innermost.listItem === block.listItem)) break;
+      open.pop();
+    }
+
+    let list = open[open.length - 1];
+    if (!list || list.level < level) {
+      const nested = { _type: 'list', _key: `list-${block._key}`, listItem: block.listItem, level, items: [] };
+      if (list) {
+        list.items[list.items.length - 1].lists.push(nested);
+      } else {
+        nodes.push(nested);
+      }
+      open.push(nested);
+      list = nested;
+    }
+    list.items.push({ block, lists: [] });
+  }
+
+  return nodes;
+};
+
+const List = ({ list }) => {
+  const Tag = list.listItem === 'number' ? 'ol' : 'ul';
+  return (
+    <Tag className={`${Tag === 'ol' ? 'list-decimal' : 'list-disc'} ps-6 text-gray-300 leading-relaxed ${list.level === 1 ? 'mb-6' : 'mt-2'} space-y-2`}>
+      {list.items.map(({ block, lists }, index) => (
+        <li key={block._key || index}>
+          <BlockText block={block} />
+          {lists.map(nested => <List key={nested._key} list={nested} />)}
+        </li>
+      ))}
+    </Tag>
+  );
+};
+
+const ImageBlock = ({ value }) => {
+  if (!value.url) return null;
+  return (
+    <figure className="my-8">
+      <img
+        src={`${value.url}?w=1200&auto=format`}
+        alt={value.alt}
+        width={value.width || undefined}
+        height={value.height || undefined}
+        loading="lazy"
+        className="rounded-xl w-full h-auto"
+      />
+      {value.caption && <figcaption className="text-sm text-gray-400 text-center mt-2">{value.caption}</figcaption>}
+    </figure>
+  );
+};
+
+// Code blocks from @sanity/code-input: { code, language, filename }.
+const CodeBlock = ({ value }) => (
+  <figure className="my-8" dir="ltr">
+    {(value.filename || value.language) && (
+      <figcaption className="bg-gray-700 text-gray-300 text-sm font-mono px-4 py-2 rounded-t-lg">{value.filename || value.language}</figcaption>
+    )}
+    <pre className={`bg-gray-950 text-gray-100 text-sm p-4 overflow-x-auto ${value.filename || value.language ? 'rounded-b-lg' : 'rounded-lg'}`}>
+      <code>{value.code}</code>
+    </pre>
+  </figure>
+);
+
+// Privacy-friendly player URLs for the video hosts editors embed; other URLs are shown as a link.
+const toEmbedUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+  if (host === 'youtube.com' || host === 'm.youtube.com') {
+    const id = parsed.searchParams.get('v') || parsed.pathname.match(/^\/(?:embed|shorts)\/([\w-]+)/)?.[1];
+    return id ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+  }
+  if (host === 'youtu.be') {
+    const id = parsed.pathname.slice(1);
+    return id ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+  }
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    const id = parsed.pathname.match(/(\d+)/)?.[1];
+    return id ? `https://player.vimeo.com/video/${id}?dnt=1` : null;
+  }
+  return null;
+};
+
+// Players load from the video host, so they need consent for third-party content; until then the
+// embed is a placeholder linking to the video.
+const EmbedBlock = ({ value }) => {
+  const { t } = useI18n();
+  const { allows, openPreferences } = useConsent();
+  if (!isSafeHref(value.url)) return null;
+  const src = toEmbedUrl(value.url);
+
+  return (
+    <figure className="my-8">
+      {src && !allows('marketing') ? (
+        <div className="w-full aspect-video rounded-xl bg-gray-800 border border-gray-700 flex flex-col items-center justify-center text-center gap-4 p-6">
+          <p className="text-gray-300 max-w-md">{t('consent.embedBlocked')}</p>
+          <div className="flex flex-wrap justify-center gap-3">
+            <button onClick={openPreferences} className="py-2 px-4 rounded-lg bg-blue-500 hover:bg-blue-600 font-bold">
+              {t('consent.settings')}
+            </button>
+            <a href={value.url} target="_blank" rel="noopener noreferrer" className="py-2 px-4 rounded-lg border border-gray-600 hover:border-gray-400 font-semibold">
+              {t('consent.watchExternally')}
+            </a>
+          </div>
+        </div>
+      ) : src ? (
+        <div className="relative w-full aspect-video">
+          <iframe
+            src={src}
+            title={value.caption || t('blog.embedTitle')}
+            className="absolute inset-0 w-full h-full rounded-xl"
+            loading="lazy"
+            allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen"
+            referrerPolicy="strict-origin-when-cross-origin"
+          />
+        </div>
+      ) : (
+        <a href={value.url} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline break-all">
+          {value.url}
+        </a>
+      )}
+      {value.caption && <figcaption className="text-sm text-gray-400 text-center mt-2">{value.caption}</figcaption>}
+    </figure>
+  );
+};
+
+const CUSTOM_BLOCKS = { image: ImageBlock, code: CodeBlock, embed: EmbedBlock };
+
+const PortableText = ({ value }) => {
+  if (!Array.isArray(value)) return null;
+
+  return groupLists(value).map((node, index) => {
+    const key = node._key || index;
+    if (node._type === 'list') return <List key={key} list={node} />;
+
+    if (node._type === 'block') {
+      const { tag: Tag, className } = BLOCK_STYLES[node.style] || BLOCK_STYLES.normal;
+      return <Tag key={key} className={className}><BlockText block={node} /></Tag>;
+    }
+
+    const Custom = CUSTOM_BLOCKS[node._type];
+    return Custom ? <Custom key={key} value={node} /> : null;
+  });
+};
+
+export default PortableText;
@@ -0,0 +1,271 @@
+// The particle cloud behind the home page hero. The wave and mouse repulsion run in the vertex shader,
+// so each frame only updates a few uniforms. The particle count suits the device and drops further if
+// frames turn out slow. Nothing is drawn while the hero is off-screen or the tab is hidden. With
+// prefers-reduced-motion a single still frame is drawn, and without WebGL (or with only a software
+// renderer) a static image is shown instead.
+import React, { useState, useEffect, useRef } from 'react';
+import * as THREE from 'three';
+import fallbackImage from './assets/hero-particles.svg';
+
+const MAX_PARTICLES = 10000;
+const MIN_PARTICLES = 1500;
+const MAX_PIXEL_RATIO = 2;
+// Average frame time above which the particle count and pixel ratio are lowered, measured over SAMPLE_FRAMES.
+const SLOW_FRAME_SECONDS = 1 / 40;
+const SAMPLE_FRAMES = 90;
+const MAX_DOWNGRADES = 2;
+// How quickly the repulsion follows the pointer (share of the remaining distance per frame).
+const MOUSE_EASING = 0.1;
+
+const COLOR_BOTTOM = new THREE.Color('#5e72e4');
+const COLOR_TOP = new THREE.Color('#8965e0');
+
+const vertexShader = `
+  uniform float uTime;
+  uniform vec2 uMouse;
+  uniform float uSize;
+  uniform float uScale;
+  attribute vec3 aColor;
+  varying vec3 vColor;
+
+  void main() {
+    vec3 p = position;
+    p.xy += vec2(sin(uTime * 0.5 + p.x * 0.5), cos(uTime * 0.5 + p.y * 0.5)) * 0.1;
+
+    // Pushed away from the pointer, harder the closer it is.
+    vec2 away = p.xy - uMouse;
+    float pointerDistance = length(away);
+    if (pointerDistance > 0.0) p.xy += away / pointerDistance * max(0.0, 1.0 - pointerDistance * 2.0) * 0.2;
+
+    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+    gl_PointSize = uSize * uScale / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+    vColor = aColor;
+  }
+`;
+
+const fragmentShader = `
+  uniform float uOpacity;
+  varying vec3 vColor;
+
+  void main() {
+    float centerDistance = length(gl_PointCoord - 0.5);
+    if (centerDistance > 0.5) discard;
+    gl_FragColor = vec4(vColor, uOpacity * smoothstep(0.5, 0.3, centerDistance));
+  }
+`;
+
+// Halves the cloud for each sign of a modest device: few cores, little memory, a small screen or Data Saver.
+const pickParticleCount = () => {
+  const cores = navigator.hardwareConcurrency || 4;
+  const memoryGb = navigator.deviceMemory || 4;
+  let count = MAX_PARTICLES;
+  if (cores <= 4 || memoryGb <= 4) count /= 2;
+  if (cores <= 2 || memoryGb <= 2) count /= 2;
+  if (window.innerWidth < 768) count /= 2;
+  if (navigator.connection?.saveData) count /= 2;
+  return Math.max(MIN_PARTICLES, Math.round(count));
+};
+
+// Points spread through a hollow sphere, tinted from blue at the bottom to purple at the top.
+const buildGeometry = (count) => {
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const color = new THREE.Color();
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const radius = Math.random() * 2 + 1;
+    const phi = Math.acos(2 * Math.random() - 1);
+    const theta = Math.random() * Math.PI * 2;
+    positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+    positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+    positions[i3 + 2] = radius * Math.cos(phi);
+    color.copy(COLOR_BOTTOM).lerp(COLOR_TOP, THREE.MathUtils.clamp((positions[i3 + 1] + 1.5) / 3, 0, 1));
+    color.toArray(colors, i3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+  return geometry;
+};
+
+const createRenderer = () => {
+  try {
+    // failIfMajorPerformanceCaveat refuses software rendering, which would be slower than the static image.
+    return new THREE.WebGLRenderer({ alpha: true, antialias: false, powerPreference: 'low-power', failIfMajorPerformanceCaveat: true });
+  } catch {
+    return null;
+  }
+};
+
+const ThreeDAnimation = () => {
+  const mountRef = useRef(null);
+  const [isWebGLUnavailable, setIsWebGLUnavailable] = useState(false);
+
+  useEffect(() => {
+    const currentMount = mountRef.current;
+    const renderer = createRenderer();
+    if (!renderer) {
+      setIsWebGLUnavailable(true);
+      return undefined;
+    }
+
+    let pixelRatio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    renderer.setPixelRatio(pixelRatio);
+    currentMount.appendChild(renderer.domElement);
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+    camera.position.z = 3;
+
+    const particleCount = pickParticleCount();
+    const geometry = buildGeometry(particleCount);
+    const material = new THREE.ShaderMaterial({
+      vertexShader,
+      fragmentShader,
+      uniforms: {
+        uTime: { value: 0 },
+        // Starts far away so nothing is pushed until the pointer moves.
+        uMouse: { value: new THREE.Vector2(100, 100) },
+        uSize: { value: 0.015 },
+        uScale: { value: 1 },
+        uOpacity: { value: 0.8 },
+      },
+      blending: THREE.AdditiveBlending,
+      transparent: true,
+      depthWrite: false,
+    });
+    const particles = new THREE.Points(geometry, material);
+    scene.add(particles);
+
+    const resize = () => {
+      const width = currentMount.clientWidth;
+      const height = currentMount.clientHeight;
+      if (!width || !height) return;
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      renderer.setSize(width, height);
+      // Same point size attenuation as THREE.PointsMaterial: half the drawing buffer's height.
+      material.uniforms.uScale.value = height * pixelRatio * 0.5;
+    };
+    resize();
+
+    const mouseTarget = new THREE.Vector2(100, 100);
+    let hasPointer = false;
+    const handlePointerMove = (event) => {
+      mouseTarget.set((event.clientX / window.innerWidth) * 4 - 2, -(event.clientY / window.innerHeight) * 4 + 2);
+      // The first position is taken as is, rather than eased in from far away across the cloud.
+      if (!hasPointer) material.uniforms.uMouse.value.copy(mouseTarget);
+      hasPointer = true;
+    };
+
+    const render = () => {
+      particles.rotation.y = material.uniforms.uTime.value * 0.05;
+      renderer.render(scene, camera);
+    };
+
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    let isOnScreen = true;
+    let animationFrameId = null;
+    let lastFrameAt = 0;
+    let sampledFrames = 0;
+    let sampledSeconds = 0;
+    let downgrades = 0;
+    let drawCount = particleCount;
+
+    // Halves the particles drawn and drops the pixel ratio to 1 when the device can't keep up.
+    const adaptToFrameTime = (deltaSeconds) => {
+      if (downgrades >= MAX_DOWNGRADES) return;
+      sampledFrames += 1;
+      sampledSeconds += deltaSeconds;
+      if (sampledFrames < SAMPLE_FRAMES) return;
+      if (sampledSeconds / sampledFrames > SLOW_FRAME_SECONDS) {
+        downgrades += 1;
+        drawCount = Math.max(MIN_PARTICLES, Math.floor(drawCount / 2));
+        geometry.setDrawRange(0, drawCount);
+        if (pixelRatio > 1) {
+          pixelRatio = 1;
+          renderer.setPixelRatio(pixelRatio);
+          resize();
+        }
+      }
+      sampledFrames = 0;
+      sampledSeconds = 0;
+    };
+
+    const animate = (now) => {
+      animationFrameId = requestAnimationFrame(animate);
+      // Capped so the wave doesn't jump after a pause or a dropped frame.
+      const deltaSeconds = lastFrameAt ? Math.min((now - lastFrameAt) / 1000, 0.1) : 0;
+      lastFrameAt = now;
+      material.uniforms.uTime.value += deltaSeconds;
+      material.uniforms.uMouse.value.lerp(mouseTarget, MOUSE_EASING);
+      render();
+      if (deltaSeconds) adaptToFrameTime(deltaSeconds);
+    };
+
+    const start = () => {
+      if (animationFrameId !== null) return;
+      lastFrameAt = 0;
+      window.addEventListener('pointermove', handlePointerMove, { passive: true });
+      animationFrameId = requestAnimationFrame(animate);
+    };
+
+    const stop = () => {
+      if (animationFrameId === null) return;
+      cancelAnimationFrame(animationFrameId);
+      animationFrameId = null;
+      window.removeEventListener('pointermove', handlePointerMove);
+    };
+
+    // Runs only while it can be seen and motion is welcome; otherwise keeps the last frame (or a still one).
+    const update = () => {
+      if (motionQuery.matches) {
+        stop();
+        render();
+      } else if (isOnScreen && document.visibilityState === 'visible') {
+        start();
+      } else {
+        stop();
+      }
+    };
+
+    const observer = new IntersectionObserver(([entry]) => {
+      isOnScreen = entry.isIntersecting;
+      update();
+    });
+    observer.observe(currentMount);
+
+    const handleResize = () => {
+      resize();
+      if (animationFrameId === null) render();
+    };
+    window.addEventListener('resize', handleResize);
+    document.addEventListener('visibilitychange', update);
+    motionQuery.addEventListener('change', update);
+    update();
+
+    return () => {
+      stop();
+      observer.disconnect();
+      window.removeEventListener('resize', handleResize);
+      document.removeEventListener('visibilitychange', update);
+      motionQuery.removeEventListener('change', update);
+      scene.remove(particles);
+      geometry.dispose();
+      material.dispose();
+      renderer.dispose();
+      renderer.forceContextLoss();
+      currentMount.removeChild(renderer.domElement);
+    };
+  }, []);
+
+  return (
+    <div ref={mountRef} className="absolute top-0 left-0 w-full h-full z-0" aria-hidden="true">
+      {isWebGLUnavailable && <img src={fallbackImage} alt="" className="w-full h-full object-cover" />}
+    </div>
+  );
+};
+
+export default ThreeDAnimation;
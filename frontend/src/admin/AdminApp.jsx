@@ -0,0 +1,161 @@
+import React, { useState, useCallback } from 'react';
+import { LogOut, Lock, Eye } from 'lucide-react';
+import { adminRequest, loadSession, saveSession, clearSession } from './adminApi.js';
+import Submissions from './Submissions.jsx';
+import Applications from './Applications.jsx';
+import Bookings from './Bookings.jsx';
+import Analytics from './Analytics.jsx';
+import PrivacyLog from './PrivacyLog.jsx';
+
+const SECTIONS = [
+  { id: 'submissions', label: 'Contact Submissions' },
+  { id: 'applications', label: 'Job Applications' },
+  { id: 'bookings', label: 'Discovery Calls' },
+  { id: 'analytics', label: 'Analytics' },
+  { id: 'privacy', label: 'Privacy Log' },
+];
+
+// Staff dashboard shell: shows the login form until there is a valid session.
+export default function AdminApp({ navigateTo }) {
+  const [session, setSession] = useState(loadSession);
+  const [section, setSection] = useState('submissions');
+
+  const handleLogin = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+  };
+
+  const endSession = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const [previewError, setPreviewError] = useState(null);
+
+  // Opens the site in a new tab with a signed link that shows unpublished CMS drafts.
+  const openPreview = async () => {
+    setPreviewError(null);
+    // Opened before the request so popup blockers treat it as part of the click.
+    const previewWindow = window.open('', '_blank');
+    try {
+      const { token } = await adminRequest('/preview', { method: 'POST', token: session.token });
+      const url = `/?preview=${encodeURIComponent(token)}`;
+      if (previewWindow) {
+        previewWindow.location.href = url;
+      } else {
+        window.location.assign(url);
+      }
+    } catch (error) {
+      previewWindow?.close();
+      if (error.status === 401) return endSession();
+      setPreviewError(error.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await adminRequest('/logout', { method: 'POST', token: session.token });
+    } catch (error) {
+      // The local session is dropped regardless; the server-side one expires on its own.
+      console.error('Logout Error:', error);
+    }
+    endSession();
+  };
+
+  if (!session) {
+    return <AdminLogin onLogin={handleLogin} navigateTo={navigateTo} />;
+  }
+
+  return (
+    <div className="bg-gray-900 text-white font-sans min-h-screen">
+      <header className="border-b border-gray-800 bg-gray-900">
+        <div className="container mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="text-2xl font-bold tracking-wider" style={{fontFamily: "'Orbitron', sans-serif"}}>
+            NXL<span className="text-blue-400">.</span> <span className="text-gray-400 text-lg">Admin</span>
+          </div>
+          <div className="flex items-center space-x-4">
+            <span className="text-gray-400 hidden sm:inline">Signed in as <strong className="text-white">{session.user.username}</strong></span>
+            <button onClick={openPreview} className="flex items-center text-gray-300 hover:text-white transition-colors" title={previewError || 'View unpublished CMS drafts on the site'}>
+              <Eye size={18} className="mr-2" /> Preview drafts
+            </button>
+            <button onClick={handleLogout} className="flex items-center text-gray-300 hover:text-white transition-colors">
+              <LogOut size={18} className="mr-2" /> Log out
+            </button>
+          </div>
+        </div>
+        {previewError && <p className="container mx-auto px-6 pb-3 text-red-500 text-sm">{previewError}</p>}
+      </header>
+      <nav className="border-b border-gray-800">
+        <div className="container mx-auto px-6 flex space-x-6">
+          {SECTIONS.map(item => (
+            <button
+              key={item.id}
+              onClick={() => setSection(item.id)}
+              className={`py-3 border-b-2 transition-colors ${section === item.id ? 'border-blue-500 text-white' : 'border-transparent text-gray-400 hover:text-white'}`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </nav>
+      <main className="container mx-auto px-6 py-8">
+        {section === 'submissions' && <Submissions token={session.token} onSessionExpired={endSession} />}
+        {section === 'applications' && <Applications token={session.token} onSessionExpired={endSession} />}
+        {section === 'bookings' && <Bookings token={session.token} onSessionExpired={endSession} />}
+        {section === 'analytics' && <Analytics token={session.token} onSessionExpired={endSession} />}
+        {section === 'privacy' && <PrivacyLog token={session.token} onSessionExpired={endSession} />}
+      </main>
+    </div>
+  );
+}
+
+// Login Form
+const AdminLogin = ({ onLogin, navigateTo }) => {
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    setCredentials({ ...credentials, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const { token, expiresAt, user } = await adminRequest('/login', { method: 'POST', body: credentials });
+      onLogin({ token, expiresAt, user });
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 text-white font-sans min-h-screen flex flex-col justify-center items-center p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm space-y-6 bg-gray-800 p-8 rounded-xl shadow-2xl">
+        <div className="text-center">
+          <Lock size={36} className="text-blue-400 mx-auto mb-3" />
+          <h1 className="text-2xl font-bold">Staff Login</h1>
+        </div>
+        <div>
+          <label htmlFor="username" className="block text-sm font-medium text-gray-300 mb-2">Username</label>
+          <input type="text" name="username" id="username" autoComplete="username" required value={credentials.username} onChange={handleChange} className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+        </div>
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-2">Password</label>
+          <input type="password" name="password" id="password" autoComplete="current-password" required value={credentials.password} onChange={handleChange} className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"/>
+        </div>
+        <button type="submit" disabled={isSubmitting} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-500">
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+        <button type="button" onClick={() => navigateTo('/')} className="w-full text-sm text-gray-400 hover:text-white">
+          Back to website
+        </button>
+      </form>
+    </div>
+  );
+};
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Loader } from 'lucide-react';
+import { adminRequest } from './adminApi.js';
+
+const RANGES = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
+
+// Labels for ANALYTICS_CTAS and ANALYTICS_FORMS in backend/lib/schemas.js.
+const CTA_LABELS = { 'get-in-touch': 'Get In Touch', 'lets-talk': "Let's Talk", 'view-details': 'View Details' };
+const FORM_LABELS = { contact: 'Contact form', application: 'Job application', booking: 'Discovery call' };
+
+const FUNNEL_STEPS = [
+  { key: 'visitors', label: 'Visited the site' },
+  { key: 'viewed_service', label: 'Viewed a service' },
+  { key: 'clicked_cta', label: 'Clicked a call to action' },
+  { key: 'converted', label: 'Sent a form' },
+];
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '–');
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-800 rounded-xl p-5">
+    <div className="text-sm text-gray-400 mb-1">{label}</div>
+    <div className="text-3xl font-bold">{value}</div>
+  </div>
+);
+
+const Panel = ({ title, children }) => (
+  <section className="bg-gray-800 rounded-xl p-6">
+    <h2 className="text-xl font-bold mb-4">{title}</h2>
+    {children}
+  </section>
+);
+
+// Table of ranked rows: a label followed by its counts, one per entry of `columns` after the first.
+const RankTable = ({ columns, rows }) => (rows.length ? (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-gray-400 text-left">
+        {columns.map((column, index) => <th key={column} className={`pb-2 font-medium ${index ? 'text-right' : ''}`}>{column}</th>)}
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-700">
+      {rows.map(([first, ...counts]) => (
+        <tr key={first}>
+          <td className="py-2 pr-4 break-all">{first}</td>
+          {counts.map((count, index) => <td key={index} className="py-2 text-right tabular-nums">{count}</td>)}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+) : (
+  <p className="text-gray-500 text-sm">No data for this period.</p>
+));
+
+// Cookie-free traffic and lead report: totals, the visit-to-lead funnel, top services and pages,
+// CTA clicks and conversions (see backend/routes/adminAnalytics.js).
+export default function Analytics({ token, onSessionExpired }) {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    const to = new Date();
+    const from = new Date(to.getTime() - (rangeDays - 1) * 24 * 60 * 60 * 1000);
+    const params = new URLSearchParams({ from: toDateString(from), to: toDateString(to) });
+
+    setIsLoading(true);
+    adminRequest(`/analytics?${params}`, { token })
+      .then(data => {
+        if (isCancelled) return;
+        setReport(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        if (err.status === 401) {
+          onSessionExpired();
+        } else {
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [rangeDays, token, onSessionExpired]);
+
+  const busiestDay = report ? Math.max(1, ...report.daily.map(day => day.pageviews)) : 1;
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h1 className="text-3xl font-bold">Analytics</h1>
+        <label className="text-sm text-gray-400">
+          <span className="sr-only">Period</span>
+          <select value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))} className="bg-gray-700 border-gray-600 rounded-lg p-3 text-white">
+            {RANGES.map(range => <option key={range.days} value={range.days}>{range.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-6">
+        No cookies or personal data are collected, and visitors with Do-Not-Track switched on are not counted.
+        A visitor is one browser on one day.
+      </p>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      {isLoading && !report ? (
+        <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+      ) : report && (
+        <div className={`space-y-8 transition-opacity ${isLoading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            <Stat label="Visitors" value={report.totals.visitors} />
+            <Stat label="Page views" value={report.totals.pageviews} />
+            <Stat label="CTA clicks" value={report.totals.cta_clicks} />
+            <Stat label="Conversions" value={report.totals.conversions} />
+            <Stat label="Conversion rate" value={percent(report.funnel.converted, report.funnel.visitors)} />
+          </div>
+
+          <Panel title="Lead funnel">
+            <ol className="space-y-4">
+              {FUNNEL_STEPS.map((step, index) => {
+                const count = report.funnel[step.key];
+                const width = report.funnel.visitors ? (count / report.funnel.visitors) * 100 : 0;
+                return (
+                  <li key={step.key}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span>{step.label}</span>
+                      <span className="text-gray-400 tabular-nums">
+                        {count}
+                        {index > 0 && ` · ${percent(count, report.funnel[FUNNEL_STEPS[index - 1].key])} of previous step`}
+                      </span>
+                    </div>
+                    <div className="h-3 bg-gray-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-500 rounded-full" style={{ width: `${width}%` }} />
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </Panel>
+
+          <Panel title="Daily page views">
+            {report.daily.length ? (
+              <div className="flex items-end gap-1 h-32">
+                {report.daily.map(day => (
+                  <div
+                    key={day.day}
+                    title={`${day.day}: ${day.pageviews} page views, ${day.visitors} visitors, ${day.conversions} conversions`}
+                    className="flex-1 bg-blue-500/70 hover:bg-blue-400 rounded-t"
+                    style={{ height: `${Math.max(2, (day.pageviews / busiestDay) * 100)}%` }}
+                  />
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-500 text-sm">No data for this period.</p>
+            )}
+          </Panel>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+            <Panel title="Top services">
+              <RankTable
+                columns={['Service', 'Views', 'Visitors', 'Converted']}
+                rows={report.topServices.map(row => [row.service_id, row.views, row.visitors, row.converted])}
+              />
+            </Panel>
+            <Panel title="Top pages">
+              <RankTable columns={['Page', 'Views', 'Visitors']} rows={report.topPages.map(row => [row.path, row.views, row.visitors])} />
+            </Panel>
+            <Panel title="Calls to action">
+              <RankTable columns={['Button', 'Clicks', 'Visitors']} rows={report.ctas.map(row => [CTA_LABELS[row.cta] || row.cta, row.clicks, row.visitors])} />
+            </Panel>
+            <Panel title="Conversions">
+              <RankTable columns={['Form', 'Sent']} rows={report.conversions.map(row => [FORM_LABELS[row.form] || row.form, row.conversions])} />
+            </Panel>
+            <Panel title="Referrers">
+              <RankTable columns={['Site', 'Visits']} rows={report.referrers.map(row => [row.referrer_host, row.visits])} />
+            </Panel>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
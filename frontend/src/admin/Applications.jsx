@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, ChevronLeft, ChevronRight, Trash2, X, Loader, Download } from 'lucide-react';
+import { apiUrl } from '../api.js';
+import { adminRequest } from './adminApi.js';
+
+// Hiring stages, in order (APPLICATION_STATUSES in backend/lib/schemas.js).
+const STATUSES = ['received', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  received: 'bg-blue-500/20 text-blue-300',
+  screening: 'bg-yellow-500/20 text-yellow-300',
+  interview: 'bg-purple-500/20 text-purple-300',
+  offer: 'bg-teal-500/20 text-teal-300',
+  hired: 'bg-green-500/20 text-green-300',
+  rejected: 'bg-gray-600/40 text-gray-300',
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.rejected}`}>
+    {status}
+  </span>
+);
+
+// Job applications list with search, stage filter, paging and a detail panel.
+export default function Applications({ token, onSessionExpired }) {
+  const [filters, setFilters] = useState({ search: '', status: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) {
+      onSessionExpired();
+    } else {
+      setError(err.message);
+    }
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    setIsLoading(true);
+    adminRequest(`/applications?${params}`, { token })
+      .then(data => {
+        if (isCancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!isCancelled) handleError(err);
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [filters, page, token, reloadKey, handleError]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const reload = () => setReloadKey(key => key + 1);
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-5 gap-8">
+      <section className="xl:col-span-3">
+        <h1 className="text-3xl font-bold mb-6">Job Applications</h1>
+
+        <div className="bg-gray-800 p-4 rounded-xl mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+          <form onSubmit={handleSearch} className="md:col-span-3 flex">
+            <input
+              type="search"
+              placeholder="Search name, email or role"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="flex-grow bg-gray-700 border-gray-600 rounded-l-lg p-3 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 px-4 rounded-r-lg" aria-label="Search">
+              <Search size={18} />
+            </button>
+          </form>
+          <label className="text-sm text-gray-400">
+            <span className="sr-only">Stage</span>
+            <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="w-full h-full bg-gray-700 border-gray-600 rounded-lg p-3 text-white">
+              <option value="">All stages</option>
+              {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {error && <p className="text-red-500 mb-4">{error}</p>}
+
+        <div className="bg-gray-800 rounded-xl overflow-hidden">
+          {isLoading && !result ? (
+            <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+          ) : result && result.applications.length ? (
+            <ul className="divide-y divide-gray-700">
+              {result.applications.map(application => (
+                <li key={application.id}>
+                  <button
+                    onClick={() => setSelectedId(application.id)}
+                    className={`w-full text-left p-4 hover:bg-gray-700/50 transition-colors ${selectedId === application.id ? 'bg-gray-700/70' : ''}`}
+                  >
+                    <div className="flex justify-between items-center mb-1">
+                      <span className={`font-semibold ${application.status === 'received' ? 'text-white' : 'text-gray-300'}`}>{application.name}</span>
+                      <StatusBadge status={application.status} />
+                    </div>
+                    <div className="text-sm text-gray-400">{application.job_role} · {formatDate(application.created_at)}</div>
+                    <div className="text-sm text-gray-500 mt-1">{application.email}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="p-8 text-center text-gray-400">No applications match these filters.</p>
+          )}
+        </div>
+
+        {result && result.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4 text-gray-400">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="flex items-center hover:text-white disabled:opacity-40">
+              <ChevronLeft size={18} /> Previous
+            </button>
+            <span>Page {result.page} of {result.totalPages} · {result.total} total</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= result.totalPages} className="flex items-center hover:text-white disabled:opacity-40">
+              Next <ChevronRight size={18} />
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="xl:col-span-2">
+        {selectedId ? (
+          <ApplicationDetail
+            key={selectedId}
+            id={selectedId}
+            token={token}
+            onChange={reload}
+            onClose={() => setSelectedId(null)}
+            onDeleted={() => {
+              setSelectedId(null);
+              reload();
+            }}
+            onError={handleError}
+          />
+        ) : (
+          <div className="bg-gray-800/50 border border-dashed border-gray-700 rounded-xl p-8 text-center text-gray-500">
+            Select an application to see the cover letter, CV and hiring history.
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Application Detail Panel
+const ApplicationDetail = ({ id, token, onChange, onClose, onDeleted, onError }) => {
+  const [application, setApplication] = useState(null);
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    adminRequest(`/applications/${id}`, { token })
+      .then(data => setApplication(data.application))
+      .catch(onError);
+  }, [id, token, onError]);
+
+  // The optional note is saved with the stage change in the application's history.
+  const updateStatus = async (status) => {
+    setIsSaving(true);
+    try {
+      const data = await adminRequest(`/applications/${id}`, { method: 'PATCH', body: { status, ...(note.trim() && { note }) }, token });
+      setApplication(current => ({ ...current, ...data.application, events: [...current.events, data.event] }));
+      setNote('');
+      onChange();
+    } catch (err) {
+      onError(err);
+    }
+    setIsSaving(false);
+  };
+
+  const deleteApplication = async () => {
+    if (!window.confirm('Delete this application and its CV permanently? This cannot be undone.')) return;
+    setIsSaving(true);
+    try {
+      await adminRequest(`/applications/${id}`, { method: 'DELETE', token });
+      onDeleted();
+    } catch (err) {
+      onError(err);
+      setIsSaving(false);
+    }
+  };
+
+  if (!application) {
+    return <div className="bg-gray-800 rounded-xl p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 xl:sticky xl:top-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">{application.name}</h2>
+          <p className="text-gray-300">{application.job_role}</p>
+          <a href={`mailto:${application.email}`} className="text-blue-400 hover:underline break-all">{application.email}</a>
+          {application.phone && <p className="text-gray-400">{application.phone}</p>}
+          <p className="text-sm text-gray-500 mt-1">Applied {formatDate(application.created_at)}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X size={22} />
+        </button>
+      </div>
+
+      {application.cv ? (
+        // Signed links expire after a few minutes; reopening the panel fetches a fresh one.
+        <a href={apiUrl(application.cv.url)} className="inline-flex items-center bg-gray-700 hover:bg-gray-600 rounded-lg px-4 py-2 mb-6 text-sm">
+          <Download size={16} className="mr-2" /> {application.cv.original_name} ({formatSize(application.cv.size)})
+        </a>
+      ) : (
+        <p className="text-gray-500 text-sm mb-6">CV file not available.</p>
+      )}
+
+      {application.cover_letter ? (
+        <p className="text-gray-300 whitespace-pre-wrap bg-gray-900/60 rounded-lg p-4 mb-6">{application.cover_letter}</p>
+      ) : (
+        <p className="text-gray-500 text-sm mb-6">No cover letter.</p>
+      )}
+
+      <h3 className="text-lg font-semibold mb-3">Move to Stage</h3>
+      <textarea
+        rows="2"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Optional note, saved with the stage change"
+        className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 mb-3 focus:ring-blue-500 focus:border-blue-500"
+      ></textarea>
+      <div className="flex flex-wrap gap-2 mb-6">
+        {STATUSES.map(status => (
+          <button
+            key={status}
+            onClick={() => updateStatus(status)}
+            disabled={isSaving || application.status === status}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold capitalize transition-colors ${application.status === status ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      <h3 className="text-lg font-semibold mb-3">History</h3>
+      <ul className="space-y-3 mb-6">
+        {application.events.map(event => (
+          <li key={event.id} className="bg-gray-700/50 rounded-lg p-3">
+            <p className="text-gray-200">
+              {event.from_status ? <>Moved from <strong>{event.from_status}</strong> to <strong>{event.to_status}</strong></> : <>Application <strong>{event.to_status}</strong></>}
+            </p>
+            {event.note && <p className="text-gray-300 whitespace-pre-wrap mt-1">{event.note}</p>}
+            <p className="text-xs text-gray-500 mt-1">{event.author} · {formatDate(event.created_at)}</p>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-end">
+        <button type="button" onClick={deleteApplication} disabled={isSaving} className="flex items-center text-red-400 hover:text-red-300">
+          <Trash2 size={18} className="mr-1" /> Delete
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,494 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, ChevronLeft, ChevronRight, Trash2, X, Loader, CalendarPlus } from 'lucide-react';
+import { adminRequest } from './adminApi.js';
+
+// BOOKING_STATUSES in backend/lib/schemas.js
+const STATUSES = ['confirmed', 'held', 'cancelled'];
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  confirmed: 'bg-green-500/20 text-green-300',
+  held: 'bg-yellow-500/20 text-yellow-300',
+  cancelled: 'bg-gray-600/40 text-gray-300',
+};
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+];
+
+const EVENT_LABELS = { booked: 'Booked', approved: 'Approved', rescheduled: 'Moved to', cancelled: 'Cancelled' };
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const formatCallTime = (booking) => `${new Date(booking.starts_at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} – ${new Date(booking.ends_at).toLocaleTimeString([], { timeStyle: 'short' })}`;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.cancelled}`}>
+    {status}
+  </span>
+);
+
+// Discovery calls list with search, status filter, paging and a detail panel, above the bookable slots.
+// Times are shown in the browser's time zone.
+export default function Bookings({ token, onSessionExpired }) {
+  const [filters, setFilters] = useState({ search: '', status: 'confirmed', from: toDateString(new Date()) });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) {
+      onSessionExpired();
+    } else {
+      setError(err.message);
+    }
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    setIsLoading(true);
+    adminRequest(`/bookings?${params}`, { token })
+      .then(data => {
+        if (isCancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!isCancelled) handleError(err);
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [filters, page, token, reloadKey, handleError]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const reload = () => setReloadKey(key => key + 1);
+
+  return (
+    <div className="space-y-12">
+      <div className="grid grid-cols-1 xl:grid-cols-5 gap-8">
+        <section className="xl:col-span-3">
+          <h1 className="text-3xl font-bold mb-6">Discovery Calls</h1>
+
+          <div className="bg-gray-800 p-4 rounded-xl mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+            <form onSubmit={handleSearch} className="md:col-span-2 flex">
+              <input
+                type="search"
+                placeholder="Search name, email or service"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className="flex-grow bg-gray-700 border-gray-600 rounded-l-lg p-3 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button type="submit" className="bg-blue-600 hover:bg-blue-700 px-4 rounded-r-lg" aria-label="Search">
+                <Search size={18} />
+              </button>
+            </form>
+            <label className="text-sm text-gray-400">
+              <span className="sr-only">Status</span>
+              <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="w-full h-full bg-gray-700 border-gray-600 rounded-lg p-3 text-white">
+                <option value="">All statuses</option>
+                {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-400">
+              <span className="sr-only">When</span>
+              <select value={filters.from ? 'upcoming' : 'all'} onChange={(e) => updateFilter('from', e.target.value === 'upcoming' ? toDateString(new Date()) : '')} className="w-full h-full bg-gray-700 border-gray-600 rounded-lg p-3 text-white">
+                <option value="upcoming">From today</option>
+                <option value="all">All dates</option>
+              </select>
+            </label>
+          </div>
+
+          {error && <p className="text-red-500 mb-4">{error}</p>}
+
+          {result?.held > 0 && filters.status !== 'held' && (
+            <button
+              onClick={() => updateFilter('status', 'held')}
+              className="w-full text-left text-sm text-yellow-300 bg-yellow-500/10 hover:bg-yellow-500/20 rounded-lg p-3 mb-4"
+            >
+              {result.held === 1 ? '1 call flagged as possible spam is' : `${result.held} calls flagged as possible spam are`} held for review. Show held calls
+            </button>
+          )}
+
+          <div className="bg-gray-800 rounded-xl overflow-hidden">
+            {isLoading && !result ? (
+              <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+            ) : result && result.bookings.length ? (
+              <ul className="divide-y divide-gray-700">
+                {result.bookings.map(booking => (
+                  <li key={booking.id}>
+                    <button
+                      onClick={() => setSelectedId(booking.id)}
+                      className={`w-full text-left p-4 hover:bg-gray-700/50 transition-colors ${selectedId === booking.id ? 'bg-gray-700/70' : ''}`}
+                    >
+                      <div className="flex justify-between items-center mb-1">
+                        <span className={`font-semibold ${booking.status === 'cancelled' ? 'text-gray-400' : 'text-white'}`}>{formatCallTime(booking)}</span>
+                        <StatusBadge status={booking.status} />
+                      </div>
+                      <div className="text-sm text-gray-400">{booking.name} · {booking.service_title}</div>
+                      <div className="text-sm text-gray-500 mt-1">{booking.email}</div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="p-8 text-center text-gray-400">No discovery calls match these filters.</p>
+            )}
+          </div>
+
+          {result && result.totalPages > 1 && (
+            <div className="flex justify-between items-center mt-4 text-gray-400">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="flex items-center hover:text-white disabled:opacity-40">
+                <ChevronLeft size={18} /> Previous
+              </button>
+              <span>Page {result.page} of {result.totalPages} · {result.total} total</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= result.totalPages} className="flex items-center hover:text-white disabled:opacity-40">
+                Next <ChevronRight size={18} />
+              </button>
+            </div>
+          )}
+        </section>
+
+        <section className="xl:col-span-2">
+          {selectedId ? (
+            <BookingDetail
+              key={`${selectedId}-${reloadKey}`}
+              id={selectedId}
+              token={token}
+              onChange={reload}
+              onClose={() => setSelectedId(null)}
+              onError={handleError}
+            />
+          ) : (
+            <div className="bg-gray-800/50 border border-dashed border-gray-700 rounded-xl p-8 text-center text-gray-500">
+              Select a call to see the prospect's message, or to reschedule or cancel it.
+            </div>
+          )}
+        </section>
+      </div>
+
+      <Slots token={token} reloadKey={reloadKey} onChange={reload} onError={handleError} />
+    </div>
+  );
+}
+
+// Booking Detail Panel
+const BookingDetail = ({ id, token, onChange, onClose, onError }) => {
+  const [booking, setBooking] = useState(null);
+  // Free future slots the call can move to
+  const [freeSlots, setFreeSlots] = useState([]);
+  const [slotId, setSlotId] = useState('');
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    adminRequest(`/bookings/${id}`, { token })
+      .then(data => setBooking(data.booking))
+      .catch(onError);
+    adminRequest('/bookings/slots', { token })
+      .then(data => setFreeSlots(data.slots.filter(slot => !slot.booking_id && new Date(slot.starts_at) > new Date())))
+      .catch(onError);
+  }, [id, token, onError]);
+
+  // Errors such as a slot taken in the meantime are shown here rather than above the list.
+  const run = async (request) => {
+    setIsSaving(true);
+    setActionError(null);
+    try {
+      await request();
+      onChange();
+    } catch (err) {
+      if (err.status === 401) onError(err);
+      else setActionError(err.fields ? Object.values(err.fields)[0].message : err.message);
+      setIsSaving(false);
+    }
+  };
+
+  // The note is saved in the call's history and, for a cancellation, sent to the prospect as the reason.
+  const reschedule = () => run(() => adminRequest(`/bookings/${id}/reschedule`, {
+    method: 'POST',
+    body: { slotId: Number(slotId), ...(note.trim() && { note }) },
+    token,
+  }));
+
+  // Approving sends the prospect the confirmation and calendar invite they didn't get when booking.
+  const approve = () => run(() => adminRequest(`/bookings/${id}/approve`, { method: 'POST', body: { ...(note.trim() && { note }) }, token }));
+
+  const cancel = () => {
+    const warning = booking.status === 'held'
+      ? 'Cancel this held call? The prospect is not emailed and the slot is freed.'
+      : 'Cancel this call? The prospect is emailed straight away.';
+    if (!window.confirm(warning)) return;
+    run(() => adminRequest(`/bookings/${id}/cancel`, { method: 'POST', body: { ...(note.trim() && { reason: note }) }, token }));
+  };
+
+  if (!booking) {
+    return <div className="bg-gray-800 rounded-xl p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 xl:sticky xl:top-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">{booking.name}</h2>
+          <p className="text-gray-300">{booking.service_title}</p>
+          <a href={`mailto:${booking.email}`} className="text-blue-400 hover:underline break-all">{booking.email}</a>
+          {booking.phone && <p className="text-gray-400">{booking.phone}</p>}
+          <p className="text-sm text-gray-500 mt-1">Booked {formatDate(booking.created_at)}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X size={22} />
+        </button>
+      </div>
+
+      <div className="bg-gray-900/60 rounded-lg p-4 mb-6">
+        <div className="flex justify-between items-center">
+          <span className="font-semibold text-white">{formatCallTime(booking)}</span>
+          <StatusBadge status={booking.status} />
+        </div>
+        <p className="text-sm text-gray-500 mt-1">Prospect's time zone: {booking.time_zone}</p>
+      </div>
+
+      {booking.message ? (
+        <p className="text-gray-300 whitespace-pre-wrap bg-gray-900/60 rounded-lg p-4 mb-6">{booking.message}</p>
+      ) : (
+        <p className="text-gray-500 text-sm mb-6">No message.</p>
+      )}
+
+      {booking.spam_reasons && booking.spam_reasons.length > 0 && (
+        <p className="text-sm text-red-300 bg-red-500/10 rounded-lg p-3 mb-6">
+          Flagged as spam: {booking.spam_reasons.join(', ')}
+        </p>
+      )}
+
+      {booking.status === 'held' && (
+        <>
+          <h3 className="text-lg font-semibold mb-3">Held for Review</h3>
+          <p className="text-sm text-gray-400 mb-3">
+            Nobody has been emailed about this call and its slot is kept free of other bookings. Approving it sends the prospect their calendar invite.
+          </p>
+          <textarea
+            rows="2"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Optional note for the call's history"
+            className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 mb-3 focus:ring-blue-500 focus:border-blue-500"
+          ></textarea>
+          <div className="flex justify-between items-center mb-6">
+            <button onClick={approve} disabled={isSaving} className="px-4 py-2 rounded-lg text-sm font-semibold bg-green-600 hover:bg-green-700 disabled:opacity-50">
+              Approve Call
+            </button>
+            <button type="button" onClick={cancel} disabled={isSaving} className="flex items-center text-red-400 hover:text-red-300">
+              <X size={18} className="mr-1" /> Cancel Call
+            </button>
+          </div>
+          {actionError && <p className="text-red-500 text-sm mb-6">{actionError}</p>}
+        </>
+      )}
+
+      {booking.status === 'confirmed' && (
+        <>
+          <h3 className="text-lg font-semibold mb-3">Reschedule or Cancel</h3>
+          <textarea
+            rows="2"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Optional note; a cancellation emails it to the prospect as the reason"
+            className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 mb-3 focus:ring-blue-500 focus:border-blue-500"
+          ></textarea>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <select value={slotId} onChange={(e) => setSlotId(e.target.value)} className="flex-grow bg-gray-700 border-gray-600 rounded-lg p-2 text-white">
+              <option value="">{freeSlots.length ? 'Pick a free slot' : 'No free slots'}</option>
+              {freeSlots.map(slot => <option key={slot.id} value={slot.id}>{formatCallTime(slot)}</option>)}
+            </select>
+            <button onClick={reschedule} disabled={isSaving || !slotId} className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:opacity-50">
+              Move Call
+            </button>
+          </div>
+          <div className="flex justify-end mb-6">
+            <button type="button" onClick={cancel} disabled={isSaving} className="flex items-center text-red-400 hover:text-red-300">
+              <X size={18} className="mr-1" /> Cancel Call
+            </button>
+          </div>
+          {actionError && <p className="text-red-500 text-sm mb-6">{actionError}</p>}
+        </>
+      )}
+
+      <h3 className="text-lg font-semibold mb-3">History</h3>
+      <ul className="space-y-3">
+        {booking.events.map(event => (
+          <li key={event.id} className="bg-gray-700/50 rounded-lg p-3">
+            <p className="text-gray-200">
+              {EVENT_LABELS[event.action] || event.action} <strong>{formatDate(event.starts_at)}</strong>
+            </p>
+            {event.note && <p className="text-gray-300 whitespace-pre-wrap mt-1">{event.note}</p>}
+            <p className="text-xs text-gray-500 mt-1">{event.author} · {formatDate(event.created_at)}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Bookable slots: a form that opens slots on chosen weekdays and times over a date range, and the upcoming
+// slots with their bookings. Free slots can be deleted.
+const Slots = ({ token, reloadKey, onChange, onError }) => {
+  const [slots, setSlots] = useState(null);
+  const [form, setForm] = useState(() => ({
+    from: toDateString(new Date()),
+    to: toDateString(new Date(Date.now() + 27 * 24 * 60 * 60 * 1000)),
+    weekdays: [1, 2, 3, 4, 5],
+    times: '10:00, 14:00',
+    durationMinutes: 30,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    adminRequest('/bookings/slots', { token })
+      .then(data => setSlots(data.slots))
+      .catch(onError);
+  }, [token, reloadKey, onError]);
+
+  const updateForm = (name, value) => setForm(current => ({ ...current, [name]: value }));
+
+  const toggleWeekday = (value) => updateForm('weekdays', form.weekdays.includes(value)
+    ? form.weekdays.filter(day => day !== value)
+    : [...form.weekdays, value].sort());
+
+  const createSlots = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      const data = await adminRequest('/bookings/slots', {
+        method: 'POST',
+        body: { ...form, times: form.times.split(/[\s,]+/).filter(Boolean), durationMinutes: Number(form.durationMinutes) },
+        token,
+      });
+      setStatus({ message: `${data.created} slot${data.created === 1 ? '' : 's'} opened${data.skipped ? `, ${data.skipped} skipped (past or overlapping)` : ''}.` });
+      onChange();
+    } catch (err) {
+      if (err.status === 401) onError(err);
+      else setStatus({ error: err.fields ? Object.values(err.fields)[0].message : err.message });
+    }
+    setIsSaving(false);
+  };
+
+  const deleteSlot = async (slot) => {
+    if (!window.confirm(`Delete the slot on ${formatCallTime(slot)}?`)) return;
+    try {
+      await adminRequest(`/bookings/slots/${slot.id}`, { method: 'DELETE', token });
+      onChange();
+    } catch (err) {
+      if (err.status === 401) onError(err);
+      else setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <section>
+      <h2 className="text-2xl font-bold mb-6">Bookable Slots</h2>
+      <div className="grid grid-cols-1 xl:grid-cols-5 gap-8">
+        <form onSubmit={createSlots} className="xl:col-span-2 bg-gray-800 rounded-xl p-6 space-y-4 self-start">
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-400">
+              From
+              <input type="date" required value={form.from} onChange={(e) => updateForm('from', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+            </label>
+            <label className="text-sm text-gray-400">
+              To
+              <input type="date" required value={form.to} onChange={(e) => updateForm('to', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+            </label>
+          </div>
+          <fieldset>
+            <legend className="text-sm text-gray-400 mb-2">Days</legend>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <label key={day.value} className={`px-3 py-1 rounded-lg text-sm font-semibold cursor-pointer ${form.weekdays.includes(day.value) ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}>
+                  <input type="checkbox" className="sr-only" checked={form.weekdays.includes(day.value)} onChange={() => toggleWeekday(day.value)} />
+                  {day.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <label className="block text-sm text-gray-400">
+            Start times (HH:MM, separated by commas)
+            <input type="text" required value={form.times} onChange={(e) => updateForm('times', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+          </label>
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-400">
+              Length (minutes)
+              <input type="number" min="10" max="240" step="5" required value={form.durationMinutes} onChange={(e) => updateForm('durationMinutes', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+            </label>
+            <label className="text-sm text-gray-400">
+              Time zone
+              <input type="text" required value={form.timeZone} onChange={(e) => updateForm('timeZone', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+            </label>
+          </div>
+          <button type="submit" disabled={isSaving} className="w-full flex justify-center items-center bg-blue-600 hover:bg-blue-700 font-bold py-2 px-4 rounded-lg disabled:opacity-50">
+            <CalendarPlus size={18} className="mr-2" /> Open Slots
+          </button>
+          {status?.message && <p className="text-green-400 text-sm">{status.message}</p>}
+          {status?.error && <p className="text-red-500 text-sm">{status.error}</p>}
+        </form>
+
+        <div className="xl:col-span-3 bg-gray-800 rounded-xl overflow-hidden">
+          {!slots ? (
+            <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+          ) : slots.length ? (
+            <ul className="divide-y divide-gray-700">
+              {slots.map(slot => (
+                <li key={slot.id} className="flex justify-between items-center p-4">
+                  <div>
+                    <p className="font-semibold">{formatCallTime(slot)}</p>
+                    <p className="text-sm text-gray-400">{slot.booking_id ? `${slot.booking_status === 'held' ? 'Held for' : 'Booked by'} ${slot.booking_name} · ${slot.booking_service_title}` : 'Free'}</p>
+                  </div>
+                  {!slot.booking_id && (
+                    <button type="button" onClick={() => deleteSlot(slot)} className="text-red-400 hover:text-red-300" aria-label={`Delete the slot on ${formatCallTime(slot)}`}>
+                      <Trash2 size={18} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="p-8 text-center text-gray-400">No slots open in the coming weeks.</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, ChevronLeft, ChevronRight } from 'lucide-react';
+import { adminRequest } from './adminApi.js';
+
+// Labels for the actions written by backend/lib/privacy.js.
+const ACTION_LABELS = {
+  request_created: 'Link requested',
+  request_verified: 'Link opened',
+  data_exported: 'Data downloaded',
+  data_erased: 'Data erased',
+  retention_anonymised: 'Retention: anonymised',
+  retention_deleted: 'Retention: deleted',
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// "submissions: 2 · applications: 1" for an entry's details.
+const formatDetails = (details) => Object.entries(details || {}).map(([key, value]) => `${key}: ${value}`).join(' · ');
+
+const describeRetention = ({ days, action }) => (days
+  ? `Submissions, applications and past discovery calls are ${action === 'delete' ? 'deleted' : 'anonymised'} after ${days} days.`
+  : 'No retention period is set (DATA_RETENTION_DAYS): records are kept until someone deletes them.');
+
+// Audit trail of data subject requests and the retention job (see backend/routes/adminPrivacy.js).
+// People are identified by a hash of their email address only.
+export default function PrivacyLog({ token, onSessionExpired }) {
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setIsLoading(true);
+    adminRequest(`/privacy-log?page=${page}`, { token })
+      .then(data => {
+        if (isCancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        if (err.status === 401) {
+          onSessionExpired();
+        } else {
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [page, token, onSessionExpired]);
+
+  return (
+    <div>
+      <h1 className="text-3xl font-bold mb-6">Privacy Log</h1>
+      {result && <p className="text-sm text-gray-400 mb-6">{describeRetention(result.retention)}</p>}
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      <section className="bg-gray-800 rounded-xl p-6">
+        {isLoading && !result ? (
+          <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+        ) : result && (result.entries.length ? (
+          <div className={`overflow-x-auto transition-opacity ${isLoading ? 'opacity-60' : ''}`}>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="pb-2 pr-4 font-medium">When</th>
+                  <th className="pb-2 pr-4 font-medium">Action</th>
+                  <th className="pb-2 pr-4 font-medium">By</th>
+                  <th className="pb-2 pr-4 font-medium">Subject</th>
+                  <th className="pb-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {result.entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatDate(entry.created_at)}</td>
+                    <td className="py-2 pr-4">{ACTION_LABELS[entry.action] || entry.action}</td>
+                    <td className="py-2 pr-4 text-gray-400">{entry.actor}</td>
+                    <td className="py-2 pr-4 font-mono text-xs text-gray-400" title={entry.subject_hash || undefined}>
+                      {entry.subject_hash ? entry.subject_hash.slice(0, 12) : '–'}
+                    </td>
+                    <td className="py-2 text-gray-400">{formatDetails(entry.details)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray-500 text-sm">Nothing has been logged yet.</p>
+        ))}
+
+        {result && result.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4 text-gray-400">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="flex items-center hover:text-white disabled:opacity-40">
+              <ChevronLeft size={18} /> Previous
+            </button>
+            <span>Page {result.page} of {result.totalPages} · {result.total} total</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= result.totalPages} className="flex items-center hover:text-white disabled:opacity-40">
+              Next <ChevronRight size={18} />
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
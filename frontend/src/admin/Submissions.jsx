@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, ChevronLeft, ChevronRight, Trash2, X, Loader, Paperclip, Download } from 'lucide-react';
+import { apiUrl } from '../api.js';
+import { adminRequest } from './adminApi.js';
+
+const STATUSES = ['new', 'read', 'replied', 'spam'];
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  new: 'bg-blue-500/20 text-blue-300',
+  read: 'bg-gray-600/40 text-gray-300',
+  replied: 'bg-green-500/20 text-green-300',
+  spam: 'bg-red-500/20 text-red-300',
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.read}`}>
+    {status}
+  </span>
+);
+
+// Submissions list with search, status and date filters, paging and a detail panel.
+export default function Submissions({ token, onSessionExpired }) {
+  const [filters, setFilters] = useState({ search: '', status: '', from: '', to: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) {
+      onSessionExpired();
+    } else {
+      setError(err.message);
+    }
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    setIsLoading(true);
+    adminRequest(`/submissions?${params}`, { token })
+      .then(data => {
+        if (isCancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!isCancelled) handleError(err);
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [filters, page, token, reloadKey, handleError]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const reload = () => setReloadKey(key => key + 1);
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-5 gap-8">
+      <section className="xl:col-span-3">
+        <h1 className="text-3xl font-bold mb-6">Contact Submissions</h1>
+
+        <div className="bg-gray-800 p-4 rounded-xl mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+          <form onSubmit={handleSearch} className="md:col-span-4 flex">
+            <input
+              type="search"
+              placeholder="Search name, email or message"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="flex-grow bg-gray-700 border-gray-600 rounded-l-lg p-3 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button type="submit" className="bg-blue-600 hover:bg-blue-700 px-4 rounded-r-lg" aria-label="Search">
+              <Search size={18} />
+            </button>
+          </form>
+          <label className="text-sm text-gray-400">
+            Status
+            <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white">
+              <option value="">All</option>
+              {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-400">
+            From
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+          </label>
+          <label className="text-sm text-gray-400">
+            To
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="mt-1 w-full bg-gray-700 border-gray-600 rounded-lg p-2 text-white" />
+          </label>
+        </div>
+
+        {error && <p className="text-red-500 mb-4">{error}</p>}
+
+        <div className="bg-gray-800 rounded-xl overflow-hidden">
+          {isLoading && !result ? (
+            <div className="p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>
+          ) : result && result.submissions.length ? (
+            <ul className="divide-y divide-gray-700">
+              {result.submissions.map(submission => (
+                <li key={submission.id}>
+                  <button
+                    onClick={() => setSelectedId(submission.id)}
+                    className={`w-full text-left p-4 hover:bg-gray-700/50 transition-colors ${selectedId === submission.id ? 'bg-gray-700/70' : ''}`}
+                  >
+                    <div className="flex justify-between items-center mb-1">
+                      <span className={`font-semibold ${submission.status === 'new' ? 'text-white' : 'text-gray-300'}`}>{submission.name}</span>
+                      <StatusBadge status={submission.status} />
+                    </div>
+                    <div className="text-sm text-gray-400 flex items-center">
+                      {submission.email} · {formatDate(submission.created_at)}
+                      {submission.attachment_count > 0 && (
+                        <span className="flex items-center ml-2 text-gray-500" title={`${submission.attachment_count} attachment(s)`}>
+                          <Paperclip size={14} className="mr-0.5" />{submission.attachment_count}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1 truncate">{submission.message}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="p-8 text-center text-gray-400">No submissions match these filters.</p>
+          )}
+        </div>
+
+        {result && result.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4 text-gray-400">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="flex items-center hover:text-white disabled:opacity-40">
+              <ChevronLeft size={18} /> Previous
+            </button>
+            <span>Page {result.page} of {result.totalPages} · {result.total} total</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= result.totalPages} className="flex items-center hover:text-white disabled:opacity-40">
+              Next <ChevronRight size={18} />
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="xl:col-span-2">
+        {selectedId ? (
+          <SubmissionDetail
+            key={selectedId}
+            id={selectedId}
+            token={token}
+            onChange={reload}
+            onClose={() => setSelectedId(null)}
+            onDeleted={() => {
+              setSelectedId(null);
+              reload();
+            }}
+            onError={handleError}
+          />
+        ) : (
+          <div className="bg-gray-800/50 border border-dashed border-gray-700 rounded-xl p-8 text-center text-gray-500">
+            Select a submission to see the full message and notes.
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Submission Detail Panel
+const SubmissionDetail = ({ id, token, onChange, onClose, onDeleted, onError }) => {
+  const [submission, setSubmission] = useState(null);
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    adminRequest(`/submissions/${id}`, { token })
+      .then(data => setSubmission(data.submission))
+      .catch(onError);
+  }, [id, token, onError]);
+
+  const updateStatus = async (status) => {
+    setIsSaving(true);
+    try {
+      const data = await adminRequest(`/submissions/${id}`, { method: 'PATCH', body: { status }, token });
+      setSubmission(current => ({ ...current, ...data.submission }));
+      onChange();
+    } catch (err) {
+      onError(err);
+    }
+    setIsSaving(false);
+  };
+
+  const addNote = async (e) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+    setIsSaving(true);
+    try {
+      const data = await adminRequest(`/submissions/${id}/notes`, { method: 'POST', body: { body: note }, token });
+      setSubmission(current => ({ ...current, notes: [...current.notes, data.note] }));
+      setNote('');
+    } catch (err) {
+      onError(err);
+    }
+    setIsSaving(false);
+  };
+
+  const deleteSubmission = async () => {
+    if (!window.confirm('Delete this submission permanently? This cannot be undone.')) return;
+    setIsSaving(true);
+    try {
+      await adminRequest(`/submissions/${id}`, { method: 'DELETE', token });
+      onDeleted();
+    } catch (err) {
+      onError(err);
+      setIsSaving(false);
+    }
+  };
+
+  if (!submission) {
+    return <div className="bg-gray-800 rounded-xl p-12 flex justify-center"><Loader className="animate-spin text-blue-500" size={32} /></div>;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-6 xl:sticky xl:top-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">{submission.name}</h2>
+          <a href={`mailto:${submission.email}`} className="text-blue-400 hover:underline break-all">{submission.email}</a>
+          <p className="text-sm text-gray-500 mt-1">Received {formatDate(submission.created_at)}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X size={22} />
+        </button>
+      </div>
+
+      <p className="text-gray-300 whitespace-pre-wrap bg-gray-900/60 rounded-lg p-4 mb-6">{submission.message}</p>
+
+      {submission.attachments.length > 0 && (
+        // Signed links expire after a few minutes; reopening the panel fetches fresh ones.
+        <ul className="space-y-2 mb-6">
+          {submission.attachments.map(file => (
+            <li key={file.id}>
+              <a href={apiUrl(file.url)} className="inline-flex items-center bg-gray-700 hover:bg-gray-600 rounded-lg px-4 py-2 text-sm">
+                <Download size={16} className="mr-2" /> {file.original_name} ({formatSize(file.size)})
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {submission.spam_reasons && submission.spam_reasons.length > 0 && (
+        <p className="text-sm text-red-300 bg-red-500/10 rounded-lg p-3 mb-6">
+          Flagged as spam: {submission.spam_reasons.join(', ')}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {STATUSES.map(status => (
+          <button
+            key={status}
+            onClick={() => updateStatus(status)}
+            disabled={isSaving || submission.status === status}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold capitalize transition-colors ${submission.status === status ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      <h3 className="text-lg font-semibold mb-3">Internal Notes</h3>
+      {submission.notes.length ? (
+        <ul className="space-y-3 mb-4">
+          {submission.notes.map(item => (
+            <li key={item.id} className="bg-gray-700/50 rounded-lg p-3">
+              <p className="text-gray-200 whitespace-pre-wrap">{item.body}</p>
+              <p className="text-xs text-gray-500 mt-1">{item.author} · {formatDate(item.created_at)}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 text-sm mb-4">No notes yet.</p>
+      )}
+      <form onSubmit={addNote} className="space-y-3">
+        <textarea
+          rows="3"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Add a note for the team"
+          className="w-full bg-gray-700 border-gray-600 rounded-lg p-3 focus:ring-blue-500 focus:border-blue-500"
+        ></textarea>
+        <div className="flex justify-between">
+          <button type="submit" disabled={isSaving || !note.trim()} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg disabled:bg-gray-500">
+            Add Note
+          </button>
+          <button type="button" onClick={deleteSubmission} disabled={isSaving} className="flex items-center text-red-400 hover:text-red-300">
+            <Trash2 size={18} className="mr-1" /> Delete
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
@@ -0,0 +1,30 @@
+// Requests to the staff-only /api/admin routes. The session token lives in sessionStorage,
+// so closing the browser tab signs the user out.
+import { apiRequest } from '../api.js';
+
+const SESSION_KEY = 'nxl-admin-session';
+
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(window.sessionStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  window.sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  window.sessionStorage.removeItem(SESSION_KEY);
+};
+
+// Failures surface as ApiError (../api.js); `status` lets callers spot expired sessions (401),
+// and `code`/`fields` carry the API's structured error envelope.
+export const adminRequest = (path, { method = 'GET', body, token } = {}) => apiRequest(`/api/admin${path}`, {
+  method,
+  body,
+  headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+});
@@ -0,0 +1,68 @@
+// Cookie-free, first-party analytics (see backend/lib/analytics.js): page views, service detail views,
+// CTA clicks and form conversions. Events are queued and sent in batches with navigator.sendBeacon, which
+// still delivers when the visitor is leaving the page. Nothing is stored in the browser, and nothing is
+// sent without analytics consent (see consent.js), for visitors with Do-Not-Track or Global Privacy
+// Control switched on, from the admin dashboard, or while an editor previews drafts.
+import { apiUrl } from './api.js';
+import { matchRoute } from './routes.js';
+import { splitLocale } from './i18n.js';
+import { getPreviewToken } from './preview.js';
+import { hasConsent } from './consent.js';
+
+const FLUSH_DELAY_MS = 5000;
+// The backend accepts up to 20 events per request.
+const MAX_BATCH_SIZE = 10;
+
+let queue = [];
+let flushTimer = null;
+// The external referrer is reported with the first page view only; later ones are navigation within the site.
+let isFirstPageView = true;
+
+const isTrackingAllowed = () => {
+  if (typeof window === 'undefined') return false;
+  const optedOut = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  return !optedOut && hasConsent('analytics') && !getPreviewToken();
+};
+
+const flush = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!queue.length) return;
+
+  // A string body is sent as text/plain, which needs no CORS preflight.
+  const body = JSON.stringify({ events: queue });
+  queue = [];
+  const url = apiUrl('/api/analytics/events');
+  if (!navigator.sendBeacon?.(url, body)) {
+    fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'text/plain' }, keepalive: true }).catch(() => {});
+  }
+};
+
+// Queues an event for the page currently shown, e.g. track('cta_click', { cta: 'lets-talk' }).
+// Types and properties are listed in ANALYTICS_* in backend/lib/schemas.js.
+export const track = (type, properties = {}) => {
+  if (!isTrackingAllowed()) return;
+  const { locale, path } = splitLocale(window.location.pathname);
+  if (matchRoute(path).page === 'admin') return;
+
+  const event = { type, path, locale, ...properties };
+  if (type === 'pageview') {
+    if (isFirstPageView && document.referrer) event.referrer = document.referrer;
+    isFirstPageView = false;
+  }
+  queue.push(event);
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+};
+
+// Send what is queued when the tab is hidden or closed; pagehide covers browsers that skip visibilitychange.
+if (typeof window !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+}
@@ -0,0 +1,124 @@
+// Client for the NXL backend API. Requests go through apiRequest(), which prefixes the configured API
+// origin (see config.js), gives up after a timeout, repeats GET requests that failed on the way and
+// turns every failure into an ApiError carrying the backend's error envelope (backend/lib/errors.js).
+import { getConfig } from './config.js';
+
+/**
+ * @typedef {object} FieldError
+ * @property {string} code e.g. 'invalid_format'
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'} [method='GET']
+ * @property {object | FormData} [body] Sent as JSON; a FormData is sent as multipart form data.
+ * @property {Record<string, string>} [headers]
+ * @property {'json' | 'blob'} [responseType='json']
+ * @property {number} [timeoutMs] Per attempt; defaults to the configured requestTimeoutMs.
+ * @property {number} [retries] Defaults to the configured requestRetries for GET requests and to 0 for
+ *   the rest, as repeating a POST could send a form twice.
+ * @property {boolean} [keepalive] Lets the request outlive the page.
+ */
+
+// Codes for failures that never got a usable answer from the backend.
+export const NETWORK_ERROR = 'NETWORK_ERROR';
+export const TIMEOUT = 'TIMEOUT';
+export const INVALID_RESPONSE = 'INVALID_RESPONSE';
+
+// Statuses worth another try: the backend or the proxy in front of it was briefly unavailable.
+const RETRYABLE_STATUSES = [408, 502, 503, 504];
+const RETRY_BASE_DELAY_MS = 500;
+
+// A failed request. `status` is 0 when no response arrived; `code` is the backend's error code
+// (e.g. VALIDATION_FAILED, with per-field `fields`), or one of the codes above.
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status: number, code: string, fields?: Record<string, FieldError> }} details
+   */
+  constructor(message, { status, code, fields }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+/**
+ * Absolute URL of an API path, for links and for APIs that take a URL (EventSource, sendBeacon).
+ * @param {string} path e.g. '/api/events'
+ * @returns {string}
+ */
+export const apiUrl = (path) => `${getConfig().apiUrl}${path}`;
+
+const isRetryable = (error) => error.status === 0 || RETRYABLE_STATUSES.includes(error.status);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toApiError = async (response) => {
+  const { error = {} } = await response.json().catch(() => ({}));
+  return new ApiError(error.message || `Request failed: ${response.status} ${response.statusText}`, {
+    status: response.status,
+    code: error.code || 'HTTP_ERROR',
+    fields: error.fields,
+  });
+};
+
+// One attempt, including reading the body, within `timeoutMs`.
+const send = async (path, init, { timeoutMs, responseType }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  try {
+    response = await fetch(apiUrl(path), { ...init, signal: controller.signal });
+    if (!response.ok) throw await toApiError(response);
+    if (responseType === 'blob') return await response.blob();
+    const result = await response.json();
+    if (result?.success === false) throw new ApiError(result.error?.message || 'Request failed.', { status: response.status, code: result.error?.code || 'HTTP_ERROR', fields: result.error?.fields });
+    return result;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (controller.signal.aborted) throw new ApiError('The server took too long to respond.', { status: 0, code: TIMEOUT });
+    // A body that isn't JSON, e.g. a misconfigured API URL pointing at the site itself.
+    if (error instanceof SyntaxError) throw new ApiError('The server sent an unexpected response.', { status: response.status, code: INVALID_RESPONSE });
+    throw new ApiError('The server could not be reached.', { status: 0, code: NETWORK_ERROR });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Sends a request to the backend and resolves to its parsed JSON (or Blob), e.g.
+ * `await apiRequest('/api/contact', { method: 'POST', body: { name, email, message } })`.
+ * @param {string} path API path, starting with /api
+ * @param {RequestOptions} [options]
+ * @returns {Promise<any>}
+ * @throws {ApiError}
+ */
+export const apiRequest = async (path, options = {}) => {
+  const { method = 'GET', body, headers, responseType = 'json', keepalive } = options;
+  const { requestTimeoutMs, requestRetries } = getConfig();
+  const timeoutMs = options.timeoutMs ?? requestTimeoutMs;
+  const retries = options.retries ?? (method === 'GET' ? requestRetries : 0);
+
+  const isFormData = body instanceof FormData;
+  const init = {
+    method,
+    keepalive,
+    // No Content-Type for FormData: the browser sets the multipart boundary itself.
+    headers: { ...(body && !isFormData && { 'Content-Type': 'application/json' }), ...headers },
+    body: body && (isFormData ? body : JSON.stringify(body)),
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(path, init, { timeoutMs, responseType });
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      // 0.5s, 1s, 2s ... with jitter, so many visitors don't retry in step.
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt * (0.5 + Math.random()));
+    }
+  }
+};
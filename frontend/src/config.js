@@ -0,0 +1,58 @@
+// Frontend settings. Build-time values come from Vite env variables (see .env.example); a deployment can
+// override any of them without a rebuild by serving /config.json next to index.html, e.g.
+//
+//   { "apiUrl": "https://nxl-backend.onrender.com", "requestTimeoutMs": 20000 }
+//
+// main.jsx calls loadConfig() once before the app starts; everything else reads getConfig(). The site's
+// Content Security Policy (vercel.json) allows requests to any HTTPS origin, so apiUrl needs no change there.
+
+/**
+ * @typedef {object} Config
+ * @property {string} apiUrl Origin of the backend API, without a trailing slash ('' for the site's own origin).
+ * @property {number} requestTimeoutMs How long one API request may take before it is abandoned.
+ * @property {number} requestRetries How many times a failed GET request is repeated.
+ */
+
+// Empty outside Vite, e.g. when the unit tests (test/) import this module with plain Node.
+const env = import.meta.env || {};
+
+const withoutTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/** @type {Config} */
+const BUILD_CONFIG = {
+  // Development talks to the backend on its default port; production builds must be told where it is.
+  apiUrl: withoutTrailingSlash(env.VITE_API_URL ?? (env.DEV ? 'http://localhost:3001' : '')),
+  requestTimeoutMs: Number(env.VITE_REQUEST_TIMEOUT_MS || 15000),
+  requestRetries: Number(env.VITE_REQUEST_RETRIES ?? 2),
+};
+
+// The runtime file is optional, and a slow or broken one must not keep the site from starting.
+const RUNTIME_CONFIG_URL = '/config.json';
+const RUNTIME_CONFIG_TIMEOUT_MS = 3000;
+
+let config = BUILD_CONFIG;
+
+/** @returns {Config} */
+export const getConfig = () => config;
+
+// Keeps the known settings of the right type from a runtime config object.
+const pickSettings = (overrides) => {
+  const settings = {};
+  if (typeof overrides.apiUrl === 'string') settings.apiUrl = withoutTrailingSlash(overrides.apiUrl);
+  if (Number.isFinite(overrides.requestTimeoutMs) && overrides.requestTimeoutMs > 0) settings.requestTimeoutMs = overrides.requestTimeoutMs;
+  if (Number.isInteger(overrides.requestRetries) && overrides.requestRetries >= 0) settings.requestRetries = overrides.requestRetries;
+  return settings;
+};
+
+// Applies /config.json when the deployment serves one. Resolves in every case; without the file (or with
+// a host that answers every path with the app's HTML) the build-time values stay.
+export const loadConfig = async () => {
+  try {
+    const response = await fetch(RUNTIME_CONFIG_URL, { cache: 'no-cache', signal: AbortSignal.timeout(RUNTIME_CONFIG_TIMEOUT_MS) });
+    if (!response.ok || !response.headers.get('Content-Type')?.includes('json')) return config;
+    config = { ...BUILD_CONFIG, ...pickSettings(await response.json()) };
+  } catch (error) {
+    console.error('Could not load the runtime configuration:', error);
+  }
+  return config;
+};
@@ -0,0 +1,66 @@
+// Cookie consent. The visitor's choice is kept in localStorage and logged by the backend
+// (backend/routes/consent.js) as proof of consent. Until a category is allowed nothing in it runs:
+// analytics.js sends events and PortableText embeds videos only once their category is allowed.
+import { createContext, useContext } from 'react';
+import { apiRequest } from './api.js';
+
+// Bump when categories or the third parties in them change, so every visitor is asked again.
+export const CONSENT_VERSION = 2;
+
+// "necessary" (the language and consent choices in localStorage) is always on.
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+const OPTIONAL_CATEGORIES = CONSENT_CATEGORIES.filter(category => category !== 'necessary');
+
+const STORAGE_KEY = 'nxl-consent';
+
+// The stored choice: { id, version, categories: { necessary, analytics, marketing }, updatedAt }, or null
+// when the visitor hasn't chosen yet (or chose under an older version).
+export const loadConsent = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && stored.version === CONSENT_VERSION && stored.categories ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+export const hasConsent = (category) => category === 'necessary' || (typeof window !== 'undefined' && Boolean(loadConsent()?.categories[category]));
+
+// Stores a choice, e.g. saveConsent({ analytics: true, marketing: false }), and logs it with the backend.
+// The id stays the same across changes so the backend's records show one visitor's history.
+export const saveConsent = (choices) => {
+  const categories = { necessary: true };
+  OPTIONAL_CATEGORIES.forEach(category => {
+    categories[category] = Boolean(choices[category]);
+  });
+  const consent = {
+    id: loadConsent()?.id || crypto.randomUUID(),
+    version: CONSENT_VERSION,
+    categories,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+  } catch {
+    // Storage can be unavailable (private browsing); the choice then only lasts for this visit.
+  }
+
+  // keepalive lets the request finish if the page reloads to drop resources the visitor no longer allows.
+  const { necessary: _necessary, ...optional } = categories;
+  apiRequest('/api/consent', {
+    method: 'POST',
+    body: { consentId: consent.id, version: consent.version, categories: optional },
+    keepalive: true,
+  }).catch(error => console.error('Failed to record consent:', error));
+
+  return consent;
+};
+
+// Whether `next` takes back anything `previous` allowed.
+export const isWithdrawal = (previous, next) => Boolean(previous) && OPTIONAL_CATEGORIES.some(category => previous.categories[category] && !next.categories[category]);
+
+export const ConsentContext = createContext({ consent: null, allows: (category) => category === 'necessary', openPreferences: () => {} });
+
+// { consent, allows(category), openPreferences() } for components that load third-party content.
+export const useConsent = () => useContext(ConsentContext);
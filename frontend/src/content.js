@@ -0,0 +1,68 @@
+// Per-page content loading from the resource endpoints in backend/routes/content.js.
+// App keeps a single content object in the shape of /api/data and fills it in as pages need more:
+// `loaded` names the resources it holds ('site', 'services', 'process', 'jobs' or 'service:<id>'),
+// `locale` their language. Prerendered pages start out with the whole /api/data payload.
+import { fetchContent } from './preview.js';
+
+// Everything the /api/data aggregate contains.
+export const ALL_RESOURCES = ['site', 'services', 'process', 'jobs'];
+
+// Collections are small, so pages fetch them whole.
+const LIST_PAGE_SIZE = 100;
+
+// Resources a page renders. 'site' (hero, contact, ...) is needed by the header and footer on every page.
+export const getPageResources = (route) => {
+  switch (route.page) {
+    case 'admin':
+      return [];
+    case 'home':
+      return ['site', 'services', 'process'];
+    case 'services':
+      return ['site', 'services'];
+    case 'service-detail':
+      return ['site', `service:${route.params.id}`];
+    case 'careers':
+    case 'job-detail':
+      return ['site', 'jobs'];
+    default:
+      return ['site'];
+  }
+};
+
+export const hasResource = (content, name) => {
+  if (!content) return false;
+  if (content.loaded.includes(name)) return true;
+  // The full service list includes every single service.
+  return name.startsWith('service:') && content.loaded.includes('services');
+};
+
+// Resolves to the part of the /api/data shape that `name` covers, e.g. { services: [...] } for 'services'.
+export const fetchResource = async (name, locale) => {
+  if (name === 'site') {
+    const { site } = await fetchContent(`/api/site?locale=${locale}`);
+    return site;
+  }
+  if (name.startsWith('service:')) {
+    const id = name.slice('service:'.length);
+    try {
+      const { service } = await fetchContent(`/api/services/${encodeURIComponent(id)}?locale=${locale}`);
+      return { services: [service] };
+    } catch (error) {
+      // An unknown service loads as "nothing", so the page can show Not Found.
+      if (error.status === 404) return {};
+      throw error;
+    }
+  }
+  const result = await fetchContent(`/api/${name}?locale=${locale}&pageSize=${LIST_PAGE_SIZE}`);
+  return { [name]: result[name] };
+};
+
+// Adds a fetched resource to the content object. Single services join the ones already held.
+export const mergeContent = (content, name, part) => {
+  const merged = { ...content, ...part, loaded: [...content.loaded, name] };
+  if (part.services && name !== 'services') {
+    const ids = part.services.map(service => service.id);
+    merged.services = [...(content.services || []).filter(service => !ids.includes(service.id)), ...part.services];
+  }
+  return merged;
+};
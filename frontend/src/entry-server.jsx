@@ -0,0 +1,12 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import App from './App.jsx';
+
+// Server entry used by scripts/prerender.js to turn a URL and the /api/data payload into HTML.
+export function render(url, data) {
+  return renderToString(
+    <React.StrictMode>
+      <App initialPath={url} initialData={data} />
+    </React.StrictMode>,
+  );
+}
@@ -0,0 +1,81 @@
+// Languages the site is published in, UI message catalogs and locale-prefixed URLs.
+// The default locale's pages live at unprefixed paths ("/about"); the others under their code ("/fr/about").
+// CMS content is localized by the backend: every content endpoint takes ?locale=<code> (see backend/lib/i18n.js).
+import { createContext, createElement, Fragment, useContext } from 'react';
+import { normalizePath } from './routes.js';
+import en from './messages/en.js';
+import fr from './messages/fr.js';
+import ar from './messages/ar.js';
+
+// Mirrors SUPPORTED_LOCALES in backend/lib/i18n.js.
+export const LOCALES = [
+  { code: 'en', label: 'English', dir: 'ltr' },
+  { code: 'fr', label: 'Français', dir: 'ltr' },
+  { code: 'ar', label: 'العربية', dir: 'rtl' },
+];
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, fr, ar };
+const STORAGE_KEY = 'nxl-locale';
+
+const isLocale = (code) => LOCALES.some(locale => locale.code === code);
+
+export const getDirection = (locale) => (LOCALES.find(entry => entry.code === locale) || LOCALES[0]).dir;
+
+// Splits "/fr/services/web" into { locale: 'fr', path: '/services/web' }. Unprefixed paths are in the default locale.
+export const splitLocale = (pathname) => {
+  const path = normalizePath(pathname);
+  const [, first] = path.split('/');
+  if (first && first !== DEFAULT_LOCALE && isLocale(first)) {
+    return { locale: first, path: normalizePath(path.slice(first.length + 1)) };
+  }
+  return { locale: DEFAULT_LOCALE, path };
+};
+
+// Builds the URL of `path` in `locale`, e.g. localizePath('/about', 'fr') => '/fr/about'.
+export const localizePath = (path, locale) => {
+  const normalized = normalizePath(path);
+  if (locale === DEFAULT_LOCALE) return normalized;
+  return normalized === '/' ? `/${locale}` : `/${locale}${normalized}`;
+};
+
+// Looks up a message, falling back to English and then to the key itself. `{name}` placeholders are
+// replaced from `values`; when a value is a React element the result is an array of nodes instead of a string.
+export const translate = (locale, key, values = {}) => {
+  const message = (CATALOGS[locale] && CATALOGS[locale][key]) ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  const parts = message.split(/\{(\w+)\}/);
+  if (parts.length === 1) return message;
+
+  // Odd entries are placeholder names.
+  const resolved = parts.map((part, index) => {
+    if (index % 2 === 0) return part;
+    return part in values ? values[part] : `{${part}}`;
+  });
+  if (resolved.every(part => typeof part !== 'object')) return resolved.join('');
+  return resolved.map((part, index) => createElement(Fragment, { key: index }, part));
+};
+
+export const createTranslator = (locale) => (key, values) => translate(locale, key, values);
+
+// The visitor's last explicit choice from the language switcher, if any.
+export const getSavedLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return isLocale(saved) ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveLocale = (locale) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Storage can be unavailable (private browsing); the choice then only lasts for this visit.
+  }
+};
+
+export const I18nContext = createContext({ locale: DEFAULT_LOCALE, dir: 'ltr', t: createTranslator(DEFAULT_LOCALE) });
+
+// { locale, dir, t } for the language of the page being shown.
+export const useI18n = () => useContext(I18nContext);
@@ -1,10 +1,28 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { loadConfig } from './config.js'
+// Orbitron (the header's typeface) is served from our own origin; index.html preloads the bold weight.
+import '@fontsource/orbitron/latin-400.css'
+import '@fontsource/orbitron/latin-700.css'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+const container = document.getElementById('root')
+// Written by scripts/prerender.js when the page was rendered to static HTML at build time.
+const dataElement = document.getElementById('nxl-data')
+const initialData = dataElement ? JSON.parse(dataElement.textContent) : null
+
+const app = (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+    <App initialData={initialData} />
+  </React.StrictMode>
+)
+
+// The runtime configuration (API origin, timeouts) has to be in place before the first request.
+loadConfig().then(() => {
+  if (initialData && container.hasChildNodes()) {
+    ReactDOM.hydrateRoot(container, app)
+  } else {
+    ReactDOM.createRoot(container).render(app)
+  }
+})
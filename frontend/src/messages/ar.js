@@ -0,0 +1,170 @@
+// Arabic UI strings (keys as in en.js). Arabic pages are laid out right-to-left.
+export default {
+  'nav.home': 'الرئيسية',
+  'nav.about': 'من نحن',
+  'nav.services': 'خدماتنا',
+  'nav.careers': 'الوظائف',
+  'nav.blog': 'المدونة',
+  'nav.contact': 'اتصل بنا',
+  'nav.getInTouch': 'تواصل معنا',
+  'nav.menu': 'القائمة',
+  'nav.language': 'اللغة',
+
+  'app.loading': 'جارٍ التحميل...',
+  'app.loadFailed': 'تعذّر تحميل المحتوى. يرجى المحاولة لاحقًا.',
+  'app.unknownError': 'حدث خطأ غير معروف.',
+  'app.backendHint': 'تحقق من اتصالك وحاول مرة أخرى بعد قليل.',
+  'app.connectionError': 'تعذّر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى.',
+  'app.retry': 'إعادة المحاولة',
+
+  'preview.title': 'معاينة:',
+  'preview.text': 'أنت تشاهد مسودات غير منشورة. لا يزال الزوار يرون الموقع المنشور.',
+  'preview.exit': 'الخروج من المعاينة',
+
+  'consent.bannerTitle': 'خصوصيتك',
+  'consent.bannerText': 'نحصي الزيارات بأداة تحليلات خاصة بنا لا تستخدم ملفات تعريف الارتباط، ونحمّل مقاطع الفيديو من خوادم شركات أخرى، فقط إذا سمحت بذلك. حفظ لغتك وهذه الاختيارات في متصفحك مفعّل دائمًا.',
+  'consent.acceptAll': 'قبول الكل',
+  'consent.rejectAll': 'رفض الكل',
+  'consent.customize': 'تخصيص',
+  'consent.preferencesTitle': 'تفضيلات الخصوصية',
+  'consent.preferencesIntro': 'اختر ما تسمح به. يمكنك تغيير اختيارك في أي وقت من رابط «إعدادات الخصوصية» أسفل كل صفحة.',
+  'consent.necessary': 'ضرورية',
+  'consent.necessaryText': 'تحفظ لغتك واختيارات الخصوصية هذه في متصفحك.',
+  'consent.analytics': 'التحليلات',
+  'consent.analyticsText': 'إحصاء مجهول الهوية وبدون ملفات تعريف الارتباط لمشاهدات الصفحات والنقرات على الأزرار والنماذج المرسلة، محفوظ على خوادمنا.',
+  'consent.marketing': 'التسويق والمحتوى الخارجي',
+  'consent.marketingText': 'مقاطع فيديو مضمّنة من YouTube وVimeo. تتلقى هذه الشركات عنوان IP الخاص بك.',
+  'consent.alwaysOn': 'مفعّلة دائمًا',
+  'consent.save': 'حفظ الاختيارات',
+  'consent.close': 'إغلاق',
+  'consent.settings': 'إعدادات الخصوصية',
+  'privacy.title': 'بياناتك',
+  'privacy.intro': 'نزّل أو احذف كل ما نحتفظ به عنك من نموذجي التواصل والتوظيف ومكالمات التعارف المحجوزة. أدخل البريد الإلكتروني الذي استخدمته وسنرسل إليك رابطًا صالحًا لمدة 24 ساعة.',
+  'privacy.footerLink': 'بياناتك',
+  'privacy.sendLink': 'أرسل لي رابطًا',
+  'privacy.linkSent': 'تحقق من بريدك الوارد: أرسلنا إليك رابطًا لتنزيل بياناتك أو حذفها.',
+  'privacy.storedFor': 'البيانات المخزنة لـ {email}:',
+  'privacy.submissions': 'رسائل التواصل: {count}',
+  'privacy.applications': 'طلبات التوظيف: {count}',
+  'privacy.bookings': 'مكالمات التعارف: {count}',
+  'privacy.emails': 'رسائل البريد الإلكتروني: {count}',
+  'privacy.download': 'تنزيل بياناتي',
+  'privacy.erase': 'حذف بياناتي',
+  'privacy.eraseWarning': 'سيؤدي هذا إلى حذف رسائلك وطلباتك ومكالماتك المحجوزة والملفات المرفوعة ورسائل البريد الإلكتروني نهائيًا، ولا يمكن التراجع عنه.',
+  'privacy.eraseConfirm': 'نعم، احذف كل شيء',
+  'privacy.cancel': 'إلغاء',
+  'privacy.erased': 'تم حذف بياناتك.',
+  'consent.embedBlocked': 'هذا الفيديو مستضاف لدى جهة خارجية ولا يُعرض إلا إذا سمحت بالتسويق والمحتوى الخارجي.',
+  'consent.watchExternally': 'المشاهدة على موقع الفيديو',
+
+  'footer.followUs': 'تابعنا',
+  'footer.quickLinks': 'روابط سريعة',
+  'footer.contactUs': 'اتصل بنا',
+  'footer.haveProject': 'لديك مشروع؟',
+  'footer.haveProjectText': 'يسعدنا أن نناقش معك كيف يمكننا مساعدتك.',
+  'footer.letsTalk': 'لنتحدث',
+  'footer.copyright': '© {year} NXL Technologies. جميع الحقوق محفوظة.',
+
+  'home.title': 'الرئيسية',
+  'home.exploreServices': 'اكتشف خدماتنا',
+  'home.whatWeDo': 'ماذا نقدّم',
+  'home.whatWeDoSubtitle': 'ارتقِ بعملك مع حلولنا',
+  'home.learnMore': 'اعرف المزيد',
+  'home.howWeHelp': 'كيف تساعدك NXL Technologies',
+  'home.howWeHelpIntro': 'اكتشف قوة الحلول التقنية المصممة خصيصًا لك. نضيف الابتكار والكفاءة إلى عمليات أعمالك، ونحوّل أفكارك إلى واقع بأحدث التقنيات.',
+  'home.cloudTitle': 'الحلول السحابية',
+  'home.cloudText': 'بنية سحابية آمنة وقابلة للتوسع تمنح أعمالك المرونة وتدعم نموها.',
+  'home.softwareTitle': 'تطوير البرمجيات',
+  'home.softwareText': 'تطبيقات مخصصة ترفع أداء أعمالك وتبسّط عملياتك.',
+  'home.process': 'منهجيتنا المجرّبة',
+  'home.processSubtitle': 'نتبع نهجًا منظمًا يضمن الجودة والنجاح في كل مشروع.',
+
+  'about.title': 'عن NXL Technologies',
+  'about.values': 'قيمنا الأساسية',
+
+  'services.title': 'خدماتنا',
+  'services.viewDetails': 'عرض التفاصيل',
+  'services.keyOfferings': 'أبرز ما نقدّمه',
+  'services.needHelp': 'هل تحتاج إلى مساعدة؟',
+  'services.needHelpText': 'تواصل معنا اليوم لنناقش كيف ندعم أعمالك في تحقيق أهدافها الرقمية!',
+
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.text': 'الصفحة التي تبحث عنها غير موجودة أو ربما نُقلت.',
+  'notFound.backHome': 'العودة إلى الرئيسية',
+
+  'careers.title': 'انضم إلى فريقنا!',
+  'careers.openPositions': 'الوظائف المتاحة',
+  'careers.notYourRole': 'لم تجد الوظيفة المناسبة؟',
+  'careers.howToApply': 'طريقة التقديم',
+  'careers.emailText': 'إذا كنت متحمسًا للانضمام إلى فريقنا، فأرسل سيرتك الذاتية المحدّثة مع خطاب تعريفي إلى البريد الإلكتروني التالي:',
+  'careers.allPositions': 'جميع الوظائف المتاحة',
+  'careers.applyTitle': 'قدّم على هذه الوظيفة',
+  'careers.jobTitle': '{role} - الوظائف',
+  'jobType.full-time': 'دوام كامل',
+  'jobType.part-time': 'دوام جزئي',
+  'jobType.contract': 'عقد',
+  'jobType.internship': 'تدريب',
+
+  'blog.title': 'مقالات ودراسات حالة',
+  'blog.all': 'الكل',
+  'blog.type.post': 'مقال',
+  'blog.type.caseStudy': 'دراسة حالة',
+  'blog.types.post': 'المقالات',
+  'blog.types.caseStudy': 'دراسات الحالة',
+  'blog.category': 'التصنيف',
+  'blog.allCategories': 'جميع التصنيفات',
+  'blog.tags': 'الوسوم',
+  'blog.loading': 'جارٍ تحميل المقالات...',
+  'blog.loadFailed': 'تعذّر تحميل المقالات. يرجى المحاولة لاحقًا.',
+  'blog.empty': 'لم يُنشر أي محتوى هنا بعد.',
+  'blog.readMore': 'اقرأ المزيد',
+  'blog.allPosts': 'جميع المقالات',
+  'blog.client': 'العميل: {client}',
+  'blog.relatedServices': 'الخدمات ذات الصلة',
+  'blog.relatedCaseStudies': 'دراسات حالة ذات صلة',
+  'blog.embedTitle': 'فيديو مضمّن',
+  'blog.previous': 'السابق',
+  'blog.next': 'التالي',
+  'blog.pageOf': 'الصفحة {page} من {total}',
+
+  'form.name': 'الاسم',
+  'form.email': 'البريد الإلكتروني',
+  'form.honeypot': 'اترك هذا الحقل فارغًا',
+  'form.sending': 'جارٍ الإرسال...',
+  'form.thankYou': 'شكرًا لك!',
+
+  'application.phone': 'الهاتف (اختياري)',
+  'application.coverLetter': 'خطاب التعريف (اختياري)',
+  'application.cv': 'السيرة الذاتية (PDF أو Word، بحد أقصى {size} ميغابايت)',
+  'application.cvTooLarge': 'يجب ألا يتجاوز حجم السيرة الذاتية {size} ميغابايت.',
+  'application.submit': 'إرسال الطلب',
+  'application.trouble': 'هل تواجه مشكلة في النموذج؟ أرسل سيرتك الذاتية إلى {email}.',
+  'booking.title': 'احجز مكالمة تعارف مجانية',
+  'booking.intro': 'اختر الوقت الذي يناسبك للتحدث مع فريقنا عن {service}. سنرسل إليك دعوة تقويم عبر البريد الإلكتروني.',
+  'booking.timeZone': 'المنطقة الزمنية',
+  'booking.day': 'اليوم',
+  'booking.time': 'الوقت',
+  'booking.loading': 'جارٍ تحميل الأوقات المتاحة...',
+  'booking.noSlots': 'لا توجد أوقات متاحة حاليًا. اتصل بنا أو أرسل إلينا رسالة بدلًا من ذلك.',
+  'booking.selected': 'مكالمتك: {time}',
+  'booking.phone': 'الهاتف (اختياري)',
+  'booking.message': 'ما الذي تود مناقشته؟ (اختياري)',
+  'booking.submit': 'احجز المكالمة',
+  'booking.slotGone': 'عذرًا، هذا الوقت لم يعد متاحًا. يُرجى اختيار وقت آخر.',
+  'booking.booked': 'تم حجز مكالمتك في {time}. ستجد دعوة التقويم في بريدك الوارد.',
+
+  'contact.title': 'تواصل معنا',
+  'contact.heading': 'هل لديك خطة مشروع؟',
+  'contact.intro': 'نؤمن بأن التعاون هو الأساس. نصغي بعناية إلى أهدافك ورؤيتك لنصمم حلولًا مخصصة تدفع النمو وتحقق النتائج.',
+  'contact.mailUs': 'راسلنا على مدار الساعة',
+  'contact.phone': 'الهاتف',
+  'contact.address': 'العنوان',
+  'contact.message': 'كيف يمكننا مساعدتك؟',
+  'contact.attachments': 'المرفقات (اختيارية، حتى {count} ملفات بحجم {size} ميغابايت لكل ملف)',
+  'contact.fileTooLarge': 'يجب ألا يتجاوز حجم الملف {size} ميغابايت.',
+  'contact.uploadFailed': 'فشل رفع الملف.',
+  'contact.uploading': 'جارٍ رفع الملفات...',
+  'contact.removeFile': 'إزالة {name}',
+  'contact.send': 'إرسال الرسالة',
+  'contact.sent': 'تم إرسال رسالتك.',
+};
@@ -0,0 +1,171 @@
+// English UI strings. This is the reference catalog: any key missing from another language falls back to it.
+// Placeholders such as {name} are filled in by t() (see src/i18n.js).
+export default {
+  'nav.home': 'Home',
+  'nav.about': 'About Us',
+  'nav.services': 'Services',
+  'nav.careers': 'Careers',
+  'nav.blog': 'Blog',
+  'nav.contact': 'Contact',
+  'nav.getInTouch': 'Get In Touch',
+  'nav.menu': 'Menu',
+  'nav.language': 'Language',
+
+  'app.loading': 'Loading Innovations...',
+  'app.loadFailed': 'Failed to load content. Please try again later.',
+  'app.unknownError': 'An unknown error occurred.',
+  'app.backendHint': 'Please check your connection and try again in a moment.',
+  'app.connectionError': 'Could not reach the server. Please check your connection and try again.',
+  'app.retry': 'Try again',
+
+  'preview.title': 'Preview:',
+  'preview.text': 'You are viewing unpublished drafts. Visitors still see the published site.',
+  'preview.exit': 'Exit preview',
+
+  'consent.bannerTitle': 'Your privacy',
+  'consent.bannerText': "We count visits with our own cookie-free analytics, and load videos from other companies' servers, only if you allow it. Storing your language and these choices in your browser is always on.",
+  'consent.acceptAll': 'Accept all',
+  'consent.rejectAll': 'Reject all',
+  'consent.customize': 'Customize',
+  'consent.preferencesTitle': 'Privacy preferences',
+  'consent.preferencesIntro': 'Choose what you allow. You can change your choice at any time with the "Privacy settings" link at the bottom of every page.',
+  'consent.necessary': 'Necessary',
+  'consent.necessaryText': 'Remembers your language and these privacy choices in your browser.',
+  'consent.analytics': 'Analytics',
+  'consent.analyticsText': 'Anonymous, cookie-free counts of page views, button clicks and sent forms, stored on our own servers.',
+  'consent.marketing': 'Marketing and third-party content',
+  'consent.marketingText': 'Embedded videos from YouTube and Vimeo. These companies receive your IP address.',
+  'consent.alwaysOn': 'Always on',
+  'consent.save': 'Save choices',
+  'consent.close': 'Close',
+  'consent.settings': 'Privacy settings',
+  'privacy.title': 'Your Data',
+  'privacy.intro': 'Download or delete everything we hold about you from the contact and careers forms and discovery-call bookings. Enter the email address you used and we will send you a link that works for 24 hours.',
+  'privacy.footerLink': 'Your data',
+  'privacy.sendLink': 'Send me a link',
+  'privacy.linkSent': 'Check your inbox: we have sent you a link to download or delete your data.',
+  'privacy.storedFor': 'Stored for {email}:',
+  'privacy.submissions': 'Contact messages: {count}',
+  'privacy.applications': 'Job applications: {count}',
+  'privacy.bookings': 'Discovery calls: {count}',
+  'privacy.emails': 'Emails: {count}',
+  'privacy.download': 'Download my data',
+  'privacy.erase': 'Delete my data',
+  'privacy.eraseWarning': 'This permanently deletes your messages, applications, booked calls, uploaded files and emails. It cannot be undone.',
+  'privacy.eraseConfirm': 'Yes, delete everything',
+  'privacy.cancel': 'Cancel',
+  'privacy.erased': 'Your data has been deleted.',
+  'consent.embedBlocked': 'This video is hosted by a third party and is only shown if you allow marketing and third-party content.',
+  'consent.watchExternally': 'Watch on the video site',
+
+  'footer.followUs': 'Follow Us',
+  'footer.quickLinks': 'Quick Links',
+  'footer.contactUs': 'Contact Us',
+  'footer.haveProject': 'Have a Project?',
+  'footer.haveProjectText': "We'd love to discuss how we can assist you.",
+  'footer.letsTalk': "Let's Talk",
+  'footer.copyright': '© {year} NXL Technologies. All Rights Reserved.',
+
+  'home.title': 'Home',
+  'home.exploreServices': 'Explore Our Services',
+  'home.whatWeDo': 'What We Do',
+  'home.whatWeDoSubtitle': 'Elevate Your Craft With Our Suggestion',
+  'home.learnMore': 'Learn More',
+  'home.howWeHelp': 'How NXL Technologies Helps You',
+  'home.howWeHelpIntro': 'Experience the Power of Tailored IT Solutions. We bring innovation and efficiency to your business operations. Let’s transform your ideas into reality with state-of-the-art technology solutions.',
+  'home.cloudTitle': 'Cloud Solutions',
+  'home.cloudText': 'Empower your business with scalable and secure cloud infrastructure, enabling flexibility and growth.',
+  'home.softwareTitle': 'Software Development',
+  'home.softwareText': 'Custom applications designed to elevate your business performance and streamline operations.',
+  'home.process': 'Our Proven Process',
+  'home.processSubtitle': 'We follow a structured approach to ensure quality and success in every project.',
+
+  'about.title': 'About NXL Technologies',
+  'about.values': 'Our Core Values',
+
+  'services.title': 'Our Services',
+  'services.viewDetails': 'View Details',
+  'services.keyOfferings': 'Key Offerings',
+  'services.needHelp': 'Need Assistance?',
+  'services.needHelpText': 'Reach out to us today to discuss how we can support your business in achieving its digital goals!',
+
+  'notFound.title': 'Page Not Found',
+  'notFound.text': "The page you're looking for doesn't exist or may have moved.",
+  'notFound.backHome': 'Back to Home',
+
+  'careers.title': 'Join Our Team!',
+  'careers.openPositions': 'Open Positions',
+  'careers.notYourRole': "Don't See Your Role?",
+  'careers.howToApply': 'How to Apply',
+  'careers.emailText': "If you're excited to join our team, please send your updated CV along with a cover letter to the following email address:",
+  'careers.allPositions': 'All open positions',
+  'careers.applyTitle': 'Apply for this Role',
+  'careers.jobTitle': '{role} - Careers',
+  'jobType.full-time': 'Full-time',
+  'jobType.part-time': 'Part-time',
+  'jobType.contract': 'Contract',
+  'jobType.internship': 'Internship',
+
+  'blog.title': 'Insights & Case Studies',
+  'blog.all': 'All',
+  'blog.type.post': 'Article',
+  'blog.type.caseStudy': 'Case Study',
+  'blog.types.post': 'Articles',
+  'blog.types.caseStudy': 'Case Studies',
+  'blog.category': 'Category',
+  'blog.allCategories': 'All categories',
+  'blog.tags': 'Tags',
+  'blog.loading': 'Loading posts...',
+  'blog.loadFailed': 'Could not load posts. Please try again later.',
+  'blog.empty': 'Nothing has been published here yet.',
+  'blog.readMore': 'Read more',
+  'blog.allPosts': 'All posts',
+  'blog.client': 'Client: {client}',
+  'blog.relatedServices': 'Services involved',
+  'blog.relatedCaseStudies': 'Related case studies',
+  'blog.embedTitle': 'Embedded video',
+  'blog.previous': 'Previous',
+  'blog.next': 'Next',
+  'blog.pageOf': 'Page {page} of {total}',
+
+  'form.name': 'Your Name',
+  'form.email': 'Email Address',
+  'form.honeypot': 'Leave this field empty',
+  'form.sending': 'Sending...',
+  'form.thankYou': 'Thank You!',
+
+  'application.phone': 'Phone (optional)',
+  'application.coverLetter': 'Cover Letter (optional)',
+  'application.cv': 'CV (PDF or Word, up to {size} MB)',
+  'application.cvTooLarge': 'CV must be at most {size} MB.',
+  'application.submit': 'Submit Application',
+  'application.trouble': 'Having trouble with the form? Email your CV to {email}.',
+  'booking.title': 'Book a Free Discovery Call',
+  'booking.intro': 'Pick a time that suits you to talk to our team about {service}. We will email you a calendar invite.',
+  'booking.timeZone': 'Time zone',
+  'booking.day': 'Day',
+  'booking.time': 'Time',
+  'booking.loading': 'Loading available times...',
+  'booking.noSlots': 'There are no free times at the moment. Call us or send us a message instead.',
+  'booking.selected': 'Your call: {time}',
+  'booking.phone': 'Phone (optional)',
+  'booking.message': 'What would you like to discuss? (optional)',
+  'booking.submit': 'Book the Call',
+  'booking.slotGone': 'Sorry, that time is no longer available. Please pick another.',
+  'booking.booked': 'Your call is booked for {time}. Check your inbox for the calendar invite.',
+
+  'contact.title': 'Get In Touch',
+  'contact.heading': 'Have a Project Plan?',
+  'contact.intro': 'We believe that collaboration is key. We listen carefully to your goals and vision to craft custom solutions that drive growth and deliver results.',
+  'contact.mailUs': 'Mail us 24/7',
+  'contact.phone': 'Phone',
+  'contact.address': 'Address',
+  'contact.message': 'How can we help you?',
+  'contact.attachments': 'Attachments (optional, up to {count} files of {size} MB)',
+  'contact.fileTooLarge': 'Files must be at most {size} MB.',
+  'contact.uploadFailed': 'Upload failed.',
+  'contact.uploading': 'Uploading...',
+  'contact.removeFile': 'Remove {name}',
+  'contact.send': 'Send Message',
+  'contact.sent': 'Your message has been sent.',
+};
@@ -0,0 +1,170 @@
+// French UI strings (keys as in en.js).
+export default {
+  'nav.home': 'Accueil',
+  'nav.about': 'À propos',
+  'nav.services': 'Services',
+  'nav.careers': 'Carrières',
+  'nav.blog': 'Blog',
+  'nav.contact': 'Contact',
+  'nav.getInTouch': 'Nous contacter',
+  'nav.menu': 'Menu',
+  'nav.language': 'Langue',
+
+  'app.loading': 'Chargement des innovations...',
+  'app.loadFailed': 'Impossible de charger le contenu. Veuillez réessayer plus tard.',
+  'app.unknownError': 'Une erreur inconnue est survenue.',
+  'app.backendHint': 'Vérifiez votre connexion et réessayez dans un instant.',
+  'app.connectionError': 'Impossible de joindre le serveur. Vérifiez votre connexion et réessayez.',
+  'app.retry': 'Réessayer',
+
+  'preview.title': 'Aperçu :',
+  'preview.text': 'Vous consultez des brouillons non publiés. Les visiteurs voient toujours le site publié.',
+  'preview.exit': 'Quitter l’aperçu',
+
+  'consent.bannerTitle': 'Votre vie privée',
+  'consent.bannerText': 'Nous mesurons les visites avec notre propre outil d’analyse sans cookies et chargeons des vidéos depuis les serveurs d’autres entreprises uniquement si vous l’acceptez. L’enregistrement de votre langue et de ces choix dans votre navigateur est toujours actif.',
+  'consent.acceptAll': 'Tout accepter',
+  'consent.rejectAll': 'Tout refuser',
+  'consent.customize': 'Personnaliser',
+  'consent.preferencesTitle': 'Préférences de confidentialité',
+  'consent.preferencesIntro': 'Choisissez ce que vous autorisez. Vous pouvez modifier votre choix à tout moment avec le lien « Paramètres de confidentialité » en bas de chaque page.',
+  'consent.necessary': 'Nécessaires',
+  'consent.necessaryText': 'Mémorise votre langue et ces choix de confidentialité dans votre navigateur.',
+  'consent.analytics': 'Mesure d’audience',
+  'consent.analyticsText': 'Comptage anonyme et sans cookies des pages vues, des clics sur les boutons et des formulaires envoyés, stocké sur nos propres serveurs.',
+  'consent.marketing': 'Marketing et contenus tiers',
+  'consent.marketingText': 'Vidéos intégrées de YouTube et Vimeo. Ces entreprises reçoivent votre adresse IP.',
+  'consent.alwaysOn': 'Toujours actif',
+  'consent.save': 'Enregistrer mes choix',
+  'consent.close': 'Fermer',
+  'consent.settings': 'Paramètres de confidentialité',
+  'privacy.title': 'Vos données',
+  'privacy.intro': 'Téléchargez ou supprimez tout ce que nous conservons à votre sujet via les formulaires de contact et de candidature et les appels découverte réservés. Saisissez l’adresse e-mail utilisée et nous vous enverrons un lien valable 24 heures.',
+  'privacy.footerLink': 'Vos données',
+  'privacy.sendLink': 'M’envoyer un lien',
+  'privacy.linkSent': 'Consultez votre boîte de réception : nous vous avons envoyé un lien pour télécharger ou supprimer vos données.',
+  'privacy.storedFor': 'Données enregistrées pour {email} :',
+  'privacy.submissions': 'Messages de contact : {count}',
+  'privacy.applications': 'Candidatures : {count}',
+  'privacy.bookings': 'Appels découverte : {count}',
+  'privacy.emails': 'E-mails : {count}',
+  'privacy.download': 'Télécharger mes données',
+  'privacy.erase': 'Supprimer mes données',
+  'privacy.eraseWarning': 'Cette action supprime définitivement vos messages, candidatures, appels réservés, fichiers envoyés et e-mails. Elle est irréversible.',
+  'privacy.eraseConfirm': 'Oui, tout supprimer',
+  'privacy.cancel': 'Annuler',
+  'privacy.erased': 'Vos données ont été supprimées.',
+  'consent.embedBlocked': 'Cette vidéo est hébergée par un tiers et ne s’affiche que si vous autorisez le marketing et les contenus tiers.',
+  'consent.watchExternally': 'Regarder sur le site vidéo',
+
+  'footer.followUs': 'Suivez-nous',
+  'footer.quickLinks': 'Liens rapides',
+  'footer.contactUs': 'Contactez-nous',
+  'footer.haveProject': 'Un projet ?',
+  'footer.haveProjectText': 'Nous serions ravis de discuter de la manière dont nous pouvons vous aider.',
+  'footer.letsTalk': 'Parlons-en',
+  'footer.copyright': '© {year} NXL Technologies. Tous droits réservés.',
+
+  'home.title': 'Accueil',
+  'home.exploreServices': 'Découvrir nos services',
+  'home.whatWeDo': 'Ce que nous faisons',
+  'home.whatWeDoSubtitle': 'Faites grandir votre savoir-faire avec nos conseils',
+  'home.learnMore': 'En savoir plus',
+  'home.howWeHelp': 'Comment NXL Technologies vous aide',
+  'home.howWeHelpIntro': 'Découvrez la force de solutions informatiques sur mesure. Nous apportons innovation et efficacité à vos opérations. Transformons ensemble vos idées en réalité grâce à des technologies de pointe.',
+  'home.cloudTitle': 'Solutions cloud',
+  'home.cloudText': 'Dotez votre entreprise d’une infrastructure cloud évolutive et sécurisée, gage de souplesse et de croissance.',
+  'home.softwareTitle': 'Développement logiciel',
+  'home.softwareText': 'Des applications sur mesure pour améliorer vos performances et simplifier vos opérations.',
+  'home.process': 'Notre méthode éprouvée',
+  'home.processSubtitle': 'Nous suivons une démarche structurée pour garantir la qualité et la réussite de chaque projet.',
+
+  'about.title': 'À propos de NXL Technologies',
+  'about.values': 'Nos valeurs',
+
+  'services.title': 'Nos services',
+  'services.viewDetails': 'Voir le détail',
+  'services.keyOfferings': 'Nos prestations',
+  'services.needHelp': 'Besoin d’aide ?',
+  'services.needHelpText': 'Contactez-nous dès aujourd’hui pour voir comment nous pouvons aider votre entreprise à atteindre ses objectifs numériques !',
+
+  'notFound.title': 'Page introuvable',
+  'notFound.text': 'La page que vous cherchez n’existe pas ou a été déplacée.',
+  'notFound.backHome': 'Retour à l’accueil',
+
+  'careers.title': 'Rejoignez notre équipe !',
+  'careers.openPositions': 'Postes ouverts',
+  'careers.notYourRole': 'Vous ne trouvez pas votre poste ?',
+  'careers.howToApply': 'Comment postuler',
+  'careers.emailText': 'Envie de rejoindre notre équipe ? Envoyez votre CV à jour accompagné d’une lettre de motivation à l’adresse suivante :',
+  'careers.allPositions': 'Tous les postes ouverts',
+  'careers.applyTitle': 'Postuler à ce poste',
+  'careers.jobTitle': '{role} - Carrières',
+  'jobType.full-time': 'Temps plein',
+  'jobType.part-time': 'Temps partiel',
+  'jobType.contract': 'Contrat',
+  'jobType.internship': 'Stage',
+
+  'blog.title': 'Articles et études de cas',
+  'blog.all': 'Tout',
+  'blog.type.post': 'Article',
+  'blog.type.caseStudy': 'Étude de cas',
+  'blog.types.post': 'Articles',
+  'blog.types.caseStudy': 'Études de cas',
+  'blog.category': 'Catégorie',
+  'blog.allCategories': 'Toutes les catégories',
+  'blog.tags': 'Mots-clés',
+  'blog.loading': 'Chargement des articles...',
+  'blog.loadFailed': 'Impossible de charger les articles. Veuillez réessayer plus tard.',
+  'blog.empty': 'Rien n’a encore été publié ici.',
+  'blog.readMore': 'Lire la suite',
+  'blog.allPosts': 'Tous les articles',
+  'blog.client': 'Client : {client}',
+  'blog.relatedServices': 'Services concernés',
+  'blog.relatedCaseStudies': 'Études de cas associées',
+  'blog.embedTitle': 'Vidéo intégrée',
+  'blog.previous': 'Précédent',
+  'blog.next': 'Suivant',
+  'blog.pageOf': 'Page {page} sur {total}',
+
+  'form.name': 'Votre nom',
+  'form.email': 'Adresse e-mail',
+  'form.honeypot': 'Laissez ce champ vide',
+  'form.sending': 'Envoi...',
+  'form.thankYou': 'Merci !',
+
+  'application.phone': 'Téléphone (facultatif)',
+  'application.coverLetter': 'Lettre de motivation (facultative)',
+  'application.cv': 'CV (PDF ou Word, {size} Mo maximum)',
+  'application.cvTooLarge': 'Le CV ne doit pas dépasser {size} Mo.',
+  'application.submit': 'Envoyer ma candidature',
+  'application.trouble': 'Un problème avec le formulaire ? Envoyez votre CV à {email}.',
+  'booking.title': 'Réservez un appel découverte gratuit',
+  'booking.intro': 'Choisissez le créneau qui vous convient pour parler de {service} avec notre équipe. Nous vous enverrons une invitation d’agenda par e-mail.',
+  'booking.timeZone': 'Fuseau horaire',
+  'booking.day': 'Jour',
+  'booking.time': 'Heure',
+  'booking.loading': 'Chargement des créneaux disponibles...',
+  'booking.noSlots': 'Aucun créneau n’est libre pour le moment. Appelez-nous ou envoyez-nous un message.',
+  'booking.selected': 'Votre appel : {time}',
+  'booking.phone': 'Téléphone (facultatif)',
+  'booking.message': 'De quoi souhaitez-vous parler ? (facultatif)',
+  'booking.submit': 'Réserver l’appel',
+  'booking.slotGone': 'Désolé, ce créneau n’est plus disponible. Veuillez en choisir un autre.',
+  'booking.booked': 'Votre appel est réservé pour le {time}. L’invitation d’agenda vous attend dans votre boîte de réception.',
+
+  'contact.title': 'Nous contacter',
+  'contact.heading': 'Vous avez un projet ?',
+  'contact.intro': 'Pour nous, la collaboration est essentielle. Nous écoutons attentivement vos objectifs et votre vision pour concevoir des solutions sur mesure qui favorisent la croissance et produisent des résultats.',
+  'contact.mailUs': 'Écrivez-nous 24 h/24, 7 j/7',
+  'contact.phone': 'Téléphone',
+  'contact.address': 'Adresse',
+  'contact.message': 'Comment pouvons-nous vous aider ?',
+  'contact.attachments': 'Pièces jointes (facultatives, {count} fichiers de {size} Mo maximum)',
+  'contact.fileTooLarge': 'Les fichiers ne doivent pas dépasser {size} Mo.',
+  'contact.uploadFailed': 'Échec de l’envoi.',
+  'contact.uploading': 'Envoi des fichiers...',
+  'contact.removeFile': 'Retirer {name}',
+  'contact.send': 'Envoyer le message',
+  'contact.sent': 'Votre message a bien été envoyé.',
+};
@@ -0,0 +1,60 @@
+// Draft preview for CMS editors (see backend/lib/preview.js). A link from the admin dashboard opens the
+// site with ?preview=<token>; the token is then kept in a session cookie until it expires or the editor
+// exits preview, and sent with every content request so the backend answers with drafts.
+import { apiRequest, apiUrl } from './api.js';
+
+const COOKIE_NAME = 'nxl-preview';
+export const PREVIEW_HEADER = 'X-Preview-Token';
+
+// Tokens start with their expiry time in milliseconds ("<expiry>.<signature>").
+const isExpired = (token) => !(Number(token.split('.')[0]) > Date.now());
+
+const readCookie = () => {
+  const entry = document.cookie.split('; ').find(part => part.startsWith(`${COOKIE_NAME}=`));
+  return entry ? decodeURIComponent(entry.slice(COOKIE_NAME.length + 1)) : null;
+};
+
+export const clearPreview = () => {
+  document.cookie = `${COOKIE_NAME}=; path=/; max-age=0; samesite=strict`;
+};
+
+// The active preview token, picking up a new one from ?preview= (and removing it from the address bar so
+// it isn't shared by accident). Null for normal visitors and during prerendering.
+export const getPreviewToken = () => {
+  if (typeof document === 'undefined') return null;
+
+  const url = new URL(window.location.href);
+  const fromUrl = url.searchParams.get('preview');
+  if (fromUrl) {
+    url.searchParams.delete('preview');
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    if (!isExpired(fromUrl)) {
+      document.cookie = `${COOKIE_NAME}=${encodeURIComponent(fromUrl)}; path=/; samesite=strict`;
+    }
+  }
+
+  const token = readCookie();
+  if (token && isExpired(token)) {
+    clearPreview();
+    return null;
+  }
+  return token;
+};
+
+// apiRequest() for content endpoints, sending the preview token when there is one. If the backend rejects
+// it (e.g. its secret changed) preview is switched off and the page reloads with published content.
+export const fetchContent = async (path) => {
+  const token = getPreviewToken();
+  try {
+    return await apiRequest(path, token ? { headers: { [PREVIEW_HEADER]: token } } : undefined);
+  } catch (error) {
+    if (token && error.status === 401) {
+      clearPreview();
+      window.location.reload();
+    }
+    throw error;
+  }
+};
+
+// EventSource URL for live draft changes; EventSource can't send headers, so the token goes in the query.
+export const previewEventsUrl = (token) => apiUrl(`/api/preview/events?previewToken=${encodeURIComponent(token)}`);
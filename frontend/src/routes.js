@@ -0,0 +1,75 @@
+// Route table for the site. Each entry maps a URL pattern to the page id that App's renderPage() switches on.
+// Patterns use ":name" segments for parameters, e.g. "/services/:id".
+// Routes with `prerender: false` are left out of the static build (see scripts/prerender.js); the blog pages
+// load their content from /api/posts in the browser.
+export const ROUTES = [
+  { page: 'home', path: '/' },
+  { page: 'about', path: '/about' },
+  { page: 'services', path: '/services' },
+  { page: 'service-detail', path: '/services/:id' },
+  { page: 'careers', path: '/careers' },
+  { page: 'job-detail', path: '/careers/:id' },
+  { page: 'blog', path: '/blog', prerender: false },
+  { page: 'post-detail', path: '/blog/:slug', prerender: false },
+  { page: 'contact', path: '/contact' },
+  { page: 'privacy', path: '/privacy' },
+  { page: 'admin', path: '/admin', prerender: false },
+];
+
+// Strips trailing slashes so "/about/" and "/about" resolve to the same page.
+export const normalizePath = (pathname) => {
+  const path = (pathname || '/').replace(/\/+$/, '');
+  return path === '' ? '/' : path;
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Resolves a pathname to { page, params }. Unknown paths resolve to the 'not-found' page.
+export const matchRoute = (pathname) => {
+  const segments = normalizePath(pathname).split('/').filter(Boolean);
+
+  for (const route of ROUTES) {
+    const routeSegments = route.path.split('/').filter(Boolean);
+    if (routeSegments.length !== segments.length) continue;
+
+    const params = {};
+    const isMatch = routeSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeSegment(segments[index]);
+        return true;
+      }
+      return segment === segments[index];
+    });
+
+    if (isMatch) return { page: route.page, params };
+  }
+
+  return { page: 'not-found', params: {} };
+};
+
+// Builds the deep link for a single service.
+export const servicePath = (id) => `/services/${encodeURIComponent(id)}`;
+
+// Builds the deep link for a single job opening.
+export const jobPath = (id) => `/careers/${encodeURIComponent(id)}`;
+
+// Builds the deep link for a blog post or case study.
+export const postPath = (slug) => `/blog/${encodeURIComponent(slug)}`;
+
+// Expands the route table into the concrete URLs of the static build: one per service for "/services/:id"
+// and one per job for "/careers/:id".
+export const getPrerenderPaths = (data) => ROUTES.filter((route) => route.prerender !== false).flatMap((route) => {
+  if (route.page === 'service-detail') {
+    return data.services.map((service) => servicePath(service.id));
+  }
+  if (route.page === 'job-detail') {
+    return (data.jobs || []).map((job) => jobPath(job.id));
+  }
+  return [route.path];
+});
@@ -0,0 +1,280 @@
+// Page metadata (title, description, Open Graph/Twitter tags and JSON-LD) built from CMS content.
+// getPageMeta() is shared by the browser (applyDocumentMeta) and the prerender script (renderHeadTags),
+// so crawlers and link-preview bots see exactly what the client renders.
+import { matchRoute, normalizePath, servicePath, jobPath, postPath } from './routes.js';
+import { LOCALES, splitLocale, localizePath, createTranslator } from './i18n.js';
+
+const DEFAULT_SITE_NAME = 'NXL Technologies';
+
+// Official social profiles, shared by the Footer and the Organization JSON-LD.
+export const SOCIAL_PROFILES = {
+  facebook: 'https://www.facebook.com/people/NXL-Technologies/61567502310449/?mibextid=ZbWKwL',
+  linkedin: 'https://www.linkedin.com/company/nxl-technologies/',
+};
+
+// Search engines truncate descriptions at roughly 160 characters.
+const toDescription = (text = '') => {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > 160 ? `${clean.slice(0, 157).trimEnd()}...` : clean;
+};
+
+const absoluteUrl = (siteUrl, path) => (siteUrl ? `${siteUrl.replace(/\/+$/, '')}${path}` : null);
+
+const buildOrganization = (data, siteUrl) => {
+  const { contact = {} } = data;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: data.seo?.siteName || DEFAULT_SITE_NAME,
+    ...(siteUrl && { url: absoluteUrl(siteUrl, '/') }),
+    ...(data.seo?.image && { logo: data.seo.image }),
+    description: toDescription(data.hero?.subtitle),
+    email: contact.email,
+    telephone: contact.phone,
+    address: (contact.addresses || []).map(addr => ({
+      '@type': 'PostalAddress',
+      addressLocality: addr.city,
+      streetAddress: addr.details,
+    })),
+    sameAs: Object.values(SOCIAL_PROFILES),
+  };
+};
+
+const buildService = (service, data, siteUrl, locale) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Service',
+  name: service.title,
+  serviceType: service.title,
+  description: toDescription(service.seo?.description || service.description),
+  ...(siteUrl && { url: absoluteUrl(siteUrl, localizePath(servicePath(service.id), locale)) }),
+  provider: {
+    '@type': 'Organization',
+    name: data.seo?.siteName || DEFAULT_SITE_NAME,
+  },
+});
+
+// schema.org employmentType values for the CMS jobPosting `type` field.
+const EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  internship: 'INTERN',
+};
+
+const buildJobPosting = (job, data, siteUrl, locale) => ({
+  '@context': 'https://schema.org',
+  '@type': 'JobPosting',
+  title: job.role,
+  description: job.description,
+  ...(job.postedAt && { datePosted: job.postedAt.slice(0, 10) }),
+  ...(EMPLOYMENT_TYPES[job.type] && { employmentType: EMPLOYMENT_TYPES[job.type] }),
+  // Google expects remote roles as jobLocationType rather than a place called "Remote".
+  ...(job.location && (/remote/i.test(job.location)
+    ? { jobLocationType: 'TELECOMMUTE' }
+    : { jobLocation: { '@type': 'Place', address: { '@type': 'PostalAddress', addressLocality: job.location } } })),
+  ...(siteUrl && { url: absoluteUrl(siteUrl, localizePath(jobPath(job.id), locale)) }),
+  hiringOrganization: {
+    '@type': 'Organization',
+    name: data.seo?.siteName || DEFAULT_SITE_NAME,
+    ...(siteUrl && { sameAs: absoluteUrl(siteUrl, '/') }),
+  },
+});
+
+const buildArticle = (post, data, siteUrl, locale) => ({
+  '@context': 'https://schema.org',
+  '@type': post._type === 'post' ? 'BlogPosting' : 'Article',
+  headline: post.title,
+  description: toDescription(post.seo?.description || post.excerpt),
+  ...(post.image?.url && { image: post.image.url }),
+  ...(post.publishedAt && { datePublished: post.publishedAt }),
+  inLanguage: locale,
+  ...(post.tags?.length && { keywords: post.tags.join(', ') }),
+  ...(siteUrl && { url: absoluteUrl(siteUrl, localizePath(postPath(post.slug), locale)) }),
+  publisher: {
+    '@type': 'Organization',
+    name: data.seo?.siteName || DEFAULT_SITE_NAME,
+  },
+});
+
+// Resolves metadata for a path (including its locale prefix). CMS `seo` fields win; otherwise the copy
+// falls back to hero/about text, with page names from the message catalogs. Blog posts aren't part of the
+// site data, so `data.posts` holds the ones the page has loaded.
+export const getPageMeta = (pathname, data, siteUrl = '') => {
+  const seo = data.seo || {};
+  const siteName = seo.siteName || DEFAULT_SITE_NAME;
+  const { locale, path } = splitLocale(pathname);
+  const t = createTranslator(locale);
+  const route = matchRoute(path);
+  const organization = buildOrganization(data, siteUrl);
+
+  const page = (overrides, fallbackTitle, fallbackDescription) => ({
+    title: overrides?.title || `${fallbackTitle} | ${siteName}`,
+    description: toDescription(overrides?.description || fallbackDescription || seo.description || data.hero?.subtitle),
+  });
+  const notFound = { title: `${t('notFound.title')} | ${siteName}`, description: '', noIndex: true, jsonLd: [] };
+
+  let meta;
+  switch (route.page) {
+    case 'home':
+      meta = page(seo.home, data.hero?.tagline || t('home.title'));
+      meta.jsonLd = [organization];
+      break;
+    case 'about':
+      meta = page(seo.about, t('nav.about'), data.about?.content);
+      meta.jsonLd = [organization];
+      break;
+    case 'services':
+      meta = page(seo.services, t('services.title'));
+      meta.jsonLd = [organization, ...(data.services || []).map(service => buildService(service, data, siteUrl, locale))];
+      break;
+    case 'service-detail': {
+      const service = (data.services || []).find(s => s.id === route.params.id);
+      if (!service) {
+        meta = notFound;
+        break;
+      }
+      meta = page(service.seo, service.title, service.description);
+      meta.image = service.seo?.image;
+      meta.jsonLd = [organization, buildService(service, data, siteUrl, locale)];
+      break;
+    }
+    case 'careers':
+      meta = page(seo.careers, t('nav.careers'), data.careers?.intro);
+      meta.jsonLd = [organization];
+      break;
+    case 'job-detail': {
+      const job = (data.jobs || []).find(j => j.id === route.params.id);
+      if (!job) {
+        meta = notFound;
+        break;
+      }
+      meta = page(null, t('careers.jobTitle', { role: job.role }), job.description);
+      meta.jsonLd = [organization, buildJobPosting(job, data, siteUrl, locale)];
+      break;
+    }
+    case 'blog':
+      meta = page(seo.blog, t('blog.title'));
+      meta.jsonLd = [organization];
+      break;
+    case 'post-detail': {
+      const post = (data.posts || []).find(p => p.slug === route.params.slug);
+      if (!post) {
+        // Still loading: describe the blog until the post arrives.
+        meta = page(seo.blog, t('blog.title'));
+        meta.jsonLd = [organization];
+        break;
+      }
+      meta = page(post.seo, post.title, post.excerpt);
+      meta.image = post.image?.url;
+      meta.jsonLd = [organization, buildArticle(post, data, siteUrl, locale)];
+      break;
+    }
+    case 'contact':
+      meta = page(seo.contact, t('footer.contactUs'));
+      meta.jsonLd = [organization];
+      break;
+    case 'privacy':
+      meta = page(null, t('privacy.title'), t('privacy.intro'));
+      meta.jsonLd = [organization];
+      break;
+    case 'admin':
+      meta = { title: `Admin | ${siteName}`, description: '', noIndex: true, jsonLd: [] };
+      break;
+    default:
+      meta = notFound;
+  }
+
+  return {
+    ...meta,
+    siteName,
+    image: meta.image || seo.image || null,
+    url: meta.noIndex ? null : absoluteUrl(siteUrl, normalizePath(pathname)),
+    // The same page in every language, for hreflang links.
+    alternates: meta.noIndex || !siteUrl ? [] : LOCALES.map(entry => ({ hreflang: entry.code, href: absoluteUrl(siteUrl, localizePath(path, entry.code)) })),
+  };
+};
+
+// Flattens metadata into the tag list rendered into <head>.
+const getHeadTags = (meta) => {
+  const tags = [
+    { name: 'description', content: meta.description },
+    { property: 'og:site_name', content: meta.siteName },
+    { property: 'og:type', content: 'website' },
+    { property: 'og:title', content: meta.title },
+    { property: 'og:description', content: meta.description },
+    { property: 'og:url', content: meta.url },
+    { property: 'og:image', content: meta.image },
+    { name: 'twitter:card', content: meta.image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: meta.title },
+    { name: 'twitter:description', content: meta.description },
+    { name: 'twitter:image', content: meta.image },
+  ];
+  if (meta.noIndex) tags.push({ name: 'robots', content: 'noindex' });
+  return tags.filter(tag => tag.content);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Serialises JSON-LD without letting CMS content close the <script> tag.
+const serializeJsonLd = (entry) => JSON.stringify(entry).replace(/</g, '\\u003c');
+
+// Builds the <head> markup for the prerender script. Every tag carries data-seo so the
+// client can replace it on navigation instead of duplicating it.
+export const renderHeadTags = (meta) => {
+  const lines = [`<title>${escapeHtml(meta.title)}</title>`];
+  for (const tag of getHeadTags(meta)) {
+    const key = tag.name ? `name="${escapeHtml(tag.name)}"` : `property="${escapeHtml(tag.property)}"`;
+    lines.push(`<meta data-seo ${key} content="${escapeHtml(tag.content)}" />`);
+  }
+  if (meta.url) lines.push(`<link data-seo rel="canonical" href="${escapeHtml(meta.url)}" />`);
+  for (const link of meta.alternates || []) {
+    lines.push(`<link data-seo rel="alternate" hreflang="${escapeHtml(link.hreflang)}" href="${escapeHtml(link.href)}" />`);
+  }
+  for (const entry of meta.jsonLd || []) {
+    lines.push(`<script data-seo type="application/ld+json">${serializeJsonLd(entry)}</script>`);
+  }
+  return lines.join('\n    ');
+};
+
+// Applies metadata to the live document after each client-side navigation.
+export const applyDocumentMeta = (meta) => {
+  document.title = meta.title;
+  document.head.querySelectorAll('[data-seo]').forEach(node => node.remove());
+
+  for (const tag of getHeadTags(meta)) {
+    const element = document.createElement('meta');
+    element.setAttribute('data-seo', '');
+    element.setAttribute(tag.name ? 'name' : 'property', tag.name || tag.property);
+    element.setAttribute('content', tag.content);
+    document.head.appendChild(element);
+  }
+
+  if (meta.url) {
+    const canonical = document.createElement('link');
+    canonical.setAttribute('data-seo', '');
+    canonical.rel = 'canonical';
+    canonical.href = meta.url;
+    document.head.appendChild(canonical);
+  }
+
+  for (const link of meta.alternates || []) {
+    const alternate = document.createElement('link');
+    alternate.setAttribute('data-seo', '');
+    alternate.rel = 'alternate';
+    alternate.hreflang = link.hreflang;
+    alternate.href = link.href;
+    document.head.appendChild(alternate);
+  }
+
+  for (const entry of meta.jsonLd || []) {
+    const script = document.createElement('script');
+    script.setAttribute('data-seo', '');
+    script.type = 'application/ld+json';
+    script.textContent = JSON.stringify(entry);
+    document.head.appendChild(script);
+  }
+};
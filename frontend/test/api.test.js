@@ -0,0 +1,99 @@
+// Timeouts and retries of the API client (src/api.js), against a stubbed fetch. Run with `npm run test:unit`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { apiRequest, ApiError, TIMEOUT, NETWORK_ERROR } from '../src/api.js';
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+const failure = (status, code) => json(status, { success: false, error: { code, message: `Failed with ${code}` } });
+
+// Replaces fetch with one answering from `responses` in turn (a Response, an Error to throw or a function
+// of the request) and returns the requests it received.
+const stubFetch = (t, responses) => {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(url, init) : next.clone();
+  });
+  return calls;
+};
+
+// Never answers; rejects like fetch does once the request is aborted.
+const hang = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+});
+
+test('apiRequest()', async (t) => {
+  // The shortest backoff between attempts (0.25s, then 0.5s), to keep the tests quick.
+  t.beforeEach((t) => t.mock.method(Math, 'random', () => 0));
+
+  await t.test('resolves to the JSON of a successful response', async (t) => {
+    const calls = stubFetch(t, [json(200, { success: true, posts: [] })]);
+    assert.deepEqual(await apiRequest('/api/posts'), { success: true, posts: [] });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, '/api/posts');
+  });
+
+  await t.test('repeats a GET that hit a 503 or a network error', async (t) => {
+    const calls = stubFetch(t, [failure(503, 'UNAVAILABLE'), new TypeError('fetch failed'), json(200, { success: true })]);
+    assert.deepEqual(await apiRequest('/api/services'), { success: true });
+    assert.equal(calls.length, 3);
+  });
+
+  await t.test('gives up after the configured number of retries', async (t) => {
+    const calls = stubFetch(t, [failure(502, 'BAD_GATEWAY')]);
+    await assert.rejects(apiRequest('/api/services'), { name: 'ApiError', status: 502, code: 'BAD_GATEWAY' });
+    assert.equal(calls.length, 3);
+  });
+
+  await t.test('does not repeat a GET that got a 4xx answer', async (t) => {
+    for (const [status, code] of [[400, 'VALIDATION_FAILED'], [401, 'UNAUTHORIZED'], [404, 'NOT_FOUND'], [429, 'RATE_LIMITED']]) {
+      const calls = stubFetch(t, [failure(status, code), json(200, { success: true })]);
+      await assert.rejects(apiRequest('/api/posts/missing'), (error) => {
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.status, status);
+        assert.equal(error.code, code);
+        return true;
+      });
+      assert.equal(calls.length, 1, `${status}`);
+      t.mock.restoreAll();
+    }
+  });
+
+  await t.test('does not repeat a POST, even after a 503 or a network error', async (t) => {
+    for (const answer of [failure(503, 'UNAVAILABLE'), new TypeError('fetch failed')]) {
+      const calls = stubFetch(t, [answer, json(200, { success: true })]);
+      await assert.rejects(apiRequest('/api/contact', { method: 'POST', body: { name: 'Jane' } }), ApiError);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].init.body, '{"name":"Jane"}');
+      t.mock.restoreAll();
+    }
+  });
+
+  await t.test('aborts a request that takes longer than the timeout', async (t) => {
+    const calls = stubFetch(t, [hang]);
+    const started = Date.now();
+    await assert.rejects(
+      apiRequest('/api/contact', { method: 'POST', body: {}, timeoutMs: 50 }),
+      { name: 'ApiError', status: 0, code: TIMEOUT },
+    );
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].init.signal.aborted, true);
+  });
+
+  await t.test('repeats a GET that timed out, with a fresh timeout for each attempt', async (t) => {
+    const calls = stubFetch(t, [hang, json(200, { success: true })]);
+    assert.deepEqual(await apiRequest('/api/services', { timeoutMs: 50 }), { success: true });
+    assert.equal(calls.length, 2);
+    assert.equal(calls[0].init.signal.aborted, true);
+    assert.equal(calls[1].init.signal.aborted, false);
+  });
+
+  await t.test('honours an explicit retries option', async (t) => {
+    const calls = stubFetch(t, [new TypeError('fetch failed')]);
+    await assert.rejects(apiRequest('/api/services', { retries: 0 }), { code: NETWORK_ERROR });
+    assert.equal(calls.length, 1);
+  });
+});